@@ -31,6 +31,9 @@ function billable(name, req) {
     case 'putlink':
     case 'putpubliclink':
     case 'putreportslink':
+    case 'moveobject':
+    case 'movepublicobject':
+    case 'movereportsobject':
         op = 'PUT';
         break;
 
@@ -53,6 +56,7 @@ function billable(name, req) {
     case 'deletepublicstorage':
     case 'deletereportsstorage':
     case 'deleterootdir':
+    case 'batchdelete':
         op = 'DELETE';
         break;
 
@@ -60,6 +64,7 @@ function billable(name, req) {
     case 'headpublicstorage':
     case 'headreportsstorage':
     case 'headrootdir':
+    case 'batchhead':
         op = 'HEAD';
         break;
 
@@ -249,6 +254,8 @@ function auditLogger(options) {
         obj.parentShard = req.parentShard;
         obj.uploadRecordShard = req.uploadRecordShard;
         obj.finalizingRecordShard = req.finalizingRecordShard;
+        // The outcome for each path of a batch request; see batch.js.
+        obj.batchResults = req.batchResults;
 
         if (req.route) {
             obj.route = req.route.name;
@@ -327,5 +334,6 @@ function auditLogger(options) {
 ///-- Exports
 
 module.exports = {
-    auditLogger: auditLogger
+    auditLogger: auditLogger,
+    billable: billable
 };
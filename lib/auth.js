@@ -30,6 +30,8 @@ var libmanta = require('libmanta');
 var xtend = require('xtend');
 
 var common = require('./common');
+var sigv4 = require('./sigv4');
+var tags = require('./tags');
 require('./errors');
 
 
@@ -375,7 +377,8 @@ function checkAuthzScheme(req, res, next) {
     }
 
     var scheme = req.authorization.scheme.toLowerCase();
-    var ok = ['signature', 'token'].indexOf(scheme) >= 0;
+    var ok = ['signature', 'token'].indexOf(scheme) >= 0 ||
+        (req.s3 && scheme === sigv4.ALGORITHM.toLowerCase());
 
     if (!ok) {
         next(new AuthSchemeError(scheme));
@@ -440,6 +443,41 @@ function signatureHandler(req, res, next) {
 }
 
 
+/*
+ * Authenticates requests to the S3 front end, which are signed with AWS
+ * Signature Version 4 using an access key from the configuration (see s3.js,
+ * which parses the signature and looks up the key).  Once verified, the
+ * request proceeds as the account (and user) the access key belongs to.
+ */
+function awsSignatureHandler(req, res, next) {
+    if (!req.s3) {
+        next();
+        return;
+    }
+
+    req.log.debug('using aws signature auth');
+    var key = req.s3.accessKey;
+    try {
+        sigv4.checkDate(req.s3.auth, Date.now());
+    } catch (e) {
+        next(e);
+        return;
+    }
+
+    if (!sigv4.verify(req.s3.request, req.s3.auth, key.secretAccessKey)) {
+        next(new InvalidSignatureError());
+        return;
+    }
+
+    req.auth = {
+        account: key.login,
+        user: key.user,
+        accessKeyId: key.accessKeyId
+    };
+    next();
+}
+
+
 function parseKeyId(req, res, next) {
     if (!req.auth.callerKey) {
         next();
@@ -1045,6 +1083,17 @@ function storageContext(req, res, next) {
      * authorization checks and return the correct error.
      */
     if (!req.metadata.type && !req.parentMetadata.type) {
+        if (req.s3 && !req.missingParents) {
+            // S3 creates missing parents; authorize against their ancestor.
+            common.findParents(req, function (err) {
+                if (err) {
+                    next(err);
+                } else {
+                    storageContext(req, res, next);
+                }
+            });
+            return;
+        }
         next(new DirectoryDoesNotExistError(req.path()));
         return;
     }
@@ -1073,6 +1122,7 @@ function storageContext(req, res, next) {
     }
 
     req.authContext.resource = resource;
+    tags.addConditions(req.authContext.conditions, metadata);
 
     /*
      * GET, HEAD and DELETE routes handle both objects and directories, so
@@ -1092,7 +1142,12 @@ function storageContext(req, res, next) {
             req.authContext.action = 'get' + req.metadata.type;
             break;
         case 'DELETE':
-            req.authContext.action = 'delete' + req.metadata.type;
+            // Removing an object's tags (see tags.js) doesn't delete it.
+            if (tags.isTagsRequest(req)) {
+                req.authContext.action = 'put' + req.metadata.type;
+            } else {
+                req.authContext.action = 'delete' + req.metadata.type;
+            }
             break;
         default:
             /* default to route name from gatherContext */
@@ -1105,6 +1160,18 @@ function storageContext(req, res, next) {
 
 
 function authorize(req, res, next) {
+    authorizeContext(req, req.authContext, req.path(), next);
+}
+
+
+/*
+ * Authorizes the caller against an arbitrary authorization context.  This is
+ * what the `authorize` handler uses for the resource named in the request
+ * path, but handlers that touch a second resource (e.g., the source of a
+ * server-side copy) also use it to check access to that resource.  `p` is the
+ * path reported back to the caller in any AuthorizationError.
+ */
+function authorizeContext(req, context, p, next) {
     var log = req.log;
 
     log.debug({caller: req.caller, owner: req.owner}, 'authorize: entered');
@@ -1117,12 +1184,12 @@ function authorize(req, res, next) {
         login = req.caller.account.login + '/' + req.caller.user.login;
     }
 
-    req.log.debug(req.authContext, 'authorizing...');
+    req.log.debug(context, 'authorizing...');
 
     try {
         libmanta.authorize({
             mahi: req.mahi,
-            context: req.authContext
+            context: context
         });
     } catch (e) {
         switch (e.restCode || e.name) {
@@ -1141,7 +1208,7 @@ function authorize(req, res, next) {
                     req.owner.account.uuid);
             });
             if (!ownerRoles.length) {
-                next(new AuthorizationError(login, req.path(), e));
+                next(new AuthorizationError(login, p, e));
             } else {
                 next(new NoMatchingRoleTagError());
             }
@@ -1151,14 +1218,14 @@ function authorize(req, res, next) {
             return;
         case 'CrossAccount':
             /* This should never happen. */
-            next(new AuthorizationError(login, req.path(), e));
+            next(new AuthorizationError(login, p, e));
             return;
         case 'RulesEvaluationFailed':
-            next(new AuthorizationError(login, req.path(), e));
+            next(new AuthorizationError(login, p, e));
             return;
         default:
             if (e.statusCode >= 400 && e.statusCode <= 499) {
-                next(new AuthorizationError(login, req.path(), e));
+                next(new AuthorizationError(login, p, e));
                 return;
             }
             return (next(new InternalError(e)));
@@ -1170,6 +1237,41 @@ function authorize(req, res, next) {
 
 
 
+/*
+ * Authorizes the caller to perform `action` on a resource other than the one
+ * named in the request path, such as the source of a copy or move.  `md` is
+ * the resource's metadata record, and must be owned by the request's owner.
+ */
+function authorizeResource(req, md, action, p, next) {
+    assert.object(md, 'md');
+    assert.string(md.key, 'md.key');
+    assert.string(action, 'action');
+
+    var conditions = xtend(req.authContext.conditions);
+    delete conditions.overwrite;
+    tags.addConditions(conditions, md);
+
+    var uuidPrefix = '/' + req.owner.account.uuid;
+    assert.strictEqual(md.key.indexOf(uuidPrefix + '/'), 0);
+
+    var context = {
+        principal: req.authContext.principal,
+        action: action,
+        conditions: conditions,
+        resource: {
+            owner: req.owner,
+            key: md.key,
+            roles: md.roles || [],
+            path: '/' + req.owner.account.login +
+                md.key.slice(uuidPrefix.length)
+        }
+    };
+
+    authorizeContext(req, context, p, next);
+}
+
+
+
 ///--- Exports
 
 module.exports = {
@@ -1193,6 +1295,7 @@ module.exports = {
             checkAuthzScheme,
             parseAuthTokenHandler,
             signatureHandler,
+            awsSignatureHandler,
             parseKeyId,
             loadCaller,
             verifySignature,
@@ -1208,6 +1311,9 @@ module.exports = {
         ]);
     },
 
+    authorizeContext: authorizeContext,
+    authorizeResource: authorizeResource,
+
     loadOwnerFromPath: loadOwnerFromPath,
 
     gatherContext: gatherContext,
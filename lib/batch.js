@@ -0,0 +1,582 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// The batch API acts on many paths in one request:
+//
+//     POST /:login/batch/delete
+//     POST /:login/batch/head
+//     {"paths": ["/:login/stor/a.txt", "/:login/stor/dir"]}
+//
+// Each path is authorized and acted on separately, as a request for just that
+// path would be, and the response lists the outcome for each path, in the
+// order they were given:
+//
+//     {
+//         "results": [
+//             {"path": "/:login/stor/a.txt", "status": "deleted"},
+//             {"path": "/:login/stor/dir", "status": "failed",
+//              "error": {"code": "DirectoryNotEmpty", "message": "..."}}
+//         ],
+//         "succeeded": 1,
+//         "failed": 1
+//     }
+//
+// A path that fails doesn't fail the request.  A batch HEAD gives the headers
+// a HEAD of each path would in its result's "headers".  The outcomes (without
+// the headers) are also recorded (at req.batchResults) for the audit log.
+// Paths must be in the storage directories (stor, public or reports) of the
+// account in the request path.
+//
+
+var path = require('path');
+
+var assert = require('assert-plus');
+var libmanta = require('libmanta');
+var restify = require('restify');
+var vasync = require('vasync');
+var VError = require('verror');
+
+var auth = require('./auth');
+var checksums = require('./checksums');
+var common = require('./common');
+var encryption = require('./encryption');
+var obj = require('./obj');
+var retention = require('./retention');
+var tags = require('./tags');
+require('./errors');
+
+
+
+///--- Globals
+
+// How many paths of a batch are worked on at once.
+var BATCH_CONCURRENCY = 10;
+
+// The most bytes a path takes up in a request body, to bound its size.
+var BATCH_PATH_BYTES = 1024;
+
+var DIR_CONTENT_TYPE = 'application/x-json-stream; type=directory';
+
+var BATCH_STORAGE_PATHS = [
+    common.STOR_PATH,
+    common.PUBLIC_STOR_PATH,
+    common.REPORTS_STOR_PATH
+];
+
+
+
+///--- Helpers
+
+/*
+ * Returns the error reported for a path.  The errors that translateError()
+ * would describe with the request path are described with the batch's path.
+ */
+function resultError(req, p, err) {
+    if (!err.restCode) {
+        if (VError.findCauseByName(err, 'ObjectNotFoundError') !== null) {
+            err = new ResourceNotFoundError(p);
+        } else if (VError.findCauseByName(err,
+            'EtagConflictError') !== null) {
+            err = new ConcurrentRequestError(p);
+        } else {
+            err = translateError(err, req);
+        }
+    }
+
+    return ({
+        code: err.restCode || err.name,
+        message: err.message
+    });
+}
+
+
+// Strips the trailing slashes of a path given in a batch.
+function trimPath(p) {
+    /* JSSTYLED */
+    return (p.replace(/\/*$/, ''));
+}
+
+
+/*
+ * Resolves a path given in a batch to its key, which must be in one of the
+ * storage directories (but not the directory itself) of the request's owner.
+ * `method` names the operation for the error about the directory itself.
+ */
+function resolvePath(req, p, method, cb) {
+    var login = req.owner.account.login;
+    var trimmed = trimPath(p);
+    var m = null;
+
+    BATCH_STORAGE_PATHS.some(function (re) {
+        m = re.exec(trimmed);
+        return (m !== null);
+    });
+
+    if (m === null || m[1] !== login) {
+        cb(new InvalidPathError(p));
+        return;
+    }
+    if (!m[3]) {
+        cb(new RootDirectoryError(method, p));
+        return;
+    }
+
+    var opts = {
+        account: req.owner.account,
+        path: trimmed
+    };
+    libmanta.normalizeMantaPath(opts, function (err, key) {
+        if (err || key.indexOf('/' + req.owner.account.uuid + '/') !== 0) {
+            cb(new InvalidPathError(p));
+        } else {
+            cb(null, key);
+        }
+    });
+}
+
+
+/*
+ * Checks that the body is {"paths": [...]}, with between 1 and `maxKeys`
+ * strings.
+ */
+function checkPaths(req, maxKeys) {
+    var body = req.body;
+    if (!body || typeof (body) !== 'object' || !Array.isArray(body.paths) ||
+        body.paths.length === 0) {
+        return (new InvalidParameterError('paths', JSON.stringify(
+            body && body.paths)));
+    }
+    if (body.paths.length > maxKeys)
+        return (new BatchSizeExceededError(maxKeys));
+
+    var bad = body.paths.filter(function (p) {
+        return (typeof (p) !== 'string' || p.length === 0);
+    });
+    if (bad.length > 0)
+        return (new InvalidParameterError('paths', JSON.stringify(bad[0])));
+    return (null);
+}
+
+
+/*
+ * Sends the outcomes of a batch, `results`, in the order of its paths.
+ */
+function sendResults(req, res, next, results) {
+    var body = {
+        results: results.map(function (result) {
+            return ({
+                path: result.path,
+                status: result.status,
+                headers: result.headers,
+                error: result.error
+            });
+        }),
+        succeeded: 0,
+        failed: 0
+    };
+    body.results.forEach(function (result) {
+        if (result.status === 'failed') {
+            body.failed++;
+        } else {
+            body.succeeded++;
+        }
+    });
+
+    req.batchResults = body.results.map(function (result) {
+        return ({
+            path: result.path,
+            status: result.status,
+            error: result.error
+        });
+    });
+    req.log.debug({
+        succeeded: body.succeeded,
+        failed: body.failed
+    }, 'batch: done');
+    res.send(200, body);
+    next();
+}
+
+
+/*
+ * Returns the headers a HEAD of an entry with metadata `md` responds with.
+ * Unlike a HEAD, the CORS headers aren't given, as there's no origin to check
+ * them against.
+ */
+function headHeaders(md) {
+    var headers = {};
+
+    Object.keys(md.headers || {}).forEach(function (k) {
+        // See common.addCustomHeaders().
+        if (k !== checksums.HEADER && k !== encryption.HEADER &&
+            k !== retention.HEADER && k !== tags.HEADER &&
+            k.indexOf('access-control-') !== 0) {
+            headers[k] = md.headers[k];
+        }
+    });
+
+    var composite = checksums.compositeHeaders(md);
+    Object.keys(composite).forEach(function (k) {
+        headers[k.toLowerCase()] = composite[k];
+    });
+
+    if (md.etag)
+        headers['etag'] = md.etag;
+    headers['last-modified'] = new Date(md.mtime).toUTCString();
+
+    if (md.type === 'directory') {
+        headers['content-type'] = DIR_CONTENT_TYPE;
+    } else {
+        headers['durability-level'] = (md.sharks || []).length;
+        if (md.contentDisposition)
+            headers['content-disposition'] = md.contentDisposition;
+        headers['content-length'] = md.contentLength;
+        if (encryption.hasPlaintextMD5(md))
+            headers['content-md5'] = md.contentMD5;
+        headers['content-type'] = md.contentType;
+    }
+
+    return (headers);
+}
+
+
+/*
+ * Returns the handler chain of a batch operation, `handler`, which parses and
+ * checks the paths first.
+ */
+function batchChain(options, handler) {
+    assert.object(options, 'options');
+    assert.number(options.maxKeys, 'options.maxKeys');
+
+    var chain = [
+        restify.plugins.jsonBodyParser({
+            mapParams: false,
+            maxBodySize: options.maxKeys * BATCH_PATH_BYTES
+        }),
+        function checkBatch(req, res, next) {
+            next(checkPaths(req, options.maxKeys) || undefined);
+        },
+        handler
+    ];
+    return (chain);
+}
+
+
+
+///--- Routes
+
+/*
+ * Deletes each path as a DELETE of it would.  Objects are deleted first, and
+ * then directories, which have to be empty by then, deepest first.  So a
+ * batch can remove a directory along with everything in it.
+ */
+function batchDelete(req, res, next) {
+    var dirCounter =
+        req.collector.getCollector(common.METRIC_DELETED_DIRECTORY_COUNTER);
+    var log = req.log;
+    var results = req.body.paths.map(function (p) {
+        return ({path: p});
+    });
+    var dirs = [];
+
+    // A path given more than once is deleted once, and has the same outcome
+    // everywhere it appears.
+    var firsts = {};
+    var pending = results.filter(function (result) {
+        var k = trimPath(result.path);
+        if (firsts.hasOwnProperty(k))
+            return (false);
+        firsts[k] = result;
+        return (true);
+    });
+
+    function report(result, err) {
+        if (err) {
+            result.status = 'failed';
+            result.error = resultError(req, result.path, err);
+        } else {
+            result.status = 'deleted';
+        }
+    }
+
+    // Loads and authorizes the entry at `result.path`.
+    function load(result, cb) {
+        resolvePath(req, result.path, 'DELETE', function (err, key) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            var opts = {
+                key: key,
+                requestId: req.getId()
+            };
+            common.loadMetadata(req, opts, function (err2, md, wrap) {
+                if (err2) {
+                    cb(err2);
+                    return;
+                }
+                if (!md.type) {
+                    cb(new ResourceNotFoundError(result.path));
+                    return;
+                }
+
+                md.key = key;
+                result.md = md;
+                result.etag = (wrap || {})._etag;
+                auth.authorizeResource(req, md, 'delete' + md.type,
+                    result.path, function (err3) {
+                    cb(err3 || retention.checkRetained(md, result.path));
+                });
+            });
+        });
+    }
+
+    function delObject(result, cb) {
+        var md = result.md;
+        var opts = {
+            key: path.dirname(md.key),
+            requestId: req.getId()
+        };
+        common.loadMetadata(req, opts, function (err, parentMd) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            obj.removeObject(req, {
+                key: md.key,
+                metadata: md,
+                etag: result.etag,
+                parentMetadata: parentMd
+            }, cb);
+        });
+    }
+
+    function delDirectory(result, cb) {
+        var mreq = common.readdir(result.md.key, req, {
+            checkParams: false,
+            limit: 1,
+            marker: ''
+        });
+        var empty = true;
+
+        mreq.once('error', function (err) {
+            mreq.removeAllListeners('end');
+            mreq.removeAllListeners('entry');
+            cb(err);
+        });
+
+        mreq.on('entry', function () {
+            empty = false;
+        });
+
+        mreq.once('end', function () {
+            if (!empty) {
+                cb(new DirectoryNotEmptyError(req, result.path));
+                return;
+            }
+
+            var opts = {
+                key: result.md.key,
+                _etag: result.etag,
+                requestId: req.getId()
+            };
+            req.moray.delMetadata(opts, function (err) {
+                if (!err)
+                    dirCounter.increment();
+                cb(err);
+            });
+        });
+    }
+
+    log.debug({
+        count: results.length,
+        unique: pending.length
+    }, 'batchDelete: entered');
+
+    var queue = vasync.queue(function (result, qcb) {
+        load(result, function (err) {
+            if (err) {
+                report(result, err);
+                qcb();
+            } else if (result.md.type === 'directory') {
+                dirs.push(result);
+                qcb();
+            } else {
+                delObject(result, function (err2) {
+                    report(result, err2);
+                    qcb();
+                });
+            }
+        });
+    }, BATCH_CONCURRENCY);
+    queue.push(pending);
+    queue.close();
+
+    queue.once('end', function () {
+        dirs.sort(function (a, b) {
+            return (b.md.key.split('/').length - a.md.key.split('/').length);
+        });
+
+        vasync.forEachPipeline({
+            inputs: dirs,
+            func: function (result, pcb) {
+                delDirectory(result, function (err) {
+                    report(result, err);
+                    pcb();
+                });
+            }
+        }, function () {
+            results.forEach(function (result) {
+                var first = firsts[trimPath(result.path)];
+                result.status = first.status;
+                result.error = first.error;
+            });
+            sendResults(req, res, next, results);
+        });
+    });
+}
+
+
+/*
+ * Looks up each path as a HEAD of it would.  The paths in the same directory
+ * are looked up together, with one search of the directory's shard.
+ */
+function batchHead(req, res, next) {
+    var log = req.log;
+    var results = req.body.paths.map(function (p) {
+        return ({path: p});
+    });
+    var dirs = {};
+
+    function report(result, err) {
+        if (err) {
+            result.status = 'failed';
+            result.error = resultError(req, result.path, err);
+            delete result.headers;
+        } else {
+            result.status = 'ok';
+        }
+    }
+
+    // Loads the entries (keyed by their keys) of the results in `dir`.
+    function load(dir, keys, cb) {
+        if (keys.length > 1) {
+            common.loadDirectoryEntries(req, dir, keys, cb);
+            return;
+        }
+
+        var opts = {
+            key: keys[0],
+            requestId: req.getId()
+        };
+        common.loadMetadata(req, opts, function (err, md) {
+            var found = {};
+            if (!err && md.type)
+                found[keys[0]] = {md: md};
+            cb(err, found);
+        });
+    }
+
+    function head(result, entry, cb) {
+        if (!entry) {
+            cb(new ResourceNotFoundError(result.path));
+            return;
+        }
+
+        var md = entry.md;
+        md.key = result.key;
+        auth.authorizeResource(req, md, 'get' + md.type, result.path,
+            function (err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+            // A HEAD of such an object needs its key, which can't be given.
+            if (encryption.hasCustomerKey(md)) {
+                cb(new InvalidEncryptionKeyError(
+                    'required to read ' + result.path));
+                return;
+            }
+            result.headers = headHeaders(md);
+            cb();
+        });
+    }
+
+    log.debug({count: results.length}, 'batchHead: entered');
+
+    vasync.forEachParallel({
+        inputs: results,
+        func: function (result, cb) {
+            resolvePath(req, result.path, 'HEAD', function (err, key) {
+                if (err) {
+                    report(result, err);
+                } else {
+                    var dir = path.dirname(key);
+                    result.key = key;
+                    dirs[dir] = dirs[dir] || [];
+                    dirs[dir].push(result);
+                }
+                cb();
+            });
+        }
+    }, function () {
+        var queue = vasync.queue(function (dir, qcb) {
+            var inDir = dirs[dir];
+            var keys = [];
+            inDir.forEach(function (result) {
+                if (keys.indexOf(result.key) === -1)
+                    keys.push(result.key);
+            });
+
+            load(dir, keys, function (err, found) {
+                vasync.forEachParallel({
+                    inputs: inDir,
+                    func: function (result, cb) {
+                        if (err) {
+                            report(result, err);
+                            cb();
+                            return;
+                        }
+                        head(result, found[result.key], function (err2) {
+                            report(result, err2);
+                            cb();
+                        });
+                    }
+                }, function () {
+                    qcb();
+                });
+            });
+        }, BATCH_CONCURRENCY);
+        queue.push(Object.keys(dirs));
+        queue.close();
+
+        queue.once('end', function () {
+            sendResults(req, res, next, results);
+        });
+    });
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    deleteHandler: function deleteHandler(options) {
+        return (batchChain(options, batchDelete));
+    },
+
+    headHandler: function headHandler(options) {
+        return (batchChain(options, batchHead));
+    }
+};
@@ -17,6 +17,8 @@
  * As the name implies, this is implemented as a stream. As chunks of bytes flow
  * through the _write() function of the CheckStream they are added to the md5
  * hash. The final md5 hash can be retrieved using CheckStream.digest().
+ * Chunks are also passed to the update() function of each of the hashes in the
+ * optional 'hashes' argument, for callers that need other digests of the data.
  *
  * A 'timeout' event is emitted by CheckStream if it goes too long without
  * receiving any data. Consumers of CheckStream use the 'timeout' event as a
@@ -57,6 +59,7 @@ function CheckStream(opts) {
     assert.number(opts.maxBytes, 'options.maxBytes');
     assert.number(opts.timeout, 'opts.timeout');
     assert.object(opts.counter, 'opts.counter');
+    assert.optionalArrayOfObject(opts.hashes, 'opts.hashes');
 
     stream.Writable.call(this, opts);
 
@@ -65,6 +68,7 @@ function CheckStream(opts) {
     this.algorithm = opts.algorithm || 'md5';
     this.bytes = 0;
     this.hash = crypto.createHash(this.algorithm);
+    this.hashes = opts.hashes || [];
     this.maxBytes = opts.maxBytes;
     this.start = Date.now();
     this.timeout = opts.timeout;
@@ -119,6 +123,9 @@ CheckStream.prototype._write = function _write(chunk, encoding, cb) {
 
     clearTimeout(this.timer);
     this.hash.update(chunk, encoding);
+    this.hashes.forEach(function (hash) {
+        hash.update(chunk, encoding);
+    });
     this.bytes += chunk.length;
     this.throughput_counter.add(chunk.length);
     if (this.bytes > this.maxBytes) {
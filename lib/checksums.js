@@ -0,0 +1,345 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// Each part of a multipart upload has checksums of its data, which a client
+// can use to check what was stored end to end.  The MD5 of a part is always
+// computed, and checked against the part's Content-MD5 header if it has one,
+// as for any object.  Its SHA-256 and CRC32C are computed if the client sends
+// them with the part, in the Checksum-SHA256 and Checksum-CRC32C headers, and
+// checked against them.  Like Content-MD5, these are base64-encoded digests.
+//
+// A part's checksums are stored in its record as an internal header (HEADER),
+// and ListParts returns them.  On commit, they are combined into composite
+// checksums of the object: for each algorithm that every part has a checksum
+// for, the digest of the parts' digests concatenated in order.  These are
+// recorded in the upload record, stored in the object's record as the same
+// internal header (which a metadata update keeps), and returned with the
+// object as "<digest>-<number of parts>" in the Composite-Checksum-* headers:
+//
+//     Composite-Checksum-MD5: jv3DzBPAuYqDxaZnlqEhTA==-3
+//
+// A composite checksum isn't a checksum of the object's data, but a client
+// that knows the checksums of the parts can work it out.
+//
+
+var crypto = require('crypto');
+
+var assert = require('assert-plus');
+require('./errors');
+
+
+
+///--- Globals
+
+var HEADER = 'checksums';
+
+// The CRC32C (Castagnoli) polynomial, reversed.
+var CRC32C_POLY = 0x82f63b78;
+
+var CRC32C_TABLE = (function makeTable() {
+    var table = new Array(256);
+    for (var i = 0; i < 256; i++) {
+        var c = i;
+        for (var k = 0; k < 8; k++)
+            c = (c & 1) ? (c >>> 1) ^ CRC32C_POLY : c >>> 1;
+        table[i] = c >>> 0;
+    }
+    return (table);
+})();
+
+/*
+ * The algorithms, with the size of their digests, the request header a part's
+ * checksum is sent in and the response header an object's composite checksum
+ * is returned in.  The MD5 of a part is its contentMD5, which obj.js computes
+ * and checks.
+ */
+var ALGORITHMS = {
+    md5: {
+        size: 16,
+        compositeHeader: 'Composite-Checksum-MD5',
+        create: function () {
+            return (crypto.createHash('md5'));
+        }
+    },
+    sha256: {
+        size: 32,
+        header: 'checksum-sha256',
+        compositeHeader: 'Composite-Checksum-SHA256',
+        create: function () {
+            return (crypto.createHash('sha256'));
+        }
+    },
+    crc32c: {
+        size: 4,
+        header: 'checksum-crc32c',
+        compositeHeader: 'Composite-Checksum-CRC32C',
+        create: function () {
+            return (new Crc32c());
+        }
+    }
+};
+
+
+
+///--- Helpers
+
+/*
+ * Computes a CRC32C with the same update() and digest() methods as a hash from
+ * crypto.createHash().  The digest is the CRC, big-endian.
+ */
+function Crc32c() {
+    this.crc = 0xffffffff;
+}
+
+Crc32c.prototype.update = function update(data) {
+    var buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    var crc = this.crc;
+
+    for (var i = 0; i < buf.length; i++)
+        crc = CRC32C_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    this.crc = crc >>> 0;
+
+    return (this);
+};
+
+Crc32c.prototype.digest = function digest(encoding) {
+    var buf = Buffer.alloc(4);
+    buf.writeUInt32BE((this.crc ^ 0xffffffff) >>> 0, 0);
+
+    return (encoding ? buf.toString(encoding) : buf);
+};
+
+
+// Whether `value` is a base64-encoded digest of `size` bytes.
+function isDigest(value, size) {
+    var buf = Buffer.from(value, 'base64');
+    return (buf.length === size && buf.toString('base64') === value);
+}
+
+
+
+///--- API
+
+/*
+ * Returns the checksums of the part with the record `md`: its MD5, and the
+ * checksums it was uploaded with.
+ */
+function partChecksums(md) {
+    assert.object(md, 'md');
+
+    var sums = {
+        md5: md.contentMD5
+    };
+    var stored = (md.headers || {})[HEADER] || {};
+    Object.keys(stored).forEach(function (name) {
+        sums[name] = stored[name];
+    });
+
+    return (sums);
+}
+
+
+/*
+ * Given the checksums of each part of an object (see partChecksums()), in
+ * order, returns the object's composite checksums, along with the number of
+ * parts, or null if it has no parts.
+ */
+function compositeChecksums(parts) {
+    assert.arrayOfObject(parts, 'parts');
+
+    if (parts.length === 0)
+        return (null);
+
+    var composite = {
+        parts: parts.length
+    };
+    Object.keys(ALGORITHMS).forEach(function (name) {
+        if (!parts.every(function (p) {
+            return (p[name] !== undefined);
+        })) {
+            return;
+        }
+
+        var hash = ALGORITHMS[name].create();
+        parts.forEach(function (p) {
+            hash.update(Buffer.from(p[name], 'base64'));
+        });
+        composite[name] = hash.digest('base64');
+    });
+
+    return (composite);
+}
+
+
+/*
+ * Returns the composite checksums `composite` (see compositeChecksums()) as
+ * they are given to clients, each followed by "-" and the number of parts.
+ */
+function formatComposite(composite) {
+    assert.object(composite, 'composite');
+    assert.number(composite.parts, 'composite.parts');
+
+    var formatted = {};
+    Object.keys(ALGORITHMS).forEach(function (name) {
+        if (composite[name] !== undefined)
+            formatted[name] = composite[name] + '-' + composite.parts;
+    });
+
+    return (formatted);
+}
+
+
+/*
+ * Returns the Composite-Checksum-* headers of the object with the record `md`,
+ * which has none unless it was made from the parts of a multipart upload.
+ */
+function compositeHeaders(md) {
+    var headers = {};
+    var composite = (md.headers || {})[HEADER];
+    if (!composite || composite.parts === undefined)
+        return (headers);
+
+    var formatted = formatComposite(composite);
+    Object.keys(formatted).forEach(function (name) {
+        headers[ALGORITHMS[name].compositeHeader] = formatted[name];
+    });
+
+    return (headers);
+}
+
+
+/*
+ * Returns the hashes the data of the part being uploaded is to go through;
+ * sharkStreams() in obj.js passes them to its CheckStream.
+ */
+function dataHashes(req) {
+    if (!req._checksums)
+        return ([]);
+
+    var hashes = req._checksums.hashes;
+    return (Object.keys(hashes).map(function (name) {
+        return (hashes[name]);
+    }));
+}
+
+
+/*
+ * Reads the checksums other than the MD5 that the client sent with a part, and
+ * sets up the hashes to compute them with.
+ */
+function requestChecksums(req, res, next) {
+    var expected = {};
+    var hashes = {};
+    var names = Object.keys(ALGORITHMS);
+
+    for (var i = 0; i < names.length; i++) {
+        var name = names[i];
+        var alg = ALGORITHMS[name];
+        var value = alg.header ? req.headers[alg.header] : undefined;
+
+        if (value !== undefined) {
+            if (!isDigest(value, alg.size)) {
+                next(new InvalidParameterError(alg.header, value));
+                return;
+            }
+            expected[name] = value;
+            hashes[name] = alg.create();
+        }
+    }
+
+    req._checksums = {
+        expected: expected,
+        hashes: hashes,
+        values: null
+    };
+    next();
+}
+
+
+/*
+ * Once the part's data has been stored, checks its checksums against the ones
+ * the client sent, and saves them for saveMetadata() in obj.js to store in the
+ * part's record.
+ */
+function verifyChecksums(req, res, next) {
+    if (!req._checksums || req.query.metadata) {
+        next();
+        return;
+    }
+
+    var expected = req._checksums.expected;
+    var hashes = req._checksums.hashes;
+    if (Object.keys(hashes).length === 0) {
+        next();
+        return;
+    }
+
+    var values = {};
+    Object.keys(hashes).forEach(function (name) {
+        values[name] = hashes[name].digest('base64');
+    });
+
+    var names = Object.keys(expected);
+    for (var i = 0; i < names.length; i++) {
+        var name = names[i];
+        if (expected[name] === values[name])
+            continue;
+
+        req.log.debug({
+            algorithm: name,
+            expected: expected[name],
+            computed: values[name]
+        }, 'verifyChecksums: mismatch');
+
+        next(new ChecksumMismatchError(name.toUpperCase(), expected[name],
+            values[name]));
+        return;
+    }
+
+    req._checksums.values = values;
+    next();
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    HEADER: HEADER,
+
+    Crc32c: Crc32c,
+
+    partChecksums: partChecksums,
+
+    compositeChecksums: compositeChecksums,
+
+    formatComposite: formatComposite,
+
+    compositeHeaders: compositeHeaders,
+
+    dataHashes: dataHashes,
+
+    requestChecksumsHandler: function requestChecksumsHandler() {
+        var chain = [
+            requestChecksums
+        ];
+        return (chain);
+    },
+
+    verifyChecksumsHandler: function verifyChecksumsHandler() {
+        var chain = [
+            verifyChecksums
+        ];
+        return (chain);
+    }
+
+};
@@ -22,6 +22,10 @@ var vasync = require('vasync');
 var restifyErrors = require('restify-errors');
 var VError = require('verror');
 
+var checksums = require('./checksums');
+var encryption = require('./encryption');
+var retention = require('./retention');
+var tags = require('./tags');
 var muskieUtils = require('./utils');
 
 require('./errors');
@@ -71,10 +75,31 @@ var METRIC_OUTBOUND_DATA_COUNTER = 'muskie_outbound_streamed_bytes';
 var METRIC_DELETED_DATA_COUNTER = 'muskie_deleted_bytes';
 var METRIC_DELETED_OBJECT_COUNTER = 'muskie_deleted_objects_total';
 var METRIC_DELETED_DIRECTORY_COUNTER = 'muskie_deleted_directories_total';
+var METRIC_LIFECYCLE_EXPIRED_COUNTER = 'muskie_lifecycle_expired_objects_total';
+var METRIC_LIFECYCLE_ABORTED_COUNTER = 'muskie_lifecycle_aborted_uploads_total';
+var METRIC_LIFECYCLE_ERROR_COUNTER = 'muskie_lifecycle_errors_total';
+var METRIC_THROTTLE_QUEUE_DEPTH_GAUGE = 'muskie_throttle_queue_depth';
+var METRIC_THROTTLE_QUEUE_WAIT_HISTOGRAM = 'muskie_throttle_queue_wait_ms';
 
 // The max number of headers we store on an object in Moray: 4 KB.
 var MAX_HDRSIZE = 4 * 1024;
 
+// Values of the "versioning" header on a directory.
+var VERSIONING_STATES = ['enabled', 'suspended'];
+
+// See releaseObjectReference().
+var REFERENCE_COUNT_DIR = 'snaplinks';
+var REFERENCE_COUNT_HDR = 'reference-count';
+var REFERENCE_COUNT_TYPE = 'refcount';
+var REFERENCE_COUNT_ATTEMPTS = 5;
+
+// See checkReferencesCounted().
+var REFERENCE_MARKER_TYPE = 'snaplinks';
+var REFERENCE_COUNTED_ACCOUNTS = {};
+
+// The page size walkDirectory() reads a directory in.
+var WALK_PAGE_SIZE = 256;
+
 ///--- Internals
 
 
@@ -207,6 +232,36 @@ function createMetadata(req, type, cb) {
 
     switch (type) {
     case 'directory':
+        // See isVersioned() in versions.js.
+        var versioning = req.headers['versioning'];
+        if (versioning !== undefined) {
+            if (VERSIONING_STATES.indexOf(versioning) === -1) {
+                cb(new InvalidParameterError('versioning', versioning));
+                return;
+            }
+            md.headers['versioning'] = versioning;
+        }
+
+        // See lifecycle.js.
+        var lifecycle = req.headers['lifecycle'];
+        if (lifecycle !== undefined) {
+            if (!muskieUtils.parseLifecyclePolicy(lifecycle)) {
+                cb(new InvalidParameterError('lifecycle', lifecycle));
+                return;
+            }
+            md.headers['lifecycle'] = lifecycle;
+        }
+
+        // The default retention of objects; see retention.js.
+        var retErr = retention.checkDirectoryHeaders(req.headers);
+        if (retErr) {
+            cb(retErr);
+            return;
+        }
+        if (req.headers['retention-mode'] !== undefined) {
+            md.headers['retention-mode'] = req.headers['retention-mode'];
+            md.headers['retention-days'] = req.headers['retention-days'];
+        }
         break;
 
     case 'link':
@@ -329,7 +384,7 @@ function ensureEntryExists(req, res, next) {
  *    cleanup has been completed.
  *
  * in either case, next() will be called with `false`. Otherwise next() will be
- * called with `true`.
+ * called with `true`, and SnapLinks may be created for the account.
  */
 function checkAccountSnaplinksMightExist(req, uuid, next) {
     if (req.config.snaplinkCleanupRequired !== true) {
@@ -344,17 +399,462 @@ function checkAccountSnaplinksMightExist(req, uuid, next) {
         return;
     }
 
+    next(!snapLinksDisabledFor(req, uuid));
+}
+
+
+function snapLinksDisabledFor(req, uuid) {
     for (var i = 0; i < req.accountsSnaplinksDisabled.length; i++) {
         var account = req.accountsSnaplinksDisabled[i];
         assert.string(account.uuid, 'account.uuid');
 
-        if (account.uuid === uuid) {
+        if (account.uuid === uuid)
+            return (true);
+    }
+    return (false);
+}
+
+
+/*
+ * Whether new SnapLinks can be created for the account `uuid`: they must not
+ * be disabled for the account, and either the operator has set
+ * "enableSnapLinks", or SnapLinks might still exist from Manta v1.
+ */
+function snapLinksEnabled(req, uuid) {
+    if (req.config.enableSnapLinks !== true &&
+        req.config.snaplinkCleanupRequired !== true) {
+        return (false);
+    }
+    return (!snapLinksDisabledFor(req, uuid));
+}
+
+
+/*
+ * Parses an If-Match or If-None-Match header into a list of entity tags, each
+ * as {tag, weak}.  Manta etags are sent unquoted, but we accept quoted ones.
+ */
+function parseEtagList(header) {
+    return (header.split(',').map(function (t) {
+        t = t.trim();
+        var weak = t.indexOf('W/') === 0;
+        if (weak)
+            t = t.slice(2);
+        /* JSSTYLED */
+        return ({tag: t.replace(/^"(.*)"$/, '$1'), weak: weak});
+    }).filter(function (e) {
+        return (e.tag !== '');
+    }));
+}
+
+
+function etagListMatches(header, etag, strong) {
+    return (parseEtagList(header).some(function (e) {
+        if (e.tag === '*')
+            return (true);
+        return (etag !== undefined && e.tag === etag && !(strong && e.weak));
+    }));
+}
+
+
+/*
+ * Evaluates the preconditions of a GET or HEAD request against the entry's
+ * etag and mtime, in the order set out in RFC 7232, section 6:
+ *
+ * 1 If-Match (strong comparison), or, only if there's no If-Match,
+ *   If-Unmodified-Since: 412 if it fails
+ * 2 If-None-Match (weak comparison): 304 if any tag matches
+ * 3 Only if there's no If-None-Match, If-Modified-Since: 304 if the entry
+ *   hasn't changed since
+ *
+ * Dates that can't be parsed are ignored.  Last-Modified only has a
+ * resolution of seconds, so the mtime is truncated to match.
+ */
+function checkPreconditions(req, res, next) {
+    var md = req.metadata;
+    var ifMatch = req.headers['if-match'];
+    var ifNoneMatch = req.headers['if-none-match'];
+    var ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    var ifUnmodifiedSince = Date.parse(req.headers['if-unmodified-since']);
+    var mtime = md.mtime ? Math.floor(md.mtime / 1000) * 1000 : undefined;
+
+    if (ifMatch !== undefined) {
+        if (!etagListMatches(ifMatch, md.etag, true)) {
+            next(new restifyErrors.PreconditionFailedError(
+                'if-match \'' + ifMatch + '\' didn\'t match etag \'' +
+                md.etag + '\''));
+            return;
+        }
+    } else if (!isNaN(ifUnmodifiedSince) && mtime !== undefined &&
+        mtime > ifUnmodifiedSince) {
+        next(new restifyErrors.PreconditionFailedError(
+            req.path() + ' has been modified since ' +
+            req.headers['if-unmodified-since']));
+        return;
+    }
+
+    var notModified;
+    if (ifNoneMatch !== undefined) {
+        notModified = etagListMatches(ifNoneMatch, md.etag, false);
+    } else {
+        notModified = !isNaN(ifModifiedSince) && mtime !== undefined &&
+            mtime <= ifModifiedSince;
+    }
+
+    if (notModified) {
+        req.log.debug('checkPreconditions: not modified');
+        // A 304 carries the headers that caches would otherwise miss.
+        addCustomHeaders(req, res);
+        res.send(304);
+        next(false);
+        return;
+    }
+
+    next();
+}
+
+
+/*
+ * An object and its SnapLinks are separate metadata records that share an
+ * objectId, and so the same data on the storage nodes.  The records generally
+ * live on different shards, so the number of records that reference the data
+ * is kept in a reference count record of its own, at a key that isn't
+ * reachable through the API:
+ *
+ *     /:owner_uuid/snaplinks/:objectId
+ *
+ * The record is created when the object is first linked: an object without one
+ * has a single reference.
+ *
+ * For accounts whose references are counted (see checkReferencesCounted()),
+ * removing or overwriting an object record must not queue the object's data
+ * for garbage collection.  Instead, the caller removes the record with an
+ * empty "previousMetadata", and then calls releaseObjectReference().  Once the
+ * last reference is released, the reference count record is deleted with the
+ * object as its previous metadata, which is what queues the data for garbage
+ * collection.  setupObjectRelease() sets up the request for either case.
+ */
+function referenceCountKey(md) {
+    return ('/' + md.owner + '/' + REFERENCE_COUNT_DIR + '/' + md.objectId);
+}
+
+
+function isEtagConflict(err) {
+    return (VError.findCauseByName(err, 'EtagConflictError') !== null ||
+        VError.findCauseByName(err, 'UniqueAttributeError') !== null);
+}
+
+
+/*
+ * Calls back with the number of references to the data of the object `md`,
+ * and the Moray etag of its reference count record (null if there isn't one).
+ */
+function loadReferenceCount(req, md, cb) {
+    var opts = {
+        key: referenceCountKey(md),
+        requestId: req.getId()
+    };
+    req.moray.getMetadata(opts, function (err, rec, wrap) {
+        if (err) {
+            if (VError.findCauseByName(err, 'ObjectNotFoundError') !== null) {
+                cb(null, 1, null);
+            } else {
+                cb(err);
+            }
+            return;
+        }
+
+        cb(null, rec.headers[REFERENCE_COUNT_HDR], wrap._etag);
+    });
+}
+
+
+function saveReferenceCount(req, md, count, etag, cb) {
+    var opts = {
+        key: referenceCountKey(md),
+        owner: md.owner,
+        type: REFERENCE_COUNT_TYPE,
+        headers: {},
+        roles: [],
+        requestId: req.getId(),
+        previousMetadata: {},
+        _etag: etag
+    };
+    opts.headers[REFERENCE_COUNT_HDR] = count;
+
+    req.moray.putMetadata(opts, function (err) {
+        cb(err);
+    });
+}
+
+
+/*
+ * Adds a reference to the data of the object `md`, before a SnapLink to it is
+ * written.  Calls back with `false` if the last reference is being released,
+ * in which case the object is being deleted and must not be linked.
+ */
+function addObjectReference(req, md, cb) {
+    assert.string(md.objectId, 'md.objectId');
+
+    var attempts = 0;
+
+    (function add() {
+        loadReferenceCount(req, md, function (err, count, etag) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            if (count < 1) {
+                cb(null, false);
+                return;
+            }
+
+            saveReferenceCount(req, md, count + 1, etag, function (err2) {
+                if (err2 && isEtagConflict(err2) &&
+                    ++attempts < REFERENCE_COUNT_ATTEMPTS) {
+                    add();
+                } else {
+                    cb(err2, !err2);
+                }
+            });
+        });
+    })();
+}
+
+
+/*
+ * Drops a reference to the data of the object `md`, whose record has already
+ * been removed or overwritten, and queues the data for garbage collection if
+ * this was the last one.  Failures are logged rather than returned: the
+ * record is already gone, and leaving the count too high only means the data
+ * is never collected.
+ */
+function releaseObjectReference(req, md, cb) {
+    if (md.type !== 'object' || !md.objectId) {
+        setImmediate(cb);
+        return;
+    }
+
+    var attempts = 0;
+    var log = req.log;
+
+    function done(err) {
+        if (err) {
+            log.warn({
+                err: err,
+                key: md.key,
+                objectId: md.objectId
+            }, 'releaseObjectReference: failed');
+        } else {
+            log.debug({
+                key: md.key,
+                objectId: md.objectId
+            }, 'releaseObjectReference: done');
+        }
+        cb();
+    }
+
+    function retry(err) {
+        if (err && isEtagConflict(err) &&
+            ++attempts < REFERENCE_COUNT_ATTEMPTS) {
+            release();
+        } else {
+            done(err);
+        }
+    }
+
+    function collect(etag) {
+        var opts = {
+            key: referenceCountKey(md),
+            _etag: etag,
+            requestId: req.getId(),
+            previousMetadata: md,
+            // Links made before we counted references may still exist.
+            snapLinksDisabled: req.config.snaplinkCleanupRequired !== true
+        };
+        req.moray.delMetadata(opts, retry);
+    }
+
+    function release() {
+        loadReferenceCount(req, md, function (err, count, etag) {
+            if (err) {
+                done(err);
+            } else if (count > 1) {
+                saveReferenceCount(req, md, count - 1, etag, retry);
+            } else if (etag === null) {
+                // Never linked: create the record just to delete it.
+                saveReferenceCount(req, md, 0, null, function (err2) {
+                    if (err2) {
+                        retry(err2);
+                    } else {
+                        collect();
+                    }
+                });
+            } else {
+                collect(etag);
+            }
+        });
+    }
+
+    release();
+}
+
+
+/*
+ * Enabling SnapLinks (see snapLinksEnabled()) shouldn't make every delete and
+ * overwrite pay for reference counting, so only the accounts that have made a
+ * link do.  An account's first link writes a marker record, at a key that
+ * isn't reachable through the API:
+ *
+ *     /:owner_uuid/snaplinks
+ *
+ * which is never removed.  An account without one has never linked anything,
+ * so each of its objects has a single reference, and its data can be queued
+ * for garbage collection along with the removal of its record.
+ *
+ * A link can be made between a check for the marker and the removal that
+ * follows it, so that removal is conditional on the Moray etag the record
+ * was loaded with, and saveLink() in link.js rewrites its source after writing
+ * the marker.  Whichever of the two comes second fails.
+ */
+function referenceMarkerKey(uuid) {
+    return ('/' + uuid + '/' + REFERENCE_COUNT_DIR);
+}
+
+
+/*
+ * Writes the marker for the account `uuid`, before its first link is made.
+ */
+function markReferencesCounted(req, uuid, cb) {
+    if (REFERENCE_COUNTED_ACCOUNTS[uuid]) {
+        setImmediate(cb);
+        return;
+    }
+
+    var opts = {
+        key: referenceMarkerKey(uuid),
+        owner: uuid,
+        type: REFERENCE_MARKER_TYPE,
+        headers: {},
+        roles: [],
+        requestId: req.getId(),
+        previousMetadata: {}
+    };
+    req.moray.putMetadata(opts, function (err) {
+        if (!err)
+            REFERENCE_COUNTED_ACCOUNTS[uuid] = true;
+        cb(err);
+    });
+}
+
+
+/*
+ * Calls next() with `true` if removing or overwriting an object of the
+ * account `uuid` must go through releaseObjectReference(): SnapLinks might
+ * exist from Manta v1, or the account has a marker.  Markers are never
+ * removed, so we only remember the accounts that have one.  If we can't tell,
+ * the references are counted, which is always safe.
+ */
+function checkReferencesCounted(req, uuid, next) {
+    var mightExist = false;
+    checkAccountSnaplinksMightExist(req, uuid, function (exist) {
+        mightExist = exist;
+    });
+
+    if (mightExist || REFERENCE_COUNTED_ACCOUNTS[uuid]) {
+        setImmediate(next, true);
+        return;
+    }
+
+    if (!snapLinksEnabled(req, uuid)) {
+        setImmediate(next, false);
+        return;
+    }
+
+    var opts = {
+        key: referenceMarkerKey(uuid),
+        requestId: req.getId()
+    };
+    req.moray.getMetadata(opts, function (err) {
+        if (!err) {
+            REFERENCE_COUNTED_ACCOUNTS[uuid] = true;
+            next(true);
+        } else if (VError.findCauseByName(err,
+            'ObjectNotFoundError') !== null) {
             next(false);
+        } else {
+            req.log.warn(err, 'checkReferencesCounted: marker lookup failed');
+            next(true);
+        }
+    });
+}
+
+
+/*
+ * Sets up `opts`, the options of the Moray request that removes or overwrites
+ * the object record `md`, which was loaded with the Moray etag `etag`.  Calls
+ * back with whether the caller must release the object's reference with
+ * releaseObjectReference() once the request has succeeded.
+ */
+function setupObjectRelease(req, md, etag, opts, cb) {
+    var uuid = req.owner.account.uuid;
+
+    checkReferencesCounted(req, uuid, function (counted) {
+        if (counted) {
+            opts.previousMetadata = {};
+            cb(true);
             return;
         }
+
+        req.log.debug({
+            owner: uuid
+        }, 'setupObjectRelease: snaplinks do not exist for account');
+
+        // Note: `Disabled` is historical here. This can all go away once
+        // cleanup has been run everywhere and we don't need to worry about
+        // SnapLinks any more.
+        opts.snapLinksDisabled = true;
+
+        // See referenceMarkerKey().
+        if (md.type === 'object' && opts._etag === undefined &&
+            snapLinksEnabled(req, uuid)) {
+            opts._etag = etag;
+        }
+        cb(false);
+    });
+}
+
+
+/*
+ * Resolves a path sent by the client in a header (e.g., the source of a copy
+ * or move) to a key in the request owner's namespace.  Paths that can't be
+ * normalized, or that belong to another account, are rejected.
+ */
+function normalizeSourcePath(req, p, cb) {
+    var decoded;
+    try {
+        decoded = decodeURIComponent(p);
+    } catch (e) {
+        cb(new VError('invalid path'));
+        return;
     }
 
-    next(true);
+    libmanta.normalizeMantaPath({
+        account: req.owner.account,
+        path: decoded
+    }, function (err, key) {
+        if (err) {
+            req.log.debug({
+                path: decoded,
+                err: err
+            }, 'normalizeSourcePath: failed to normalize path');
+            cb(new VError('invalid path'));
+        } else if (key.indexOf('/' + req.owner.account.uuid + '/') !== 0) {
+            cb(new VError('must be owned by %s', req.owner.account.login));
+        } else {
+            cb(null, key, decoded);
+        }
+    });
 }
 
 
@@ -400,13 +900,95 @@ function ensureNotRoot(req, res, next) {
 }
 
 
+/*
+ * S3 keys have no directories, so for requests to the S3 front end (see
+ * s3.js) the missing parent directories of an entry are created rather than
+ * being an error.  For such a request whose parent doesn't exist, this finds
+ * the closest ancestor that does, which becomes req.parentMetadata (so that
+ * the request is authorized against it), and saves the keys of the missing
+ * directories below it in req.missingParents for ensureParent to create.  A
+ * missing top-level directory (the S3 bucket) is still an error.
+ */
+function findParents(req, cb) {
+    var missing = [];
+
+    function check(key) {
+        var parentKey = path.dirname(key);
+        if (req.isRootDirectory(parentKey)) {
+            cb(new DirectoryDoesNotExistError(req.path()));
+            return;
+        }
+
+        missing.unshift(key);
+        var opts = {
+            key: parentKey,
+            requestId: req.getId()
+        };
+        loadMetadata(req, opts, function (err, md) {
+            if (err) {
+                cb(err);
+            } else if (!md.type) {
+                check(parentKey);
+            } else {
+                req.parentMetadata = md;
+                req.missingParents = missing;
+                cb();
+            }
+        });
+    }
+
+    check(req.parentKey);
+}
+
+
+/*
+ * Creates the directories that findParents found to be missing, top down.
+ */
+function createParents(req, cb) {
+    if (req.parentMetadata.type !== 'directory') {
+        cb(new ParentNotDirectoryError(req));
+        return;
+    }
+
+    var md;
+    vasync.forEachPipeline({
+        inputs: req.missingParents,
+        func: function mkdirParent(key, next) {
+            md = {
+                dirname: path.dirname(key),
+                key: key,
+                headers: {},
+                mtime: Date.now(),
+                owner: req.owner.account.uuid,
+                requestId: req.getId(),
+                roles: [],
+                type: 'directory'
+            };
+            req.moray.putMetadata(md, next);
+        }
+    }, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        req.log.debug({dirs: req.missingParents}, 'createParents: done');
+        req.parentMetadata = md;
+        req.missingParents = null;
+        cb();
+    });
+}
+
+
 function ensureParent(req, res, next) {
     req.log.debug({
         parentKey: req.parentKey,
         parentMetadata: req.parentMetadata
     }, 'ensureParent: entered');
 
-    if (req.isRootDirectory() || req.isRootDirectory(req.parentKey)) {
+    if (req.missingParents) {
+        createParents(req, next);
+    } else if (req.isRootDirectory() || req.isRootDirectory(req.parentKey)) {
         req.log.debug('ensureParent: done');
         next();
     } else if (!req.parentMetadata || req.parentMetadata.type === null) {
@@ -557,26 +1139,99 @@ function loadMetadata(req, opts, callback) {
             }
         }
 
-        if (md.roles) {
-            md.headers = md.headers || {};
-            req.mahi.getName({
-                uuids: md.roles
-            }, function (err2, lookup) {
-                if (err2) {
-                    return (callback(err2));
-                }
-                if (md.roles && md.roles.length) {
-                    md.headers['role-tag'] = md.roles.filter(function (uuid) {
-                        return (lookup[uuid]);
-                    }).map(function (uuid) {
-                        return (lookup[uuid]);
-                    }).join(', ');
-                }
-                return (callback(null, md, wrap));
-            });
-        } else {
-            return (callback(null, md, wrap));
+        addRoleTags(req, md, function (err2) {
+            if (err2) {
+                callback(err2);
+            } else {
+                callback(null, md, wrap);
+            }
+        });
+    });
+}
+
+
+/*
+ * Sets the 'role-tag' header of `md` to the names of its roles.
+ */
+function addRoleTags(req, md, callback) {
+    if (!md.roles) {
+        setImmediate(callback);
+        return;
+    }
+
+    md.headers = md.headers || {};
+    req.mahi.getName({
+        uuids: md.roles
+    }, function (err, lookup) {
+        if (err) {
+            callback(err);
+            return;
         }
+        if (md.roles && md.roles.length) {
+            md.headers['role-tag'] = md.roles.filter(function (uuid) {
+                return (lookup[uuid]);
+            }).map(function (uuid) {
+                return (lookup[uuid]);
+            }).join(', ');
+        }
+        callback();
+    });
+}
+
+
+/*
+ * Loads the metadata of several entries of the directory `dir` with a single
+ * search of the directory's shard.  callback(err, found) gets an object that
+ * maps each of `keys` that exists to {md, etag}, with md as loadMetadata()
+ * would give it.
+ */
+function loadDirectoryEntries(req, dir, keys, callback) {
+    assert.string(dir, 'dir');
+    assert.arrayOfString(keys, 'keys');
+
+    var names = new morayFilter.OrFilter();
+    keys.forEach(function (k) {
+        names.addFilter(new morayFilter.EqualityFilter({
+            attribute: 'name',
+            value: path.basename(k)
+        }));
+    });
+    var filter = new morayFilter.AndFilter();
+    filter.addFilter(new morayFilter.EqualityFilter({
+        attribute: 'dirname',
+        value: dir
+    }));
+    filter.addFilter(names);
+
+    var found = {};
+    var mreq = req.moray.search({
+        filter: filter.toString(),
+        hashkey: dir,
+        limit: keys.length,
+        no_count: true,
+        requestId: req.getId()
+    });
+
+    mreq.on('record', function (r) {
+        if (keys.indexOf(r.key) !== -1)
+            found[r.key] = {md: r.value, etag: r._etag};
+    });
+
+    mreq.once('error', function (err) {
+        mreq.removeAllListeners('end');
+        mreq.removeAllListeners('record');
+        callback(err);
+    });
+
+    mreq.once('end', function () {
+        vasync.forEachParallel({
+            inputs: Object.keys(found),
+            func: function (k, cb) {
+                addRoleTags(req, found[k].md, cb);
+            }
+        }, function (err) {
+            callback(err || null, err ? undefined : found);
+        });
     });
 }
 
@@ -589,7 +1244,14 @@ function addCustomHeaders(req, res) {
         var add = false;
         var val = md[k];
         // See http://www.w3.org/TR/cors/#resource-requests
-        if (origin && CORS_RES_HDRS.indexOf(k) !== -1) {
+        if (k === checksums.HEADER || k === encryption.HEADER ||
+            k === retention.HEADER || k === tags.HEADER) {
+            /*
+             * Internal to muskie; see checksums.js, encryption.js,
+             * retention.js and tags.js.
+             */
+            add = false;
+        } else if (origin && CORS_RES_HDRS.indexOf(k) !== -1) {
             if (k === 'access-control-allow-origin') {
                 /* JSSTYLED */
                 if (val.split(/\s*,\s*/).some(function (v) {
@@ -626,6 +1288,11 @@ function addCustomHeaders(req, res) {
         if (add)
             res.header(k, val);
     });
+
+    var composite = checksums.compositeHeaders(req.metadata);
+    Object.keys(composite).forEach(function (k) {
+        res.header(k, composite[k]);
+    });
 }
 
 /*
@@ -634,6 +1301,17 @@ function addCustomHeaders(req, res) {
  *     sensitive query parameters to operators. These sensitive parameters are:
  *     - sort === 'none'
  *     - skip_owner_check === 'true'
+ *   - limit, marker: optional values to use instead of the "limit" and
+ *     "marker" query parameters, for callers that page through a directory
+ *     themselves
+ *   - prefix: an optional string; only entries whose names start with it are
+ *     returned
+ *   - pageToken: an optional page token (see utils.parsePageToken()) for the
+ *     listing's sort; the listing starts just after the position it records,
+ *     instead of at the marker
+ *   - byName: a boolean indicating that every entry is to be listed in order
+ *     of name, whatever the "sort", "sort_order", "dir" and "obj" parameters
+ *     of the request, for callers that walk a directory themselves
  */
 function readdir(dir, req, opts) {
     if (opts === undefined) {
@@ -641,6 +1319,11 @@ function readdir(dir, req, opts) {
     } else {
         assert.object(opts, 'opts');
         assert.bool(opts.checkParams, 'opts.checkParams');
+        assert.optionalNumber(opts.limit, 'opts.limit');
+        assert.optionalString(opts.marker, 'opts.marker');
+        assert.optionalString(opts.prefix, 'opts.prefix');
+        assert.optionalObject(opts.pageToken, 'opts.pageToken');
+        assert.optionalBool(opts.byName, 'opts.byName');
     }
 
     /*
@@ -700,7 +1383,8 @@ function readdir(dir, req, opts) {
      * is empty, because we only care whether results exist, not what order they
      * are in.
      */
-    var nosort = req.query.sort === 'none';
+    var byName = opts.byName === true;
+    var nosort = !byName && req.query.sort === 'none';
     var ownerCheck = !(req.query.skip_owner_check === 'true');
 
     var ee;
@@ -726,7 +1410,7 @@ function readdir(dir, req, opts) {
         }
     }
 
-    var l = parseInt(req.query.limit || 256, 10);
+    var l = parseInt(opts.limit || req.query.limit || 256, 10);
     if (l <= 0 || l > 1024) {
         ee = new EventEmitter();
         setImmediate(function () {
@@ -759,43 +1443,93 @@ function readdir(dir, req, opts) {
     var hasObj = (req.params.obj !== undefined ||
                   req.params.object !== undefined);
 
-    if ((hasDir || hasObj) && !(hasDir && hasObj)) {
+    if (!byName && (hasDir || hasObj) && !(hasDir && hasObj)) {
         filter.addFilter(new morayFilter.EqualityFilter({
             attribute: 'type',
             value: (hasDir ? 'directory' : 'object')
         }));
     }
 
-    var marker = req.query.marker;
-    var reverse = req.query.sort_order === 'reverse';
-    var tsort = req.query.sort === 'mtime';
+    if (opts.prefix) {
+        filter.addFilter(new morayFilter.SubstringFilter({
+            attribute: 'name',
+            initial: opts.prefix
+        }));
+    }
+
+    var marker = opts.marker !== undefined ? opts.marker : req.query.marker;
+    var reverse = !byName && req.query.sort_order === 'reverse';
+    var tsort = !byName && req.query.sort === 'mtime';
 
     var log = req.log;
     var morayOpts = {
         limit: l,
         requestId: req.getId(),
-        sort: {},
         hashkey: dir,
         no_count: true
     };
 
+    var sortAttr;
+    var sortOrder;
     if (tsort) {
-        morayOpts.sort.attribute = '_mtime';
-        if (reverse) {
-            morayOpts.sort.order = 'ASC';
+        sortAttr = '_mtime';
+        sortOrder = reverse ? 'ASC' : 'DESC';
+        // Entries with the same mtime are in order of name, so that a page
+        // token can say exactly where the next page starts.
+        morayOpts.sort = [
+            { attribute: sortAttr, order: sortOrder },
+            { attribute: 'name', order: sortOrder }
+        ];
+    } else if (!nosort) {
+        // If we do not specify tsort or nosort, we sort by name.
+        sortAttr = 'name';
+        sortOrder = reverse ? 'DESC' : 'ASC';
+        morayOpts.sort = { attribute: sortAttr, order: sortOrder };
+    }
+
+    /*
+     * A page token records the sort key (and, when sorting by time, the name
+     * as a tiebreaker) of the last entry of the previous page, and this page
+     * starts just after it.
+     */
+    var token = opts.pageToken;
+    if (token && !nosort) {
+        var afterName = after('name', token.name);
+        if (tsort) {
+            var mtimeArgs = {
+                attribute: '_mtime',
+                value: token.mtime.toString()
+            };
+            var tied = new morayFilter.AndFilter();
+            tied.addFilter(new morayFilter.EqualityFilter(mtimeArgs));
+            tied.addFilter(afterName);
+
+            var afterToken = new morayFilter.OrFilter();
+            afterToken.addFilter(after('_mtime', mtimeArgs.value));
+            afterToken.addFilter(tied);
+            filter.addFilter(afterToken);
         } else {
-            morayOpts.sort.order = 'DESC';
+            filter.addFilter(afterName);
         }
-    } else if (nosort) {
-        delete morayOpts.sort;
-    } else {
-        // If we do not specify tsort or nosort, we sort by name.
-        morayOpts.sort.attribute = 'name';
-        if (reverse) {
-            morayOpts.sort.order = 'DESC';
+        marker = undefined;
+    }
+
+    // Returns a filter for values of `attribute` strictly after `value`.
+    function after(attribute, value) {
+        var args = {
+            attribute: attribute,
+            value: value
+        };
+        var f = new morayFilter.AndFilter();
+        if (sortOrder === 'ASC') {
+            f.addFilter(new morayFilter.GreaterThanEqualsFilter(args));
         } else {
-            morayOpts.sort.order = 'ASC';
+            f.addFilter(new morayFilter.LessThanEqualsFilter(args));
         }
+        f.addFilter(new morayFilter.NotFilter({
+            filter: new morayFilter.EqualityFilter(args)
+        }));
+        return (f);
     }
 
     /*
@@ -822,10 +1556,10 @@ function readdir(dir, req, opts) {
         }
 
         var sortArgs = {
-            attribute: morayOpts.sort.attribute,
+            attribute: sortAttr,
             value: marker
         };
-        if (morayOpts.sort.order === 'ASC') {
+        if (sortOrder === 'ASC') {
             filter.addFilter(new morayFilter.GreaterThanEqualsFilter(sortArgs));
         } else {
             filter.addFilter(new morayFilter.LessThanEqualsFilter(sortArgs));
@@ -865,6 +1599,62 @@ function readdir(dir, req, opts) {
 }
 
 
+/*
+ * Calls func(entry, record, cb) for each entry of the directory `dir`, in
+ * order of name, starting at the name `start`, reading the directory a page
+ * at a time with readdir().  func() stops the walk by calling cb(null, true),
+ * in which case cb(null, true) is called too.  The sort parameters of the
+ * request don't apply, so that callers can page with names.
+ */
+function walkDirectory(req, dir, start, func, cb) {
+    var marker = start;
+    var skip = null;
+
+    (function nextPage() {
+        var count = 0;
+        var entries = [];
+        var mreq = readdir(dir, req, {
+            checkParams: true,
+            limit: WALK_PAGE_SIZE,
+            marker: marker,
+            byName: true
+        });
+
+        mreq.once('error', function (err) {
+            mreq.removeAllListeners('end');
+            mreq.removeAllListeners('entry');
+            cb(err);
+        });
+
+        mreq.on('entry', function (entry, r) {
+            count++;
+            // The marker is inclusive, so each page repeats the last entry.
+            if (entry.name !== skip)
+                entries.push([entry, r]);
+        });
+
+        mreq.once('end', function () {
+            if (entries.length > 0)
+                marker = skip = entries[entries.length - 1][0].name;
+
+            var i = 0;
+            (function nextEntry(err, stop) {
+                if (err || stop) {
+                    cb(err, stop);
+                } else if (i < entries.length) {
+                    var e = entries[i++];
+                    func(e[0], e[1], nextEntry);
+                } else if (count < WALK_PAGE_SIZE) {
+                    cb(null, false);
+                } else {
+                    nextPage();
+                }
+            })();
+        });
+    })();
+}
+
+
 
 ///--- Exports
 
@@ -898,6 +1688,16 @@ module.exports = {
 
     METRIC_DELETED_DIRECTORY_COUNTER: METRIC_DELETED_DIRECTORY_COUNTER,
 
+    METRIC_LIFECYCLE_EXPIRED_COUNTER: METRIC_LIFECYCLE_EXPIRED_COUNTER,
+
+    METRIC_LIFECYCLE_ABORTED_COUNTER: METRIC_LIFECYCLE_ABORTED_COUNTER,
+
+    METRIC_LIFECYCLE_ERROR_COUNTER: METRIC_LIFECYCLE_ERROR_COUNTER,
+
+    METRIC_THROTTLE_QUEUE_DEPTH_GAUGE: METRIC_THROTTLE_QUEUE_DEPTH_GAUGE,
+
+    METRIC_THROTTLE_QUEUE_WAIT_HISTOGRAM: METRIC_THROTTLE_QUEUE_WAIT_HISTOGRAM,
+
     storagePaths: function storagePaths(cfg) {
         var StoragePaths = {
             'public': {
@@ -926,10 +1726,13 @@ module.exports = {
 
     createMetadata: createMetadata,
 
+    loadDirectoryEntries: loadDirectoryEntries,
     loadMetadata: loadMetadata,
 
     readdir: readdir,
 
+    walkDirectory: walkDirectory,
+
     addCustomHeaders: addCustomHeaders,
 
     earlySetupHandler: function (opts) {
@@ -1046,12 +1849,42 @@ module.exports = {
         return (ensureParent);
     },
 
+    /*
+     * Evaluates the conditional headers of a GET or HEAD of an entry of
+     * `type` ('object' or 'directory'), before any data is fetched.
+     */
+    conditionalGetHandler: function (type) {
+        assert.string(type, 'type');
+
+        function conditionalGet(req, res, next) {
+            if (req.metadata.type !== type)
+                return (next());
+            return (checkPreconditions(req, res, next));
+        }
+
+        return (conditionalGet);
+    },
+
     getMetadataHandler: function () {
         return (getMetadata);
     },
 
+    findParents: findParents,
+
     checkAccountSnaplinksMightExist: checkAccountSnaplinksMightExist,
 
+    snapLinksEnabled: snapLinksEnabled,
+
+    markReferencesCounted: markReferencesCounted,
+
+    setupObjectRelease: setupObjectRelease,
+
+    addObjectReference: addObjectReference,
+
+    releaseObjectReference: releaseObjectReference,
+
+    normalizeSourcePath: normalizeSourcePath,
+
     setupHandler: function (options, clients) {
         assert.object(options, 'options');
         assert.object(clients, 'clients');
@@ -1084,7 +1917,8 @@ module.exports = {
             req.msk_defaults = {
                 maxStreamingSize: options.storage.defaultMaxStreamingSizeMB *
                     1024 * 1024,
-                mpuPrefixDirLen: options.multipartUpload.prefixDirLen
+                mpuPrefixDirLen: options.multipartUpload.prefixDirLen,
+                mpuMaxParts: options.multipartUpload.maxParts
             };
             req.accountsSnaplinksDisabled = options.accountsSnaplinksDisabled;
 
@@ -24,6 +24,10 @@ var uploadsCommon = require('./uploads/common');
 const DEF_MAX_STREAMING_SIZE_MB = 51200;
 const DEF_MAX_PERCENT_UTIL = 90;
 const DEF_MAX_OPERATOR_PERCENT_UTIL = 92;
+const DEF_LIFECYCLE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DEF_BATCH_MAX_KEYS = 1000;
+const DEF_RATE_LIMIT_RATE = 100;
+const DEF_RATE_LIMIT_BURST = 200;
 
 /**
  * Configure the application based on the configuration file data and the
@@ -64,6 +68,8 @@ function configure(appName, opts, dtProbes) {
         //   huge log record.
         var loggableCfg = jsprim.deepCopy(cfg);
         delete loggableCfg.authToken;
+        delete loggableCfg.encryption;
+        delete loggableCfg.s3;
         if (loggableCfg.ufds) {
             delete loggableCfg.ufds.bindPassword;
         }
@@ -106,6 +112,106 @@ function configure(appName, opts, dtProbes) {
         }
     }
 
+    /*
+     * The accounts whose objects are encrypted at rest, and their master keys
+     * (see lib/encryption.js).
+     */
+    if (!cfg.hasOwnProperty('encryption')) {
+        cfg.encryption = {};
+    }
+    if (!cfg.encryption.hasOwnProperty('accounts')) {
+        cfg.encryption.accounts = [];
+    }
+    assert.arrayOfObject(cfg.encryption.accounts, 'cfg.encryption.accounts');
+    cfg.encryption.accounts.forEach(function (account) {
+        assert.uuid(account.uuid, 'cfg.encryption.accounts[i].uuid');
+        assert.arrayOfObject(account.keys, 'cfg.encryption.accounts[i].keys');
+        account.keys.forEach(function (k) {
+            assert.string(k.id, 'cfg.encryption.accounts[i].keys[j].id');
+            assert.string(k.key, 'cfg.encryption.accounts[i].keys[j].key');
+
+            if (Buffer.from(k.key, 'base64').length !== 32) {
+                cfg.log.fatal('invalid encryption key "' + k.id + '" for ' +
+                    'uuid ' + account.uuid + ': must be 32 bytes, base64 ' +
+                    'encoded');
+                process.exit(1);
+            }
+        });
+
+        if (account.keys.length === 0) {
+            cfg.log.fatal('no encryption keys for uuid ' + account.uuid);
+            process.exit(1);
+        }
+        cfg.log.info('encryption enabled for uuid ' + account.uuid);
+    });
+
+    /*
+     * The accounts whose storage is limited, and their limits (see
+     * lib/quota.js).
+     */
+    if (!cfg.hasOwnProperty('quota')) {
+        cfg.quota = {};
+    }
+    if (!cfg.quota.hasOwnProperty('accounts')) {
+        cfg.quota.accounts = [];
+    }
+    assert.arrayOfObject(cfg.quota.accounts, 'cfg.quota.accounts');
+    cfg.quota.accounts.forEach(function (account) {
+        assert.uuid(account.uuid, 'cfg.quota.accounts[i].uuid');
+        if (!account.hasOwnProperty('directories')) {
+            account.directories = [];
+        }
+        assert.arrayOfObject(account.directories,
+            'cfg.quota.accounts[i].directories');
+
+        [account].concat(account.directories).forEach(function (q) {
+            ['bytes', 'objects'].forEach(function (k) {
+                if (q.hasOwnProperty(k) &&
+                    (typeof (q[k]) !== 'number' || !(q[k] >= 0))) {
+                    cfg.log.fatal('invalid quota "' + k + '" for uuid ' +
+                        account.uuid + ': must be a number >= 0');
+                    process.exit(1);
+                }
+            });
+        });
+        account.directories.forEach(function (d) {
+            assert.string(d.name, 'cfg.quota.accounts[i].directories[j].name');
+        });
+        cfg.log.info('quota enabled for uuid ' + account.uuid);
+    });
+
+    /*
+     * The S3-compatible front end (see lib/s3.js), and the access keys S3
+     * clients sign their requests with.
+     */
+    if (!cfg.hasOwnProperty('s3')) {
+        cfg.s3 = {};
+    }
+    cfg.s3.enabled = cfg.s3.enabled === true;
+    if (!cfg.s3.hasOwnProperty('accessKeys')) {
+        cfg.s3.accessKeys = [];
+    }
+    assert.arrayOfObject(cfg.s3.accessKeys, 'cfg.s3.accessKeys');
+    var accessKeyIds = {};
+    cfg.s3.accessKeys.forEach(function (k) {
+        assert.string(k.accessKeyId, 'cfg.s3.accessKeys[i].accessKeyId');
+        assert.string(k.secretAccessKey,
+            'cfg.s3.accessKeys[i].secretAccessKey');
+        assert.string(k.login, 'cfg.s3.accessKeys[i].login');
+        assert.optionalString(k.user, 'cfg.s3.accessKeys[i].user');
+
+        if (accessKeyIds[k.accessKeyId]) {
+            cfg.log.fatal('duplicate S3 access key id "' + k.accessKeyId +
+                '"');
+            process.exit(1);
+        }
+        accessKeyIds[k.accessKeyId] = true;
+    });
+    if (cfg.s3.enabled) {
+        cfg.log.info('S3 front end enabled with %d access keys',
+            cfg.s3.accessKeys.length);
+    }
+
     if (!cfg.hasOwnProperty('multipartUpload')) {
         cfg.multipartUpload = {};
     }
@@ -126,6 +232,70 @@ function configure(appName, opts, dtProbes) {
         cfg.multipartUpload.prefixDirLen = uploadsCommon.DEF_PREFIX_LEN;
     }
 
+    if (cfg.multipartUpload.hasOwnProperty('maxParts')) {
+        var maxParts = cfg.multipartUpload.maxParts;
+        assert.number(maxParts, '"maxParts" value must be a number');
+
+        if (maxParts % 1 !== 0 ||
+            maxParts < uploadsCommon.MIN_MAX_PARTS ||
+            maxParts > uploadsCommon.MAX_MAX_PARTS) {
+
+            cfg.log.fatal('invalid "maxParts" value: must be an integer ' +
+                'between ' + uploadsCommon.MIN_MAX_PARTS + ' and ' +
+                uploadsCommon.MAX_MAX_PARTS);
+            process.exit(1);
+        }
+    } else {
+        cfg.multipartUpload.maxParts = uploadsCommon.DEF_MAX_PARTS;
+    }
+
+    /*
+     * Lifecycle policies are applied by a sweeper that runs in the background
+     * (see lib/lifecycle.js).  It deletes data, so it is off unless the
+     * operator turns it on.
+     */
+    if (!cfg.hasOwnProperty('lifecycle')) {
+        cfg.lifecycle = {};
+    }
+    cfg.lifecycle.enabled = cfg.lifecycle.enabled === true;
+    setNumericConfigProperty('sweepIntervalMs',
+        DEF_LIFECYCLE_SWEEP_INTERVAL_MS, cfg.lifecycle, cfg.log,
+        function (x) { return (x >= 60000); });
+
+    /*
+     * The most paths a batch request (see lib/batch.js) can act on.
+     */
+    if (!cfg.hasOwnProperty('batch')) {
+        cfg.batch = {};
+    }
+    setNumericConfigProperty('maxKeys', DEF_BATCH_MAX_KEYS, cfg.batch,
+        cfg.log, function (x) { return (x > 0 && x <= 10000); });
+
+    /*
+     * Request rate limits (see lib/rate_limit.js), which are off unless the
+     * operator turns them on.  Accounts without limits of their own get the
+     * defaults, as do the limits an account leaves out.
+     */
+    if (!cfg.hasOwnProperty('rateLimit')) {
+        cfg.rateLimit = {};
+    }
+    cfg.rateLimit.enabled = cfg.rateLimit.enabled === true;
+    setNumericConfigProperty('rate', DEF_RATE_LIMIT_RATE, cfg.rateLimit,
+        cfg.log, function (x) { return (x > 0); });
+    setNumericConfigProperty('burst', DEF_RATE_LIMIT_BURST, cfg.rateLimit,
+        cfg.log, function (x) { return (x >= 1); });
+    if (!cfg.rateLimit.hasOwnProperty('accounts')) {
+        cfg.rateLimit.accounts = [];
+    }
+    assert.arrayOfObject(cfg.rateLimit.accounts, 'cfg.rateLimit.accounts');
+    cfg.rateLimit.accounts.forEach(function (account) {
+        assert.uuid(account.uuid, 'cfg.rateLimit.accounts[i].uuid');
+        setNumericConfigProperty('rate', cfg.rateLimit.rate, account,
+            cfg.log, function (x) { return (x > 0); });
+        setNumericConfigProperty('burst', cfg.rateLimit.burst, account,
+            cfg.log, function (x) { return (x >= 1); });
+    });
+
     setNumericConfigProperty('maxUtilizationPct',
         DEF_MAX_PERCENT_UTIL, cfg.storage, cfg.log,
         function (x) { return (x > 0 && x <= 100); });
@@ -13,9 +13,16 @@ var util = require('util');
 var assert = require('assert-plus');
 var deepEqual = require('deep-equal');
 var once = require('once');
+var vasync = require('vasync');
 var VError = require('verror');
 
+var auth = require('./auth');
 var common = require('./common');
+var lifecycle = require('./lifecycle');
+var obj = require('./obj');
+var retention = require('./retention');
+var utils = require('./utils');
+var versions = require('./versions');
 require('./errors');
 
 
@@ -25,6 +32,20 @@ require('./errors');
 var sprintf = util.format;
 
 var DIR_CONTENT_TYPE = 'application/x-json-stream; type=directory';
+var PROGRESS_CONTENT_TYPE = 'application/x-json-stream';
+
+/*
+ * A recursive delete walks each directory a page of entries at a time.  The
+ * objects of a page are authorized up to RECURSIVE_DELETE_CONCURRENCY at a
+ * time, and then removed together in one Moray batch.  Subdirectories are
+ * walked one at a time, so the concurrency doesn't grow with the depth of the
+ * tree.
+ */
+var RECURSIVE_DELETE_PAGE_SIZE = 256;
+var RECURSIVE_DELETE_CONCURRENCY = 10;
+
+// Listing parameters that a recursive listing doesn't support.
+var RECURSIVE_LIST_UNSUPPORTED = ['sort', 'sort_order'];
 
 
 
@@ -119,55 +140,277 @@ function getDirectoryCount(req, res, next) {
 }
 
 
+/*
+ * Compares two paths a component at a time, so that a directory's descendants
+ * sort right after it ("a", "a/b", "a-b"), which is the order a recursive
+ * listing is in.
+ */
+function comparePaths(a, b) {
+    var pa = a.split('/');
+    var pb = b.split('/');
+    for (var i = 0; i < pa.length && i < pb.length; i++) {
+        if (pa[i] !== pb[i])
+            return (pa[i] < pb[i] ? -1 : 1);
+    }
+    return (pa.length - pb.length);
+}
+
+
+// The sort a listing is in, which its page tokens have to be for.
+function listSort(req) {
+    var sort = 'name';
+    if (req.query.recursive === 'true') {
+        sort = 'path';
+    } else if (req.query.sort === 'mtime' || req.query.sort === 'none') {
+        sort = req.query.sort;
+    }
+    return ({
+        sort: sort,
+        reverse: req.query.sort_order === 'reverse'
+    });
+}
+
+
+/*
+ * Returns an error if "marker", "prefix" or "page_token" was given more than
+ * once, or if "page_token" isn't a token for this listing's sort.  A page
+ * token says where the listing starts, so it can't be used with a marker.
+ */
+function checkListParams(req) {
+    var bad = ['marker', 'prefix', 'page_token'].filter(function (k) {
+        return (req.query[k] !== undefined &&
+            typeof (req.query[k]) !== 'string');
+    });
+    if (bad.length > 0)
+        return (new InvalidParameterError(bad[0], req.query[bad[0]]));
+
+    if (req.query.page_token === undefined)
+        return (null);
+
+    var sort = listSort(req);
+    var token = utils.parsePageToken(req.query.page_token);
+    if (token === null || token.sort !== sort.sort ||
+        token.reverse !== sort.reverse) {
+        return (new InvalidParameterError('page_token',
+            req.query.page_token));
+    }
+    if (req.query.marker !== undefined)
+        return (new InvalidParameterError('marker', req.query.marker));
+    return (null);
+}
+
+
+// Returns the page token for the listing to resume after `entry`.
+function nextPageToken(req, entry, mtime) {
+    var sort = listSort(req);
+    return (utils.createPageToken({
+        sort: sort.sort,
+        reverse: sort.reverse,
+        name: entry.name,
+        mtime: sort.sort === 'mtime' ? mtime : undefined
+    }));
+}
+
+
+/*
+ * GET /:login/stor/:dir?recursive=true lists every entry below the directory,
+ * in one stream that can be paged through with "limit" and "marker" (or
+ * "page_token") like a single directory.  Each entry's name is its path
+ * relative to the directory being listed, and "marker" and "prefix" are paths
+ * too.  Directories are listed ahead of their contents, and any the caller
+ * can't read are left out.
+ *
+ * Entries are in the order comparePaths() puts them in.  As the entries of
+ * each directory live on the directory's shard, the tree is walked here a
+ * directory at a time: to resume at a marker like "a/b/c", we walk "a" from
+ * "b", and "a/b" from "c", and then carry on up the tree from there.
+ */
+function getDirectoryTree(req, res, next) {
+    if (req.metadata.type !== 'directory' || req.method === 'HEAD' ||
+        req.query.recursive !== 'true') {
+        next();
+        return;
+    }
+    var paramErr = checkListParams(req);
+    if (paramErr) {
+        next(paramErr);
+        return;
+    }
+
+    var unsupported = RECURSIVE_LIST_UNSUPPORTED.filter(function (k) {
+        return (req.query[k] !== undefined);
+    });
+    if (unsupported.length > 0) {
+        next(new InvalidParameterError(unsupported[0],
+            req.query[unsupported[0]]));
+        return;
+    }
+
+    var limit = parseInt(req.query.limit || 256, 10);
+    if (!(limit > 0 && limit <= 1024)) {
+        next(new InvalidLimitError(req.query.limit));
+        return;
+    }
+
+    var prefix = req.query.prefix || '';
+    var start = req.query.marker || '';
+    // A page token is the path of the last entry of the previous page.
+    var after = null;
+    if (req.query.page_token) {
+        after = utils.parsePageToken(req.query.page_token).name;
+        start = after;
+    }
+    if (comparePaths(prefix, start) > 0)
+        start = prefix;
+
+    var entries = [];
+
+    function add(p, entry, cb) {
+        if (p === after) {
+            cb(null, false);
+            return;
+        }
+        if (p.indexOf(prefix) !== 0 || entries.length === limit) {
+            // Everything with the prefix is listed, or the page is full.
+            cb(null, true);
+            return;
+        }
+
+        entry.name = p;
+        entries.push(entry);
+        cb(null, false);
+    }
+
+    function walk(dir, rel, resume, cb) {
+        var marker = resume ? resume[0] : '';
+
+        common.walkDirectory(req, dir, marker, function (entry, r, next2) {
+            var p = rel + entry.name;
+            // An ancestor of the marker, which sorts before it.
+            var resuming = resume !== null && resume.length > 1 &&
+                entry.name === resume[0];
+
+            function descend(err, stop) {
+                if (err || stop || entry.type !== 'directory') {
+                    next2(err, stop);
+                    return;
+                }
+
+                var md = {
+                    key: r.key,
+                    roles: r.value.roles
+                };
+                auth.authorizeResource(req, md, 'getdirectory', req.path(),
+                    function (err2) {
+                    // Directories the caller can't read are left out.
+                    if (err2 && (err2.restCode === 'AuthorizationFailed' ||
+                        err2.restCode === 'NoMatchingRoleTag')) {
+                        next2();
+                    } else if (err2) {
+                        next2(err2);
+                    } else {
+                        walk(r.key, p + '/',
+                            resuming ? resume.slice(1) : null, next2);
+                    }
+                });
+            }
+
+            if (resuming) {
+                descend();
+            } else {
+                add(p, entry, descend);
+            }
+        }, cb);
+    }
+
+    walk(req.key, '', start ? start.split('/') : null, function (err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        common.addCustomHeaders(req, res);
+        res.header('Content-Type', DIR_CONTENT_TYPE);
+        if (entries.length === limit) {
+            res.header('Next-Page-Token',
+                nextPageToken(req, entries[entries.length - 1]));
+        }
+        res.writeHead(200);
+        entries.forEach(function (entry) {
+            res.write(JSON.stringify(entry, null, 0) + '\n');
+        });
+        res.end();
+        next(false);
+    });
+}
+
+
+/*
+ * Lists a page of a directory.  The page is read in full before any of it is
+ * written, so that the "Next-Page-Token" header can point just after its last
+ * entry.  The token is only returned when the page is full, as otherwise
+ * there's nothing left to list.
+ */
 function getDirectory(req, res, next) {
     if (req.metadata.type !== 'directory')
         return (next());
 
-    var wroteHead = false;
-    function writeHead(err) {
-        if (!wroteHead) {
-            if (err)
-                return (true);
-
-            common.addCustomHeaders(req, res);
-            res.header('Content-Type', DIR_CONTENT_TYPE);
-            res.header('Result-Set-Size', req._dircount || 0);
-            res.writeHead(200);
-            wroteHead = true;
-            return (true);
-        }
-        return (false);
+    var paramErr = checkListParams(req);
+    if (paramErr)
+        return (next(paramErr));
+
+    function writeHead(token) {
+        common.addCustomHeaders(req, res);
+        res.header('Content-Type', DIR_CONTENT_TYPE);
+        res.header('Result-Set-Size', req._dircount || 0);
+        if (token)
+            res.header('Next-Page-Token', token);
+        res.writeHead(200);
     }
 
-    function done() {
+    if (req.method === 'HEAD') {
         writeHead();
         res.end();
-        next(false);
+        return (next(false));
     }
 
-    if (req.method !== 'HEAD') {
-        var mreq = common.readdir(req.key, req, { checkParams: true });
+    var entries = [];
+    var lastMtime;
+    var mreq = common.readdir(req.key, req, {
+        checkParams: true,
+        prefix: req.query.prefix,
+        pageToken: req.query.page_token ?
+            utils.parsePageToken(req.query.page_token) : undefined
+    });
 
-        mreq.once('error', function (err) {
-            mreq.removeAllListeners('end');
-            mreq.removeAllListeners('entry');
-            if (writeHead(err)) {
-                next(err);
-            } else {
-                res.end();
-                next(false);
-            }
-        });
+    mreq.once('error', function (err) {
+        mreq.removeAllListeners('end');
+        mreq.removeAllListeners('entry');
+        next(err);
+    });
+
+    mreq.on('entry', function (entry, r) {
+        entries.push(entry);
+        lastMtime = r._mtime;
+    });
+
+    mreq.once('end', function () {
+        var token;
+        if (listSort(req).sort !== 'none' &&
+            entries.length === parseInt(req.query.limit || 256, 10)) {
+            token = nextPageToken(req, entries[entries.length - 1],
+                lastMtime);
+        }
 
-        mreq.on('entry', function (entry) {
-            writeHead();
+        writeHead(token);
+        entries.forEach(function (entry) {
             res.write(JSON.stringify(entry, null, 0) + '\n');
         });
+        res.end();
+        next(false);
+    });
 
-        mreq.once('end', done);
-    } else {
-        done();
-    }
+    return (undefined);
 }
 
 
@@ -240,6 +483,332 @@ function ensureDirectoryEmpty(req, res, next) {
 }
 
 
+/*
+ * Recursive delete (DELETE /:login/stor/:directory?recursive=true) removes a
+ * directory and everything under it.  Each entry is authorized separately,
+ * and progress is streamed back as one JSON object per line:
+ *
+ *   {"path": "/login/stor/dir/obj", "type": "object", "status": "deleted"}
+ *   {"path": "/login/stor/dir/sub", "type": "directory", "status": "failed",
+ *     "error": {"code": "AuthorizationFailed", "message": "..."}}
+ *
+ * followed by a final summary line:
+ *
+ *   {"status": "done", "deleted": 2, "failed": 1}
+ *
+ * An entry that can't be deleted doesn't stop the walk, but the directories
+ * containing it are left in place (and reported as failed).  If the walk
+ * itself fails part way through, the summary line has a "status" of "error".
+ */
+function deleteDirectoryTree(req, res, next) {
+    if (req.metadata.type !== 'directory' || req.query.recursive !== 'true')
+        return (next());
+
+    var dirCounter =
+        req.collector.getCollector(common.METRIC_DELETED_DIRECTORY_COUNTER);
+    var log = req.log;
+    var uuidPrefix = '/' + req.owner.account.uuid;
+    var totals = {
+        deleted: 0,
+        failed: 0
+    };
+    var wroteHead = false;
+
+    function entryPath(key) {
+        return ('/' + req.owner.account.login + key.slice(uuidPrefix.length));
+    }
+
+    function report(md, err) {
+        var line = {
+            path: entryPath(md.key),
+            type: md.type
+        };
+
+        if (err) {
+            line.status = 'failed';
+            line.error = {
+                code: err.restCode || err.code || err.name,
+                message: err.message
+            };
+            totals.failed++;
+        } else {
+            line.status = 'deleted';
+            totals.deleted++;
+        }
+
+        if (!wroteHead) {
+            res.header('Content-Type', PROGRESS_CONTENT_TYPE);
+            res.writeHead(200);
+            wroteHead = true;
+        }
+        res.write(JSON.stringify(line, null, 0) + '\n');
+    }
+
+    // Calls back with whether the object may be deleted.
+    function allowObject(md, cb) {
+        var p = entryPath(md.key);
+        auth.authorizeResource(req, md, 'deleteobject', p, function (err) {
+            err = err || retention.checkRetained(md, p);
+            if (err)
+                report(md, err);
+            cb(null, !err);
+        });
+    }
+
+    // `parentMd` is the record of the directory containing the object.
+    function delObject(md, etag, parentMd, cb) {
+        var opts = {
+            key: md.key,
+            metadata: md,
+            etag: etag,
+            parentMetadata: parentMd
+        };
+        obj.removeObject(req, opts, function (err) {
+            if (err) {
+                report(md, translateError(err, req));
+                cb(null, false);
+            } else {
+                report(md);
+                cb(null, true);
+            }
+        });
+    }
+
+    /*
+     * Deletes the objects (as Moray records) of the directory `parentMd`,
+     * which the caller is allowed to delete, and calls back with whether all
+     * of them were.  If the batch fails, we don't know which of the objects
+     * it failed for, so they're deleted one at a time to find out.  Objects
+     * of a versioned directory are deleted one at a time anyway, as each
+     * needs a version kept.
+     */
+    function delObjects(records, parentMd, cb) {
+        var ok = true;
+
+        function oneByOne() {
+            var queue = vasync.queue(function (r, qcb) {
+                delObject(r.value, r._etag, parentMd, function (_, deleted) {
+                    ok = ok && deleted;
+                    qcb();
+                });
+            }, RECURSIVE_DELETE_CONCURRENCY);
+            queue.push(records);
+            queue.close();
+            queue.once('end', function () {
+                cb(null, ok);
+            });
+        }
+
+        if (records.length === 0) {
+            cb(null, true);
+            return;
+        }
+
+        if (versions.isVersioned(parentMd)) {
+            oneByOne();
+            return;
+        }
+
+        obj.removeObjects(req, {
+            objects: records.map(function (r) {
+                return ({
+                    key: r.value.key,
+                    metadata: r.value,
+                    etag: r._etag
+                });
+            }),
+            parentMetadata: parentMd
+        }, function (err) {
+            if (err) {
+                log.debug(err, 'deleteDirectoryTree: batch failed');
+                oneByOne();
+                return;
+            }
+
+            records.forEach(function (r) {
+                report(r.value);
+            });
+            cb(null, true);
+        });
+    }
+
+    function delDirectory(md, etag, cb) {
+        var p = entryPath(md.key);
+        auth.authorizeResource(req, md, 'deletedirectory', p, function (err) {
+            if (err) {
+                report(md, err);
+                cb(null, false);
+                return;
+            }
+
+            emptyDirectory(md, function (err2, empty) {
+                if (err2 || !empty) {
+                    cb(err2, false);
+                    return;
+                }
+                rmdir(md, etag, cb);
+            });
+        });
+    }
+
+    function rmdir(md, etag, cb) {
+        var opts = {
+            key: md.key,
+            _etag: etag,
+            requestId: req.getId()
+        };
+        req.moray.delMetadata(opts, function (err) {
+            if (err) {
+                report(md, translateError(err, req));
+                cb(null, false);
+                return;
+            }
+
+            dirCounter.increment();
+            report(md);
+            cb(null, true);
+        });
+    }
+
+    /*
+     * Deletes everything in the directory described by `md`.  Calls back with
+     * `true` if the directory is now empty, and reports the directory as
+     * failed if it isn't.  Entries that we failed to delete are still there
+     * on the next page, so we page through by name rather than just asking
+     * for the first page again.
+     */
+    function emptyDirectory(md, cb) {
+        var failed = false;
+        var marker;
+
+        (function nextPage() {
+            var dirs = [];
+            var objects = [];
+
+            // See ensureDirectoryEmpty().
+            req.query.limit = RECURSIVE_DELETE_PAGE_SIZE;
+            req.query.marker = marker;
+            req.query.skip_owner_check = 'false';
+            delete req.query.sort;
+            delete req.query.sort_order;
+
+            var mreq = common.readdir(md.key, req, { checkParams: false });
+
+            mreq.once('error', function (err) {
+                mreq.removeAllListeners('end');
+                cb(err);
+            });
+
+            mreq.on('entry', function (entry, r) {
+                if (entry.name === marker)
+                    return;
+                marker = entry.name;
+                if (entry.type === 'directory') {
+                    dirs.push(r);
+                } else {
+                    objects.push(r);
+                }
+            });
+
+            mreq.once('end', function () {
+                if (dirs.length === 0 && objects.length === 0) {
+                    if (failed) {
+                        report(md, new DirectoryNotEmptyError(req,
+                            entryPath(md.key)));
+                    }
+                    cb(null, !failed);
+                    return;
+                }
+
+                var allowed = [];
+                var queue = vasync.queue(function (r, qcb) {
+                    allowObject(r.value, function (_, ok) {
+                        if (ok) {
+                            allowed.push(r);
+                        } else {
+                            failed = true;
+                        }
+                        qcb();
+                    });
+                }, RECURSIVE_DELETE_CONCURRENCY);
+                queue.push(objects);
+                queue.close();
+
+                queue.once('end', function () {
+                    delObjects(allowed, md, function (_, ok) {
+                        failed = failed || !ok;
+                        delDirectories();
+                    });
+                });
+
+                function delDirectories() {
+                    vasync.forEachPipeline({
+                        inputs: dirs,
+                        func: function (r, pcb) {
+                            delDirectory(r.value, r._etag, function (err, ok) {
+                                failed = failed || !ok;
+                                pcb(err);
+                            });
+                        }
+                    }, function (err) {
+                        if (err) {
+                            cb(err);
+                        } else {
+                            nextPage();
+                        }
+                    });
+                }
+            });
+        })();
+    }
+
+    log.debug('deleteDirectoryTree: entered');
+
+    var etag = req.isConditional() ? req.metadata._etag : undefined;
+    emptyDirectory(req.metadata, function (err, empty) {
+        if (!err && empty) {
+            rmdir(req.metadata, etag, done);
+        } else {
+            done(err);
+        }
+    });
+
+    function done(err) {
+        var summary = {
+            status: 'done',
+            deleted: totals.deleted,
+            failed: totals.failed
+        };
+
+        if (err) {
+            log.debug(err, 'deleteDirectoryTree: error');
+            if (!wroteHead) {
+                next(err);
+                return;
+            }
+            summary.status = 'error';
+            err = translateError(err, req);
+            summary.error = {
+                code: err.restCode || err.name,
+                message: err.message
+            };
+        }
+
+        if (!wroteHead) {
+            res.header('Content-Type', PROGRESS_CONTENT_TYPE);
+            res.writeHead(200);
+            wroteHead = true;
+        }
+        res.end(JSON.stringify(summary, null, 0) + '\n');
+
+        log.debug(totals, 'deleteDirectoryTree: done');
+        next(false);
+    }
+
+    return (undefined);
+}
+
+
 function deleteDirectory(req, res, next) {
 
     assert.object(req, 'req');
@@ -286,6 +855,7 @@ module.exports = {
     putDirectoryHandler: function putDirectoryHandler() {
         var chain = [
             common.ensureParentHandler(),
+            lifecycle.registerHandler(),
             mkdir
         ];
         return (chain);
@@ -296,6 +866,8 @@ module.exports = {
 
     getDirectoryHandler: function getDirectoryHandler() {
         var chain = [
+            common.conditionalGetHandler('directory'),
+            getDirectoryTree,
             getDirectoryCount,
             getDirectory
         ];
@@ -309,6 +881,7 @@ module.exports = {
     deleteDirectoryHandler: function deleteDirectoryHandler() {
         var chain = [
             common.ensureNotRootHandler(),
+            deleteDirectoryTree,
             ensureDirectoryEmpty,
             deleteDirectory
         ];
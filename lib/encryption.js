@@ -0,0 +1,561 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// Server-side encryption at rest.  The data of objects owned by the accounts
+// listed in the "encryption" section of the configuration is encrypted by
+// muskie on its way to the sharks, and decrypted on its way back out:
+//
+//     "encryption": {
+//         "accounts": [ {
+//             "uuid": "<account uuid>",
+//             "keys": [ { "id": "2026-10", "key": "<32 bytes, base64>" } ]
+//         } ]
+//     }
+//
+// Every object gets its own random 256-bit data key.  The data is encrypted
+// with AES-256-CTR, which doesn't change its length and can be decrypted
+// starting from any offset, so range requests work as they do for any other
+// object.  The data key is wrapped with the account's current master key (the
+// first one listed) using AES-256-GCM, bound to the objectId, and kept in the
+// object's metadata record as the "encryption" header, along with the IV and
+// the id of the master key.  Older master keys are only used to unwrap the data
+// keys of existing objects, so a key is rotated by listing a new one first.
+//
+// Clients may instead supply their own key, with the Encryption-Key header
+// (and optionally Encryption-Key-MD5, to check it arrived intact), on
+// PutObject, UploadPart and GetObject.  That key is used as the data key.  It
+// is removed from the request before anything can log it, and is never
+// stored: the record only keeps its SHA-256, to tell a wrong key from the
+// right one when the object is read.
+//
+// The parts of a multipart upload are concatenated by the sharks when the
+// upload is committed, so an object made from encrypted parts is a series of
+// segments, each encrypted with the IV of its part.  Every write of a part
+// gets a random IV, kept in the part's record, so a part that is uploaded
+// again is never encrypted with the same key and IV as before; on commit, the
+// IVs of the parts are kept in the object's record along with their sizes.
+// The parts must all be encrypted with the same key: either the client's, or,
+// for the accounts configured for encryption, a data key made for the upload
+// when it is created (see createUploadKey()).  That key is wrapped as an
+// object's is, but bound to the upload id rather than an objectId, and kept
+// in the upload record until it is committed.
+//
+// The record's contentMD5, and so the Content-MD5 and Computed-MD5 headers,
+// is the MD5 of the plaintext, as it is for any other object.  The sharks only
+// ever see the ciphertext: the MD5 they compute is checked against one muskie
+// computes over the ciphertext it sends, which is also stored (as
+// "ciphertextMD5" in the encryption header) so that the files on the sharks
+// can still be audited.  The exception is an object made from encrypted parts,
+// whose plaintext muskie never sees as a whole: its contentMD5 is that of the
+// ciphertext, and GetObject doesn't return it as Content-MD5.
+//
+
+var crypto = require('crypto');
+var stream = require('stream');
+var util = require('util');
+
+var assert = require('assert-plus');
+
+require('./errors');
+
+
+
+///--- Globals
+
+var HEADER = 'encryption';
+
+var CUSTOMER_KEY_HEADER = 'encryption-key';
+var CUSTOMER_KEY_MD5_HEADER = 'encryption-key-md5';
+
+var DATA_ALG = 'aes-256-ctr';
+var WRAP_ALG = 'aes-256-gcm';
+
+var BLOCK_SIZE = 16;
+var KEY_SIZE = 32;
+var NONCE_SIZE = 12;
+var TAG_SIZE = 16;
+
+
+
+///--- Helpers
+
+function accountKeys(config, owner) {
+    var accounts = (config.encryption || {}).accounts || [];
+    for (var i = 0; i < accounts.length; i++) {
+        if (accounts[i].uuid === owner)
+            return (accounts[i].keys);
+    }
+    return (null);
+}
+
+
+function keySHA256(key) {
+    return (crypto.createHash('sha256').update(key).digest('base64'));
+}
+
+
+/*
+ * Wraps the data key `dataKey` with the master key `master`, bound to `aad`
+ * (an objectId or upload id).
+ */
+function wrapKey(master, dataKey, aad) {
+    var nonce = crypto.randomBytes(NONCE_SIZE);
+    var wrap = crypto.createCipheriv(WRAP_ALG,
+        Buffer.from(master.key, 'base64'), nonce);
+    wrap.setAAD(Buffer.from(aad));
+    var wrapped = Buffer.concat([wrap.update(dataKey), wrap.final()]);
+
+    return (Buffer.concat([nonce, wrapped, wrap.getAuthTag()])
+        .toString('base64'));
+}
+
+
+function unwrapHeaderKey(config, header, aad) {
+    var keys = accountKeys(config, header.account) || [];
+    var master = keys.filter(function (k) {
+        return (k.id === header.keyId);
+    }).pop();
+    if (!master)
+        return (null);
+
+    var wrapped = Buffer.from(header.wrappedKey, 'base64');
+    if (wrapped.length !== NONCE_SIZE + KEY_SIZE + TAG_SIZE)
+        return (null);
+
+    try {
+        var unwrap = crypto.createDecipheriv(WRAP_ALG,
+            Buffer.from(master.key, 'base64'),
+            wrapped.slice(0, NONCE_SIZE));
+        unwrap.setAAD(Buffer.from(aad));
+        unwrap.setAuthTag(wrapped.slice(NONCE_SIZE + KEY_SIZE));
+        return (Buffer.concat([
+            unwrap.update(wrapped.slice(NONCE_SIZE, NONCE_SIZE + KEY_SIZE)),
+            unwrap.final()
+        ]));
+    } catch (e) {
+        return (null);
+    }
+}
+
+
+// The counter block for the AES block at index `block` of the data.
+function counterBlock(iv, block) {
+    var ctr = Buffer.from(iv);
+    var carry = block;
+    for (var i = BLOCK_SIZE - 1; i >= 0 && carry > 0; i--) {
+        var sum = ctr[i] + (carry % 256);
+        ctr[i] = sum % 256;
+        carry = Math.floor(carry / 256) + Math.floor(sum / 256);
+    }
+    return (ctr);
+}
+
+
+// A decipher for data encrypted with `iv`, starting at byte `offset`.
+function ctrDecipher(dataKey, iv, offset) {
+    var decipher = crypto.createDecipheriv(DATA_ALG, dataKey,
+        counterBlock(iv, Math.floor(offset / BLOCK_SIZE)));
+
+    // Skip over the part of the first block that comes before the offset.
+    var skip = offset % BLOCK_SIZE;
+    if (skip > 0)
+        decipher.update(Buffer.alloc(skip));
+
+    return (decipher);
+}
+
+
+/*
+ * Finds the segment (part) that byte `offset` of an object made from
+ * encrypted parts falls in.  The header lists the sizes of the parts as runs
+ * of [size, count], in order.
+ */
+function segmentAt(header, offset) {
+    var index = 0;
+    var start = 0;
+    for (var i = 0; i < header.segments.length; i++) {
+        var size = header.segments[i][0];
+        var count = header.segments[i][1];
+        if (offset < start + size * count) {
+            var n = Math.floor((offset - start) / size);
+            return ({
+                index: index + n,
+                start: start + n * size,
+                end: start + (n + 1) * size
+            });
+        }
+        index += count;
+        start += size * count;
+    }
+    return (null);
+}
+
+
+/*
+ * Decrypts the data of an object made from encrypted parts, starting at byte
+ * `offset`, switching to the IV of the next part (from the header's "ivs") at
+ * each part boundary.
+ */
+function SegmentDecipher(header, dataKey, offset) {
+    stream.Transform.call(this);
+
+    this.header = header;
+    this.dataKey = dataKey;
+    this.offset = offset;
+    this.decipher = null;
+    this.segmentEnd = offset;
+}
+util.inherits(SegmentDecipher, stream.Transform);
+
+
+SegmentDecipher.prototype._transform = function _transform(chunk, _, cb) {
+    while (chunk.length > 0) {
+        if (this.offset >= this.segmentEnd) {
+            var seg = segmentAt(this.header, this.offset);
+            if (!seg) {
+                cb(new Error('data past the end of the last part'));
+                return;
+            }
+            this.decipher = ctrDecipher(this.dataKey,
+                Buffer.from(this.header.ivs[seg.index], 'base64'),
+                this.offset - seg.start);
+            this.segmentEnd = seg.end;
+        }
+
+        var n = Math.min(chunk.length, this.segmentEnd - this.offset);
+        this.push(this.decipher.update(chunk.slice(0, n)));
+        this.offset += n;
+        chunk = chunk.slice(n);
+    }
+    cb();
+};
+
+
+
+///--- API
+
+function isEncrypted(md) {
+    return (Boolean(md && md.headers && md.headers[HEADER]));
+}
+
+
+function hasCustomerKey(md) {
+    return (isEncrypted(md) && md.headers[HEADER].customerKey === true);
+}
+
+
+// Whether the record's contentMD5 is the MD5 of the object's plaintext.
+function hasPlaintextMD5(md) {
+    return (!isEncrypted(md) || md.headers[HEADER].segments === undefined);
+}
+
+
+/*
+ * Whether `key` is the customer-provided key the object `md` was encrypted
+ * with.
+ */
+function customerKeyMatches(md, key) {
+    assert.ok(hasCustomerKey(md), 'customer key object');
+    return (keySHA256(key) === md.headers[HEADER].keySHA256);
+}
+
+
+/*
+ * Returns the cipher for a new object's data, and the (as yet incomplete)
+ * encryption header to store with it, or null if the object isn't to be
+ * encrypted.  The caller sets the header's "ciphertextMD5" once all the data
+ * has gone through the cipher.
+ *
+ * The options are:
+ *  - config: the muskie configuration
+ *  - owner: the uuid of the object's owner
+ *  - objectId: the new objectId
+ *  - customerKey: optional, the key the client provided
+ *  - uploadId, partNum: for the parts of a multipart upload
+ *  - uploadKey, dataKey: for the parts of a multipart upload that has a key
+ *    of its own, that key (see createUploadKey()) and the data key unwrapped
+ *    from it (see unwrapUploadKey())
+ */
+function createEncryption(opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.config, 'opts.config');
+    assert.uuid(opts.owner, 'opts.owner');
+    assert.uuid(opts.objectId, 'opts.objectId');
+    assert.optionalBuffer(opts.customerKey, 'opts.customerKey');
+    assert.optionalUuid(opts.uploadId, 'opts.uploadId');
+    assert.optionalNumber(opts.partNum, 'opts.partNum');
+    assert.optionalObject(opts.uploadKey, 'opts.uploadKey');
+
+    var iv = crypto.randomBytes(BLOCK_SIZE);
+    if (opts.customerKey) {
+        var header = {
+            algorithm: DATA_ALG,
+            customerKey: true,
+            keySHA256: keySHA256(opts.customerKey),
+            iv: iv.toString('base64')
+        };
+        if (opts.uploadId) {
+            header.uploadId = opts.uploadId;
+            header.partNum = opts.partNum;
+        }
+        return ({
+            cipher: crypto.createCipheriv(DATA_ALG, opts.customerKey, iv),
+            header: header
+        });
+    }
+
+    if (opts.uploadId) {
+        // Uploads created before the account was configured have no key.
+        if (!opts.uploadKey)
+            return (null);
+
+        assert.buffer(opts.dataKey, 'opts.dataKey');
+        return ({
+            cipher: crypto.createCipheriv(DATA_ALG, opts.dataKey, iv),
+            header: {
+                algorithm: DATA_ALG,
+                account: opts.uploadKey.account,
+                keyId: opts.uploadKey.keyId,
+                iv: iv.toString('base64'),
+                wrappedKey: opts.uploadKey.wrappedKey,
+                uploadId: opts.uploadId,
+                partNum: opts.partNum
+            }
+        });
+    }
+
+    var keys = accountKeys(opts.config, opts.owner);
+    if (!keys)
+        return (null);
+
+    var master = keys[0];
+    var dataKey = crypto.randomBytes(KEY_SIZE);
+
+    return ({
+        cipher: crypto.createCipheriv(DATA_ALG, dataKey, iv),
+        header: {
+            algorithm: DATA_ALG,
+            account: opts.owner,
+            keyId: master.id,
+            iv: iv.toString('base64'),
+            wrappedKey: wrapKey(master, dataKey, opts.objectId)
+        }
+    });
+}
+
+
+/*
+ * Returns the key to encrypt the parts of the new multipart upload `uploadId`
+ * with, to keep in the upload record, or null if the account `owner` isn't
+ * configured for encryption.
+ */
+function createUploadKey(config, owner, uploadId) {
+    assert.object(config, 'config');
+    assert.uuid(owner, 'owner');
+    assert.uuid(uploadId, 'uploadId');
+
+    var keys = accountKeys(config, owner);
+    if (!keys)
+        return (null);
+
+    var master = keys[0];
+    return ({
+        algorithm: DATA_ALG,
+        account: owner,
+        keyId: master.id,
+        uploadId: uploadId,
+        wrappedKey: wrapKey(master, crypto.randomBytes(KEY_SIZE), uploadId)
+    });
+}
+
+
+/*
+ * Unwraps the data key of the upload key `uploadKey` (see createUploadKey()).
+ * Returns null as unwrapKey() does.
+ */
+function unwrapUploadKey(config, uploadKey) {
+    assert.object(config, 'config');
+    assert.object(uploadKey, 'uploadKey');
+
+    return (unwrapHeaderKey(config, uploadKey, uploadKey.uploadId));
+}
+
+
+/*
+ * Unwraps the data key of the object `md`, encrypted with a service-managed
+ * key.  Returns null if the master key it was wrapped with is not (or no
+ * longer) configured, or if the header has been tampered with.  The keys of
+ * parts, and of objects made from them, are bound to their upload.
+ */
+function unwrapKey(config, md) {
+    assert.object(config, 'config');
+    assert.object(md, 'md');
+
+    var header = md.headers[HEADER];
+    var aad = header.uploadId !== undefined ? header.uploadId : md.objectId;
+    return (unwrapHeaderKey(config, header, aad));
+}
+
+
+/*
+ * Returns a stream that decrypts the data of the encrypted object `md`, given
+ * the ciphertext starting at byte `offset` of the object.
+ */
+function createDecipher(md, dataKey, offset) {
+    assert.object(md, 'md');
+    assert.buffer(dataKey, 'dataKey');
+    assert.number(offset, 'offset');
+
+    var header = md.headers[HEADER];
+    if (header.segments)
+        return (new SegmentDecipher(header, dataKey, offset));
+
+    return (ctrDecipher(dataKey, Buffer.from(header.iv, 'base64'), offset));
+}
+
+
+/*
+ * Works out the encryption header of an object made from the parts of the
+ * multipart upload `uploadId`, given each part's size and encryption header
+ * (if any), in order.  Returns null if the parts aren't encrypted, or a
+ * message saying why they can't be put together.
+ */
+function partsEncryption(uploadId, parts) {
+    assert.uuid(uploadId, 'uploadId');
+    assert.arrayOfObject(parts, 'parts');
+
+    var encrypted = parts.filter(function (p) {
+        return (p.header !== undefined);
+    });
+    if (encrypted.length === 0)
+        return (null);
+    if (encrypted.length !== parts.length)
+        return ('some parts are encrypted and some are not');
+
+    // The key is the client's, or the upload's; see createUploadKey().
+    function fingerprint(h) {
+        return (h.customerKey ? h.keySHA256 : h.wrappedKey);
+    }
+
+    var first = parts[0].header;
+    var ivs = [];
+    var segments = [];
+    for (var i = 0; i < parts.length; i++) {
+        var h = parts[i].header;
+        if (Boolean(h.customerKey) !== Boolean(first.customerKey) ||
+            fingerprint(h) !== fingerprint(first)) {
+            return ('the parts are encrypted with different keys');
+        }
+        if (h.uploadId !== uploadId || h.partNum !== i)
+            return (util.format('part %d was not uploaded as part %d', i, i));
+        ivs.push(h.iv);
+
+        var last = segments[segments.length - 1];
+        if (last && last[0] === parts[i].size) {
+            last[1]++;
+        } else {
+            segments.push([parts[i].size, 1]);
+        }
+    }
+
+    var header = {
+        algorithm: DATA_ALG,
+        uploadId: uploadId,
+        ivs: ivs,
+        segments: segments
+    };
+    if (first.customerKey) {
+        header.customerKey = true;
+        header.keySHA256 = first.keySHA256;
+    } else {
+        header.account = first.account;
+        header.keyId = first.keyId;
+        header.wrappedKey = first.wrappedKey;
+    }
+    return (header);
+}
+
+
+
+///--- Routes
+
+/*
+ * Moves a customer-provided key out of the request headers as soon as the
+ * request comes in, so that it is never logged.  It is parsed and checked
+ * later, by parseCustomerKey(), for the routes that use it.
+ */
+function stripCustomerKey(req, res, next) {
+    var key = req.headers[CUSTOMER_KEY_HEADER];
+    if (key !== undefined) {
+        req._customerKey = key;
+        delete req.headers[CUSTOMER_KEY_HEADER];
+    }
+    next();
+}
+
+
+function parseCustomerKey(req, res, next) {
+    var key = req._customerKey;
+    var md5 = req.headers[CUSTOMER_KEY_MD5_HEADER];
+
+    if (key === undefined) {
+        if (md5 !== undefined) {
+            next(new InvalidEncryptionKeyError(CUSTOMER_KEY_MD5_HEADER +
+                ' was given without ' + CUSTOMER_KEY_HEADER));
+        } else {
+            next();
+        }
+        return;
+    }
+
+    var buf = Buffer.from(key, 'base64');
+    if (buf.length !== KEY_SIZE || buf.toString('base64') !== key) {
+        next(new InvalidEncryptionKeyError('must be ' + KEY_SIZE +
+            ' bytes, base64 encoded'));
+        return;
+    }
+
+    if (md5 !== undefined &&
+        crypto.createHash('md5').update(buf).digest('base64') !== md5) {
+        next(new InvalidEncryptionKeyError('the key does not match ' +
+            CUSTOMER_KEY_MD5_HEADER));
+        return;
+    }
+
+    req.customerKey = buf;
+    next();
+}
+
+
+
+///--- Exports
+
+module.exports = {
+    HEADER: HEADER,
+    isEncrypted: isEncrypted,
+    hasCustomerKey: hasCustomerKey,
+    hasPlaintextMD5: hasPlaintextMD5,
+    customerKeyMatches: customerKeyMatches,
+    createEncryption: createEncryption,
+    createUploadKey: createUploadKey,
+    unwrapUploadKey: unwrapUploadKey,
+    unwrapKey: unwrapKey,
+    createDecipher: createDecipher,
+    partsEncryption: partsEncryption,
+    stripCustomerKey: stripCustomerKey,
+
+    customerKeyHandler: function customerKeyHandler() {
+        var chain = [
+            parseCustomerKey
+        ];
+        return (chain);
+    }
+};
@@ -91,6 +91,16 @@ function AuthorizationRequiredError(reason) {
 util.inherits(AuthorizationRequiredError, MuskieError);
 
 
+function BatchSizeExceededError(max) {
+    MuskieError.call(this, {
+        restCode: 'BatchSizeExceeded',
+        statusCode: 400,
+        message: sprintf('a batch can have at most %d paths', max)
+    });
+}
+util.inherits(BatchSizeExceededError, MuskieError);
+
+
 function ChecksumError(expected, actual) {
     MuskieError.call(this, {
         restCode: 'ContentMD5Mismatch',
@@ -102,6 +112,17 @@ function ChecksumError(expected, actual) {
 util.inherits(ChecksumError, MuskieError);
 
 
+function ChecksumMismatchError(algorithm, expected, actual) {
+    MuskieError.call(this, {
+        restCode: 'ChecksumMismatch',
+        statusCode: 400,
+        message: sprintf('%s checksum expected %s, but was %s',
+                         algorithm, expected, actual)
+    });
+}
+util.inherits(ChecksumMismatchError, MuskieError);
+
+
 function ConcurrentRequestError(p) {
     MuskieError.call(this, {
         restCode: 'ConcurrentRequest',
@@ -122,6 +143,27 @@ function ContentLengthError() {
 util.inherits(ContentLengthError, MuskieError);
 
 
+function ContentSHA256MismatchError(expected, actual) {
+    MuskieError.call(this, {
+        restCode: 'ContentSHA256Mismatch',
+        statusCode: 400,
+        message: sprintf('x-amz-content-sha256 expected %s, but was %s',
+                         expected, actual)
+    });
+}
+util.inherits(ContentSHA256MismatchError, MuskieError);
+
+
+function CopySourceNotFoundError(src) {
+    MuskieError.call(this, {
+        restCode: 'SourceObjectNotFound',
+        statusCode: 404,
+        message: sprintf('%s was not found', src)
+    });
+}
+util.inherits(CopySourceNotFoundError, MuskieError);
+
+
 function DirectoryDoesNotExistError(p) {
     MuskieError.call(this, {
         restCode: 'DirectoryDoesNotExist',
@@ -142,11 +184,11 @@ function DirectoryLimitError(p) {
 util.inherits(DirectoryLimitError, MuskieError);
 
 
-function DirectoryNotEmptyError(req) {
+function DirectoryNotEmptyError(req, p) {
     MuskieError.call(this, {
         restCode: 'DirectoryNotEmpty',
         statusCode: 400,
-        message: sprintf('%s is not empty', req.path())
+        message: sprintf('%s is not empty', p || req.path())
     });
 }
 util.inherits(DirectoryNotEmptyError, MuskieError);
@@ -163,6 +205,17 @@ function DirectoryOperationError(req) {
 util.inherits(DirectoryOperationError, MuskieError);
 
 
+function EncryptionKeyMismatchError(p) {
+    MuskieError.call(this, {
+        restCode: 'EncryptionKeyMismatch',
+        statusCode: 403,
+        message: sprintf('%s is encrypted with a different key than the ' +
+                         'one provided', p)
+    });
+}
+util.inherits(EncryptionKeyMismatchError, MuskieError);
+
+
 function EntityExistsError(req) {
     MuskieError.call(this, {
         restCode: 'EntityAlreadyExists',
@@ -195,6 +248,16 @@ function InternalError(cause) {
 util.inherits(InternalError, MuskieError);
 
 
+function InvalidAccessKeyIdError(id) {
+    MuskieError.call(this, {
+        restCode: 'InvalidAccessKeyId',
+        statusCode: 403,
+        message: sprintf('access key id %s does not exist', id)
+    });
+}
+util.inherits(InvalidAccessKeyIdError, MuskieError);
+
+
 function InvalidAlgorithmError(alg, valid) {
     var message = sprintf(
         '%s is not a supported signing algorithm. Supported algorithms are %s',
@@ -209,6 +272,16 @@ function InvalidAlgorithmError(alg, valid) {
 util.inherits(InvalidAlgorithmError, MuskieError);
 
 
+function InvalidAwsAuthorizationError(reason) {
+    MuskieError.call(this, {
+        restCode: 'AuthorizationHeaderMalformed',
+        statusCode: 400,
+        message: sprintf('invalid AWS authorization: %s', reason)
+    });
+}
+util.inherits(InvalidAwsAuthorizationError, MuskieError);
+
+
 function InvalidAuthTokenError(reason) {
     MuskieError.call(this, {
         restCode: 'InvalidAuthenticationToken',
@@ -230,6 +303,26 @@ function InvalidHttpAuthTokenError(reason) {
 util.inherits(InvalidHttpAuthTokenError, MuskieError);
 
 
+function InvalidCopySourceError(src, reason) {
+    MuskieError.call(this, {
+        restCode: 'InvalidCopySource',
+        statusCode: 400,
+        message: sprintf('%s is an invalid copy source: %s', src, reason)
+    });
+}
+util.inherits(InvalidCopySourceError, MuskieError);
+
+
+function InvalidMoveError(src, reason) {
+    MuskieError.call(this, {
+        restCode: 'InvalidMove',
+        statusCode: 400,
+        message: sprintf('cannot move %s: %s', src, reason)
+    });
+}
+util.inherits(InvalidMoveError, MuskieError);
+
+
 function InvalidDurabilityLevelError(min, max) {
     MuskieError.call(this, {
         restCode: 'InvalidDurabilityLevel',
@@ -241,6 +334,16 @@ function InvalidDurabilityLevelError(min, max) {
 util.inherits(InvalidDurabilityLevelError, MuskieError);
 
 
+function InvalidEncryptionKeyError(reason) {
+    MuskieError.call(this, {
+        restCode: 'InvalidEncryptionKey',
+        statusCode: 400,
+        message: sprintf('invalid encryption key: %s', reason)
+    });
+}
+util.inherits(InvalidEncryptionKeyError, MuskieError);
+
+
 function InvalidKeyIdError() {
     MuskieError.call(this, {
         restCode: 'InvalidKeyId',
@@ -271,6 +374,16 @@ function InvalidLinkError(req) {
 util.inherits(InvalidLinkError, MuskieError);
 
 
+function InvalidTagsError(reason) {
+    MuskieError.call(this, {
+        restCode: 'InvalidTags',
+        statusCode: 400,
+        message: sprintf('invalid tags: %s', reason)
+    });
+}
+util.inherits(InvalidTagsError, MuskieError);
+
+
 function InvalidUpdateError(k, extra) {
     MuskieError.call(this, {
         restCode: 'InvalidUpdate',
@@ -387,6 +500,16 @@ function SharksExhaustedError(res) {
 util.inherits(SharksExhaustedError, MuskieError);
 
 
+function MalformedXMLError(reason) {
+    MuskieError.call(this, {
+        restCode: 'MalformedXML',
+        statusCode: 400,
+        message: sprintf('the XML provided was not well-formed: %s', reason)
+    });
+}
+util.inherits(MalformedXMLError, MuskieError);
+
+
 function MaxContentLengthError(len) {
     MuskieError.call(this, {
         restCode: 'InvalidMaxContentLength',
@@ -490,6 +613,16 @@ function NotImplementedError(message) {
 util.inherits(NotImplementedError, MuskieError);
 
 
+function ObjectRetainedError(p, reason) {
+    MuskieError.call(this, {
+        restCode: 'ObjectRetained',
+        statusCode: 403,
+        message: sprintf('%s cannot be deleted or overwritten: %s', p, reason)
+    });
+}
+util.inherits(ObjectRetainedError, MuskieError);
+
+
 function ParentNotDirectoryError(req) {
     MuskieError.call(this, {
         restCode: 'ParentNotDirectory',
@@ -524,6 +657,17 @@ function QueryParameterForbiddenError(params) {
 util.inherits(QueryParameterForbiddenError, MuskieError);
 
 
+function QuotaExceededError(scope, limit, unit) {
+    MuskieError.call(this, {
+        restCode: 'QuotaExceeded',
+        statusCode: 403,
+        message: sprintf('%s would exceed its quota of %d %s', scope, limit,
+            unit)
+    });
+}
+util.inherits(QuotaExceededError, MuskieError);
+
+
 function RangeNotSatisfiableError(req, err) {
     if (err && err._result && err._result.headers) {
         this.headers = {
@@ -540,6 +684,28 @@ function RangeNotSatisfiableError(req, err) {
 util.inherits(RangeNotSatisfiableError, MuskieError);
 
 
+function RateLimitExceededError(op, rate) {
+    MuskieError.call(this, {
+        restCode: 'RateLimitExceeded',
+        statusCode: 429,
+        message: sprintf('too many %s requests (the limit is %d per second)',
+            op, rate)
+    });
+}
+util.inherits(RateLimitExceededError, MuskieError);
+
+
+function RequestTimeTooSkewedError() {
+    MuskieError.call(this, {
+        restCode: 'RequestTimeTooSkewed',
+        statusCode: 403,
+        message: 'the difference between the request time and the ' +
+            'server\'s time is too large'
+    });
+}
+util.inherits(RequestTimeTooSkewedError, MuskieError);
+
+
 function RootDirectoryError(method, p) {
     MuskieError.call(this, {
         restCode: 'OperationNotAllowedOnRootDirectory',
@@ -639,6 +805,17 @@ util.inherits(UserDoesNotExistError, MuskieError);
 
 
 
+function VersionNotFoundError(p, versionId) {
+    MuskieError.call(this, {
+        restCode: 'VersionNotFound',
+        statusCode: 404,
+        message: sprintf('version %s of %s was not found', versionId, p)
+    });
+}
+util.inherits(VersionNotFoundError, MuskieError);
+
+
+
 ///--- Translate API
 
 function translateError(err, req) {
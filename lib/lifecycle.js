@@ -0,0 +1,679 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// A lifecycle policy is set on a directory with a "lifecycle" header (see
+// parseLifecyclePolicy() in utils.js), e.g.:
+//
+//     lifecycle: expire-days=30, abort-uploads-days=7
+//
+// and is applied by a sweeper that runs in the background of every muskie:
+//
+// - expire-days: objects anywhere under the directory that were last written
+//   more than N days ago are deleted, as with DeleteObject.  Subdirectories
+//   that have a policy of their own are left to that policy.
+// - abort-uploads-days: multipart uploads targeting an object anywhere under
+//   the directory that were created more than N days ago and are still in
+//   progress are aborted, as with AbortMultipartUpload.
+//
+// The sweeper has to find the directories with a policy without walking every
+// account, so PUTting a directory with a policy also writes a registration
+// record, at a key that isn't reachable through the API:
+//
+//     /lifecycle/:encoded_directory_key
+//
+// All registrations share a parent directory, so they can be listed with
+// readdir().  Registrations aren't removed when the policy is, or when the
+// directory is deleted; the sweeper removes those it finds stale instead.
+//
+// Only one muskie sweeps at a time.  Before each sweep, the sweeper takes a
+// lease (a record at /lifecycle/.lease) that lasts for the sweep interval.
+// Should a sweep take longer than that, another muskie may start sweeping
+// too; deletes and aborts are conditional on what was listed, so this only
+// costs some duplicate work.
+//
+
+var os = require('os');
+
+var assert = require('assert-plus');
+var uuidv4 = require('uuid/v4');
+var vasync = require('vasync');
+var VError = require('verror');
+
+var common = require('./common');
+var quota = require('./quota');
+var retention = require('./retention');
+var uploadsCommon = require('./uploads/common');
+var utils = require('./utils');
+var versions = require('./versions');
+require('./errors');
+
+
+
+///--- Globals
+
+var LIFECYCLE_DIR = '/lifecycle';
+var LIFECYCLE_TYPE = 'lifecycle';
+var LEASE_KEY = LIFECYCLE_DIR + '/.lease';
+var LEASE_TYPE = 'lease';
+
+var SWEEP_PAGE_SIZE = 256;
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+
+
+///--- Helpers
+
+function registrationKey(key) {
+    return (LIFECYCLE_DIR + '/' + encodeURIComponent(key));
+}
+
+
+function isEtagConflict(err) {
+    return (VError.findCauseByName(err, 'EtagConflictError') !== null);
+}
+
+
+/*
+ * The sweeper reuses the request-based helpers (readdir(), the reference
+ * counting in common.js, versions and uploads), so it works through an object
+ * that looks enough like a request made by `owner`.
+ */
+function sweepContext(sweeper, owner) {
+    var id = uuidv4();
+
+    return ({
+        config: sweeper.config,
+        log: sweeper.log.child({req_id: id}, true),
+        moray: sweeper.moray,
+        mahi: sweeper.mahi,
+        accountsSnaplinksDisabled: sweeper.config.accountsSnaplinksDisabled,
+        owner: owner,
+        caller: owner,
+        key: null,
+        query: {},
+        params: {},
+        getId: function getId() {
+            return (id);
+        }
+    });
+}
+
+
+/*
+ * Calls func(record, cb) for each entry of `dir`, one at a time and in order
+ * of name.  Entries may be removed by func() as we go.
+ */
+function listDirectory(ctx, dir, ownerCheck, func, cb) {
+    var marker;
+
+    (function nextPage() {
+        var count = 0;
+        var records = [];
+
+        ctx.query = {
+            limit: SWEEP_PAGE_SIZE,
+            marker: marker,
+            skip_owner_check: ownerCheck ? 'false' : 'true'
+        };
+        var mreq = common.readdir(dir, ctx, { checkParams: false });
+
+        mreq.once('error', function (err) {
+            mreq.removeAllListeners('end');
+            mreq.removeAllListeners('entry');
+            cb(err);
+        });
+
+        mreq.on('entry', function (entry, r) {
+            count++;
+            // The marker is inclusive.
+            if (entry.name !== marker)
+                records.push(r);
+        });
+
+        mreq.once('end', function () {
+            if (records.length === 0) {
+                cb();
+                return;
+            }
+
+            marker = records[records.length - 1].key.split('/').pop();
+            vasync.forEachPipeline({
+                inputs: records,
+                func: func
+            }, function (err) {
+                if (err) {
+                    cb(err);
+                } else if (count < SWEEP_PAGE_SIZE) {
+                    cb();
+                } else {
+                    nextPage();
+                }
+            });
+        });
+    })();
+}
+
+
+
+///--- Routes
+
+/*
+ * Registers the directory being PUT with the sweeper, if it has a lifecycle
+ * policy.  This is done before the directory is written, so that a policy is
+ * never in place without the sweeper knowing about it; if the write then
+ * fails, the sweeper finds the registration stale and removes it.  Invalid
+ * policies are left for createMetadata() to reject.
+ */
+function registerDirectory(req, res, next) {
+    var policy = req.headers['lifecycle'];
+    if (policy === undefined || !utils.parseLifecyclePolicy(policy))
+        return (next());
+
+    var log = req.log;
+    var opts = {
+        key: registrationKey(req.key),
+        owner: req.owner.account.uuid,
+        type: LIFECYCLE_TYPE,
+        headers: {},
+        roles: [],
+        requestId: req.getId(),
+        previousMetadata: {}
+    };
+
+    req.moray.putMetadata(opts, function (err) {
+        if (err) {
+            log.debug(err, 'registerDirectory: failed');
+            next(err);
+        } else {
+            log.debug({dir: req.key}, 'registerDirectory: done');
+            next();
+        }
+    });
+    return (undefined);
+}
+
+
+
+///--- Sweeper
+
+/*
+ * Creates a sweeper, which applies lifecycle policies every
+ * `config.lifecycle.sweepIntervalMs` once started.  The deleted-object and
+ * lifecycle metric collectors must already be registered (see
+ * createServer()).
+ */
+function LifecycleSweeper(opts) {
+    assert.object(opts, 'options');
+    assert.object(opts.config, 'options.config');
+    assert.object(opts.config.lifecycle, 'options.config.lifecycle');
+    assert.number(opts.config.lifecycle.sweepIntervalMs,
+        'options.config.lifecycle.sweepIntervalMs');
+    assert.object(opts.collector, 'options.collector');
+    assert.object(opts.log, 'options.log');
+    assert.object(opts.mahi, 'options.mahi');
+    assert.object(opts.moray, 'options.moray');
+
+    this.config = opts.config;
+    this.log = opts.log.child({component: 'lifecycle'}, true);
+    this.mahi = opts.mahi;
+    this.moray = opts.moray;
+    this.sweepInterval = opts.config.lifecycle.sweepIntervalMs;
+    this.holder = os.hostname() + '/' + process.pid;
+
+    var collector = opts.collector;
+    this.expiredCounter =
+        collector.getCollector(common.METRIC_LIFECYCLE_EXPIRED_COUNTER);
+    this.abortedCounter =
+        collector.getCollector(common.METRIC_LIFECYCLE_ABORTED_COUNTER);
+    this.errorCounter =
+        collector.getCollector(common.METRIC_LIFECYCLE_ERROR_COUNTER);
+    this.objCounter =
+        collector.getCollector(common.METRIC_DELETED_OBJECT_COUNTER);
+    this.dataCounter =
+        collector.getCollector(common.METRIC_DELETED_DATA_COUNTER);
+
+    this._sweepTimer = null;
+}
+
+
+LifecycleSweeper.prototype.start = function start() {
+    clearTimeout(this._sweepTimer);
+    this._sweepTimer = setTimeout(runSweep.bind(this), 0);
+};
+
+
+LifecycleSweeper.prototype.close = function close() {
+    clearTimeout(this._sweepTimer);
+    this._sweepTimer = null;
+};
+
+
+/*
+ * Takes (or renews) the sweep lease, and calls back with whether we hold it.
+ */
+function acquireLease(sweeper, cb) {
+    var ctx = sweepContext(sweeper, null);
+    var getOpts = {
+        key: LEASE_KEY,
+        requestId: ctx.getId()
+    };
+
+    sweeper.moray.getMetadata(getOpts, function (err, md, wrap) {
+        var etag = null;
+
+        if (err) {
+            if (VError.findCauseByName(err, 'ObjectNotFoundError') === null) {
+                cb(err);
+                return;
+            }
+        } else {
+            if (md.headers['lease-holder'] !== sweeper.holder &&
+                md.headers['lease-expires'] > Date.now()) {
+                cb(null, false);
+                return;
+            }
+            etag = wrap._etag;
+        }
+
+        var opts = {
+            key: LEASE_KEY,
+            owner: sweeper.holder,
+            type: LEASE_TYPE,
+            headers: {
+                'lease-holder': sweeper.holder,
+                'lease-expires': Date.now() + sweeper.sweepInterval
+            },
+            roles: [],
+            requestId: ctx.getId(),
+            previousMetadata: {},
+            _etag: etag
+        };
+        sweeper.moray.putMetadata(opts, function (err2) {
+            if (err2 && isEtagConflict(err2)) {
+                // Another muskie took the lease first.
+                cb(null, false);
+            } else {
+                cb(err2, !err2);
+            }
+        });
+    });
+}
+
+
+function runSweep() {
+    var self = this;
+    var log = self.log;
+    var start = Date.now();
+
+    function scheduleNext() {
+        clearTimeout(self._sweepTimer);
+        self._sweepTimer = setTimeout(runSweep.bind(self), self.sweepInterval);
+    }
+
+    acquireLease(self, function (err, acquired) {
+        if (err) {
+            log.error(err, 'lifecycle: unable to take sweep lease ' +
+                '(will retry)');
+            self.errorCounter.increment();
+            scheduleNext();
+            return;
+        }
+
+        if (!acquired) {
+            log.debug('lifecycle: another muskie is sweeping');
+            scheduleNext();
+            return;
+        }
+
+        log.info('lifecycle: sweep started');
+        sweepAll(self, function (err2) {
+            if (err2) {
+                log.error(err2, 'lifecycle: sweep failed (will retry)');
+                self.errorCounter.increment();
+            } else {
+                log.info({
+                    elapsedMs: Date.now() - start
+                }, 'lifecycle: sweep done');
+            }
+            scheduleNext();
+        });
+    });
+}
+
+
+function sweepAll(sweeper, cb) {
+    var ctx = sweepContext(sweeper, null);
+
+    listDirectory(ctx, LIFECYCLE_DIR, false, function (r, next) {
+        if (r.value.type !== LIFECYCLE_TYPE) {
+            next();
+            return;
+        }
+
+        sweepDirectory(sweeper, r, function (err) {
+            if (err) {
+                // Carry on with the other directories.
+                sweeper.log.warn({
+                    err: err,
+                    registration: r.key
+                }, 'lifecycle: failed to sweep directory');
+                sweeper.errorCounter.increment();
+            }
+            next();
+        });
+    }, cb);
+}
+
+
+function unregisterDirectory(ctx, reg, cb) {
+    var opts = {
+        key: reg.key,
+        _etag: reg._etag,
+        requestId: ctx.getId(),
+        previousMetadata: {}
+    };
+
+    ctx.moray.delMetadata(opts, function (err) {
+        if (err) {
+            ctx.log.warn({
+                err: err,
+                registration: reg.key
+            }, 'lifecycle: failed to remove stale registration');
+        } else {
+            ctx.log.debug({
+                registration: reg.key
+            }, 'lifecycle: removed stale registration');
+        }
+        cb();
+    });
+}
+
+
+function sweepDirectory(sweeper, reg, cb) {
+    var key = decodeURIComponent(reg.key.split('/').pop());
+
+    sweeper.mahi.getAccountById(reg.value.owner, function (err, owner) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var ctx = sweepContext(sweeper, owner);
+        var opts = {
+            key: key,
+            requestId: ctx.getId()
+        };
+        sweeper.moray.getMetadata(opts, function (err2, md) {
+            if (err2) {
+                if (VError.findCauseByName(err2,
+                    'ObjectNotFoundError') === null) {
+                    cb(err2);
+                } else {
+                    unregisterDirectory(ctx, reg, cb);
+                }
+                return;
+            }
+
+            var policy = (md.type === 'directory' && md.headers &&
+                md.headers['lifecycle'] &&
+                utils.parseLifecyclePolicy(md.headers['lifecycle']));
+            if (!policy || md.owner !== reg.value.owner) {
+                unregisterDirectory(ctx, reg, cb);
+                return;
+            }
+
+            ctx.log.debug({
+                dir: key,
+                policy: policy
+            }, 'lifecycle: sweeping directory');
+
+            vasync.pipeline({
+                funcs: [
+                    function expire(_, pcb) {
+                        if (!policy.expireDays) {
+                            pcb();
+                            return;
+                        }
+                        expireObjects(sweeper, ctx, md, policy.expireDays,
+                            pcb);
+                    },
+                    function abort(_, pcb) {
+                        if (!policy.abortUploadsDays) {
+                            pcb();
+                            return;
+                        }
+                        abortUploads(sweeper, ctx, md,
+                            policy.abortUploadsDays, pcb);
+                    }
+                ]
+            }, function (err3) {
+                cb(err3);
+            });
+        });
+    });
+}
+
+
+function expireObjects(sweeper, ctx, dirMd, days, cb) {
+    var cutoff = Date.now() - (days * DAY_MS);
+
+    (function walk(parent, wcb) {
+        listDirectory(ctx, parent.key, true, function (r, next) {
+            var md = r.value;
+
+            if (md.type === 'directory') {
+                if (md.headers && md.headers['lifecycle']) {
+                    next();
+                } else {
+                    walk(md, next);
+                }
+            } else if (md.type === 'object' && md.mtime <= cutoff &&
+                !retention.isRetained(md)) {
+                expireObject(sweeper, ctx, parent, r, next);
+            } else {
+                next();
+            }
+        }, wcb);
+    })(dirMd, cb);
+}
+
+
+/*
+ * Deletes an expired object, as deletePointer() in obj.js does (including
+ * keeping a version of it, if its directory is versioned).  Objects that were
+ * written since we listed them are no longer expired, and are left alone.
+ */
+function expireObject(sweeper, ctx, parentMd, r, cb) {
+    var log = ctx.log;
+    var md = r.value;
+    var opts = {
+        key: md.key,
+        _etag: r._etag,
+        requestId: ctx.getId(),
+        previousMetadata: md
+    };
+    var owner = md.creator || md.owner;
+
+    function done(err) {
+        if (err && !isEtagConflict(err)) {
+            log.warn({
+                err: err,
+                key: md.key
+            }, 'lifecycle: failed to expire object');
+            sweeper.errorCounter.increment();
+        }
+        cb();
+    }
+
+    function del() {
+        if (ctx.version) {
+            opts.previousMetadata = {};
+            remove(false);
+        } else {
+            // See removePointer() in obj.js.
+            common.setupObjectRelease(ctx, md, r._etag, opts, remove);
+        }
+    }
+
+    function remove(releasePrevious) {
+        ctx.moray.delMetadata(opts, function (err) {
+            if (err) {
+                versions.discardVersion(ctx, function () {
+                    done(err);
+                });
+                return;
+            }
+
+            sweeper.expiredCounter.increment();
+            sweeper.objCounter.increment();
+            // See the deleted-data accounting in audit.js.
+            common.checkAccountSnaplinksMightExist(ctx, owner,
+                function (mightExist) {
+                if (!ctx.version && md.contentLength > 0) {
+                    var storage = md.contentLength * md.sharks.length;
+                    sweeper.dataCounter.add(storage, {
+                        accelerated_gc: !mightExist,
+                        owner: owner
+                    });
+                }
+            });
+            // A kept version still counts; see quota.js.
+            var change = ctx.version ? null :
+                quota.objectChange(md.key, md, -1);
+            ctx.version = null;
+
+            log.debug({key: md.key}, 'lifecycle: object expired');
+            common.releaseObjectReference(ctx, releasePrevious ? md : {},
+                function () {
+                quota.recordUsage(ctx, ctx.owner.account.uuid, [change],
+                    done);
+            });
+        });
+    }
+
+    ctx.version = null;
+    if (!versions.isVersioned(parentMd)) {
+        del();
+        return;
+    }
+
+    versions.saveVersion(ctx, md, function (err, version) {
+        if (err) {
+            done(err);
+        } else {
+            ctx.version = version;
+            del();
+        }
+    });
+}
+
+
+/*
+ * Multipart uploads live under /:account/uploads/:prefix/:id, and record the
+ * key of the object they target.
+ */
+function abortUploads(sweeper, ctx, dirMd, days, cb) {
+    var cutoff = Date.now() - (days * DAY_MS);
+    var uploadsKey = '/' + ctx.owner.account.uuid + '/uploads';
+
+    listDirectory(ctx, uploadsKey, true, function (prefix, next) {
+        if (prefix.value.type !== 'directory') {
+            next();
+            return;
+        }
+
+        listDirectory(ctx, prefix.key, true, function (r, next2) {
+            var upload = r.value.upload;
+            if (!upload ||
+                upload.state !== uploadsCommon.MPU_S_CREATED ||
+                upload.creationTimeMs > cutoff ||
+                upload.objectPathKey.indexOf(dirMd.key + '/') !== 0) {
+                next2();
+                return;
+            }
+
+            abortUpload(sweeper, ctx, upload, next2);
+        }, next);
+    }, cb);
+}
+
+
+// See abortHandler() in uploads/abort.js.
+function abortUpload(sweeper, ctx, upload, cb) {
+    var log = ctx.log;
+    var mpu;
+
+    function done(err) {
+        if (err && !isEtagConflict(err)) {
+            log.warn({
+                err: err,
+                uploadId: upload.id
+            }, 'lifecycle: failed to abort upload');
+            sweeper.errorCounter.increment();
+        }
+        cb();
+    }
+
+    try {
+        mpu = new uploadsCommon.MultipartUpload(upload.id, upload.uploadPath,
+            ctx);
+    } catch (e) {
+        done(e);
+        return;
+    }
+
+    mpu.uploadRecordExists(function (err, exists) {
+        if (err || !exists ||
+            mpu.get(uploadsCommon.mdKeys.STATE) !==
+            uploadsCommon.MPU_S_CREATED) {
+            // Gone, or committed or aborted since we listed it.
+            done(err);
+            return;
+        }
+
+        mpu.finalizeUploadRecord(uploadsCommon.MPU_FT_ABORT, null,
+            function (err2) {
+            if (err2) {
+                done(err2);
+                return;
+            }
+
+            mpu.abortUpload(function (err3) {
+                if (!err3) {
+                    sweeper.abortedCounter.increment();
+                    log.debug({
+                        uploadId: upload.id
+                    }, 'lifecycle: upload aborted');
+                }
+                done(err3);
+            });
+        });
+    });
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    createSweeper: function createSweeper(options) {
+        return (new LifecycleSweeper(options));
+    },
+
+    registerHandler: function registerHandler() {
+        var chain = [
+            registerDirectory
+        ];
+        return (chain);
+    }
+
+};
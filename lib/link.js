@@ -8,21 +8,317 @@
  * Copyright 2019 Joyent, Inc.
  */
 
+//
+// A SnapLink is a new object record that references the data of an existing
+// object: it has the same objectId and sharks, so no data is copied.  Links
+// are only available to accounts for which snapLinksEnabled() in common.js is
+// true, and once an account has a link, every record sharing an objectId is
+// counted, so that the data is only garbage collected once the last of them
+// is gone (see releaseObjectReference() in common.js).
+//
+// Creating a link:
+//
+// 1 Marks the account as one whose references are counted, if it isn't yet
+//   (see referenceMarkerKey() in common.js)
+// 2 Rewrites the source record, conditional on the version we loaded, so
+//   that a removal of it that didn't see the mark fails
+// 3 Adds a reference to the source object's data
+// 4 Writes the link record
+// 5 Checks that the source still exists.  If it was deleted while we were
+//   linking, it may have released what it believed was the last reference,
+//   so we remove the link again and fail.
+// 6 Releases the reference held by any object the link replaced, unless a
+//   version of it was kept (see versions.js)
+//
+
+var restify = require('restify');
+var VError = require('verror');
+
+var auth = require('./auth');
+var common = require('./common');
+var obj = require('./obj');
+var quota = require('./quota');
+var retention = require('./retention');
+var utils = require('./utils');
+var versions = require('./versions');
 require('./errors');
 
 
-function rejectAllSnapLinks(req, res, next) {
-    next(new SnaplinksDisabledError('Manta v2 does not support SnapLinks.'));
+
+///--- Helpers
+
+// Removes a link record that was written for a source that no longer exists.
+function removeLink(req, opts, cb) {
+    var log = req.log;
+    var delOpts = {
+        key: opts.key,
+        requestId: req.getId(),
+        // The reference is released below, not by the delete itself.
+        previousMetadata: {}
+    };
+
+    req.moray.delMetadata(delOpts, function (err) {
+        if (err) {
+            log.error({
+                err: err,
+                key: opts.key
+            }, 'link: failed to remove link to a deleted source');
+            cb();
+            return;
+        }
+        common.releaseObjectReference(req, req.link.metadata, cb);
+    });
+}
+
+
+/*
+ * Rewrites the link's source record as it is, conditional on the Moray etag
+ * we loaded it with.  See referenceMarkerKey() in common.js.
+ */
+function touchSource(req, cb) {
+    utils.rewriteObjectRecord(req, req.link.metadata, {
+        key: req.link.metadata.key,
+        _etag: req.link.etag,
+        mtime: req.link.metadata.mtime
+    }, cb);
+}
+
+
+
+///--- Routes
+
+function ensureSnapLinksEnabled(req, res, next) {
+    if (common.snapLinksEnabled(req, req.owner.account.uuid)) {
+        next();
+    } else {
+        next(new SnaplinksDisabledError(
+            'SnapLinks are not enabled for this account.'));
+    }
+}
+
+
+/*
+ * The object to link to is named by the Location header, and must belong to
+ * the same account.  The caller must be allowed to read it.
+ */
+function loadLinkSource(req, res, next) {
+    var log = req.log;
+    var src = req.headers['location'];
+
+    if (!src) {
+        next(new LinkRequiredError());
+        return;
+    }
+
+    common.normalizeSourcePath(req, src, function (err, key, p) {
+        if (err) {
+            next(new InvalidLinkError(req));
+            return;
+        }
+
+        log.debug({linkSource: p}, 'loadLinkSource: entered');
+
+        var opts = {
+            key: key,
+            requestId: req.getId()
+        };
+        common.loadMetadata(req, opts, function (err2, md, wrap) {
+            if (err2) {
+                next(err2);
+                return;
+            }
+
+            if (!md.type) {
+                next(new LinkNotFoundError(req));
+                return;
+            }
+
+            if (md.type !== 'object') {
+                next(new LinkNotObjectError(req));
+                return;
+            }
+
+            auth.authorizeResource(req, md, 'getobject', p, function (err3) {
+                if (err3) {
+                    next(err3);
+                    return;
+                }
+
+                req.link = {
+                    path: p,
+                    metadata: md,
+                    etag: (wrap || {})._etag
+                };
+
+                log.debug({linkSource: p}, 'loadLinkSource: done');
+                next();
+            });
+        });
+    });
+}
+
+
+function ensureNotDirectory(req, res, next) {
+    if (req.metadata.type === 'directory') {
+        next(new DirectoryOperationError(req));
+    } else {
+        next();
+    }
 }
 
 
+function saveLink(req, res, next) {
+    var log = req.log;
+    var src = req.link.metadata;
+    // A kept version takes over the replaced object; see versions.js.
+    var prev = req.version ? {} : req.metadata;
+
+    common.createMetadata(req, 'link', function (err, opts) {
+        if (err) {
+            fail(err);
+            return;
+        }
+
+        /*
+         * The link takes its headers from the source.  loadMetadata() adds
+         * the names of the source's roles as a "role-tag" header, which we
+         * don't want to persist.
+         */
+        opts.link = utils.shallowCopy(src);
+        opts.link.headers = {};
+        Object.keys(src.headers || {}).forEach(function (k) {
+            if (k !== 'role-tag')
+                opts.link.headers[k] = src.headers[k];
+        });
+
+        // The replaced object's reference is released below.
+        opts.previousMetadata = {};
+
+        log.debug({
+            link: opts
+        }, 'saveLink: entered');
+
+        var uuid = req.owner.account.uuid;
+        common.markReferencesCounted(req, uuid, function (err2) {
+            if (err2) {
+                fail(err2);
+                return;
+            }
+            touchSource(req, function (err3) {
+                if (err3) {
+                    fail(err3);
+                } else {
+                    addLink(opts);
+                }
+            });
+        });
+    });
+
+    function fail(err) {
+        versions.discardVersion(req, function () {
+            next(err);
+        });
+    }
+
+    function addLink(opts) {
+        common.addObjectReference(req, src, function (err, added) {
+            if (err) {
+                fail(err);
+                return;
+            }
+
+            if (!added) {
+                fail(new LinkNotFoundError(req));
+                return;
+            }
+
+            req.moray.putMetadata(opts, function (err2, _, data) {
+                if (err2) {
+                    log.debug(err2, 'saveLink: failed');
+                    common.releaseObjectReference(req, src, function () {
+                        fail(err2);
+                    });
+                    return;
+                }
+
+                if (data !== undefined && data._node) {
+                    // Record the name of the shard contacted.
+                    req.entryShard = data._node.pnode;
+                }
+
+                checkSource(opts);
+            });
+        });
+    }
+
+    function checkSource(opts) {
+        var getOpts = {
+            key: src.key,
+            requestId: req.getId()
+        };
+        req.moray.getMetadata(getOpts, function (err, md) {
+            if (err &&
+                VError.findCauseByName(err, 'ObjectNotFoundError') === null) {
+                // We can't tell, so keep the link and its reference.
+                log.warn(err, 'saveLink: unable to recheck link source');
+            } else if (err || md.objectId !== src.objectId) {
+                removeLink(req, opts, function () {
+                    common.releaseObjectReference(req, prev, function () {
+                        recordUsage(false, function () {
+                            next(new LinkNotFoundError(req));
+                        });
+                    });
+                });
+                return;
+            }
+
+            common.releaseObjectReference(req, prev, function () {
+                recordUsage(true, function () {
+                    log.debug({
+                        link: opts.key,
+                        source: src.key
+                    }, 'saveLink: done');
+
+                    // See saveMetadata() in obj.js.
+                    res.removeHeader('Etag');
+                    res.removeHeader('Last-Modified');
+                    res.header('Etag', src.etag);
+                    res.header('Last-Modified', new Date(opts.mtime));
+                    res.send(204);
+                    next();
+                });
+            });
+        });
+    }
+
+    // See quota.js.  The object the link replaced is gone either way, but a
+    // version kept of it still counts.
+    function recordUsage(linked, cb) {
+        quota.recordUsage(req, req.owner.account.uuid, [
+            linked ? quota.objectChange(req.key, src, 1) : null,
+            quota.objectChange(req.key, prev, -1)
+        ], cb);
+    }
+}
+
+
+
 ///--- Exports
 
 module.exports = {
 
     putLinkHandler: function () {
         var chain = [
-            rejectAllSnapLinks
+            restify.plugins.conditionalRequest(),
+            common.ensureNotRootHandler(),
+            ensureSnapLinksEnabled,
+            loadLinkSource,
+            ensureNotDirectory,
+            retention.ensureNotRetainedHandler(),
+            common.ensureParentHandler(),
+            obj.enforceDirectoryCountHandler(),
+            versions.keepVersionHandler(),
+            saveLink
         ];
         return (chain);
     }
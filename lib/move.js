@@ -0,0 +1,426 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// MoveObject renames an object, or an empty directory, by rewriting its
+// metadata record under a new key.  An object's data is stored on the sharks
+// under its objectId, which is independent of the key, so no data is copied.
+//
+// The source record is removed and the destination record written in a
+// single Moray batch, each conditional on the version of the record we
+// loaded, so either both happen or neither does, and the entry is never
+// visible at both paths or at neither.  A batch can only span one shard, and
+// entries are placed by their parent directory, so a move between directories
+// on different shards is rejected (see resolveDestinationShard()).
+//
+// The data of any object the destination replaces is released afterwards, as
+// for any overwrite (see releaseObjectReference() in common.js), unless its
+// directory is versioned, in which case a version of it is kept instead (see
+// versions.js).  No version is kept of the source: its data lives on at the
+// destination.
+//
+
+var path = require('path');
+
+var restify = require('restify');
+var VError = require('verror');
+
+var auth = require('./auth');
+var common = require('./common');
+var obj = require('./obj');
+var quota = require('./quota');
+var retention = require('./retention');
+var utils = require('./utils');
+var versions = require('./versions');
+require('./errors');
+
+
+
+///--- Helpers
+
+// The headers to store for a moved entry.  loadMetadata() adds the names of
+// the entry's roles as a "role-tag" header, which we don't want to persist.
+function sourceHeaders(md) {
+    var headers = {};
+    Object.keys(md.headers || {}).forEach(function (k) {
+        if (k !== 'role-tag')
+            headers[k] = md.headers[k];
+    });
+    return (headers);
+}
+
+
+function hasRoleTags(req) {
+    return (req.headers['role-tag'] !== undefined ||
+        (req.auth && typeof (req.auth['role-tag']) === 'string'));
+}
+
+
+// The record that moveEntry() writes for `opts`, from createMetadata().
+function destinationRecord(opts) {
+    var record = {};
+    Object.keys(opts).forEach(function (k) {
+        if (k !== '_etag' && k !== 'previousMetadata' && k !== 'requestId')
+            record[k] = opts[k];
+    });
+    record.name = opts.key.split('/').pop();
+    record.creator = opts.creator || opts.owner;
+    return (record);
+}
+
+
+
+///--- Routes
+
+/*
+ * The entry to move is named by the Location header, as for SnapLinks.  The
+ * caller must be allowed to delete the source, as well as to write the
+ * destination (checked by the authorization handler before we get here).
+ */
+function loadMoveSource(req, res, next) {
+    var log = req.log;
+    var src = req.headers['location'];
+
+    if (!src) {
+        next(new LinkRequiredError());
+        return;
+    }
+
+    common.normalizeSourcePath(req, src, function (err, key, p) {
+        if (err) {
+            next(new InvalidMoveError(src, err.message));
+            return;
+        }
+
+        if (key === req.key) {
+            next(new InvalidMoveError(p,
+                'source and destination are the same'));
+            return;
+        }
+
+        if (req.isRootDirectory(key)) {
+            next(new InvalidMoveError(p, 'root directories cannot be moved'));
+            return;
+        }
+
+        if (req.key.indexOf(key + '/') === 0) {
+            next(new InvalidMoveError(p,
+                'a directory cannot be moved into itself'));
+            return;
+        }
+
+        log.debug({moveSource: p}, 'loadMoveSource: entered');
+
+        var opts = {
+            key: key,
+            requestId: req.getId()
+        };
+        common.loadMetadata(req, opts, function (err2, md, wrap) {
+            if (err2) {
+                next(err2);
+                return;
+            }
+
+            if (!md.type) {
+                next(new ResourceNotFoundError(p));
+                return;
+            }
+
+            var action = 'delete' + md.type;
+            auth.authorizeResource(req, md, action, p, function (err3) {
+                if (err3) {
+                    next(err3);
+                    return;
+                }
+
+                // Moving an object deletes it from its old path.
+                var retErr = retention.checkRetained(md, p);
+                if (retErr) {
+                    next(retErr);
+                    return;
+                }
+
+                req._moveSource = {
+                    path: p,
+                    metadata: md,
+                    etag: (wrap || {})._etag,
+                    shard: (wrap && wrap._node) ? wrap._node.pnode : undefined
+                };
+
+                log.debug({
+                    moveSource: p,
+                    type: md.type
+                }, 'loadMoveSource: done');
+                next();
+            });
+        });
+    });
+}
+
+
+/*
+ * Objects may replace an existing object, but not a directory.  Directories
+ * may only be moved to a path that does not exist yet, and the caller must be
+ * allowed to create a directory there.
+ */
+function ensureDestination(req, res, next) {
+    var type = req._moveSource.metadata.type;
+
+    if (type === 'object') {
+        if (req.metadata.type === 'directory') {
+            next(new DirectoryOperationError(req));
+        } else {
+            next(retention.checkRetained(req.metadata, req.path()) ||
+                undefined);
+        }
+        return;
+    }
+
+    if (req.metadata.type) {
+        next(new EntityExistsError(req));
+        return;
+    }
+
+    var context = utils.shallowCopy(req.authContext);
+    context.action = 'putdirectory';
+    auth.authorizeContext(req, context, req.path(), next);
+}
+
+
+function ensureSourceEmpty(req, res, next) {
+    var md = req._moveSource.metadata;
+    if (md.type !== 'directory') {
+        next();
+        return;
+    }
+
+    var children = false;
+
+    // See ensureDirectoryEmpty() in dir.js.
+    req.query.limit = 1;
+    req.query.sort = 'none';
+    req.query.skip_owner_check = 'false';
+    var mreq = common.readdir(md.key, req, { checkParams: false });
+
+    mreq.once('error', next);
+
+    mreq.once('entry', function (entry) {
+        children = true;
+    });
+
+    mreq.once('end', function () {
+        if (children) {
+            next(new DirectoryNotEmptyError(req,
+                req._moveSource.path));
+        } else {
+            next();
+        }
+    });
+}
+
+
+/*
+ * Finds the shard the destination record goes to.  That's the shard of the
+ * entry it replaces, if any, or else the shard of the destination directory's
+ * entries, which is also where the directory's entry count is kept (see
+ * enforceDirectoryCount() in obj.js).  An empty directory has no count, and so
+ * no shard we can learn in advance: the batch then fails if it's the wrong
+ * one, and moveEntry() reports that as for a shard we know.
+ */
+function resolveDestinationShard(req, res, next) {
+    var src = req._moveSource;
+
+    if (req.entryShard) {
+        src.destinationShard = req.entryShard;
+        next();
+        return;
+    }
+
+    if (path.dirname(src.metadata.key) === req.parentKey) {
+        src.destinationShard = src.shard;
+        next();
+        return;
+    }
+
+    var opts = {
+        directory: req.parentKey,
+        requestId: req.getId()
+    };
+    req.moray.getDirectoryCount(opts, function (err, _, wrap) {
+        if (err &&
+            VError.findCauseByName(err, 'ObjectNotFoundError') === null) {
+            next(translateError(err, req));
+            return;
+        }
+
+        if (wrap && wrap._node) {
+            src.destinationShard = wrap._node.pnode;
+        } else {
+            src.destinationUnknown = true;
+        }
+
+        req.log.debug({
+            source: src.shard,
+            destination: src.destinationShard
+        }, 'resolveDestinationShard: done');
+        next();
+    });
+}
+
+
+function shardsError(src) {
+    return (new InvalidMoveError(src.path, 'the source and destination ' +
+        'are on different metadata shards'));
+}
+
+
+function moveEntry(req, res, next) {
+    var log = req.log;
+    var src = req._moveSource;
+    var md = src.metadata;
+
+    if (src.shard && src.destinationShard &&
+        src.shard !== src.destinationShard) {
+        next(shardsError(src));
+        return;
+    }
+
+    /*
+     * createMetadata() gives us the new record's key, owner and conditional
+     * request handling; everything describing the entry itself comes from the
+     * source record.  Role tags are kept unless the request sets new ones.
+     */
+    common.createMetadata(req, md.type, function (err, opts) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        opts.headers = sourceHeaders(md);
+        if (!hasRoleTags(req))
+            opts.roles = md.roles || [];
+
+        if (md.type === 'object') {
+            opts.contentDisposition = md.contentDisposition;
+            opts.contentLength = md.contentLength;
+            opts.contentMD5 = md.contentMD5;
+            opts.contentType = md.contentType;
+            opts.creator = md.creator;
+            opts.etag = md.etag;
+            opts.objectId = md.objectId;
+            opts.sharks = md.sharks;
+        }
+
+        var uuid = req.owner.account.uuid;
+
+        /*
+         * See quota.js.  An object can move to another top-level directory,
+         * but the usage of the entries under a directory stays where it was.
+         * A version kept of the replaced object still counts.
+         */
+        function recordUsage(cb) {
+            quota.recordUsage(req, uuid, [
+                quota.objectChange(md.key, md, -1),
+                quota.objectChange(opts.key, md, 1),
+                req.version ? null :
+                    quota.objectChange(opts.key, req.metadata, -1)
+            ], cb);
+        }
+
+        /*
+         * The source's data now belongs to the destination record, so neither
+         * operation queues anything for garbage collection.  commitMPU() is
+         * the Moray client's batch operation; it isn't specific to uploads.
+         */
+        var batch = [ {
+            bucket: 'manta',
+            key: md.key,
+            operation: 'delete',
+            options: {
+                req_id: req.getId(),
+                etag: src.etag
+            }
+        }, {
+            bucket: 'manta',
+            key: opts.key,
+            value: destinationRecord(opts),
+            operation: 'put',
+            options: {
+                req_id: req.getId(),
+                etag: req.metadata._etag || null
+            }
+        } ];
+
+        log.debug({
+            batch: batch
+        }, 'moveEntry: entered');
+
+        req.moray.commitMPU({
+            requestId: req.getId(),
+            requests: batch
+        }, function (err2) {
+            if (err2) {
+                log.debug(err2, 'moveEntry: batch failed');
+                if (src.destinationUnknown && VError.findCauseByName(err2,
+                    'EtagConflictError') === null) {
+                    err2 = shardsError(src);
+                }
+                versions.discardVersion(req, function () {
+                    next(err2);
+                });
+                return;
+            }
+
+            // A kept version takes over the replaced object's data.
+            var prev = req.version ? {} : req.metadata;
+            common.releaseObjectReference(req, prev, function () {
+                recordUsage(function () {
+                    log.debug({
+                        from: md.key,
+                        to: opts.key
+                    }, 'moveEntry: done');
+
+                    // See saveMetadata() in obj.js.
+                    res.removeHeader('Etag');
+                    res.removeHeader('Last-Modified');
+                    if (opts.etag)
+                        res.header('Etag', opts.etag);
+                    res.header('Last-Modified', new Date(opts.mtime));
+                    res.send(204);
+                    next();
+                });
+            });
+        });
+    });
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    moveObjectHandler: function moveObjectHandler() {
+        var chain = [
+            restify.plugins.conditionalRequest(),
+            common.ensureNotRootHandler(),
+            loadMoveSource,
+            ensureDestination,
+            common.ensureParentHandler(),
+            ensureSourceEmpty,
+            obj.enforceDirectoryCountHandler(),
+            resolveDestinationShard,
+            versions.keepVersionHandler(),
+            moveEntry
+        ];
+        return (chain);
+    }
+
+};
@@ -33,6 +33,11 @@
 // 8 Validate the MD5 we got was what the client requested
 // 9 Store the new metadata record back into moray
 //
+// A server-side copy (a PUT with a `Copy-Source` header) goes through the same
+// steps, except that in step 7 the data comes from one of the sharks holding
+// the source object rather than from the client.  The parts of a multipart
+// upload can be copied this way too, from all or a range of the source.
+//
 // Now the most interesting steps are 5/6 and 9.
 //
 // Step 5 we use picker.choose (see picker.js) and get three distinct
@@ -66,10 +71,17 @@ var uuidv4 = require('uuid/v4');
 var vasync = require('vasync');
 var VError = require('verror');
 
+var auth = require('./auth');
 var common = require('./common');
 var CheckStream = require('./check_stream');
+var checksums = require('./checksums');
+var encryption = require('./encryption');
+var quota = require('./quota');
+var retention = require('./retention');
 var sharkClient = require('./shark_client');
+var tags = require('./tags');
 var utils = require('./utils');
+var versions = require('./versions');
 require('./errors');
 
 
@@ -101,6 +113,12 @@ var DEF_NUM_COPIES = 2;
 // The MD5 sum string for a zero-byte object.
 var ZERO_BYTE_MD5 = '1B2M2Y8AsgTpgAmY7PhCfg==';
 
+/*
+ * The most byte ranges we'll serve in a single multipart/byteranges response.
+ * Each range is a separate request to the shark.
+ */
+var MAX_BYTE_RANGES = 50;
+
 ///--- Helpers
 
 // Simple wrapper around sharkClient.getClient + put
@@ -187,11 +205,165 @@ function getSharkInfo(req, hostname) {
 }
 
 
+// Stops streaming from the source shark of a server-side copy, if we had
+// started to.
+function abandonCopySource(req) {
+    var src = req._copySource;
+    if (src && src.stream) {
+        src.stream.unpipe();
+        src.request.abort();
+    }
+}
+
 
 ///-- Routes
 
 //--- PUT Handlers ---//
 
+/*
+ * A PUT that carries a `Copy-Source` header is a server-side copy: instead of
+ * reading the object's data from the client, we stream it from one of the
+ * sharks holding the source object to the newly chosen sharks.  Here we
+ * resolve the source path, load its metadata and make sure the caller is
+ * allowed to read it.
+ *
+ * The source's content-type, content-disposition and stored headers are
+ * carried over to the copy unless the request sets them itself.  Role tags are
+ * not: like any other PUT, the copy gets the role tags from the request (or
+ * the caller's active roles).
+ *
+ * A part of a multipart upload can be copied from a single range of the
+ * source, given as "bytes=<first>-<last>" in the `Copy-Source-Range` header.
+ */
+function loadCopySource(req, res, next) {
+    var src = req.headers['copy-source'];
+    var range = req.headers['copy-source-range'];
+    if (src === undefined) {
+        next();
+        return;
+    }
+
+    if (range !== undefined && !req.upload) {
+        next(new InvalidCopySourceError(src,
+            'only a part of a multipart upload can be copied from a range'));
+        return;
+    }
+
+    if (req.query.metadata) {
+        next(new InvalidCopySourceError(src,
+            'not allowed on a metadata update'));
+        return;
+    }
+
+    if (req.isChunked() || (req.getContentLength() || 0) !== 0) {
+        next(new InvalidCopySourceError(src,
+            'a copy request must not have a body'));
+        return;
+    }
+
+    var log = req.log;
+
+    common.normalizeSourcePath(req, src, function (err, key, p) {
+        if (err) {
+            next(new InvalidCopySourceError(src, err.message));
+            return;
+        }
+
+        log.debug({copySource: p}, 'loadCopySource: entered');
+
+        var opts = {
+            key: key,
+            requestId: req.getId()
+        };
+        common.loadMetadata(req, opts, function (err2, md) {
+            if (err2) {
+                next(err2);
+                return;
+            }
+
+            if (!md.type) {
+                next(new CopySourceNotFoundError(p));
+                return;
+            }
+
+            if (md.type !== 'object') {
+                next(new InvalidCopySourceError(src, 'not an object'));
+                return;
+            }
+
+            auth.authorizeResource(req, md, 'getobject', p, function (err3) {
+                if (err3) {
+                    next(err3);
+                    return;
+                }
+
+                /*
+                 * The source's encryption and size are only checked once we
+                 * know the caller may read it, so as not to reveal them.
+                 */
+                if (encryption.hasCustomerKey(md)) {
+                    next(new InvalidCopySourceError(src,
+                        'encrypted with a customer-provided key'));
+                    return;
+                }
+
+                var byteRange = null;
+                if (range !== undefined) {
+                    var ranges = range.indexOf(',') === -1 ?
+                        parseByteRanges(range, md.contentLength) : null;
+                    if (!ranges || ranges.length !== 1) {
+                        next(new InvalidCopySourceError(src,
+                            'invalid range ' + range));
+                        return;
+                    }
+                    byteRange = ranges[0];
+                }
+
+                if (!req.headers['content-type'])
+                    req.headers['content-type'] = md.contentType;
+                if (!req.headers['content-disposition'] &&
+                    md.contentDisposition) {
+                    req.headers['content-disposition'] =
+                        md.contentDisposition;
+                }
+                Object.keys(md.headers || {}).forEach(function (k) {
+                    var h = k.toLowerCase();
+                    // The copy is encrypted (or not) as a new object.
+                    if (h === 'role-tag' || h === encryption.HEADER)
+                        return;
+                    if (req.headers[h] === undefined)
+                        req.headers[h] = md.headers[k];
+                });
+
+                /*
+                 * The copied data is checked against the source's MD5, which
+                 * we only know for the whole of the object's plaintext.
+                 */
+                var md5 = null;
+                if (!byteRange && encryption.hasPlaintextMD5(md))
+                    md5 = md.contentMD5;
+
+                req._copySource = {
+                    path: p,
+                    metadata: md,
+                    range: byteRange,
+                    md5: md5,
+                    request: null,
+                    stream: null
+                };
+
+                log.debug({
+                    copySource: p,
+                    objectId: md.objectId,
+                    range: byteRange
+                }, 'loadCopySource: done');
+                next();
+            });
+        });
+    });
+}
+
+
 // For `chattr()` support, this function is called by directories as well, so we
 // have to special case that and not do all the object stuff.
 function parseArguments(req, res, next) {
@@ -229,7 +401,16 @@ function parseArguments(req, res, next) {
         var maxObjectCopies = req.config.maxObjectCopies || DEF_MAX_COPIES;
 
         // First determine object size
-        if (req.isChunked()) {
+        if (req._copySource) {
+            var r = req._copySource.range;
+            len = r ? r.end - r.start + 1 :
+                req._copySource.metadata.contentLength;
+            if (len === 0) {
+                req._contentMD5 = ZERO_BYTE_MD5;
+                req.sharks = [];
+                req._zero = true;
+            }
+        } else if (req.isChunked()) {
             var maxSize = req.msk_defaults.maxStreamingSize;
             assert.number(maxSize, 'maxSize');
             len = parseInt(req.header('max-content-length', maxSize), 10);
@@ -373,6 +554,90 @@ function enforceDirectoryCount(req, res, next) {
 }
 
 
+/*
+ * Ensures that the object fits in its owner's quota (see quota.js).  The
+ * object it replaces no longer counts, unless a version of it is to be kept.
+ */
+function enforceQuota(req, res, next) {
+    if (req.query.metadata || req.upload) {
+        next();
+        return;
+    }
+
+    // A streaming upload only says how big it might be if the client asks.
+    var bytes = req._size;
+    if (req.isChunked() && !req.header('max-content-length'))
+        bytes = null;
+    var objects = 1;
+
+    if (req.metadata.type === 'object' &&
+        !versions.isVersioned(req.parentMetadata)) {
+        if (bytes !== null)
+            bytes -= req.metadata.contentLength;
+        objects--;
+    }
+
+    quota.checkUsage(req, req.owner.account, req.key, bytes, objects, next);
+}
+
+
+/*
+ * If the client provided a key, or the owner's objects are encrypted at rest,
+ * sets up the cipher the data is streamed to the sharks through.  See
+ * encryption.js.
+ */
+function setupEncryption(req, res, next) {
+    if (req.query.metadata) {
+        if (req.customerKey) {
+            next(new InvalidEncryptionKeyError(
+                'not allowed on a metadata update'));
+        } else {
+            next();
+        }
+        return;
+    }
+
+    // A zero-byte object has no data to encrypt, but still records the key
+    // it must be read with.
+    var uploadKey = req.upload ? req.upload.encryptionKey() : null;
+    if (req._zero && !req.customerKey && !uploadKey) {
+        next();
+        return;
+    }
+
+    // The parts of an upload are all encrypted with its key.
+    var dataKey;
+    if (uploadKey && !req.customerKey) {
+        dataKey = encryption.unwrapUploadKey(req.config, uploadKey);
+        if (!dataKey) {
+            next(new InternalError(new VError(
+                'unable to unwrap the data key of upload %s',
+                req.upload.id)));
+            return;
+        }
+    }
+
+    req._encryption = encryption.createEncryption({
+        config: req.config,
+        owner: req.owner.account.uuid,
+        objectId: req.objectId,
+        customerKey: req.customerKey,
+        uploadId: req.upload ? req.upload.id : undefined,
+        partNum: req.upload ? Number(req.params.partNum) : undefined,
+        uploadKey: uploadKey || undefined,
+        dataKey: dataKey
+    });
+    if (req._encryption) {
+        req.log.debug({
+            objectId: req.objectId,
+            customerKey: Boolean(req.customerKey),
+            keyId: req._encryption.header.keyId
+        }, 'setupEncryption: encrypting object');
+    }
+    next();
+}
+
+
 /*
  * This handler attempts to connect to one of the pre-selected, cross-DC sharks.
  * If a connection to any shark in the set fails, we try a different set of
@@ -404,6 +669,22 @@ function startSharkStreams(req, res, next) {
         sharkAgent: req.sharkAgent
     };
 
+    if (req._copySource) {
+        /*
+         * The content-type may have been carried over from the source after
+         * restify parsed (and cached) the request's own content-type.  We also
+         * have mako verify the data against the source object's MD5, if we
+         * know it.
+         */
+        opts.contentType = req.headers['content-type'];
+        opts.contentMd5 = req._copySource.md5 || undefined;
+    }
+
+    if (req._encryption) {
+        // The sharks only see the ciphertext; sharkStreams() checks the MD5.
+        opts.contentMd5 = undefined;
+    }
+
     req.sharksContacted = [];
 
     (function attempt(inputs) {
@@ -452,18 +733,150 @@ function startSharkStreams(req, res, next) {
 }
 
 
+/*
+ * For a server-side copy, this handler connects to one of the sharks holding
+ * the source object.  Like GetObject, we try each of the source's sharks in
+ * turn until one of them responds, asking for just the range being copied if
+ * there is one.
+ */
+function startCopySourceStream(req, res, next) {
+    if (!req._copySource || req._zero) {
+        next();
+        return;
+    }
+
+    var log = req.log;
+    var md = req._copySource.metadata;
+    var opts = {
+        owner: req.owner.account.uuid,
+        creator: md.creator,
+        objectId: md.objectId,
+        requestId: req.getId()
+    };
+    var offset = 0;
+    var savedErr = false;
+    var sharks = utils.shuffle(md.sharks);
+
+    if (req._copySource.range) {
+        opts.range = byteRangeHeader(req._copySource.range);
+        offset = req._copySource.range.start;
+    }
+
+    log.debug({
+        objectId: md.objectId,
+        sharks: md.sharks,
+        range: opts.range
+    }, 'startCopySourceStream: entered');
+
+    // An encrypted source is decrypted here, and encrypted again (or not) as
+    // the new object.
+    var dataKey;
+    if (encryption.hasCustomerKey(md)) {
+        // Checked by checkEncryptionKey().
+        dataKey = req.customerKey;
+    } else if (encryption.isEncrypted(md)) {
+        dataKey = encryption.unwrapKey(req.config, md);
+        if (!dataKey) {
+            next(new InternalError(new VError('unable to unwrap the data ' +
+                'key of object %s', md.objectId)));
+            return;
+        }
+    }
+
+    (function attempt(ndx) {
+        if (ndx >= sharks.length) {
+            log.debug(savedErr, 'startCopySourceStream: failed');
+            req.abandonSharks();
+            next(new SharksExhaustedError(res));
+            return;
+        }
+
+        var client = sharkClient.getClient({
+            connectTimeout: req.sharkConfig.connectTimeout,
+            log: req.log,
+            retry: req.sharkConfig.retry,
+            shark: sharks[ndx],
+            agent: req.sharkAgent
+        });
+
+        client.get(opts, function (err, cReq, cRes) {
+            if (err) {
+                log.warn({
+                    err: err,
+                    shark: client.toString()
+                }, 'mako: copy source connection failed');
+                savedErr = err;
+                attempt(ndx + 1);
+                return;
+            }
+
+            req._copySource.request = cReq;
+            req._copySource.stream = cRes;
+            if (dataKey) {
+                var decipher = encryption.createDecipher(md, dataKey,
+                    offset);
+                cRes.once('error', function (err2) {
+                    decipher.emit('error', err2);
+                });
+                req._copySource.stream = cRes.pipe(decipher);
+            }
+            req._copySource.shark = sharks[ndx].manta_storage_id;
+
+            log.debug({
+                shark: req._copySource.shark
+            }, 'startCopySourceStream: done');
+            next();
+        });
+    })(0);
+}
+
+
+/*
+ * For an S3 request whose payload hash the client signed, returns the error to
+ * fail it with if the data didn't match the hash, once it has all been read.
+ * The data goes through the hash in sharkStreams(); see s3.js.
+ */
+function payloadCheckError(req) {
+    var check = req._payloadCheck;
+    if (!check)
+        return (null);
+
+    if (check.actual === undefined)
+        check.actual = check.hash.digest('hex');
+    if (check.actual === check.expected)
+        return (null);
+
+    req.log.debug({
+        expected: check.expected,
+        computed: check.actual
+    }, 'payloadCheckError: mismatch');
+    return (new ContentSHA256MismatchError(check.expected, check.actual));
+}
+
+
 /*
  * Here we stream the data from the object to each connected shark, using a
  * check stream to compute the md5 sum of the data as it passes through muskie
- * to mako.
+ * to mako.  An object that is encrypted at rest goes to the sharks through the
+ * cipher, and we compute the md5 sum of the ciphertext as well, to check
+ * against mako's.
  *
  * This handler is blocking.
  */
 function sharkStreams(req, res, next) {
-    if (req._zero || req.query.metadata) {
+    if (req.query.metadata) {
         next();
         return;
     }
+    if (req._zero) {
+        var err = payloadCheckError(req);
+        if (err) {
+            next(err);
+        } else {
+            next();
+        }
+        return;
+    }
 
     /*
      * While in the process of streaming the object out to multiple sharks, if a
@@ -480,11 +893,16 @@ function sharkStreams(req, res, next) {
         /* Record the number of bytes that we transferred. */
         req._size = check.bytes;
 
-        req.removeListener('end', onEnd);
-        req.removeListener('error', next_err);
+        source.removeListener('end', onEnd);
+        source.removeListener('error', next_err);
 
         req.abandonSharks();
-        req.unpipe(check);
+        source.unpipe(check);
+        if (cipher) {
+            source.unpipe(cipher);
+            cipher.unpipe();
+        }
+        abandonCopySource(req);
         check.abandon();
 
         next(err);
@@ -495,32 +913,69 @@ function sharkStreams(req, res, next) {
         algorithm: 'md5',
         maxBytes: req._size,
         timeout: DATA_TIMEOUT,
+        hashes: checksums.dataHashes(req).concat(req._payloadCheck ?
+            [req._payloadCheck.hash] : []),
         counter: req.collector.getCollector(common.METRIC_INBOUND_DATA_COUNTER)
     });
     var log = req.log;
 
+    /*
+     * The object data normally comes from the client, but for a server-side
+     * copy it comes from the shark we connected to in startCopySourceStream.
+     */
+    var source = req._copySource ? req._copySource.stream : req;
+
+    /*
+     * What the sharks are sent: the object data itself, or the ciphertext if
+     * the object is encrypted at rest.
+     */
+    var cipher = req._encryption ? req._encryption.cipher : null;
+    var cipherHash = cipher ? crypto.createHash('md5') : null;
+    var cipherMD5;
+    var data = cipher || source;
+
     barrier.once('drain', function onCompleteStreams() {
         req._timeToLastByte = Date.now();
 
         req.connection.removeListener('error', abandonUpload);
-        req.removeListener('error', next_err);
+        source.removeListener('error', next_err);
 
+        var sentMD5 = cipher ? cipherMD5 : check.digest('base64');
         if (req.sharks.some(function (s) {
-            return (s.md5 !== check.digest('base64'));
+            return (s.md5 !== sentMD5);
         })) {
             var _md5s = req.sharks.map(function (s) {
                 return (s.md5);
             });
             log.error({
                 clientMd5: req.headers['content-md5'],
-                muskieMd5: check.digest('base64'),
+                muskieMd5: sentMD5,
                 makoMd5: _md5s
             }, 'mako didnt recieve what muskie sent');
             var m = new VError('muskie md5 %s and mako md5 ' +
-                            '%s don\'t match', check.digest('base64'),
+                            '%s don\'t match', sentMD5,
                             _md5s.join());
             next_err(new InternalError(m));
+        } else if (cipher && req.headers['content-md5'] &&
+            req.headers['content-md5'] !== check.digest('base64')) {
+            // Mako had only the ciphertext to check, so we check this here.
+            next_err(new ChecksumError(check.digest('base64'),
+                req.headers['content-md5']));
+        } else if (req._copySource && req._copySource.md5 &&
+            check.digest('base64') !== req._copySource.md5) {
+            log.error({
+                sourceMd5: req._copySource.md5,
+                muskieMd5: check.digest('base64'),
+                sourceShark: req._copySource.shark
+            }, 'copy source returned different data than expected');
+            next_err(new InternalError(new VError('copy source md5 %s and ' +
+                'muskie md5 %s don\'t match', req._copySource.md5,
+                check.digest('base64'))));
+        } else if (payloadCheckError(req)) {
+            next_err(payloadCheckError(req));
         } else {
+            if (cipher)
+                req._encryption.header.ciphertextMD5 = cipherMD5;
             log.debug('sharkStreams: done');
             next();
         }
@@ -534,13 +989,24 @@ function sharkStreams(req, res, next) {
 
     req.connection.once('error', abandonUpload);
 
-    req.once('error', next_err);
+    source.once('error', next_err);
 
     barrier.start('client');
-    req.pipe(check);
+    source.pipe(check);
+    if (cipher) {
+        barrier.start('cipher');
+        cipher.on('data', function (chunk) {
+            cipherHash.update(chunk);
+        });
+        cipher.once('end', function () {
+            cipherMD5 = cipherHash.digest('base64');
+            barrier.done('cipher');
+        });
+        source.pipe(cipher);
+    }
     req.sharks.forEach(function (s) {
         barrier.start(s._shark.manta_storage_id);
-        req.pipe(s);
+        data.pipe(s);
         s.once('response', function onSharkResult(sres) {
             log.debug({
                 mako: s._shark.manta_storage_id,
@@ -552,7 +1018,7 @@ function sharkStreams(req, res, next) {
             sharkInfo.result = 'fail'; // most cases below here are failures
 
             s.md5 = sres.headers['x-joyent-computed-content-md5'] ||
-                req._contentMD5;
+                (cipher ? cipherMD5 : req._contentMD5);
             if (sres.statusCode === 469) {
                 next_err(new ChecksumError(s.md5, req.headers['content-md5']));
             } else if (sres.statusCode === 400 && req.headers['content-md5']) {
@@ -614,7 +1080,7 @@ function sharkStreams(req, res, next) {
         barrier.done('client');
     }
 
-    req.once('end', onEnd);
+    source.once('end', onEnd);
 
     barrier.start('check_stream');
     check.once('done', function () {
@@ -643,12 +1109,40 @@ function saveMetadata(req, res, next) {
     var log = req.log;
     common.createMetadata(req, 'object', function (err, opts) {
         if (err) {
-            next(err);
+            versions.discardVersion(req, function () {
+                next(err);
+            });
             return;
         }
         opts.etag = opts.objectId;
         opts.previousMetadata = req.metadata;
 
+        // See encryption.js.  A metadata update keeps the object's data.
+        if (req._encryption) {
+            opts.headers[encryption.HEADER] = req._encryption.header;
+        } else if (req.query.metadata &&
+            encryption.isEncrypted(req.metadata)) {
+            opts.headers[encryption.HEADER] =
+                req.metadata.headers[encryption.HEADER];
+        }
+
+        /*
+         * So do its tag set, retention and checksums; see tags.js,
+         * retention.js and checksums.js.
+         */
+        if (req.query.metadata) {
+            var kept = [tags.HEADER, retention.HEADER, checksums.HEADER];
+            kept.forEach(function (h) {
+                if (req.metadata.headers[h])
+                    opts.headers[h] = req.metadata.headers[h];
+            });
+        } else {
+            if (req._retention)
+                opts.headers[retention.HEADER] = req._retention;
+            if (req._checksums && req._checksums.values)
+                opts.headers[checksums.HEADER] = req._checksums.values;
+        }
+
         if (req.isPublicPut() && !opts.headers['access-control-allow-origin'])
             opts.headers['access-control-allow-origin'] = '*';
 
@@ -658,25 +1152,23 @@ function saveMetadata(req, res, next) {
         /*
          * Let the delete mechanism know whether there might be SnapLinks that
          * still exists for this account, so it can treat the object
-         * differently.
+         * differently.  A metadata update keeps the object's data, and so its
+         * reference.
          */
-        var uuid = req.owner.account.uuid;
-        common.checkAccountSnaplinksMightExist(req, uuid,
-                                               function (mightExist) {
-            // Pass in a header if they are guaranteed not to exist
-            if (!mightExist) {
-                log.debug({
-                    link: req.link,
-                    owner: req.owner.account
-                }, 'saveMetadata: snaplinks do not exist for account');
-
-                // Note: `Disabled` is historical here. This can all go away
-                // once cleanup has been run everywhere and we don't need to
-                // worry about SnapLinks any more.
-                opts.snapLinksDisabled = true;
-            }
-        });
-       req.moray.putMetadata(opts, function (err2, obj, data) {
+        if (req.version) {
+            // The data stays with the version; see versions.js.
+            opts.previousMetadata = {};
+            save(opts, false);
+        } else {
+            common.setupObjectRelease(req, req.metadata, req.metadata._etag,
+                opts, function (release) {
+                save(opts, release && opts.objectId !== req.metadata.objectId);
+            });
+        }
+    });
+
+    function save(opts, releasePrevious) {
+        req.moray.putMetadata(opts, function (err, obj, data) {
             req.sharks = null;
 
             if (data !== undefined && data._node) {
@@ -684,41 +1176,63 @@ function saveMetadata(req, res, next) {
                 req.entryShard = data._node.pnode;
             }
 
-            if (err2) {
-                log.debug(err2, 'saveMetadata: failed');
-                next(err2);
+            if (err) {
+                log.debug(err, 'saveMetadata: failed');
+                versions.discardVersion(req, function () {
+                    next(err);
+                });
             } else {
-                log.debug('saveMetadata: done');
-                if (req.headers['origin']) {
-                    res.header('Access-Control-Allow-Origin',
-                               req.headers['origin']);
-                }
-                /*
-                 * The following headers will have already been set to the
-                 * previous metadata values if they existed (for example, if
-                 * the object already existed and is being overwritten) -
-                 * specifically Etag and Last-Modified are set earlier by the
-                 * getMetadata handler in common.js.
-                 *
-                 * Because of this, they should be removed before being set to
-                 * the new values to ensure multiple headers are not sent for
-                 * the following keys.
-                 *
-                 * restify/node-restify#693 makes restify's
-                 * response.header(name, value) append new header values as
-                 * opposed to overwriting them.
-                 */
-                res.removeHeader('Etag');
-                res.removeHeader('Last-Modified');
-                res.removeHeader('Computed-MD5');
-                res.header('Etag', opts.etag);
-                res.header('Last-Modified', new Date(opts.mtime));
-                res.header('Computed-MD5', req._contentMD5);
-                res.send(204);
-                next();
+                var prev = releasePrevious ? req.metadata : {};
+                common.releaseObjectReference(req, prev, function () {
+                    recordUsage(opts, function () {
+                        saveMetadataDone(opts);
+                    });
+                });
             }
         });
-    });
+    }
+
+    // See quota.js.  Parts only count once their upload is committed.
+    function recordUsage(opts, cb) {
+        if (req.query.metadata || req.upload) {
+            setImmediate(cb);
+            return;
+        }
+        quota.recordUsage(req, req.owner.account.uuid, [
+            quota.objectChange(req.key, opts, 1),
+            req.version ? null : quota.objectChange(req.key, req.metadata, -1)
+        ], cb);
+    }
+
+    function saveMetadataDone(opts) {
+        log.debug('saveMetadata: done');
+        if (req.headers['origin']) {
+            res.header('Access-Control-Allow-Origin',
+                       req.headers['origin']);
+        }
+        /*
+         * The following headers will have already been set to the previous
+         * metadata values if they existed (for example, if the object already
+         * existed and is being overwritten) - specifically Etag and
+         * Last-Modified are set earlier by the getMetadata handler in
+         * common.js.
+         *
+         * Because of this, they should be removed before being set to the new
+         * values to ensure multiple headers are not sent for the following
+         * keys.
+         *
+         * restify/node-restify#693 makes restify's response.header(name,
+         * value) append new header values as opposed to overwriting them.
+         */
+        res.removeHeader('Etag');
+        res.removeHeader('Last-Modified');
+        res.removeHeader('Computed-MD5');
+        res.header('Etag', opts.etag);
+        res.header('Last-Modified', new Date(opts.mtime));
+        res.header('Computed-MD5', req._contentMD5);
+        res.send(204);
+        next();
+    }
 }
 
 
@@ -780,17 +1294,106 @@ function negotiateContent(req, res, next) {
 }
 
 
+/*
+ * Parses a Range header with several ranges (e.g., "bytes=0-99,200-299,-50")
+ * against an object of `size` bytes.  Returns the ranges that can be
+ * satisfied, as {start, end} (inclusive) pairs in the order they were given,
+ * or null if the header is invalid.
+ */
+function parseByteRanges(header, size) {
+    /* JSSTYLED */
+    var m = /^bytes=(.+)$/.exec(header.trim());
+    if (!m)
+        return (null);
+
+    var ranges = [];
+    var valid = m[1].split(',').every(function (spec) {
+        var parts = /^([0-9]*)-([0-9]*)$/.exec(spec.trim());
+        if (!parts || (parts[1] === '' && parts[2] === ''))
+            return (false);
+
+        var start, end;
+        if (parts[1] === '') {
+            // A suffix: the last N bytes.
+            var n = parseInt(parts[2], 10);
+            if (n === 0)
+                return (true);
+            start = Math.max(size - n, 0);
+            end = size - 1;
+        } else {
+            start = parseInt(parts[1], 10);
+            end = parts[2] === '' ? size - 1 : parseInt(parts[2], 10);
+            if (end < start)
+                return (false);
+            end = Math.min(end, size - 1);
+        }
+
+        if (start < size)
+            ranges.push({start: start, end: end});
+        return (true);
+    });
+
+    return (valid ? ranges : null);
+}
+
+
+// A single range, as we ask the shark for it.
+function byteRangeHeader(range) {
+    return ('bytes=' + range.start + '-' + range.end);
+}
+
+
+/*
+ * Requests for a single range are passed through to the shark, which checks
+ * them.  Requests for several ranges are checked here, and the ranges saved in
+ * req.ranges for streamFromSharks().
+ */
 function verifyRange(req, res, next) {
     if (!req.headers || !req.headers['range'])
         return (next());
 
-    //Specifically disallow multi-range headers.
     var range = req.headers['range'];
-    if (range.indexOf(',') !== -1) {
-        var message = 'multi-range requests not supported';
-        return (next(new NotImplementedError(message)));
+    if (range.indexOf(',') === -1 || req.metadata.type !== 'object')
+        return (next());
+
+    var size = req.metadata.contentLength;
+    var ranges = parseByteRanges(range, size);
+    if (!ranges || ranges.length === 0) {
+        res.setHeader('content-range', 'bytes */' + size);
+        return (next(new restifyErrors.RangeNotSatisfiableError()));
     }
 
+    if (ranges.length > MAX_BYTE_RANGES) {
+        res.setHeader('content-range', 'bytes */' + size);
+        return (next(new restifyErrors.RangeNotSatisfiableError(
+            'at most ' + MAX_BYTE_RANGES + ' ranges may be requested')));
+    }
+
+    req.ranges = ranges;
+    return (next());
+}
+
+
+/*
+ * An object encrypted with a customer-provided key can only be read with that
+ * key.  See encryption.js.
+ */
+function checkEncryptionKey(req, res, next) {
+    if (req.metadata.type !== 'object')
+        return (next());
+
+    var md = req.metadata;
+    if (encryption.hasCustomerKey(md)) {
+        if (!req.customerKey) {
+            return (next(new InvalidEncryptionKeyError(
+                'required to read ' + req.path())));
+        }
+        if (!encryption.customerKeyMatches(md, req.customerKey))
+            return (next(new EncryptionKeyMismatchError(req.path())));
+    } else if (req.customerKey) {
+        return (next(new InvalidEncryptionKeyError(req.path() +
+            ' is not encrypted with a customer-provided key')));
+    }
     return (next());
 }
 
@@ -815,7 +1418,9 @@ function streamFromSharks(req, res, next) {
     var queue;
     var savedErr = false;
 
-    if (req.headers.range)
+    if (req.ranges)
+        opts.range = byteRangeHeader(req.ranges[0]);
+    else if (req.headers.range)
         opts.range = req.headers.range;
 
     log.debug('streamFromSharks: entered');
@@ -827,13 +1432,35 @@ function streamFromSharks(req, res, next) {
         res.header('Durability-Level', req.metadata.sharks.length);
         res.header('Content-Disposition', req.metadata.contentDisposition);
         res.header('Content-Length', md.contentLength);
-        res.header('Content-MD5', md.contentMD5);
+        if (encryption.hasPlaintextMD5(md))
+            res.header('Content-MD5', md.contentMD5);
         res.header('Content-Type', md.contentType);
         res.send(200);
         next();
         return;
     }
 
+    var dataKey;
+    if (encryption.isEncrypted(md)) {
+        dataKey = encryption.unwrapKey(req.config, md);
+        if (!dataKey) {
+            next(new InternalError(new VError('unable to unwrap the data ' +
+                'key of object %s', md.objectId)));
+            return;
+        }
+    }
+
+    /*
+     * Returns the object data to send to the client, given a shark's response
+     * starting at byte `offset` of the object: either that response, or, for
+     * an object that is encrypted at rest, the response decrypted.
+     */
+    function objectData(shark, offset) {
+        if (!dataKey)
+            return (shark);
+        return (shark.pipe(encryption.createDecipher(md, dataKey, offset)));
+    }
+
     req.sharksContacted = [];
 
     function respond(shark, sharkReq, sharkInfo) {
@@ -846,7 +1473,8 @@ function streamFromSharks(req, res, next) {
         } else {
             res.header('Accept-Ranges', 'bytes');
             res.header('Content-Type', md.contentType);
-            res.header('Content-MD5', md.contentMD5);
+            if (encryption.hasPlaintextMD5(md))
+                res.header('Content-MD5', md.contentMD5);
         }
 
         res.header('Content-Disposition', req.metadata.contentDisposition);
@@ -855,6 +1483,11 @@ function streamFromSharks(req, res, next) {
 
         req._size = sh['content-length'];
 
+        var cr = /^bytes (\d+)-/.exec(sh['content-range'] || '');
+        var body = objectData(shark, cr ? parseInt(cr[1], 10) : 0);
+        // What contentMD5 is the MD5 of; see encryption.js.
+        var checked = encryption.hasPlaintextMD5(md) ? body : shark;
+
         // Response body
         req._totalBytes = 0;
         var check = new CheckStream({
@@ -917,8 +1550,8 @@ function streamFromSharks(req, res, next) {
 
             req.log.warn(err, 'handling closed client connection');
             check.removeAllListeners('done');
-            shark.unpipe(check);
-            shark.unpipe(res);
+            checked.unpipe(check);
+            body.unpipe(res);
             sharkReq.abort();
             req._timeAtFirstByte = check.start;
             req._timeToLastByte = Date.now();
@@ -948,8 +1581,162 @@ function streamFromSharks(req, res, next) {
         }
 
         res.writeHead(shark.statusCode);
-        shark.pipe(check);
-        shark.pipe(res);
+        checked.pipe(check);
+        body.pipe(res);
+    }
+
+    /*
+     * Several ranges are sent as a multipart/byteranges response, with each
+     * range fetched from the shark that served the first one in turn.  We
+     * know the length of every part up front, so a response cut short by a
+     * shark failing part way through can be told apart by its length.
+     */
+    function respondRanges(client, shark, sharkReq, sharkInfo) {
+        log.debug({ranges: req.ranges}, 'streamFromSharks: streaming ranges');
+
+        var boundary = uuidv4();
+        var closed = false;
+        var current = {shark: shark, sharkReq: sharkReq, body: null};
+        var finished = false;
+        var outboundCounter =
+            req.collector.getCollector(common.METRIC_OUTBOUND_DATA_COUNTER);
+        var trailer = '--' + boundary + '--\r\n';
+        var length = Buffer.byteLength(trailer);
+        var totalBytes = 0;
+
+        var parts = req.ranges.map(function (r) {
+            var head = '--' + boundary + '\r\n' +
+                'Content-Type: ' + md.contentType + '\r\n' +
+                'Content-Range: bytes ' + r.start + '-' + r.end + '/' +
+                md.contentLength + '\r\n\r\n';
+            length += Buffer.byteLength(head) + (r.end - r.start + 1) + 2;
+            return (head);
+        });
+
+        res.header('Content-Type',
+            'multipart/byteranges; boundary=' + boundary);
+        res.header('Content-Disposition', req.metadata.contentDisposition);
+        res.header('Content-Length', length);
+        res.header('Durability-Level', req.metadata.sharks.length);
+
+        req._size = length;
+        req._totalBytes = 0;
+        req._timeAtFirstByte = Date.now();
+        sharkInfo.timeToFirstByte =
+            req._timeAtFirstByte - sharkInfo._startTime;
+
+        var finish = once(function _finish(err) {
+            finished = true;
+            req.connection.removeListener('error', onConnectionClose);
+            req._timeToLastByte = Date.now();
+            req._totalBytes = totalBytes;
+            sharkInfo.timeTotal = req._timeToLastByte - sharkInfo._startTime;
+
+            if (err) {
+                // Once the first part is out, all we can do is stop short.
+                log.warn(err, 'streamFromSharks: failed streaming ranges');
+                next(err);
+            } else {
+                log.debug('streamFromSharks: done');
+                next();
+            }
+        });
+
+        // See respond().
+        function onConnectionClose(err) {
+            if (finished || req._muskie_handle_close) {
+                return;
+            }
+
+            req._muskie_handle_close = true;
+            closed = true;
+            req.log.warn(err, 'handling closed client connection');
+            if (current.body)
+                current.body.unpipe(res);
+            current.sharkReq.abort();
+            req._timeToLastByte = Date.now();
+            req._totalBytes = totalBytes;
+            res.statusCode = 499;
+            next(false);
+        }
+
+        function sendPart(i) {
+            var r = req.ranges[i];
+            var expected = r.end - r.start + 1;
+            var sh = current.shark.headers;
+
+            if (current.shark.statusCode !== 206 ||
+                parseInt(sh['content-length'], 10) !== expected) {
+                current.sharkReq.abort();
+                finish(new InternalError(new VError(
+                    'unexpected shark response for range "%s"',
+                    byteRangeHeader(r))));
+                return;
+            }
+
+            var check = new CheckStream({
+                maxBytes: expected + 1024,
+                timeout: DATA_TIMEOUT,
+                counter: outboundCounter
+            });
+            if (i === 0)
+                res.writeHead(206);
+
+            check.once('done', function onPartDone() {
+                if (closed)
+                    return;
+
+                totalBytes += check.bytes;
+                res.write('\r\n');
+                if (i + 1 === req.ranges.length) {
+                    res.end(trailer);
+                    finish();
+                } else {
+                    fetchPart(i + 1);
+                }
+            });
+            current.shark.once('error', finish);
+
+            current.body = objectData(current.shark, r.start);
+            res.write(parts[i]);
+            current.body.pipe(check);
+            current.body.pipe(res, {end: false});
+        }
+
+        function fetchPart(i) {
+            var partOpts = clone(opts);
+            partOpts.range = byteRangeHeader(req.ranges[i]);
+
+            client.get(partOpts, function (err, cReq, cRes) {
+                if (closed) {
+                    if (cReq)
+                        cReq.abort();
+                    return;
+                }
+
+                if (err) {
+                    finish(err);
+                    return;
+                }
+
+                current = {shark: cRes, sharkReq: cReq, body: null};
+                sendPart(i);
+            });
+        }
+
+        if (req._muskie_client_closed) {
+            setImmediate(onConnectionClose,
+                new Error('connection closed before streamFromSharks'));
+            return;
+        }
+
+        req.connection.once('error', onConnectionClose);
+        req.once('close', function () {
+            onConnectionClose(new Error(
+                'connection closed during streamFromSharks'));
+        });
+
+        sendPart(0);
     }
 
     queue = libmanta.createQueue({
@@ -973,7 +1760,11 @@ function streamFromSharks(req, res, next) {
                     } else {
                         sharkInfo.result = 'ok';
                         connected = true;
-                        respond(cRes, cReq, sharkInfo);
+                        if (req.ranges) {
+                            respondRanges(s, cRes, cReq, sharkInfo);
+                        } else {
+                            respond(cRes, cReq, sharkInfo);
+                        }
                         cb();
                     }
                 });
@@ -1023,53 +1814,253 @@ function deletePointer(req, res, next) {
     if (req.metadata.type !== 'object')
         return (next());
 
-    var counter =
-        req.collector.getCollector(common.METRIC_DELETED_OBJECT_COUNTER);
     var log = req.log;
     var opts = {
         key: req.key,
-        _etag: req.isConditional() ? req.metadata._etag : undefined,
+        metadata: req.metadata,
+        etag: req.isConditional() ? req.metadata._etag : undefined,
+        version: req.version
+    };
+
+    log.debug({key: opts.key, etag: opts.etag}, 'deletePointer: entered');
+
+    removePointer(req, opts, function (err) {
+        if (err) {
+            versions.discardVersion(req, function () {
+                next(err);
+            });
+            return;
+        }
+
+        log.debug('deletePointer: done');
+        res.send(204);
+        next();
+    });
+    return (undefined);
+}
+
+
+/*
+ * Removes the record of an object, as a DELETE of it does.  This is
+ * deletePointer() for handlers that delete objects other than the one in the
+ * request path (see batch.js).  The "opts" are:
+ *   - key: the object's key
+ *   - metadata: its record
+ *   - etag: optional; the delete fails if the record's etag no longer matches
+ *   - version: optional; a version kept of the object, which has taken over
+ *     its reference to the data (see versions.js)
+ */
+function removePointer(req, opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.key, 'opts.key');
+    assert.object(opts.metadata, 'opts.metadata');
+    assert.optionalString(opts.etag, 'opts.etag');
+    assert.optionalObject(opts.version, 'opts.version');
+
+    var counter =
+        req.collector.getCollector(common.METRIC_DELETED_OBJECT_COUNTER);
+    var delOpts = {
+        key: opts.key,
+        _etag: opts.etag,
         requestId: req.getId(),
-        previousMetadata: req.metadata
+        previousMetadata: opts.metadata
     };
 
     assert.object(counter, 'METRIC_DELETED_OBJECT_COUNTER');
 
-    log.debug(opts, 'deletePointer: entered');
-
     /*
      * Let the delete mechanism know whether there might be SnapLinks that still
-     * exist for this account, so it can treat the object differently.
+     * exist for this account, so it can treat the object differently.  The
+     * etag the record was loaded with is the caller's, or else the one
+     * getMetadata() records.
      */
-    var uuid = req.owner.account.uuid;
-    common.checkAccountSnaplinksMightExist(req, uuid, function (mightExist) {
-        // Pass in a header if they are guaranteed not to exist
-        if (!mightExist) {
-            log.debug({
-                link: req.link,
-                owner: req.owner.account
-            }, 'deletePointer: snaplinks do not exist for account');
-
-            // Note: `Disabled` is historical here. This can all go away once
-            // cleanup has been run everywhere and we don't need to worry about
-            // SnapLinks any more.
-            opts.snapLinksDisabled = true;
-        }
-    });
-    req.moray.delMetadata(opts, function (err) {
-        if (err) {
-            next(err);
-        } else {
+    if (opts.version) {
+        // The data stays with the version; see versions.js.
+        delOpts.previousMetadata = {};
+        del(false);
+    } else {
+        var etag = opts.etag !== undefined ? opts.etag : opts.metadata._etag;
+        common.setupObjectRelease(req, opts.metadata, etag, delOpts, del);
+    }
+
+    function del(releasePrevious) {
+        req.moray.delMetadata(delOpts, function (err) {
+            if (err) {
+                cb(err);
+                return;
+            }
 
             // Bump the object deletion counter since we succeeded in deleting.
             counter.increment();
 
-            log.debug('deletePointer: done');
-            res.send(204);
-            next();
+            var prev = releasePrevious ? opts.metadata : {};
+            common.releaseObjectReference(req, prev, function () {
+                // A kept version still counts; see quota.js.
+                var change = opts.version ? null :
+                    quota.objectChange(opts.key, opts.metadata, -1);
+                quota.recordUsage(req, req.owner.account.uuid, [change], cb);
+            });
+        });
+    }
+}
+
+
+/*
+ * Deletes an object other than the one in the request path, as a DELETE of it
+ * does: a version of the object is kept if its parent directory is versioned,
+ * and its record is then removed with removePointer().  The "opts" are those
+ * of removePointer(), without the version, plus:
+ *   - parentMetadata: the record of the object's parent directory
+ */
+function removeObject(req, opts, cb) {
+    assert.object(opts, 'opts');
+    assert.object(opts.metadata, 'opts.metadata');
+    assert.object(opts.parentMetadata, 'opts.parentMetadata');
+
+    var md = opts.metadata;
+
+    if (md.type !== 'object' || !versions.isVersioned(opts.parentMetadata)) {
+        remove(null);
+        return;
+    }
+    versions.saveVersion(req, md, function (err, version) {
+        if (err) {
+            cb(err);
+        } else {
+            remove(version);
         }
     });
-    return (undefined);
+
+    function remove(version) {
+        var delOpts = {
+            key: opts.key,
+            metadata: md,
+            etag: opts.etag,
+            version: version || undefined
+        };
+        removePointer(req, delOpts, function (err) {
+            if (err) {
+                versions.removeVersion(req, version, function () {
+                    cb(err);
+                });
+                return;
+            }
+
+            if (!version)
+                countDeletedData(req, md);
+            cb();
+        });
+    }
+}
+
+
+// See the deleted-data accounting in audit.js.
+function countDeletedData(req, md) {
+    var dataCounter =
+        req.collector.getCollector(common.METRIC_DELETED_DATA_COUNTER);
+    var owner = md.creator || md.owner;
+
+    common.checkAccountSnaplinksMightExist(req, owner, function (mightExist) {
+        if (md.contentLength > 0) {
+            var storage = md.contentLength * md.sharks.length;
+            dataCounter.add(storage, {
+                accelerated_gc: !mightExist,
+                owner: owner
+            });
+        }
+    });
+}
+
+
+/*
+ * Deletes objects of one directory as removeObject() would, but removes their
+ * records in a single Moray batch, which a directory's entries can share as
+ * they are on the same shard.  The directory must not be versioned.  The
+ * "opts" are:
+ *   - objects: the objects, as {key, metadata, etag} like removePointer()
+ *   - parentMetadata: the record of the directory containing them
+ * If the batch fails, none of the objects has been removed.
+ */
+function removeObjects(req, opts, cb) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.objects, 'opts.objects');
+    assert.object(opts.parentMetadata, 'opts.parentMetadata');
+    assert.ok(!versions.isVersioned(opts.parentMetadata),
+        'parent directory is versioned');
+
+    var counter =
+        req.collector.getCollector(common.METRIC_DELETED_OBJECT_COUNTER);
+    var objects = opts.objects;
+    var releases = [];
+    var requests = [];
+
+    // See removePointer() and Moray.delMetadata() in libmanta.
+    vasync.forEachParallel({
+        inputs: objects.map(function (_, i) {
+            return (i);
+        }),
+        func: function setupRelease(i, next) {
+            var o = objects[i];
+            var delOpts = {
+                _etag: o.etag,
+                previousMetadata: o.metadata
+            };
+            var etag = o.etag !== undefined ? o.etag : o.metadata._etag;
+            common.setupObjectRelease(req, o.metadata, etag, delOpts,
+                function (release) {
+                var headers = {
+                    'x-muskie-prev-metadata': delOpts.previousMetadata
+                };
+                if (delOpts.snapLinksDisabled)
+                    headers['x-muskie-snaplinks-disabled'] = true;
+
+                releases[i] = release;
+                requests[i] = {
+                    bucket: 'manta',
+                    key: o.key,
+                    operation: 'delete',
+                    options: {
+                        req_id: req.getId(),
+                        etag: delOpts._etag,
+                        headers: headers
+                    }
+                };
+                next();
+            });
+        }
+    }, function () {
+        req.moray.commitMPU({
+            requestId: req.getId(),
+            requests: requests
+        }, function (err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            objects.forEach(function (o) {
+                counter.increment();
+                countDeletedData(req, o.metadata);
+            });
+
+            vasync.forEachPipeline({
+                inputs: objects.map(function (_, i) {
+                    return (i);
+                }),
+                func: function release(i, next) {
+                    var prev = releases[i] ? objects[i].metadata : {};
+                    common.releaseObjectReference(req, prev, function () {
+                        next();
+                    });
+                }
+            }, function () {
+                quota.recordUsage(req, req.owner.account.uuid,
+                    objects.map(function (o) {
+                    return (quota.objectChange(o.key, o.metadata, -1));
+                }), cb);
+            });
+        });
+    });
 }
 
 
@@ -1082,17 +2073,30 @@ module.exports = {
     DEF_NUM_COPIES: DEF_NUM_COPIES,
     ZERO_BYTE_MD5: ZERO_BYTE_MD5,
 
+    removePointer: removePointer,
+
+    removeObject: removeObject,
+
+    removeObjects: removeObjects,
+
     putObjectHandler: function _putObject() {
         var chain = [
             restify.plugins.conditionalRequest(),
             common.ensureNotRootHandler(),  // not blocking
+            encryption.customerKeyHandler(),
+            loadCopySource, // blocking
             parseArguments,  // not blocking
             common.ensureNotDirectoryHandler(), // not blocking
             common.ensureParentHandler(), // not blocking
+            retention.retainHandler(),
             enforceDirectoryCount,
+            enforceQuota,
             findSharks, // blocking
+            setupEncryption,
             startSharkStreams,
+            startCopySourceStream, // blocking
             sharkStreams, // blocking
+            versions.keepVersionHandler(),
             saveMetadata // blocking
         ];
         return (chain);
@@ -1101,7 +2105,9 @@ module.exports = {
     getObjectHandler: function _getObject() {
         var chain = [
             negotiateContent, // not blocking
-            restify.plugins.conditionalRequest(),
+            encryption.customerKeyHandler(),
+            checkEncryptionKey,
+            common.conditionalGetHandler('object'),
             verifyRange,
             streamFromSharks // blocking
         ];
@@ -1113,6 +2119,9 @@ module.exports = {
         var chain = [
             common.ensureNotRootHandler(),
             restify.plugins.conditionalRequest(),
+            retention.ensureNotRetainedHandler(),
+            versions.loadParentHandler(),
+            versions.keepVersionHandler(),
             deletePointer
         ];
         return (chain);
@@ -1121,10 +2130,16 @@ module.exports = {
      // Handlers used for uploading parts to multipart uploads are exposed here.
     putPartHandler: function _putPart() {
         var chain = [
+            encryption.customerKeyHandler(),
+            checksums.requestChecksumsHandler(),
+            loadCopySource, // blocking
             parseArguments,
             enforceDirectoryCount,
+            setupEncryption,
             startSharkStreams,
+            startCopySourceStream, // blocking
             sharkStreams,
+            checksums.verifyChecksumsHandler(),
             saveMetadata
         ];
         return (chain);
@@ -0,0 +1,354 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// Operators can limit the bytes and the number of objects an account stores,
+// and optionally what it stores in each of its top-level directories (stor,
+// public, ...), in the configuration:
+//
+//     "quota": {
+//         "accounts": [ {
+//             "uuid": "...",
+//             "bytes": 1099511627776,
+//             "objects": 1000000,
+//             "directories": [ {"name": "public", "bytes": 10737418240} ]
+//         } ]
+//     }
+//
+// A PUT of an object (before any sharks are chosen) and the creation of a
+// multipart upload fail with QuotaExceededError if they would take the
+// account, or the directory, over a limit.  Operators aren't limited.
+//
+// Usage is only tracked for accounts that have a quota, and only from when
+// it was configured.  It's kept in a record, at a key that isn't reachable
+// through the API:
+//
+//     /:owner_uuid/quota/usage
+//
+// which is updated as objects are written and deleted.  Every object record
+// counts (links and kept versions included) at its content length.  Updates
+// are conditional on the record's etag and are retried, with backoff, until
+// they apply: a conflict means that another update got in first, and ours
+// still has to be counted.  Any other failure is only logged, which leaves
+// the usage off by that update for good, and concurrent writes are each
+// checked against the usage before any of them, so quotas are approximate.
+// Moving a directory from one top-level directory to another leaves the
+// usage of the objects under it where it was.
+//
+
+var assert = require('assert-plus');
+var backoff = require('backoff');
+var VError = require('verror');
+
+require('./errors');
+
+
+
+///--- Globals
+
+var USAGE_DIR = 'quota';
+var USAGE_TYPE = 'usage';
+var USAGE_HDR = 'usage';
+
+// The backoff between attempts of an update that conflicted with another.
+var USAGE_RETRY = {
+    initialDelay: 10,
+    maxDelay: 1000,
+    randomisationFactor: 0.5
+};
+
+
+
+///--- Helpers
+
+function usageKey(uuid) {
+    return ('/' + uuid + '/' + USAGE_DIR + '/usage');
+}
+
+
+// /:owner_uuid/stor/dir/object -> stor
+function topDirectory(key) {
+    return (key.split('/')[2]);
+}
+
+
+function isEtagConflict(err) {
+    return (VError.findCauseByName(err, 'EtagConflictError') !== null ||
+        VError.findCauseByName(err, 'UniqueAttributeError') !== null);
+}
+
+
+/*
+ * Returns the quota configured for the account `uuid` (null if it has none).
+ */
+function accountQuota(config, uuid) {
+    var accounts = (config.quota && config.quota.accounts) || [];
+    for (var i = 0; i < accounts.length; i++) {
+        if (accounts[i].uuid === uuid)
+            return (accounts[i]);
+    }
+    return (null);
+}
+
+
+/*
+ * Returns the change in usage of the object record `md` being added
+ * (`sign` 1) or removed (-1) at `key`, or null if it isn't an object.
+ */
+function objectChange(key, md, sign) {
+    if (!md || md.type !== 'object')
+        return (null);
+    return ({
+        key: key,
+        bytes: sign * (md.contentLength || 0),
+        objects: sign
+    });
+}
+
+
+/*
+ * Returns `usage` with the changes `changes` (see objectChange()) applied.
+ */
+function applyChanges(usage, changes) {
+    var u = {
+        bytes: usage.bytes || 0,
+        objects: usage.objects || 0,
+        directories: {}
+    };
+    Object.keys(usage.directories || {}).forEach(function (d) {
+        u.directories[d] = {
+            bytes: usage.directories[d].bytes,
+            objects: usage.directories[d].objects
+        };
+    });
+
+    changes.forEach(function (c) {
+        var d = topDirectory(c.key);
+        if (!u.directories[d])
+            u.directories[d] = {bytes: 0, objects: 0};
+        u.bytes += c.bytes;
+        u.objects += c.objects;
+        u.directories[d].bytes += c.bytes;
+        u.directories[d].objects += c.objects;
+    });
+    return (u);
+}
+
+
+/*
+ * Whether adding `delta` to `used` goes over `limit`.  A delta of null is
+ * unknown (a streaming upload), which only goes over a limit that's already
+ * been reached.
+ */
+function exceeds(limit, used, delta) {
+    if (limit === undefined)
+        return (false);
+    if (delta === null)
+        return (used >= limit);
+    return (delta > 0 && used + delta > limit);
+}
+
+
+/*
+ * Checks that adding `bytes` (null if unknown) and `objects` to the usage
+ * `usage` of the account with quota `quota` and login `login`, in its
+ * top-level directory `dir`, stays within the quota.  Returns the error if it
+ * doesn't.
+ */
+function checkQuota(quota, usage, login, dir, bytes, objects) {
+    var limits = [ {
+        scope: login,
+        quota: quota,
+        usage: usage
+    } ];
+    (quota.directories || []).forEach(function (d) {
+        if (d.name === dir) {
+            limits.push({
+                scope: '/' + login + '/' + dir,
+                quota: d,
+                usage: (usage.directories || {})[dir] || {}
+            });
+        }
+    });
+
+    for (var i = 0; i < limits.length; i++) {
+        var l = limits[i];
+        if (exceeds(l.quota.bytes, l.usage.bytes || 0, bytes)) {
+            return (new QuotaExceededError(l.scope, l.quota.bytes,
+                'bytes'));
+        }
+        if (exceeds(l.quota.objects, l.usage.objects || 0, objects)) {
+            return (new QuotaExceededError(l.scope, l.quota.objects,
+                'objects'));
+        }
+    }
+    return (null);
+}
+
+
+/*
+ * Calls back with the usage of the account `uuid`, and the Moray etag of its
+ * usage record (null if there isn't one yet).
+ */
+function loadUsage(ctx, uuid, cb) {
+    var opts = {
+        key: usageKey(uuid),
+        requestId: ctx.getId()
+    };
+    ctx.moray.getMetadata(opts, function (err, md, wrap) {
+        if (err) {
+            if (VError.findCauseByName(err, 'ObjectNotFoundError') !== null) {
+                cb(null, {}, null);
+            } else {
+                cb(err);
+            }
+            return;
+        }
+
+        cb(null, md.headers[USAGE_HDR] || {}, wrap._etag);
+    });
+}
+
+
+function saveUsage(ctx, uuid, usage, etag, cb) {
+    var opts = {
+        key: usageKey(uuid),
+        owner: uuid,
+        type: USAGE_TYPE,
+        headers: {},
+        roles: [],
+        requestId: ctx.getId(),
+        previousMetadata: {},
+        _etag: etag
+    };
+    opts.headers[USAGE_HDR] = usage;
+
+    ctx.moray.putMetadata(opts, function (err) {
+        cb(err);
+    });
+}
+
+
+
+///--- API
+
+/*
+ * Checks that adding an object of `bytes` (null if unknown) at `key`, which
+ * adds `objects` objects, keeps the account `owner` within its quota, and
+ * calls back with the error if it doesn't.  Operators aren't limited.
+ */
+function checkUsage(req, owner, key, bytes, objects, cb) {
+    var quota = accountQuota(req.config, owner.uuid);
+    if (!quota || req.caller.account.isOperator) {
+        setImmediate(cb);
+        return;
+    }
+
+    var log = req.log;
+
+    loadUsage(req, owner.uuid, function (err, usage) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        log.debug({
+            owner: owner.uuid,
+            usage: usage,
+            bytes: bytes,
+            objects: objects
+        }, 'checkUsage: loaded');
+
+        cb(checkQuota(quota, usage, owner.login, topDirectory(key), bytes,
+            objects));
+    });
+}
+
+
+/*
+ * Applies the changes `changes` (see objectChange(); nulls are skipped) to the
+ * usage of the account `uuid`, if it has a quota.  `ctx` is a request, or
+ * something that looks enough like one (see sweepContext() in lifecycle.js).
+ * Failures are logged rather than returned: the objects have already been
+ * written or deleted.
+ */
+function recordUsage(ctx, uuid, changes, cb) {
+    assert.string(uuid, 'uuid');
+    assert.array(changes, 'changes');
+
+    changes = changes.filter(function (c) {
+        return (c !== null && (c.bytes !== 0 || c.objects !== 0));
+    });
+    if (changes.length === 0 || !accountQuota(ctx.config, uuid)) {
+        setImmediate(cb);
+        return;
+    }
+
+    var log = ctx.log;
+
+    function done(err) {
+        if (err) {
+            log.warn({
+                err: err,
+                owner: uuid,
+                changes: changes
+            }, 'recordUsage: failed');
+        } else {
+            log.debug({
+                owner: uuid,
+                changes: changes
+            }, 'recordUsage: done');
+        }
+        cb();
+    }
+
+    function update(ucb) {
+        loadUsage(ctx, uuid, function (err, usage, etag) {
+            if (err) {
+                ucb(err);
+                return;
+            }
+
+            saveUsage(ctx, uuid, applyChanges(usage, changes), etag, ucb);
+        });
+    }
+
+    var retry = backoff.call(update, done);
+    retry.retryIf(isEtagConflict);
+    retry.setStrategy(new backoff.ExponentialStrategy(USAGE_RETRY));
+    retry.on('backoff', function (number, delay) {
+        log.debug({
+            owner: uuid,
+            attempt: number + 1,
+            delay: delay
+        }, 'recordUsage: conflict, retrying');
+    });
+    retry.start();
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    accountQuota: accountQuota,
+
+    applyChanges: applyChanges,
+
+    checkQuota: checkQuota,
+
+    checkUsage: checkUsage,
+
+    objectChange: objectChange,
+
+    recordUsage: recordUsage
+
+};
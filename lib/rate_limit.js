@@ -0,0 +1,230 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var assert = require('assert-plus');
+
+var audit = require('./audit');
+require('./errors');
+
+/*
+ * High Level Operation
+ *
+ * Where the throttle (see throttle.js) protects muskie as a whole, the rate
+ * limiter keeps any one account, or any one user of it, from taking more than
+ * its share.  Every request is counted in a token bucket keyed by:
+ *
+ *  - the owner of the resource (the account in the path)
+ *  - the caller (the account or user making the request)
+ *  - the operation class: PUT, GET, LIST, DELETE, HEAD or OPTIONS, as
+ *    billable() in audit.js classifies it, or the HTTP method for requests
+ *    it doesn't classify
+ *
+ * Each bucket holds up to 'burst' tokens and refills at 'rate' tokens per
+ * second.  A request takes a token, and is rejected with a
+ * RateLimitExceededError (HTTP 429) if there is none.  Requests by operators
+ * aren't limited.
+ *
+ * Responses carry the state of the bucket the request was counted in:
+ *
+ *  - RateLimit-Limit: the burst size
+ *  - RateLimit-Remaining: the tokens left
+ *  - RateLimit-Reset: the seconds until the bucket is full again
+ *  - Retry-After: on rejected requests, the seconds until there's a token
+ *
+ * Tunables
+ *
+ * The following parameters are implemented as SAPI tunables. Muskie
+ * restart is required for any tunable modification to take effect.
+ *
+ * enabled - a boolean value describing whether requests are rate limited.
+ *
+ * rate, burst - the limits for each bucket of an account without limits
+ * of its own.
+ *
+ * accounts - the accounts with limits of their own, as objects with the
+ * account's 'uuid', and its 'rate' and 'burst'.
+ *
+ * Buckets are kept in memory, so each server (see createServer() in
+ * server.js) limits the requests it handles on its own.  The limiter forgets
+ * buckets that have filled up again.
+ */
+
+// How often buckets that have filled up are forgotten.
+var PRUNE_INTERVAL_MS = 60 * 1000;
+
+
+///--- Helpers
+
+function TokenBucket(rate, burst, now) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updated = now;
+}
+
+TokenBucket.prototype.refill = function refill(now) {
+    var elapsed = Math.max(0, now - this.updated) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate);
+    this.updated = now;
+};
+
+// Seconds until the bucket holds `tokens` tokens.
+TokenBucket.prototype.secondsUntil = function secondsUntil(tokens) {
+    return (Math.max(0, Math.ceil((tokens - this.tokens) / this.rate)));
+};
+
+
+/*
+ * Whether the class of the request routed as `name` depends on what the
+ * request is for (a GET of a directory is a LIST), which isn't known until
+ * the request's metadata has been loaded.
+ */
+function dependsOnMetadata(name) {
+    return (audit.billable(name, {metadata: {type: 'directory'}}) !==
+        audit.billable(name, {metadata: {type: 'object'}}));
+}
+
+
+/*
+ * The rate limiter maintains the token buckets, and the limits they are
+ * created with.
+ */
+function RateLimiter(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.number(options.rate, 'options.rate');
+    assert.number(options.burst, 'options.burst');
+    assert.arrayOfObject(options.accounts, 'options.accounts');
+
+    this.log = options.log.child({component: 'rateLimit'}, true);
+    this.defaultLimit = {
+        rate: options.rate,
+        burst: options.burst
+    };
+    this.accountLimits = {};
+    options.accounts.forEach(function (a) {
+        this.accountLimits[a.uuid] = {
+            rate: a.rate,
+            burst: a.burst
+        };
+    }, this);
+
+    this.buckets = {};
+    this.pruned = Date.now();
+}
+
+
+// The limits of the buckets for resources owned by the account `uuid`.
+RateLimiter.prototype.limitFor = function limitFor(uuid) {
+    return (this.accountLimits[uuid] || this.defaultLimit);
+};
+
+
+/*
+ * Takes a token from the bucket `key` (created with the limits `limit` if
+ * it doesn't exist yet), and returns whether there was one, along with the
+ * bucket's state for the RateLimit-* headers.
+ */
+RateLimiter.prototype.take = function take(key, limit, now) {
+    if (now === undefined)
+        now = Date.now();
+
+    if (now - this.pruned >= PRUNE_INTERVAL_MS)
+        this.prune(now);
+
+    var bucket = this.buckets[key];
+    if (!bucket) {
+        bucket = new TokenBucket(limit.rate, limit.burst, now);
+        this.buckets[key] = bucket;
+    }
+    bucket.refill(now);
+
+    var allowed = bucket.tokens >= 1;
+    if (allowed)
+        bucket.tokens--;
+
+    return ({
+        allowed: allowed,
+        limit: bucket.burst,
+        remaining: Math.floor(bucket.tokens),
+        reset: bucket.secondsUntil(bucket.burst),
+        retryAfter: Math.max(1, bucket.secondsUntil(1))
+    });
+};
+
+
+// Forgets the buckets that have filled up again.
+RateLimiter.prototype.prune = function prune(now) {
+    var self = this;
+
+    Object.keys(self.buckets).forEach(function (k) {
+        var bucket = self.buckets[k];
+        bucket.refill(now);
+        if (bucket.tokens >= bucket.burst)
+            delete self.buckets[k];
+    });
+    self.pruned = now;
+};
+
+
+RateLimiter.prototype.wait = function wait(req, res, next) {
+    if (req._rateLimited || !req.owner || req.caller.account.isOperator) {
+        next();
+        return;
+    }
+
+    var name = req.route.name;
+    if (req.metadata === undefined && dependsOnMetadata(name)) {
+        // We'll be back once the metadata is loaded; see server.js.
+        next();
+        return;
+    }
+    req._rateLimited = true;
+
+    var op = audit.billable(name, req) || req.method;
+    var owner = req.owner.account.uuid;
+    var caller = (req.caller.user || req.caller.account).uuid;
+    var limit = this.limitFor(owner);
+    var state = this.take([owner, caller, op].join(':'), limit);
+
+    res.header('RateLimit-Limit', state.limit);
+    res.header('RateLimit-Remaining', state.remaining);
+    res.header('RateLimit-Reset', state.reset);
+
+    if (!state.allowed) {
+        this.log.debug({
+            owner: owner,
+            caller: caller,
+            operation: op
+        }, 'rate limit exceeded');
+        res.header('Retry-After', state.retryAfter);
+        next(new RateLimitExceededError(op, limit.rate));
+        return;
+    }
+    next();
+};
+
+
+///--- Exports
+
+module.exports = {
+
+    createRateLimiter: function createRateLimiter(options) {
+        return (new RateLimiter(options));
+    },
+
+    rateLimitHandler: function (limiter) {
+        function rateLimitRequest(req, res, next) {
+            limiter.wait(req, res, next);
+        }
+        return (rateLimitRequest);
+    }
+
+};
@@ -0,0 +1,403 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// Retention keeps an object from being deleted or overwritten (including by a
+// metadata update) until a date, or while it has a legal hold.  An object's
+// retention is set when it's written, with the headers:
+//
+//     retention-mode: governance | compliance
+//     retain-until: 2030-01-01T00:00:00Z
+//     legal-hold: true
+//
+// or, if neither retention-mode nor retain-until is given, from its
+// directory's default, which is set when the directory is written with:
+//
+//     retention-mode: governance | compliance
+//     retention-days: 365
+//
+// It's stored in the object record as an internal header (HEADER), and is
+// read and changed with:
+//
+//     GET /:login/stor/dir/object?retention=true
+//     PUT /:login/stor/dir/object?retention=true
+//     {"mode": "governance", "retainUntil": "...", "legalHold": false}
+//
+// Retention can always be lengthened, and a legal hold set or cleared, but
+// only operators can shorten (or remove) a governance-mode retention, and
+// nobody can shorten a compliance-mode one.
+//
+
+var utils = require('./utils');
+require('./errors');
+
+
+
+///--- Globals
+
+var HEADER = 'retention';
+
+var MODES = ['governance', 'compliance'];
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+var MAX_DAYS = 36500;
+
+// The most bytes a retention setting takes up in a request body.
+var MAX_BODY_SIZE = 1024;
+
+
+
+///--- Helpers
+
+function isRetentionRequest(req) {
+    return (req.query.retention === 'true');
+}
+
+
+/*
+ * Returns the retention of the record `md` (null if it has none).
+ */
+function getRetention(md) {
+    return ((md && md.headers && md.headers[HEADER]) || null);
+}
+
+
+function isRetained(md) {
+    var r = getRetention(md);
+    if (!r || md.type !== 'object')
+        return (false);
+    return (r.legalHold === true || r.retainUntil > Date.now());
+}
+
+
+/*
+ * Returns the error for deleting or overwriting the object with record `md`,
+ * at `p`, if it's retained (and null if it isn't).
+ */
+function checkRetained(md, p) {
+    if (!isRetained(md))
+        return (null);
+
+    var r = getRetention(md);
+    if (r.legalHold)
+        return (new ObjectRetainedError(p, 'it has a legal hold'));
+    return (new ObjectRetainedError(p, 'it is retained until ' +
+        new Date(r.retainUntil).toISOString()));
+}
+
+
+/*
+ * Checks a directory's default retention headers, returning an error if
+ * they're invalid.  Either both or neither must be given.
+ */
+function checkDirectoryHeaders(headers) {
+    var mode = headers['retention-mode'];
+    var days = headers['retention-days'];
+
+    if (mode === undefined && days === undefined)
+        return (null);
+    if (MODES.indexOf(mode) === -1)
+        return (new InvalidParameterError('retention-mode', mode));
+    /* JSSTYLED */
+    if (!/^[0-9]+$/.test(days) || +days < 1 || +days > MAX_DAYS)
+        return (new InvalidParameterError('retention-days', days));
+    return (null);
+}
+
+
+/*
+ * Returns the retention of an object written with request headers `headers`
+ * in the directory with record `parentMd` (null if the object isn't
+ * retained), or an error if the headers are invalid.
+ */
+function objectRetention(headers, parentMd) {
+    var mode = headers['retention-mode'];
+    var until = headers['retain-until'];
+    var hold = headers['legal-hold'];
+    var now = Date.now();
+    var r = null;
+
+    if (hold !== undefined && hold !== 'true' && hold !== 'false')
+        return (new InvalidParameterError('legal-hold', hold));
+
+    if (mode !== undefined || until !== undefined) {
+        if (MODES.indexOf(mode) === -1)
+            return (new InvalidParameterError('retention-mode', mode));
+        var t = Date.parse(until);
+        if (!Number.isFinite(t) || t <= now)
+            return (new InvalidParameterError('retain-until', until));
+        r = {mode: mode, retainUntil: t};
+    } else if (parentMd && parentMd.headers &&
+        parentMd.headers['retention-mode']) {
+        r = {
+            mode: parentMd.headers['retention-mode'],
+            retainUntil: now +
+                (parseInt(parentMd.headers['retention-days'], 10) * DAY_MS)
+        };
+    }
+
+    if (hold === 'true') {
+        r = r || {};
+        r.legalHold = true;
+    }
+
+    return (r);
+}
+
+
+/*
+ * Checks that the caller may change an object's retention from `current` to
+ * `update`, returning an error (for the object at `p`) if not.
+ */
+function checkUpdate(current, update, isOperator, p) {
+    if (!current || !(current.retainUntil > Date.now()))
+        return (null);
+
+    var shortened = !(update.retainUntil >= current.retainUntil);
+    if (current.mode === 'compliance') {
+        if (update.mode !== 'compliance' || shortened) {
+            return (new ObjectRetainedError(p, 'a compliance-mode ' +
+                'retention can\'t be shortened'));
+        }
+    } else if (shortened && !isOperator) {
+        return (new ObjectRetainedError(p, 'only operators can shorten a ' +
+            'governance-mode retention'));
+    }
+    return (null);
+}
+
+
+/*
+ * Returns the retention that a PUT ...?retention=true body `body` sets on an
+ * object whose retention is `current`, or an error if the body is invalid.
+ * Fields that the body leaves out are unchanged.
+ */
+function parseUpdate(body, current) {
+    if (!body || typeof (body) !== 'object' || Array.isArray(body))
+        return (new InvalidParameterError('retention', JSON.stringify(body)));
+
+    var r = {
+        mode: (current || {}).mode,
+        retainUntil: (current || {}).retainUntil,
+        legalHold: (current || {}).legalHold
+    };
+
+    if (body.mode !== undefined) {
+        if (body.mode !== null && MODES.indexOf(body.mode) === -1)
+            return (new InvalidParameterError('mode', body.mode));
+        r.mode = body.mode || undefined;
+    }
+    if (body.retainUntil !== undefined) {
+        var t = body.retainUntil === null ? undefined :
+            Date.parse(body.retainUntil);
+        if (t !== undefined && (typeof (body.retainUntil) !== 'string' ||
+            !Number.isFinite(t))) {
+            return (new InvalidParameterError('retainUntil',
+                body.retainUntil));
+        }
+        r.retainUntil = t;
+    }
+    if (body.legalHold !== undefined) {
+        if (typeof (body.legalHold) !== 'boolean')
+            return (new InvalidParameterError('legalHold', body.legalHold));
+        r.legalHold = body.legalHold || undefined;
+    }
+
+    if ((r.mode === undefined) !== (r.retainUntil === undefined)) {
+        return (new InvalidParameterError('retention',
+            'mode and retainUntil must be set together'));
+    }
+    return (r);
+}
+
+
+// The form of a retention in responses.
+function formatRetention(r) {
+    r = r || {};
+    return ({
+        mode: r.mode || null,
+        retainUntil: r.retainUntil ?
+            new Date(r.retainUntil).toISOString() : null,
+        legalHold: r.legalHold === true
+    });
+}
+
+
+/*
+ * Writes the object record at req.key again with the retention `r`.  See
+ * saveTags() in tags.js.
+ */
+function saveRetention(req, r, cb) {
+    var headers = {};
+    headers[HEADER] = r.retainUntil !== undefined || r.legalHold ?
+        r : undefined;
+
+    utils.rewriteObjectRecord(req, req.metadata, {
+        key: req.key,
+        _etag: req.metadata._etag,
+        headers: headers
+    }, cb);
+}
+
+
+function ensureObject(req) {
+    if (!req.metadata.type)
+        return (new ResourceNotFoundError(req.path()));
+    if (req.metadata.type !== 'object')
+        return (new DirectoryOperationError(req));
+    return (null);
+}
+
+
+
+///--- Routes
+
+/*
+ * Refuses to delete or overwrite (including with a metadata update) the object
+ * at req.key while it's retained.
+ */
+function ensureNotRetained(req, res, next) {
+    next(checkRetained(req.metadata, req.path()) || undefined);
+}
+
+
+/*
+ * Works out the retention of the object being written (in req._retention).
+ * A metadata update keeps the object's retention, so this doesn't apply to
+ * one.
+ */
+function parseRetention(req, res, next) {
+    if (req.query.metadata)
+        return (next());
+
+    var r = objectRetention(req.headers, req.parentMetadata);
+    if (r instanceof Error)
+        return (next(r));
+
+    req._retention = r;
+    return (next());
+}
+
+
+// GET/HEAD ...?retention=true: return the object's retention.
+function getObjectRetention(req, res, next) {
+    if (!isRetentionRequest(req))
+        return (next());
+
+    var err = ensureObject(req);
+    if (err)
+        return (next(err));
+
+    res.send(200, formatRetention(getRetention(req.metadata)));
+    return (next(false));
+}
+
+
+// PUT ...?retention=true: change the object's retention.
+function putObjectRetention(req, res, next) {
+    if (!isRetentionRequest(req))
+        return (next());
+
+    var err = ensureObject(req);
+    if (err)
+        return (next(err));
+
+    var log = req.log;
+    var current = getRetention(req.metadata);
+
+    utils.readBody(req, res, MAX_BODY_SIZE, function (err2, body) {
+        if (err2) {
+            next(err2);
+            return;
+        }
+
+        var r;
+        try {
+            r = parseUpdate(JSON.parse(body.toString('utf8')), current);
+        } catch (e) {
+            r = new InvalidParameterError('retention', 'not JSON');
+        }
+        if (r instanceof Error) {
+            next(r);
+            return;
+        }
+
+        var err3 = checkUpdate(current, r, req.caller.account.isOperator,
+            req.path());
+        if (err3) {
+            next(err3);
+            return;
+        }
+
+        log.debug({key: req.key, retention: r}, 'putObjectRetention: entered');
+        saveRetention(req, r, function (err4) {
+            if (err4) {
+                next(err4);
+                return;
+            }
+            log.debug('putObjectRetention: done');
+            res.send(200, formatRetention(r));
+            next(false);
+        });
+    });
+    return (undefined);
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    HEADER: HEADER,
+
+    checkDirectoryHeaders: checkDirectoryHeaders,
+
+    checkRetained: checkRetained,
+
+    checkUpdate: checkUpdate,
+
+    isRetained: isRetained,
+
+    objectRetention: objectRetention,
+
+    parseUpdate: parseUpdate,
+
+    ensureNotRetainedHandler: function ensureNotRetainedHandler() {
+        var chain = [
+            ensureNotRetained
+        ];
+        return (chain);
+    },
+
+    retainHandler: function retainHandler() {
+        var chain = [
+            ensureNotRetained,
+            parseRetention
+        ];
+        return (chain);
+    },
+
+    getRetentionHandler: function getRetentionHandler() {
+        var chain = [
+            getObjectRetention
+        ];
+        return (chain);
+    },
+
+    putRetentionHandler: function putRetentionHandler() {
+        var chain = [
+            putObjectRetention
+        ];
+        return (chain);
+    }
+
+};
@@ -0,0 +1,998 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * An S3-compatible front end to the Manta API, for the subset of S3 that
+ * common tools (aws-cli, the AWS SDKs, rclone, ...) need to read and write
+ * objects.  It is off unless the "s3.enabled" config is set.
+ *
+ * Rather than having its own routes, the front end rewrites each S3 request,
+ * before routing, into the Manta request that does the same thing, so that
+ * it goes through the usual handlers (authorization, metadata, streaming to
+ * and from the sharks, multipart uploads).  A request is an S3 request if
+ * it's signed with AWS Signature Version 4 (see sigv4.js).  The access key it
+ * is signed with names the account (and optionally, subuser) it is made as;
+ * access keys live in the "s3.accessKeys" config.
+ *
+ * Only path-style requests are supported.  Buckets are the directories in
+ * /:login/stor, and an object's key is its path below the bucket, so that
+ *
+ *     PUT /mybucket/photos/2026/cat.jpg
+ *
+ * is rewritten to
+ *
+ *     PUT /:login/stor/mybucket/photos/2026/cat.jpg
+ *
+ * Because S3 has no directories, missing parent directories of an object are
+ * created when it is written (see findParents() in common.js).  The parts of
+ * the request and response that differ between the two APIs are translated
+ * here:
+ *
+ * - rewriteRequest() parses the S3 operation and rewrites the request, and
+ *   arranges for the responses of the operations whose results are XML
+ *   documents to be converted.
+ * - storageHandler() runs first in the GET, HEAD and DELETE storage routes,
+ *   and implements the operations that have no Manta equivalent (listing
+ *   keys, buckets) or differ from it.
+ * - formatXML() is the formatter for the responses to S3 requests, and
+ *   renders errors as S3 clients expect them.
+ *
+ * The signature itself is checked during authentication, by
+ * awsSignatureHandler() in auth.js.
+ */
+
+var path = require('path');
+var querystring = require('querystring');
+var url = require('url');
+
+var assert = require('assert-plus');
+
+var auth = require('./auth');
+var common = require('./common');
+var sigv4 = require('./sigv4');
+var uploadsCommon = require('./uploads/common');
+var utils = require('./utils');
+require('./errors');
+
+
+
+///--- Globals
+
+var XMLNS = 'http://s3.amazonaws.com/doc/2006-03-01/';
+var DIR_CONTENT_TYPE = 'application/json; type=directory';
+
+// The most keys a listing returns, whatever "max-keys" the client asks for.
+var MAX_KEYS = 1000;
+
+// The largest CompleteMultipartUpload document we accept.
+var MAX_XML_SIZE = 1024 * 1024;
+
+// Operations on a bucket, rather than on a key in it.
+var BUCKET_OPERATIONS = [
+    'ListBuckets',
+    'ListObjects',
+    'ListObjectsV2',
+    'GetBucketLocation',
+    'HeadBucket',
+    'CreateBucket',
+    'DeleteBucket'
+];
+
+var UPLOAD_OPERATIONS = [
+    'CreateMultipartUpload',
+    'UploadPart',
+    'CompleteMultipartUpload',
+    'AbortMultipartUpload'
+];
+
+// Subresources of operations we don't support, which would otherwise be
+// mistaken for the plain operation on the bucket or key.
+var UNSUPPORTED_SUBRESOURCES = [
+    'accelerate',
+    'acl',
+    'analytics',
+    'attributes',
+    'cors',
+    'delete',
+    'encryption',
+    'intelligent-tiering',
+    'inventory',
+    'legal-hold',
+    'lifecycle',
+    'logging',
+    'metrics',
+    'notification',
+    'object-lock',
+    'ownershipControls',
+    'policy',
+    'publicAccessBlock',
+    'replication',
+    'requestPayment',
+    'restore',
+    'retention',
+    'select',
+    'tagging',
+    'torrent',
+    'versionId',
+    'versioning',
+    'versions',
+    'website'
+];
+
+// Muskie error codes S3 clients know by another name.
+var ERROR_CODES = {
+    AccountBlocked: 'AccessDenied',
+    AuthorizationFailed: 'AccessDenied',
+    AuthorizationRequired: 'AccessDenied',
+    ContentLengthRequired: 'MissingContentLength',
+    ContentMD5Mismatch: 'BadDigest',
+    ContentSHA256Mismatch: 'XAmzContentSHA256Mismatch',
+    DirectoryDoesNotExist: 'NoSuchBucket',
+    DirectoryNotEmpty: 'BucketNotEmpty',
+    EntityAlreadyExists: 'BucketAlreadyOwnedByYou',
+    InvalidMultipartUploadState: 'NoSuchUpload',
+    InvalidParameter: 'InvalidArgument',
+    InvalidQueryStringAuthentication: 'AccessDenied',
+    InvalidSignature: 'SignatureDoesNotMatch',
+    MaxContentLengthExceeded: 'EntityTooLarge',
+    MultipartUploadInvalidArgument: 'InvalidPart',
+    RangeNotSatisfiable: 'InvalidRange',
+    RateLimitExceeded: 'SlowDown',
+    ThrottledError: 'SlowDown'
+};
+
+
+
+///--- Helpers
+
+function xmlEscape(str) {
+    return (String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;'));
+}
+
+
+function xmlUnescape(str) {
+    /* JSSTYLED */
+    return (str.replace(/&(quot|apos|lt|gt|amp|#(\d+));/g, function (m, e, n) {
+        if (n !== undefined)
+            return (String.fromCharCode(parseInt(n, 10)));
+        return ({quot: '"', apos: '\'', lt: '<', gt: '>', amp: '&'}[e]);
+    }));
+}
+
+
+function tag(name, value) {
+    return ('<' + name + '>' + xmlEscape(value) + '</' + name + '>');
+}
+
+
+function xmlDocument(root, elements) {
+    return ('<?xml version="1.0" encoding="UTF-8"?>\n<' + root +
+        ' xmlns="' + XMLNS + '">' + elements.join('') + '</' + root + '>');
+}
+
+
+/*
+ * S3 clients expect an object's ETag to be the (quoted, hex) MD5 of its
+ * content, and some of them check it.
+ */
+function s3ETag(contentMD5) {
+    return ('"' + Buffer.from(contentMD5, 'base64').toString('hex') + '"');
+}
+
+
+function objectETag(md) {
+    return (md.contentMD5 ? s3ETag(md.contentMD5) : '"' + md.etag + '"');
+}
+
+
+function uriDecode(str) {
+    try {
+        return (decodeURIComponent(str));
+    } catch (e) {
+        return (null);
+    }
+}
+
+
+/*
+ * Returns the name of the S3 operation a request is for, or null if it's not
+ * one we support.
+ */
+function s3Operation(method, bucket, key, query) {
+    function has(k) {
+        return (Object.prototype.hasOwnProperty.call(query, k));
+    }
+
+    if (!bucket)
+        return (method === 'GET' ? 'ListBuckets' : null);
+
+    if (!key) {
+        switch (method) {
+        case 'GET':
+            if (has('location'))
+                return ('GetBucketLocation');
+            if (has('uploads'))
+                return (null);
+            return (query['list-type'] === '2' ?
+                'ListObjectsV2' : 'ListObjects');
+        case 'HEAD':
+            return ('HeadBucket');
+        case 'PUT':
+            return ('CreateBucket');
+        case 'DELETE':
+            return ('DeleteBucket');
+        default:
+            return (null);
+        }
+    }
+
+    switch (method) {
+    case 'GET':
+        return (has('uploadId') ? null : 'GetObject');
+    case 'HEAD':
+        return ('HeadObject');
+    case 'PUT':
+        if (has('uploadId') || has('partNumber'))
+            return ('UploadPart');
+        return (key.charAt(key.length - 1) === '/' ?
+            'PutFolder' : 'PutObject');
+    case 'POST':
+        if (has('uploads'))
+            return ('CreateMultipartUpload');
+        if (has('uploadId'))
+            return ('CompleteMultipartUpload');
+        return (null);
+    case 'DELETE':
+        return (has('uploadId') ? 'AbortMultipartUpload' : 'DeleteObject');
+    default:
+        return (null);
+    }
+}
+
+
+/*
+ * Returns the Manta path of the multipart upload `id`.
+ */
+function uploadPath(login, id) {
+    if (typeof (id) === 'string' && uploadsCommon.ID_REGEX.test(id)) {
+        try {
+            return (uploadsCommon.generateUploadPath({
+                id: id,
+                login: login
+            }));
+        } catch (e) {
+            // The id doesn't encode a valid prefix length.
+        }
+    }
+
+    throw new ResourceNotFoundError('upload ' + id);
+}
+
+
+/*
+ * Parses the part list of a CompleteMultipartUpload request into the list of
+ * part etags that commit-mpu takes.  Manta parts are numbered from 0, and all
+ * of them are committed, so the parts must be numbered 1..n.
+ */
+function parseCompleteUpload(id, xml) {
+    /* JSSTYLED */
+    var root = /<CompleteMultipartUpload[^>]*>([\s\S]*)<\/Complete/.exec(xml);
+    if (!root)
+        throw new MalformedXMLError('expected CompleteMultipartUpload');
+
+    var etags = [];
+    /* JSSTYLED */
+    var re = /<Part>([\s\S]*?)<\/Part>/g;
+    var m;
+    while ((m = re.exec(root[1])) !== null) {
+        /* JSSTYLED */
+        var num = /<PartNumber>\s*(\d+)\s*<\/PartNumber>/.exec(m[1]);
+        /* JSSTYLED */
+        var etag = /<ETag>([\s\S]*?)<\/ETag>/.exec(m[1]);
+        if (!num || !etag)
+            throw new MalformedXMLError('Part requires PartNumber and ETag');
+
+        if (parseInt(num[1], 10) !== etags.length + 1) {
+            throw new MultipartUploadInvalidArgumentError(id,
+                'parts must be numbered consecutively from 1');
+        }
+        /* JSSTYLED */
+        etags.push(xmlUnescape(etag[1]).trim().replace(/^"(.*)"$/, '$1'));
+    }
+
+    if (etags.length === 0)
+        throw new MalformedXMLError('no parts given');
+
+    return (etags);
+}
+
+
+/*
+ * Replaces the request's body with `body`, as if the client had sent it as
+ * JSON.  The body has already been read, so the body parser must find
+ * nothing left to read.
+ */
+function setJsonBody(req, body) {
+    req.headers['content-type'] = 'application/json';
+    req.headers['content-length'] = '0';
+    delete req.headers['transfer-encoding'];
+    req.body = JSON.stringify(body);
+}
+
+
+/*
+ * Sends the XML document `func(body)` returns instead of the successful
+ * response to a Manta request, for operations whose result is a document.
+ */
+function sendResult(res, func) {
+    var send = res.send;
+
+    res.send = function s3Send(code, body) {
+        if (typeof (code) !== 'number' || code >= 300)
+            return (send.apply(res, arguments));
+
+        res.send = send;
+        res.setHeader('Content-Type', 'application/xml');
+        return (send.call(res, 200, func(body)));
+    };
+}
+
+
+function setResponseHeaders(req, res) {
+    var s3 = req.s3;
+    var md = req.metadata;
+
+    res.setHeader('x-amz-request-id', req.getId());
+    if (res.statusCode >= 300 && res.statusCode !== 304)
+        return;
+
+    switch (s3.operation) {
+    case 'GetObject':
+    case 'HeadObject':
+        if (!md || md.type !== 'object')
+            break;
+
+        res.setHeader('ETag', objectETag(md));
+        Object.keys(md.headers || {}).forEach(function (k) {
+            if (/^m-/.test(k) && res.getHeader(k) !== undefined) {
+                res.setHeader('x-amz-meta-' + k.slice(2), res.getHeader(k));
+                res.removeHeader(k);
+            }
+        });
+        break;
+
+    case 'PutObject':
+        if (res.getHeader('Computed-MD5'))
+            res.setHeader('ETag', s3ETag(res.getHeader('Computed-MD5')));
+        break;
+
+    case 'UploadPart':
+        if (res.getHeader('Etag'))
+            res.setHeader('ETag', '"' + res.getHeader('Etag') + '"');
+        break;
+
+    default:
+        break;
+    }
+}
+
+
+function errorCode(operation, err) {
+    var code = err.restCode || (err.body && err.body.code) ||
+        'InternalError';
+
+    if (code === 'ResourceNotFound') {
+        if (BUCKET_OPERATIONS.indexOf(operation) !== -1)
+            return ('NoSuchBucket');
+        if (UPLOAD_OPERATIONS.indexOf(operation) !== -1)
+            return ('NoSuchUpload');
+        return ('NoSuchKey');
+    }
+
+    return (ERROR_CODES[code] || code);
+}
+
+
+function listBuckets(req, res, next) {
+    var buckets = [];
+
+    common.walkDirectory(req, req.key, '', function (entry, r, cb) {
+        if (entry.type === 'directory') {
+            buckets.push('<Bucket>' + tag('Name', entry.name) +
+                tag('CreationDate', entry.mtime) + '</Bucket>');
+        }
+        cb();
+    }, function (err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        res.setHeader('Content-Type', 'application/xml');
+        res.send(200, xmlDocument('ListAllMyBucketsResult', [
+            '<Owner>' + tag('ID', req.owner.account.uuid) +
+                tag('DisplayName', req.owner.account.login) + '</Owner>',
+            '<Buckets>' + buckets.join('') + '</Buckets>'
+        ]));
+        next(false);
+    });
+}
+
+
+/*
+ * Lists the keys in a bucket.  With the "/" delimiter, this lists one
+ * directory, and its subdirectories are the common prefixes.  Without one,
+ * it walks the tree below the prefix, depth first.  Either way, keys are in
+ * the order of the directory listings: by name, with each directory's keys
+ * in place of its name.  A listing resumes after the key it was truncated at
+ * (which is the continuation token), by walking back down to that key.
+ */
+function listObjects(req, res, next) {
+    var s3 = req.s3;
+    var query = s3.query;
+    var v2 = s3.operation === 'ListObjectsV2';
+
+    var delimiter = query.delimiter || '';
+    if (delimiter !== '' && delimiter !== '/') {
+        next(new NotImplementedError('delimiter must be "/"'));
+        return;
+    }
+
+    var maxKeys = MAX_KEYS;
+    if (query['max-keys'] !== undefined) {
+        if (!/^\d+$/.test(query['max-keys'])) {
+            next(new InvalidParameterError('max-keys', query['max-keys']));
+            return;
+        }
+        maxKeys = Math.min(parseInt(query['max-keys'], 10), MAX_KEYS);
+    }
+
+    var start;
+    if (!v2) {
+        start = query.marker;
+    } else if (query['continuation-token'] !== undefined) {
+        start = Buffer.from(query['continuation-token'],
+            'base64').toString('utf8');
+    } else {
+        start = query['start-after'];
+    }
+
+    var prefix = query.prefix || '';
+    var dirPrefix = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+    var namePrefix = prefix.slice(dirPrefix.length);
+    var startParts = null;
+    var encode = query['encoding-type'] === 'url';
+
+    var contents = [];
+    var prefixes = [];
+    var count = 0;
+    var last;
+    var truncated = false;
+
+    function encodeKey(k) {
+        return (encode ? sigv4.uriEncode(k, true) : k);
+    }
+
+    function add(k, entry, cb) {
+        if (count === maxKeys) {
+            truncated = true;
+            cb(null, true);
+            return;
+        }
+
+        count++;
+        last = k;
+        if (entry) {
+            contents.push('<Contents>' + tag('Key', encodeKey(k)) +
+                tag('LastModified', entry.mtime) +
+                tag('ETag', entry.contentMD5 ?
+                    s3ETag(entry.contentMD5) : '"' + entry.etag + '"') +
+                tag('Size', entry.size) +
+                tag('StorageClass', 'STANDARD') + '</Contents>');
+        } else {
+            prefixes.push('<CommonPrefixes>' + tag('Prefix', encodeKey(k)) +
+                '</CommonPrefixes>');
+        }
+        cb();
+    }
+
+    function walk(dir, rel, resume, top, cb) {
+        var marker = resume ? resume[0] : '';
+        if (top && namePrefix > marker)
+            marker = namePrefix;
+
+        common.walkDirectory(req, dir, marker, function (entry, r, next2) {
+            var name = entry.name;
+            if (top && name.indexOf(namePrefix) !== 0) {
+                // Past the names with the prefix, so done.
+                next2(null, name > namePrefix);
+                return;
+            }
+
+            var resuming = resume !== null && name === resume[0];
+            if (entry.type === 'directory') {
+                if (delimiter) {
+                    if (resuming) {
+                        next2();
+                    } else {
+                        add(rel + name + '/', null, next2);
+                    }
+                    return;
+                }
+
+                var md = {
+                    key: r.key,
+                    roles: r.value.roles
+                };
+                auth.authorizeResource(req, md, 'getdirectory', req.path(),
+                    function (err) {
+                    if (err && err.restCode === 'AuthorizationFailed') {
+                        next2();
+                    } else if (err) {
+                        next2(err);
+                    } else {
+                        walk(r.key, rel + name + '/', resuming &&
+                            resume.length > 1 ? resume.slice(1) : null,
+                            false, next2);
+                    }
+                });
+            } else if (entry.type !== 'object' || resuming) {
+                next2();
+            } else {
+                add(rel + name, entry, next2);
+            }
+        }, cb);
+    }
+
+    function done(err) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        var elements = [
+            tag('Name', s3.bucket),
+            tag('Prefix', encodeKey(prefix))
+        ];
+        if (delimiter)
+            elements.push(tag('Delimiter', delimiter));
+        elements.push(tag('MaxKeys', maxKeys));
+        if (encode)
+            elements.push(tag('EncodingType', 'url'));
+        elements.push(tag('IsTruncated', truncated));
+
+        if (v2) {
+            elements.push(tag('KeyCount', count));
+            if (query['continuation-token'] !== undefined) {
+                elements.push(tag('ContinuationToken',
+                    query['continuation-token']));
+            }
+            if (truncated) {
+                elements.push(tag('NextContinuationToken',
+                    Buffer.from(last, 'utf8').toString('base64')));
+            }
+            if (query['start-after'] !== undefined)
+                elements.push(tag('StartAfter', query['start-after']));
+        } else {
+            elements.push(tag('Marker', query.marker || ''));
+            if (truncated)
+                elements.push(tag('NextMarker', encodeKey(last)));
+        }
+
+        res.setHeader('Content-Type', 'application/xml');
+        res.send(200, xmlDocument('ListBucketResult',
+            elements.concat(contents, prefixes)));
+        next(false);
+    }
+
+    if (start) {
+        if (start.indexOf(dirPrefix) === 0) {
+            startParts = start.slice(dirPrefix.length).split('/');
+        } else if (start > prefix) {
+            done();
+            return;
+        }
+    }
+
+    if (maxKeys === 0 || dirPrefix === '') {
+        if (maxKeys === 0) {
+            done();
+        } else {
+            walk(req.key, '', startParts, true, done);
+        }
+        return;
+    }
+
+    // The prefix names a subdirectory, which the caller must be able to read.
+    var dirKey = req.key + '/' + dirPrefix.slice(0, -1);
+    var opts = {
+        key: path.normalize(dirKey),
+        requestId: req.getId()
+    };
+    common.loadMetadata(req, opts, function (err, md) {
+        if (err) {
+            next(err);
+        } else if (md.type !== 'directory' || md.key !== dirKey) {
+            done();
+        } else {
+            auth.authorizeResource(req, md, 'getdirectory', req.path(),
+                function (err2) {
+                if (err2) {
+                    next(err2);
+                } else {
+                    walk(dirKey, dirPrefix, startParts, true, done);
+                }
+            });
+        }
+    });
+}
+
+
+/*
+ * S3 compares the conditional headers of a GET against its own ETags, which
+ * we translate to the Manta etag the conditional request handlers use.
+ */
+function translateConditions(req) {
+    var md = req.metadata;
+    var etag = objectETag(md).slice(1, -1);
+
+    ['if-match', 'if-none-match'].forEach(function (h) {
+        if (req.headers[h] === undefined)
+            return;
+
+        req.headers[h] = req.headers[h].split(',').map(function (t) {
+            /* JSSTYLED */
+            var v = t.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+            return (v === etag ? '"' + md.etag + '"' : t.trim());
+        }).join(', ');
+    });
+}
+
+
+
+///--- API
+
+/*
+ * Rewrites an S3 request into the equivalent Manta request (see above).  This
+ * runs before routing, so the request can be rewritten to any route.
+ */
+function rewriteRequest(req, res, next) {
+    var config = req.config.s3;
+    if (!config || !config.enabled || !sigv4.isSigned(req)) {
+        next();
+        return;
+    }
+
+    // The request as it was signed.
+    var headers = {};
+    Object.keys(req.headers).forEach(function (k) {
+        headers[k] = req.headers[k];
+    });
+    var s3 = req.s3 = {
+        request: {
+            method: req.method,
+            url: req.url,
+            headers: headers
+        }
+    };
+    res.once('header', function () {
+        setResponseHeaders(req, res);
+    });
+
+    try {
+        s3.auth = sigv4.parse(s3.request);
+    } catch (e) {
+        next(e);
+        return;
+    }
+
+    var accessKeyId = s3.auth.credential.accessKeyId;
+    s3.accessKey = config.accessKeys.filter(function (k) {
+        return (k.accessKeyId === accessKeyId);
+    })[0];
+    if (!s3.accessKey) {
+        next(new InvalidAccessKeyIdError(accessKeyId));
+        return;
+    }
+
+    if (sigv4.isStreamingPayload(s3.auth)) {
+        next(new NotImplementedError('aws-chunked payloads are not ' +
+            'supported'));
+        return;
+    }
+
+    var unsupported = Object.keys(req.headers).filter(function (k) {
+        return (k === 'x-amz-copy-source' ||
+            k.indexOf('x-amz-server-side-encryption') === 0);
+    });
+    var u = url.parse(req.url);
+    s3.query = querystring.parse(u.query || '');
+    unsupported = unsupported.concat(Object.keys(s3.query).filter(function (k) {
+        return (UNSUPPORTED_SUBRESOURCES.indexOf(k) !== -1);
+    }));
+    if (unsupported.length > 0) {
+        next(new NotImplementedError('"' + unsupported[0] + '" is not ' +
+            'supported'));
+        return;
+    }
+
+    /* JSSTYLED */
+    var m = /^\/([^\/]*)\/?(.*)$/.exec(u.pathname || '/');
+    s3.bucket = uriDecode(m[1]);
+    s3.key = uriDecode(m[2]);
+    if (s3.bucket === null || s3.key === null ||
+        (s3.bucket + '/' + s3.key).split('/').some(function (c) {
+            return (c === '.' || c === '..');
+        })) {
+        next(new InvalidPathError(u.pathname));
+        return;
+    }
+
+    s3.operation = s3Operation(req.method, s3.bucket, s3.key, s3.query);
+    if (s3.operation === null) {
+        next(new NotImplementedError(req.method + ' ' + u.pathname +
+            ' is not supported'));
+        return;
+    }
+    if (UPLOAD_OPERATIONS.indexOf(s3.operation) !== -1 &&
+        !req.config.enableMPU) {
+        next(new NotImplementedError('multipart uploads are not enabled'));
+        return;
+    }
+
+    var login = s3.accessKey.login;
+    var bucketPath = '/' + encodeURIComponent(login) + '/stor/' + m[1];
+    var target = bucketPath + (m[2] ? '/' + m[2] : '');
+
+    try {
+        switch (s3.operation) {
+        case 'ListBuckets':
+            target = '/' + encodeURIComponent(login) + '/stor';
+            break;
+
+        case 'CreateBucket':
+        case 'PutFolder':
+            req.headers['content-type'] = DIR_CONTENT_TYPE;
+            break;
+
+        case 'CreateMultipartUpload':
+            var mpuHeaders = {};
+            Object.keys(req.headers).forEach(function (k) {
+                if (/^(content-type|content-disposition)$/.test(k) ||
+                    /^x-amz-meta-/.test(k)) {
+                    mpuHeaders[k.replace(/^x-amz-meta-/, 'm-')] =
+                        req.headers[k];
+                }
+            });
+            setJsonBody(req, {
+                objectPath: '/' + login + '/stor/' + s3.bucket + '/' +
+                    s3.key,
+                headers: mpuHeaders
+            });
+            target = '/' + encodeURIComponent(login) + '/uploads';
+            sendResult(res, function (body) {
+                return (xmlDocument('InitiateMultipartUploadResult', [
+                    tag('Bucket', s3.bucket),
+                    tag('Key', s3.key),
+                    tag('UploadId', body.id)
+                ]));
+            });
+            break;
+
+        case 'PutObject':
+            // The data is checked as it's streamed; see sharkStreams() in
+            // obj.js.
+            req._payloadCheck = sigv4.payloadCheck(s3.auth);
+            break;
+
+        case 'UploadPart':
+            req._payloadCheck = sigv4.payloadCheck(s3.auth);
+            var partNumber = s3.query.partNumber;
+            if (!/^[1-9][0-9]*$/.test(partNumber)) {
+                throw new InvalidParameterError('partNumber',
+                    partNumber);
+            }
+            target = uploadPath(login, s3.query.uploadId) + '/' +
+                (parseInt(partNumber, 10) - 1);
+            break;
+
+        case 'CompleteMultipartUpload':
+            target = uploadPath(login, s3.query.uploadId) + '/commit';
+            sendResult(res, function () {
+                return (xmlDocument('CompleteMultipartUploadResult', [
+                    tag('Location', '/' + s3.bucket + '/' + s3.key),
+                    tag('Bucket', s3.bucket),
+                    tag('Key', s3.key),
+                    tag('ETag', s3ETag(res.getHeader('Computed-MD5')))
+                ]));
+            });
+            break;
+
+        case 'AbortMultipartUpload':
+            target = uploadPath(login, s3.query.uploadId) + '/abort';
+            req.method = 'POST';
+            break;
+
+        default:
+            break;
+        }
+    } catch (e) {
+        next(e);
+        return;
+    }
+
+    Object.keys(req.headers).forEach(function (k) {
+        if (/^x-amz-meta-/.test(k)) {
+            req.headers['m-' + k.slice(11)] = req.headers[k];
+            delete req.headers[k];
+        }
+    });
+
+    req.log.debug({
+        operation: s3.operation,
+        url: req.url,
+        target: target
+    }, 's3: rewrote request');
+    req.url = target;
+
+    if (s3.operation !== 'CompleteMultipartUpload') {
+        next();
+        return;
+    }
+
+    utils.readBody(req, res, MAX_XML_SIZE, function (err, body) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        if (!sigv4.checkPayload(s3.auth, body)) {
+            next(new InvalidSignatureError());
+            return;
+        }
+
+        try {
+            setJsonBody(req, {
+                parts: parseCompleteUpload(s3.query.uploadId,
+                    body.toString('utf8'))
+            });
+        } catch (e) {
+            next(e);
+            return;
+        }
+        next();
+    });
+}
+
+
+/*
+ * The formatter for responses to S3 requests that have a body: the XML
+ * documents sent by this module, and errors.
+ */
+function formatXML(req, res, body) {
+    assert.object(req.s3, 'req.s3');
+
+    if (body instanceof Error) {
+        var err = translateError(body, req);
+        res.statusCode = err.statusCode || 500;
+        if (res.statusCode >= 500)
+            req.log.warn(err, 'request failed: internal error');
+
+        if (err.headers !== undefined) {
+            for (var h in err.headers) {
+                res.setHeader(h, err.headers[h]);
+            }
+        }
+
+        var code = errorCode(req.s3.operation, err);
+        if (code === 'NoSuchKey' && req.s3.operation === 'DeleteObject') {
+            // Deleting a key that doesn't exist succeeds.
+            res.statusCode = 204;
+            body = '';
+        } else {
+            body = '<?xml version="1.0" encoding="UTF-8"?>\n<Error>' +
+                tag('Code', code) +
+                tag('Message', err.message) +
+                tag('Resource', url.parse(req.s3.request.url).pathname) +
+                tag('RequestId', req.getId()) +
+                '</Error>';
+        }
+    }
+
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.setHeader('Content-Type', 'application/xml');
+
+    return (body);
+}
+
+
+function storageHandler() {
+    function s3Storage(req, res, next) {
+        if (!req.s3) {
+            next();
+            return;
+        }
+
+        var md = req.metadata;
+        var operation = req.s3.operation;
+        if (operation !== 'ListBuckets' &&
+            BUCKET_OPERATIONS.indexOf(operation) !== -1 &&
+            md.type !== 'directory') {
+            next(new ResourceNotFoundError(req.path()));
+            return;
+        }
+
+        switch (operation) {
+        case 'ListBuckets':
+            listBuckets(req, res, next);
+            break;
+
+        case 'ListObjects':
+        case 'ListObjectsV2':
+            listObjects(req, res, next);
+            break;
+
+        case 'GetBucketLocation':
+            res.setHeader('Content-Type', 'application/xml');
+            res.send(200, xmlDocument('LocationConstraint', []));
+            next(false);
+            break;
+
+        case 'HeadBucket':
+            res.send(200);
+            next(false);
+            break;
+
+        case 'GetObject':
+        case 'HeadObject':
+            if (md.type !== 'object') {
+                next(new ResourceNotFoundError(req.path()));
+                return;
+            }
+            translateConditions(req);
+            next();
+            break;
+
+        case 'DeleteObject':
+            if (md.type === 'directory') {
+                // There's no such key, only keys below it.
+                res.send(204);
+                next(false);
+                return;
+            }
+            next();
+            break;
+
+        default:
+            next();
+            break;
+        }
+    }
+
+    return ([s3Storage]);
+}
+
+
+
+///--- Exports
+
+module.exports = {
+    rewriteRequest: rewriteRequest,
+    formatXML: formatXML,
+    storageHandler: storageHandler,
+
+    // For testing
+    parseCompleteUpload: parseCompleteUpload
+};
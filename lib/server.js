@@ -23,14 +23,23 @@ var restify = require('restify');
 
 var audit = require('./audit');
 var auth = require('./auth');
+var batch = require('./batch');
 var common = require('./common');
 var dir = require('./dir');
+var encryption = require('./encryption');
+var lifecycle = require('./lifecycle');
 var link = require('./link');
+var move = require('./move');
 var obj = require('./obj');
 var other = require('./other');
 var picker = require('./picker');
+var rateLimit = require('./rate_limit');
+var retention = require('./retention');
+var s3 = require('./s3');
+var tags = require('./tags');
 var uploads = require('./uploads');
 var throttle = require('./throttle');
+var versions = require('./versions');
 
 var muskieUtils = require('./utils');
 
@@ -87,6 +96,15 @@ function formatJSON(req, res, body) {
 }
 
 
+// Requests to the S3 front end get XML errors (see s3.js).
+function format(req, res, body) {
+    if (req.s3 && (body instanceof Error || typeof (body) === 'string'))
+        return (s3.formatXML(req, res, body));
+
+    return (formatJSON(req, res, body));
+}
+
+
 
 ///--- API
 
@@ -106,15 +124,17 @@ function createServer(options, clients, name) {
     assert.object(options.log, 'options.log');
     assert.object(options.collector, 'options.collector');
     assert.object(options.throttle, 'options.throttle');
+    assert.object(options.rateLimit, 'options.rateLimit');
     assert.object(clients, 'clients');
     assert.string(name, 'name');
 
     options.formatters = {
-        'application/json': formatJSON,
-        'text/plain': formatJSON,
-        'application/octet-stream': formatJSON,
-        'application/x-json-stream': formatJSON,
-        '*/*': formatJSON
+        'application/json': format,
+        'application/xml': format,
+        'text/plain': format,
+        'application/octet-stream': format,
+        'application/x-json-stream': format,
+        '*/*': format
     };
     options.noWriteContinue = true;
     options.handleUpgrades = true;
@@ -190,6 +210,29 @@ function createServer(options, clients, name) {
         name: common.METRIC_DELETED_DIRECTORY_COUNTER,
         help: 'count of deleted directories'
     });
+    // Counters for the work done by the lifecycle sweeper (see lifecycle.js).
+    options.collector.counter({
+        name: common.METRIC_LIFECYCLE_EXPIRED_COUNTER,
+        help: 'count of objects expired by a lifecycle policy'
+    });
+    options.collector.counter({
+        name: common.METRIC_LIFECYCLE_ABORTED_COUNTER,
+        help: 'count of multipart uploads aborted by a lifecycle policy'
+    });
+    options.collector.counter({
+        name: common.METRIC_LIFECYCLE_ERROR_COUNTER,
+        help: 'count of errors applying lifecycle policies'
+    });
+    // The requests waiting on each of the throttle's queues (see throttle.js),
+    // and how long they waited.
+    options.collector.gauge({
+        name: common.METRIC_THROTTLE_QUEUE_DEPTH_GAUGE,
+        help: 'requests waiting on a throttle queue'
+    });
+    options.collector.histogram({
+        name: common.METRIC_THROTTLE_QUEUE_WAIT_HISTOGRAM,
+        help: 'time requests waited on a throttle queue'
+    });
 
     var _timeout = parseInt((process.env.SOCKET_TIMEOUT || 120), 10) * 1000;
     server.server.setTimeout(_timeout, function onTimeout(socket) {
@@ -212,6 +255,8 @@ function createServer(options, clients, name) {
         }
     });
 
+    // This must come first, so that customer-provided keys are never logged.
+    server.pre(encryption.stripCustomerKey);
     server.pre(function watchClose(req, res, next) {
         /*
          * In some cases, we proactively check for closed client connections.
@@ -230,6 +275,7 @@ function createServer(options, clients, name) {
         req.pathPreSanitize = url.parse(req.url).pathname;
         next();
     });
+    server.pre(s3.rewriteRequest);
     server.pre(restify.pre.sanitizePath());
     server.pre(function cleanupContentType(req, res, next) {
         var ct = req.headers['content-type'];
@@ -315,6 +361,7 @@ function createServer(options, clients, name) {
 
     if (options.throttle.enabled) {
         options.throttle.log = options.log;
+        options.throttle.collector = options.collector;
         var throttleHandle = throttle.createThrottle(options.throttle);
         server.use(throttle.throttleHandler(throttleHandle));
     }
@@ -329,13 +376,39 @@ function createServer(options, clients, name) {
     // Add various fields to the 'req' object before the handlers get called.
     server.use(common.setupHandler(options, clients));
 
+    /*
+     * Requests are rate limited once we know who they're from and for.  Those
+     * whose operation class depends on their metadata are limited once it's
+     * loaded, below.
+     */
+    var rateLimitHandle;
+    if (options.rateLimit.enabled) {
+        options.rateLimit.log = options.log;
+        rateLimitHandle = rateLimit.createRateLimiter(options.rateLimit);
+        server.use(rateLimit.rateLimitHandler(rateLimitHandle));
+    }
+
 
     // Multipart Upload API
     if (options.enableMPU) {
         addMultipartUploadRoutes(server);
     }
 
+    // Batch API; each path is authorized by the handler.
+    server.post({
+        path: '/:account/batch/delete',
+        name: 'BatchDelete',
+        contentType: 'application/json'
+    }, batch.deleteHandler(options.batch));
+    server.post({
+        path: '/:account/batch/head',
+        name: 'BatchHead',
+        contentType: 'application/json'
+    }, batch.headHandler(options.batch));
+
     server.use(common.getMetadataHandler());
+    if (rateLimitHandle)
+        server.use(rateLimit.rateLimitHandler(rateLimitHandle));
     server.use(auth.storageContext);
     server.use(auth.authorizationHandler());
 
@@ -414,12 +487,21 @@ function createServer(options, clients, name) {
             authAction: 'putlink'
         }, link.putLinkHandler());
 
+        server.put({
+            path: _p,
+            name: 'Move' + _n + 'Object',
+            contentType: 'application/json; type=move',
+            authAction: 'putobject'
+        }, move.moveObjectHandler());
+
         server.put({
             path: _p,
             name: 'Put' + _n + 'Object',
             contentType: '*/*',
             authAction: 'putobject'
-        }, obj.putObjectHandler());
+        },  tags.putTagsHandler(),
+            retention.putRetentionHandler(),
+            obj.putObjectHandler());
 
         server.opts({
             path: _p,
@@ -429,7 +511,12 @@ function createServer(options, clients, name) {
         server.get({
             path: _p,
             name: 'Get' + _n + 'Storage'
-        },  common.ensureEntryExistsHandler(),
+        },  s3.storageHandler(),
+            uploads.listHandler(),
+            tags.getTagsHandler(),
+            retention.getRetentionHandler(),
+            versions.getVersionHandler(),
+            common.ensureEntryExistsHandler(),
             common.assertMetadataHandler(),
             dir.getDirectoryHandler(),
             obj.getObjectHandler());
@@ -437,7 +524,11 @@ function createServer(options, clients, name) {
         server.head({
             path: _p,
             name: 'Head' + _n + 'Storage'
-        },  common.ensureEntryExistsHandler(),
+        },  s3.storageHandler(),
+            tags.getTagsHandler(),
+            retention.getRetentionHandler(),
+            versions.getVersionHandler(),
+            common.ensureEntryExistsHandler(),
             common.assertMetadataHandler(),
             dir.getDirectoryHandler(),
             obj.getObjectHandler());
@@ -445,7 +536,10 @@ function createServer(options, clients, name) {
         server.del({
             path: _p,
             name: 'Delete' + _n + 'Storage'
-        },  common.ensureEntryExistsHandler(),
+        },  s3.storageHandler(),
+            tags.deleteTagsHandler(),
+            versions.deleteVersionHandler(),
+            common.ensureEntryExistsHandler(),
             common.assertMetadataHandler(),
             dir.deleteDirectoryHandler(),
             obj.deleteObjectHandler());
@@ -578,8 +672,12 @@ function addMultipartUploadRoutes(server) {
     /*
      * Path: /:account/uploads
      *
-     * Allowed: POST (create-mpu), GET (list-mpu), HEAD
+     * Allowed: POST (create-mpu), GET, HEAD
      * Disallowed: PUT, DELETE (automatically handled by commit/abort + GC)
+     *
+     * GET lists the prefix directories, as for any directory, unless the
+     * query has "uploads=true" (list-mpu), which is handled along with the
+     * storage routes (see list.js).
      */
     server.post({
         path: '/:account/uploads',
@@ -761,8 +859,12 @@ function addMultipartUploadDataPlaneRoutes(server) {
     /*
      * Path: /:account/uploads/[0-f]/:id
      *
-     * Allowed: GET (list-parts), HEAD
+     * Allowed: GET, HEAD
      * Disallowed: PUT, POST, DELETE
+     *
+     * GET lists the parts directory, as for any directory, unless the query
+     * has "parts=true" (list-parts), which is handled along with the storage
+     * routes (see list.js).
      */
     server.del({
         path: '/:account/uploads/[0-f]+/:id',
@@ -814,6 +916,8 @@ module.exports = {
 
     createServer: createServer,
 
+    lifecycle: lifecycle,
+
     picker: picker,
 
     startKangServer: other.startKangServer,
@@ -0,0 +1,446 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+/*
+ * AWS Signature Version 4, as used by S3 clients to sign requests to the S3
+ * front end (see s3.js).  A request is signed either in the Authorization
+ * header:
+ *
+ *     Authorization: AWS4-HMAC-SHA256 Credential=<access key id>/<scope>,
+ *         SignedHeaders=host;x-amz-content-sha256;x-amz-date,
+ *         Signature=<hex>
+ *
+ * or, for a presigned URL, in the X-Amz-* query parameters.  The scope is
+ * <yyyymmdd>/<region>/s3/aws4_request.  The signature is an HMAC-SHA256, with
+ * a key derived from the secret access key and the scope, over a "string to
+ * sign" that includes a hash of the canonical form of the request.  See
+ * "Authenticating Requests (AWS Signature Version 4)" in the Amazon S3 API
+ * Reference.
+ *
+ * These are pure functions of a request's method, raw URL and headers, so
+ * that they can be checked against the examples in the AWS documentation.
+ */
+
+var crypto = require('crypto');
+var url = require('url');
+
+var assert = require('assert-plus');
+
+require('./errors');
+
+
+
+///--- Globals
+
+var ALGORITHM = 'AWS4-HMAC-SHA256';
+var SERVICE = 's3';
+var TERMINATOR = 'aws4_request';
+
+// Payload hashes that aren't the hash of the body.
+var UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+var STREAMING_PAYLOAD_RE = /^STREAMING-/;
+
+// How far a header-signed request's date may be from our clock.
+var MAX_SKEW_MS = 15 * 60 * 1000;
+
+// The longest a presigned URL may be valid for: 7 days.
+var MAX_EXPIRES = 7 * 24 * 60 * 60;
+
+/* JSSTYLED */
+var AMZ_DATE_RE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+
+
+///--- Helpers
+
+/*
+ * URI-encodes a string the way SigV4 does: every byte other than the
+ * unreserved characters is percent-encoded, with upper case hex digits.
+ * Slashes are kept when encoding a path.
+ */
+function uriEncode(str, keepSlash) {
+    /* JSSTYLED */
+    var s = encodeURIComponent(str).replace(/[!'()*]/g, function (c) {
+        return ('%' + c.charCodeAt(0).toString(16).toUpperCase());
+    });
+
+    if (keepSlash)
+        s = s.replace(/%2F/g, '/');
+
+    return (s);
+}
+
+
+function uriDecode(str) {
+    try {
+        return (decodeURIComponent(str));
+    } catch (e) {
+        return (str);
+    }
+}
+
+
+/*
+ * Parses a raw query string into an array of decoded [name, value] pairs, in
+ * the order they appear.
+ */
+function parseQuery(qs) {
+    if (!qs)
+        return ([]);
+
+    return (qs.split('&').filter(function (p) {
+        return (p.length > 0);
+    }).map(function (p) {
+        var i = p.indexOf('=');
+        if (i === -1)
+            return ([uriDecode(p), '']);
+        return ([uriDecode(p.slice(0, i)), uriDecode(p.slice(i + 1))]);
+    }));
+}
+
+
+function hmac(key, data) {
+    return (crypto.createHmac('sha256', key).update(data, 'utf8').digest());
+}
+
+
+function sha256(data) {
+    return (crypto.createHash('sha256').update(data, 'utf8').digest('hex'));
+}
+
+
+function parseAmzDate(str) {
+    var m = AMZ_DATE_RE.exec(str || '');
+    if (!m)
+        return (null);
+
+    return (Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+}
+
+
+/*
+ * Parses "<access key id>/<date>/<region>/s3/aws4_request".
+ */
+function parseCredential(credential) {
+    var parts = (credential || '').split('/');
+    if (parts.length !== 5 || !parts[0] || !/^\d{8}$/.test(parts[1]) ||
+        !parts[2] || parts[3] !== SERVICE || parts[4] !== TERMINATOR) {
+        throw new InvalidAwsAuthorizationError('invalid credential "' +
+            credential + '"');
+    }
+
+    return ({
+        accessKeyId: parts[0],
+        date: parts[1],
+        region: parts[2],
+        scope: parts.slice(1).join('/')
+    });
+}
+
+
+function parseSignedHeaders(str) {
+    var names = (str || '').split(';');
+    if (names.some(function (n) {
+        return (n.length === 0 || n !== n.toLowerCase());
+    }) || names.indexOf('host') === -1) {
+        throw new InvalidAwsAuthorizationError('invalid signed headers "' +
+            str + '"');
+    }
+
+    return (names);
+}
+
+
+function parseHeaderAuthorization(headers) {
+    var params = {};
+    var value = headers.authorization.slice(ALGORITHM.length).trim();
+
+    /* JSSTYLED */
+    value.split(/\s*,\s*/).forEach(function (p) {
+        var i = p.indexOf('=');
+        if (i !== -1)
+            params[p.slice(0, i)] = p.slice(i + 1);
+    });
+
+    if (!params.Credential || !params.SignedHeaders || !params.Signature) {
+        throw new InvalidAwsAuthorizationError('Credential, SignedHeaders ' +
+            'and Signature are required');
+    }
+
+    var payloadHash = headers['x-amz-content-sha256'];
+    if (!payloadHash) {
+        throw new InvalidAwsAuthorizationError(
+            'x-amz-content-sha256 is required');
+    }
+
+    return ({
+        credential: parseCredential(params.Credential),
+        signedHeaders: parseSignedHeaders(params.SignedHeaders),
+        signature: params.Signature,
+        amzDate: headers['x-amz-date'],
+        payloadHash: payloadHash,
+        presigned: false
+    });
+}
+
+
+function parseQueryAuthorization(query) {
+    var params = {};
+    query.forEach(function (p) {
+        params[p[0]] = p[1];
+    });
+
+    var missing = [
+        'X-Amz-Credential',
+        'X-Amz-Date',
+        'X-Amz-Expires',
+        'X-Amz-SignedHeaders',
+        'X-Amz-Signature'
+    ].filter(function (k) {
+        return (!params[k]);
+    });
+    if (missing.length) {
+        throw new InvalidAwsAuthorizationError('parameters "' +
+            missing.join(', ') + '" are required');
+    }
+
+    var expires = parseInt(params['X-Amz-Expires'], 10);
+    if (!/^\d+$/.test(params['X-Amz-Expires']) || expires > MAX_EXPIRES) {
+        throw new InvalidAwsAuthorizationError('X-Amz-Expires must be ' +
+            'between 0 and ' + MAX_EXPIRES);
+    }
+
+    return ({
+        credential: parseCredential(params['X-Amz-Credential']),
+        signedHeaders: parseSignedHeaders(params['X-Amz-SignedHeaders']),
+        signature: params['X-Amz-Signature'],
+        amzDate: params['X-Amz-Date'],
+        expires: expires,
+        payloadHash: UNSIGNED_PAYLOAD,
+        presigned: true
+    });
+}
+
+
+function canonicalHeaderValue(value) {
+    if (Array.isArray(value))
+        value = value.join(',');
+
+    /* JSSTYLED */
+    return (String(value === undefined ? '' : value).trim().replace(/\s+/g,
+        ' '));
+}
+
+
+/*
+ * Builds the canonical request:
+ *
+ *     <method>\n
+ *     <canonical URI>\n
+ *     <canonical query string>\n
+ *     <canonical headers>\n
+ *     <signed headers>\n
+ *     <payload hash>
+ *
+ * S3 doesn't normalize the path, and encodes each path segment only once.
+ */
+function canonicalRequest(request, auth) {
+    var u = url.parse(request.url);
+
+    var canonicalURI = (u.pathname || '/').split('/').map(function (s) {
+        return (uriEncode(uriDecode(s)));
+    }).join('/');
+
+    var canonicalQuery = parseQuery(u.query).filter(function (p) {
+        return (!auth.presigned || p[0] !== 'X-Amz-Signature');
+    }).map(function (p) {
+        return ([uriEncode(p[0]), uriEncode(p[1])]);
+    }).sort(function (a, b) {
+        if (a[0] !== b[0])
+            return (a[0] < b[0] ? -1 : 1);
+        if (a[1] !== b[1])
+            return (a[1] < b[1] ? -1 : 1);
+        return (0);
+    }).map(function (p) {
+        return (p[0] + '=' + p[1]);
+    }).join('&');
+
+    var canonicalHeaders = auth.signedHeaders.map(function (h) {
+        return (h + ':' + canonicalHeaderValue(request.headers[h]) + '\n');
+    }).join('');
+
+    return ([
+        request.method,
+        canonicalURI,
+        canonicalQuery,
+        canonicalHeaders,
+        auth.signedHeaders.join(';'),
+        auth.payloadHash
+    ].join('\n'));
+}
+
+
+
+///--- API
+
+/*
+ * Returns true if `request` ({method, url, headers}) is signed with SigV4.
+ */
+function isSigned(request) {
+    var authz = request.headers.authorization;
+    if (authz)
+        return (authz.indexOf(ALGORITHM + ' ') === 0);
+
+    var query = url.parse(request.url, true).query;
+    return (query['X-Amz-Algorithm'] === ALGORITHM);
+}
+
+
+/*
+ * Parses the SigV4 authorization of a signed request.  Throws an
+ * InvalidAwsAuthorizationError if it's malformed.  The returned object has:
+ *
+ * - credential: {accessKeyId, date, region, scope}
+ * - signedHeaders: the names of the signed headers
+ * - signature: the hex signature the client sent
+ * - amzDate: the request's timestamp, as sent
+ * - payloadHash: the x-amz-content-sha256 the client signed
+ * - presigned: true if signed in the query string
+ * - expires: for a presigned URL, how long it's valid for (seconds)
+ */
+function parse(request) {
+    assert.object(request, 'request');
+    assert.string(request.method, 'request.method');
+    assert.string(request.url, 'request.url');
+    assert.object(request.headers, 'request.headers');
+
+    var auth;
+    if (request.headers.authorization) {
+        auth = parseHeaderAuthorization(request.headers);
+    } else {
+        var query = parseQuery(url.parse(request.url).query);
+        auth = parseQueryAuthorization(query);
+    }
+
+    auth.date = parseAmzDate(auth.amzDate);
+    if (auth.date === null) {
+        throw new InvalidAwsAuthorizationError('X-Amz-Date must be of the ' +
+            'form YYYYMMDDTHHMMSSZ');
+    }
+    if (auth.amzDate.slice(0, 8) !== auth.credential.date) {
+        throw new InvalidAwsAuthorizationError('credential date does not ' +
+            'match X-Amz-Date');
+    }
+
+    return (auth);
+}
+
+
+/*
+ * Checks that a parsed authorization is current at time `now`.
+ */
+function checkDate(auth, now) {
+    if (auth.presigned) {
+        if (now > auth.date + auth.expires * 1000)
+            throw new PreSignedRequestError('request expired');
+        if (auth.date > now + MAX_SKEW_MS)
+            throw new RequestTimeTooSkewedError();
+    } else if (Math.abs(now - auth.date) > MAX_SKEW_MS) {
+        throw new RequestTimeTooSkewedError();
+    }
+}
+
+
+/*
+ * Computes the signature of `request` with the secret access key `secret`.
+ */
+function sign(request, auth, secret) {
+    var stringToSign = [
+        ALGORITHM,
+        auth.amzDate,
+        auth.credential.scope,
+        sha256(canonicalRequest(request, auth))
+    ].join('\n');
+
+    var key = hmac('AWS4' + secret, auth.credential.date);
+    key = hmac(key, auth.credential.region);
+    key = hmac(key, SERVICE);
+    key = hmac(key, TERMINATOR);
+
+    return (hmac(key, stringToSign).toString('hex'));
+}
+
+
+/*
+ * Returns true if the signature the client sent matches the one we compute
+ * with `secret`.
+ */
+function verify(request, auth, secret) {
+    var expected = Buffer.from(sign(request, auth, secret), 'utf8');
+    var actual = Buffer.from(auth.signature, 'utf8');
+
+    return (expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual));
+}
+
+
+/*
+ * Returns true if the body is sent in the aws-chunked encoding, with each
+ * chunk signed separately.
+ */
+function isStreamingPayload(auth) {
+    return (STREAMING_PAYLOAD_RE.test(auth.payloadHash));
+}
+
+
+/*
+ * Returns true if `body` matches the payload hash the client signed, or the
+ * client didn't sign the payload.
+ */
+function checkPayload(auth, body) {
+    if (auth.payloadHash === UNSIGNED_PAYLOAD)
+        return (true);
+
+    return (crypto.createHash('sha256').update(body).digest('hex') ===
+        auth.payloadHash.toLowerCase());
+}
+
+
+/*
+ * For a body that is streamed rather than read whole, returns the hash to
+ * update with it and the hex digest it must have, or null if the client
+ * didn't sign the payload.
+ */
+function payloadCheck(auth) {
+    if (auth.payloadHash === UNSIGNED_PAYLOAD)
+        return (null);
+
+    return ({
+        hash: crypto.createHash('sha256'),
+        expected: auth.payloadHash.toLowerCase()
+    });
+}
+
+
+
+///--- Exports
+
+module.exports = {
+    ALGORITHM: ALGORITHM,
+    isSigned: isSigned,
+    parse: parse,
+    checkDate: checkDate,
+    sign: sign,
+    verify: verify,
+    isStreamingPayload: isStreamingPayload,
+    checkPayload: checkPayload,
+    payloadCheck: payloadCheck,
+    uriEncode: uriEncode
+};
@@ -0,0 +1,271 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// An object can have a set of tags, which are key/value pairs kept apart from
+// its m-* headers.  They are read, replaced and removed without touching the
+// object (or its headers) with:
+//
+//     GET /:login/stor/dir/object?tags=true
+//     PUT /:login/stor/dir/object?tags=true    {"project": "apollo"}
+//     DELETE /:login/stor/dir/object?tags=true
+//
+// The tags are stored in the object record as an internal header (HEADER),
+// which isn't returned with the object and which a PUT can't set.  So a PUT
+// that replaces an object replaces its tags too, while a metadata update
+// (PUT ...?metadata=true) and a move keep them.
+//
+// When an object is authorized, each of its tags is a condition, named
+// "tag-" and the key, that role rules can test:
+//
+//     CAN getobject WHEN tag-project = apollo
+//
+
+var assert = require('assert-plus');
+
+var utils = require('./utils');
+require('./errors');
+
+
+
+///--- Globals
+
+var HEADER = 'tags';
+
+var CONDITION_PREFIX = 'tag-';
+
+var MAX_TAGS = 10;
+var MAX_KEY_LENGTH = 128;
+var MAX_VALUE_LENGTH = 256;
+
+// The most bytes a tag set takes up in a request body.
+var MAX_BODY_SIZE = 8192;
+
+// Keys must be usable in the names of authorization conditions.
+/* JSSTYLED */
+var KEY_RE = /^[a-zA-Z0-9_-]+$/;
+
+
+
+///--- Helpers
+
+function isTagsRequest(req) {
+    return (req.query.tags === 'true');
+}
+
+
+/*
+ * Returns the tags of the record `md` (an empty object if it has none).
+ */
+function getTags(md) {
+    return ((md && md.headers && md.headers[HEADER]) || {});
+}
+
+
+/*
+ * Checks that `tags` is a valid tag set: an object with at most MAX_TAGS
+ * string values, whose keys are valid.  Returns an error if it isn't.
+ */
+function checkTags(tags) {
+    if (!tags || typeof (tags) !== 'object' || Array.isArray(tags))
+        return (new InvalidTagsError('must be a JSON object'));
+
+    var keys = Object.keys(tags);
+    if (keys.length > MAX_TAGS) {
+        return (new InvalidTagsError('an object can have at most ' +
+            MAX_TAGS + ' tags'));
+    }
+
+    for (var i = 0; i < keys.length; i++) {
+        var k = keys[i];
+        if (k.length > MAX_KEY_LENGTH || !KEY_RE.test(k)) {
+            return (new InvalidTagsError('"' + k + '" is not a valid key ' +
+                '(at most ' + MAX_KEY_LENGTH + ' letters, digits, "-" ' +
+                'and "_")'));
+        }
+        if (typeof (tags[k]) !== 'string' ||
+            tags[k].length > MAX_VALUE_LENGTH) {
+            return (new InvalidTagsError('the value of "' + k + '" must ' +
+                'be a string of at most ' + MAX_VALUE_LENGTH + ' characters'));
+        }
+    }
+
+    return (null);
+}
+
+
+/*
+ * Sets the tag conditions of `conditions` (an authorization context's) to the
+ * tags of the record `md`, removing any set for another record.
+ */
+function addConditions(conditions, md) {
+    assert.object(conditions, 'conditions');
+
+    Object.keys(conditions).forEach(function (k) {
+        if (k.indexOf(CONDITION_PREFIX) === 0)
+            delete conditions[k];
+    });
+
+    if (!md || md.type !== 'object')
+        return;
+
+    var tags = getTags(md);
+    Object.keys(tags).forEach(function (k) {
+        conditions[CONDITION_PREFIX + k] = tags[k];
+    });
+}
+
+
+/*
+ * Writes the object record at req.key again with the tag set `tags`.  The
+ * object keeps its data, etag and headers.
+ */
+function saveTags(req, tags, cb) {
+    var headers = {};
+    headers[HEADER] = Object.keys(tags).length > 0 ? tags : undefined;
+
+    utils.rewriteObjectRecord(req, req.metadata, {
+        key: req.key,
+        _etag: req.metadata._etag,
+        headers: headers
+    }, cb);
+}
+
+
+function ensureObject(req) {
+    if (!req.metadata.type)
+        return (new ResourceNotFoundError(req.path()));
+    if (req.metadata.type !== 'object')
+        return (new DirectoryOperationError(req));
+    return (null);
+}
+
+
+
+///--- Routes
+
+// GET/HEAD ...?tags=true: return the object's tags.
+function getObjectTags(req, res, next) {
+    if (!isTagsRequest(req))
+        return (next());
+
+    var err = ensureObject(req);
+    if (err)
+        return (next(err));
+
+    res.send(200, getTags(req.metadata));
+    return (next(false));
+}
+
+
+// PUT ...?tags=true: replace the object's tags with those in the body.
+function putObjectTags(req, res, next) {
+    if (!isTagsRequest(req))
+        return (next());
+
+    var err = ensureObject(req);
+    if (err)
+        return (next(err));
+
+    var log = req.log;
+
+    utils.readBody(req, res, MAX_BODY_SIZE, function (err2, body) {
+        if (err2) {
+            next(err2);
+            return;
+        }
+
+        var tags;
+        try {
+            tags = JSON.parse(body.toString('utf8'));
+        } catch (e) {
+            next(new InvalidTagsError('must be a JSON object'));
+            return;
+        }
+
+        var err3 = checkTags(tags);
+        if (err3) {
+            next(err3);
+            return;
+        }
+
+        log.debug({key: req.key, tags: tags}, 'putObjectTags: entered');
+        saveTags(req, tags, function (err4) {
+            if (err4) {
+                next(err4);
+                return;
+            }
+            log.debug('putObjectTags: done');
+            res.send(204);
+            next(false);
+        });
+    });
+    return (undefined);
+}
+
+
+// DELETE ...?tags=true: remove all of the object's tags.
+function deleteObjectTags(req, res, next) {
+    if (!isTagsRequest(req))
+        return (next());
+
+    var err = ensureObject(req);
+    if (err)
+        return (next(err));
+
+    saveTags(req, {}, function (err2) {
+        if (err2) {
+            next(err2);
+            return;
+        }
+        res.send(204);
+        next(false);
+    });
+    return (undefined);
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    HEADER: HEADER,
+
+    addConditions: addConditions,
+
+    checkTags: checkTags,
+
+    getTags: getTags,
+
+    isTagsRequest: isTagsRequest,
+
+    getTagsHandler: function getTagsHandler() {
+        var chain = [
+            getObjectTags
+        ];
+        return (chain);
+    },
+
+    putTagsHandler: function putTagsHandler() {
+        var chain = [
+            putObjectTags
+        ];
+        return (chain);
+    },
+
+    deleteTagsHandler: function deleteTagsHandler() {
+        var chain = [
+            deleteObjectTags
+        ];
+        return (chain);
+    }
+
+};
@@ -10,7 +10,6 @@
 
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
-var vasync = require('vasync');
 var util = require('util');
 var mod_url = require('url');
 var fs = require('fs');
@@ -19,6 +18,7 @@ var restify = require('restify');
 var jsprim = require('jsprim');
 var VError = require('verror');
 
+var common = require('./common');
 require('./errors');
 
 /*
@@ -39,12 +39,37 @@ require('./errors');
  *    the throttle is enabled, throttle the incoming request and
  *    return.
  *  - If the throttle is enabled, put the incoming request-processing
- *    function on the request queue. This will result in either the
- *    request callback being scheduled immediately or, if all slots
- *    are occupied, being put on the request queue.
+ *    function on the sub-queue for the request (see below). This will
+ *    result in either the request callback being scheduled immediately or,
+ *    if all slots are occupied, it waiting for its turn.
  *  - If the throttle is disabled, simply call the request-processing
  *    work function.
  *
+ * Fair Queuing
+ *
+ * Queued requests are kept in sub-queues, one for each account (the login
+ * in the request path) or, if 'queueBy' is 'operation', one for each HTTP
+ * method.  When a slot frees up it goes to the request at the head of one of
+ * the sub-queues, picked by self-clocked fair queuing: each request is
+ * stamped with a finish tag when it is queued,
+ *
+ *     tag = max(virtual time, tag of the sub-queue's last request) + 1/weight
+ *
+ * and the request with the lowest tag goes first, which moves the virtual
+ * time up to its tag.  A sub-queue with weight 2 is therefore given twice the
+ * slots of one with weight 1 while both have requests waiting, and a burst of
+ * requests on one sub-queue doesn't hold up the requests on the others.
+ * Requests on the same sub-queue are handled in the order they came in.
+ *
+ * Sub-queues are created as requests come in and forgotten once they're
+ * empty.  The number of requests waiting on each, and how long they waited,
+ * are reported by the muskie-throttle DTrace provider (the subqueue_enter
+ * and subqueue_leave probes) and as the muskie_throttle_queue_depth and
+ * muskie_throttle_queue_wait_ms metrics.  The metrics are labeled with the
+ * sub-queue if it's an operation or listed in 'weights'; the sub-queues of
+ * other accounts are counted together as 'other', as a label for every
+ * account would be too many (see "Metrics" in the README).
+ *
  * Overview of Tunables and Tradeoffs
  *
  * The following parameters are implemented as SAPI tunables. Muskie
@@ -52,18 +77,17 @@ require('./errors');
  *
  * queueTolerance - the number of requests the throttle can queue before
  * it starts sending indications that requests have been throttled to
- * clients. There is one 'global' queue to which incoming request are
- * added if all 'concurrency' slots in a vasync queue are occupied.
+ * clients. Requests are added to the sub-queues if all 'concurrency' slots
+ * are occupied, and the tolerance applies to all sub-queues together.
  *
  * Higher 'queueTolerance' values make it less likely that the throttle
  * will reject incoming requests and will increase muskies memory footprint
  * during period of high load. Lower 'queueTolerance' values make it more
  * likely that muskie will reject incoming requests.
  *
- * concurrency - the number of slots the request queue has for scheduling
- * request-handling worker callbacks concurrently. When all the slots are
- * filled, the throttle will queue up to 'queueTolerance' callbacks before
- * throttling requests.
+ * concurrency - the number of slots for scheduling request-handling worker
+ * callbacks concurrently. When all the slots are filled, the throttle will
+ * queue up to 'queueTolerance' callbacks before throttling requests.
  *
  * Higher 'concurrency' values allow Manta to handle more requests
  * concurrently and also makes it less likely that requests will spend time in
@@ -78,6 +102,13 @@ require('./errors');
  * queued (assuming the same load as in the previous scenario). This is
  * effectively a CPU/memory trade-off.
  *
+ * queueBy - what requests are queued by: 'account' (the default) or
+ * 'operation'.
+ *
+ * weights - the sub-queues given more (or less) than their share, as
+ * objects with the sub-queue's 'name' (a login or an HTTP method) and its
+ * 'weight'. Sub-queues not listed have a weight of 1.
+ *
  * enabled - a boolean value describing whether the throttle should queue
  * and throttle requests as designed.
  *
@@ -93,6 +124,33 @@ require('./errors');
 // Used for nanosecond to second conversion
 const NANOSEC_PER_SEC = Math.pow(10, 9);
 
+// Used for nanosecond to millisecond conversion
+const NANOSEC_PER_MSEC = Math.pow(10, 6);
+
+// What requests can be queued by.
+const QUEUE_BY = [ 'account', 'operation' ];
+
+// The sub-queue for requests without an account in their path.
+const ROOT_QUEUE = '/';
+
+// The metric label for the sub-queues of accounts without a weight.
+const OTHER_LABEL = 'other';
+
+
+///--- Helpers
+
+/*
+ * A sub-queue of requests waiting for a slot.  'lastTag' is the finish tag of
+ * the last request put on it.
+ */
+function SubQueue(name, weight) {
+    this.name = name;
+    this.weight = weight;
+    this.lastTag = 0;
+    this.requests = [];
+}
+
+
 /*
  * The throttle object maintains all the state used by the throttle. This state
  * consists of the tunables described above in addition to dtrace probes that
@@ -107,6 +165,12 @@ function Throttle(options) {
     assert.ok(options.log, 'options.log');
     assert.number(options.queueTolerance, 'options.queueTolerance');
     assert.ok(options.queueTolerance > 0, 'queueTolerance must be positive');
+    assert.optionalString(options.queueBy, 'options.queueBy');
+    assert.ok(options.queueBy === undefined ||
+        QUEUE_BY.indexOf(options.queueBy) !== -1,
+        'queueBy must be one of ' + QUEUE_BY.join(', '));
+    assert.optionalArrayOfObject(options.weights, 'options.weights');
+    assert.optionalObject(options.collector, 'options.collector');
 
     this.log = options.log.child({ component: 'throttle'}, true);
 
@@ -122,27 +186,172 @@ function Throttle(options) {
         // request id
         queue_enter: this.dtp.addProbe('queue_enter', 'char *'),
         // request id
-        queue_leave: this.dtp.addProbe('queue_leave', 'char *')
+        queue_leave: this.dtp.addProbe('queue_leave', 'char *'),
+        // request id, sub-queue, number of requests on the sub-queue
+        subqueue_enter: this.dtp.addProbe('subqueue_enter', 'char *',
+                'char *', 'int'),
+        // request id, sub-queue, number of requests left on the sub-queue,
+        // milliseconds waited
+        subqueue_leave: this.dtp.addProbe('subqueue_leave', 'char *',
+                'char *', 'int', 'int')
 
     };
     this.dtp.enable();
 
+    if (options.collector) {
+        this.depth_gauge = options.collector.getCollector(
+            common.METRIC_THROTTLE_QUEUE_DEPTH_GAUGE);
+        this.wait_histogram = options.collector.getCollector(
+            common.METRIC_THROTTLE_QUEUE_WAIT_HISTOGRAM);
+    }
+
     this.enabled = options.enabled;
     this.concurrency = options.concurrency;
     this.queueTolerance = options.queueTolerance;
+    this.queueBy = options.queueBy || 'account';
+    this.weights = {};
+    (options.weights || []).forEach(function (w) {
+        assert.string(w.name, 'options.weights[i].name');
+        assert.number(w.weight, 'options.weights[i].weight');
+        assert.ok(w.weight > 0, 'weight must be positive');
+        this.weights[w.name] = w.weight;
+    }, this);
 
-    this.requestQueue = vasync.queue(function (task, callback) {
-        task(callback);
-    }, this.concurrency);
+    this.queues = {};
+    this.labelDepths = {};
+    this.virtualTime = 0;
+    this.inFlight = 0;
+    this.queued = 0;
 }
 
+
+// The name of the sub-queue `req` waits on.
+Throttle.prototype.queueName = function queueName(req) {
+    if (this.queueBy === 'operation')
+        return (req.method);
+
+    var login;
+    try {
+        login = decodeURIComponent(req.path().split('/', 2).pop());
+    } catch (e) {
+        login = null;
+    }
+    return (login || ROOT_QUEUE);
+};
+
+
+// The label of the sub-queue `name` in the metrics.
+Throttle.prototype.metricLabel = function metricLabel(name) {
+    if (this.queueBy === 'operation' || this.weights.hasOwnProperty(name))
+        return (name);
+    return (OTHER_LABEL);
+};
+
+
+/*
+ * Adds `delta` to the number of requests waiting on sub-queues labeled
+ * `label`, and updates the depth metric.
+ */
+Throttle.prototype.updateDepth = function updateDepth(label, delta) {
+    var depth = (this.labelDepths[label] || 0) + delta;
+
+    if (depth === 0)
+        delete this.labelDepths[label];
+    else
+        this.labelDepths[label] = depth;
+
+    if (this.depth_gauge)
+        this.depth_gauge.set(depth, {queue: label});
+};
+
+
+/*
+ * Puts `work` on the sub-queue `name`, and starts as much queued work as
+ * there are free slots for.
+ */
+Throttle.prototype.enqueue = function enqueue(name, req_id, work) {
+    var q = this.queues[name];
+    if (!q) {
+        q = new SubQueue(name, this.weights[name] || 1);
+        this.queues[name] = q;
+    }
+
+    q.lastTag = Math.max(this.virtualTime, q.lastTag) + 1 / q.weight;
+    q.requests.push({
+        req_id: req_id,
+        tag: q.lastTag,
+        start: process.hrtime(),
+        work: work
+    });
+    this.queued++;
+
+    this.throttle_probes.subqueue_enter.fire(function () {
+        return ([req_id, name, q.requests.length]);
+    });
+    this.updateDepth(this.metricLabel(name), 1);
+
+    this.dispatch();
+};
+
+
+// The sub-queue whose first request has the lowest finish tag.
+Throttle.prototype.nextQueue = function nextQueue() {
+    var self = this;
+    var next = null;
+
+    Object.keys(self.queues).forEach(function (name) {
+        var q = self.queues[name];
+        if (q.requests.length > 0 &&
+            (next === null || q.requests[0].tag < next.requests[0].tag)) {
+            next = q;
+        }
+    });
+    return (next);
+};
+
+
+Throttle.prototype.dispatch = function dispatch() {
+    while (this.inFlight < this.concurrency && this.queued > 0) {
+        var q = this.nextQueue();
+        var entry = q.requests.shift();
+        var left = q.requests.length;
+        var elapsed = process.hrtime(entry.start);
+        var waited = Math.round(elapsed[0] * 1000 +
+            elapsed[1] / NANOSEC_PER_MSEC);
+
+        this.queued--;
+        this.virtualTime = entry.tag;
+        /*
+         * The virtual time has caught up with the sub-queue's last tag, so a
+         * new sub-queue of the same name would be tagged the same way.
+         */
+        if (left === 0)
+            delete this.queues[q.name];
+
+        this.throttle_probes.subqueue_leave.fire(function () {
+            return ([entry.req_id, q.name, left, waited]);
+        });
+        var label = this.metricLabel(q.name);
+        this.updateDepth(label, -1);
+        if (this.wait_histogram)
+            this.wait_histogram.observe(waited, {queue: label});
+
+        this.inFlight++;
+        try {
+            entry.work();
+        } finally {
+            this.inFlight--;
+        }
+    }
+};
+
+
 Throttle.prototype.wait = function wait(req, res, next) {
     var self = this;
 
-    if (self.requestQueue.length() >= self.queueTolerance) {
+    if (self.queued >= self.queueTolerance) {
         self.throttle_probes.request_throttled.fire(function () {
-            return ([self.requestQueue.npending, self.requestQueue.length(),
-                req.url, req.method]);
+            return ([self.inFlight, self.queued, req.url, req.method]);
         });
         /*
          * Wrap the ThrottledError in a VError so that the relevant fields
@@ -152,8 +361,8 @@ Throttle.prototype.wait = function wait(req, res, next) {
          * users.
          */
         var state = {
-            queuedRequests: self.requestQueue.npending,
-            inFlightRequests: self.requestQueue.length()
+            queuedRequests: self.queued,
+            inFlightRequests: self.inFlight
         };
         var cfg = {
             queueTolerance: self.queueTolerance,
@@ -171,17 +380,15 @@ Throttle.prototype.wait = function wait(req, res, next) {
         return ([req_id]);
     });
 
-    self.requestQueue.push(function (cb) {
+    self.enqueue(self.queueName(req), req_id, function () {
         self.throttle_probes.queue_leave.fire(function () {
             return ([req_id]);
         });
         next();
-        cb();
     });
 
     self.throttle_probes.request_handled.fire(function () {
-        return ([self.requestQueue.npending, self.requestQueue.length(),
-            req.url, req.method]);
+        return ([self.inFlight, self.queued, req.url, req.method]);
     });
 };
 
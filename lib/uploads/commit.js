@@ -21,11 +21,16 @@ var Ajv = require('ajv');
 var ajv = new Ajv({allErrors: true});
 
 var auth = require('../auth');
+var checksums = require('../checksums');
 var common = require('../common');
+var encryption = require('../encryption');
 var obj = require('../obj');
+var quota = require('../quota');
+var retention = require('../retention');
 var sharkClient = require('../shark_client');
 var uploadsCommon = require('./common');
 var utils = require('../utils');
+var versions = require('../versions');
 require('../errors');
 
 
@@ -34,12 +39,17 @@ require('../errors');
 var hasKey = jsprim.hasKey;
 var shallowCopy = utils.shallowCopy;
 var sprintf = util.format;
+
+/*
+ * The schema allows as many parts as any deployment could; validateSchema()
+ * checks the number of parts against the configured maximum.
+ */
 var schemaValidator = ajv.compile({
     'type': 'object',
     'properties': {
         'parts': {
             'type': 'array',
-            'maxItems': uploadsCommon.MAX_NUM_PARTS,
+            'maxItems': uploadsCommon.MAX_MAX_PARTS,
             'items': {
                 'type': 'string',
                 'minLength': 1
@@ -241,6 +251,9 @@ function validateParts(req, res, next) {
     var errors = [];
     var sum = 0;
 
+    // The size and encryption header of each part; see checkEncryption().
+    req.upload.mpuParts = [];
+
     /*
      * This function verifies that:
      * - the etag exists
@@ -285,6 +298,11 @@ function validateParts(req, res, next) {
                 }
 
                 sum += size;
+                req.upload.mpuParts[index] = {
+                    size: size,
+                    header: (md.headers || {})[encryption.HEADER],
+                    checksums: checksums.partChecksums(md)
+                };
             }
 
             cb();
@@ -338,6 +356,57 @@ function validateParts(req, res, next) {
 }
 
 
+/*
+ * If the parts were encrypted (with a customer-provided key, or the upload's),
+ * works out the encryption header of the object they make up.  See
+ * encryption.js.
+ */
+function checkEncryption(req, res, next) {
+    var id = req.upload.id;
+
+    if (req.upload.mpuSize === 0) {
+        next();
+        return;
+    }
+
+    var header = encryption.partsEncryption(id, req.upload.mpuParts);
+    if (typeof (header) === 'string') {
+        next(new MultipartUploadInvalidArgumentError(id, header));
+        return;
+    }
+
+    if (header) {
+        // The sharks only ever see the ciphertext.
+        var h = req.upload.get(uploadsCommon.mdKeys.HEADERS);
+        if (hasKey(h, 'content-md5')) {
+            next(new MultipartUploadInvalidArgumentError(id,
+                'content-md5 cannot be checked for encrypted parts'));
+            return;
+        }
+        req.upload.mpuEncryption = header;
+    }
+    next();
+}
+
+
+/*
+ * Works out the composite checksums of the object from the checksums of its
+ * parts, and records them in the upload record.  See checksums.js.
+ */
+function computeChecksums(req, res, next) {
+    var parts = req.upload.mpuParts.map(function (part) {
+        return (part.checksums);
+    });
+    var composite = checksums.compositeChecksums(parts);
+
+    if (composite) {
+        req.upload.mpuChecksums = composite;
+        req.upload.set(uploadsCommon.mdKeys.CHECKSUMS, composite);
+    }
+    next();
+}
+
+
 /*
  * Saves the upload record with its state set to FINALIZING.
  */
@@ -515,10 +584,36 @@ function commit(req, res, next) {
     assert.number(size);
     assert.string(md5);
 
-    req.upload.commitUpload(partsMD5, size, md5, function (err) {
+    req.upload.commitUpload(partsMD5, size, md5, function (err, objectMd) {
         if (err) {
-            next(err);
+            versions.discardVersion(req, function () {
+                next(err);
+            });
+            return;
+        }
+
+        // A commit that's retried replaces nothing, so keeps no version.
+        if (!objectMd) {
+            versions.discardVersion(req, recordUsage);
         } else {
+            recordUsage();
+        }
+
+        function recordUsage() {
+            // See quota.js.  A commit that's retried only counts once, and a
+            // version kept of the replaced object still counts.
+            var changes = [];
+            if (objectMd) {
+                changes.push(quota.objectChange(req.key, objectMd, 1));
+                if (!req.version) {
+                    changes.push(quota.objectChange(req.key, req.metadata,
+                        -1));
+                }
+            }
+            quota.recordUsage(req, req.owner.account.uuid, changes, done);
+        }
+
+        function done() {
             var p = req.upload.get(uploadsCommon.mdKeys.OBJECT_PATH);
 
             log.info({
@@ -551,11 +646,17 @@ function ensureNotRoot(req, res, next) {
 function validateSchema(req, res, next) {
     uploadsCommon.validateJsonSchema(schemaValidator, req.body,
     function (valid, msg) {
-        if (valid) {
-            next();
-        } else {
+        var maxParts = req.msk_defaults.mpuMaxParts;
+
+        if (!valid) {
             next(new MultipartUploadInvalidArgumentError(req.upload.id,
                 msg));
+        } else if (req.body.parts.length > maxParts) {
+            next(new MultipartUploadInvalidArgumentError(req.upload.id,
+                sprintf('too many parts (%d): at most %d are allowed',
+                    req.body.parts.length, maxParts)));
+        } else {
+            next();
         }
     });
 }
@@ -575,6 +676,7 @@ module.exports = {
             auth.storageContext,
             auth.authorizationHandler(),
             common.ensureNotDirectoryHandler(),
+            retention.ensureNotRetainedHandler(),
             common.ensureParentHandler(),
             ensureNotRoot,
             obj.enforceDirectoryCountHandler(),
@@ -585,8 +687,11 @@ module.exports = {
             validateSchema,
             validateUploadState,
             validateParts,
+            checkEncryption,
+            computeChecksums,
             finalizingState,
             finalizeUpload,
+            versions.keepVersionHandler(),
             commit
         ];
         return (chain);
@@ -20,7 +20,10 @@ var path = require('path');
 var uuidv4 = require('uuid/v4');
 var verror = require('verror');
 
+var checksums = require('../checksums');
 var common = require('../common');
+var encryption = require('../encryption');
+var retention = require('../retention');
 require('../errors');
 
 
@@ -43,6 +46,7 @@ require('../errors');
  *      - abort: cancel the upload
  *      - commit: complete the upload
  *      - get: get information about an ongoing upload
+ *      - list: list the uploads of an account (see `list.js`)
  *
  *  There is an additional API endpoint designed for client usability purposes
  *  that redirects all requests sent to the path /:account/upload/:id to the
@@ -216,7 +220,7 @@ var hasKey = jsprim.hasKey;
 
 // Regex of an upload id (which is just a uuid).
 var ID_REGEX = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/;
-var PART_NUM_REGEX = /^([0-9]|[1-9][0-9]{0,2})$/;
+var PART_NUM_REGEX = /^([0-9]|[1-9][0-9]{0,3})$/;
 /* JSSTYLED */
 var UPLOAD_DIR_REGEX = new RegExp('^/([a-zA-Z][a-zA-Z0-9_\\-\\.@%]+)/uploads/([0-9a-f-]+)/([0-9a-f-]+)/([a-z0-9]+)$');
 /*
@@ -249,17 +253,20 @@ var MAX_PREFIX_LEN = 4;
 // Multipart upload (MPU) limits.
 //
 // Limits are set on MPU to balance the requirements of customer usage and the
-// current MPU design. The current expected use case for MPU is to upload files
-// between 5MB and 4GB in size. Using 5MB-sized parts, that requires up to a
-// maximum of 800 parts. Allowing many more parts that this could impact
-// current MPU GC, and possibly MPU commit.
+// current MPU design. The expected use case for MPU was to upload files
+// between 5MB and 4GB in size, which with 5MB-sized parts requires up to 800
+// parts, so that is the default.  Larger objects need either larger parts,
+// which are costly to retry, or more parts, which load MPU GC and commit
+// (every part's metadata is checked on commit).  Deployments that want more
+// parts can set "maxParts" in SAPI, up to 10,000.
 //
-// - Max number of parts per upload: 800
-// - Part numbers: 0 - 799
+// - Max number of parts per upload: "maxParts", 800 by default
+// - Part numbers: 0 - ("maxParts" - 1)
 // - Part size: 5MB to ???, last part can be < 5MB
 var MIN_PART_NUM = 0;
-var MAX_PART_NUM = 799;
-var MAX_NUM_PARTS = MAX_PART_NUM - MIN_PART_NUM + 1;
+var DEF_MAX_PARTS = 800;
+var MIN_MAX_PARTS = 1;
+var MAX_MAX_PARTS = 10000;
 
 // Upload states
 var MPU_S_CREATED = 'created';
@@ -300,9 +307,16 @@ var mdKeys = {
     // in order (with no characters between them)
     PARTS_MD5: 'partsMD5',
 
+    // for a committed object, its composite checksums (see checksums.js)
+    CHECKSUMS: 'checksums',
+
     // the target object ID
     OBJECT_ID: 'objectId',
 
+    // the key the parts are encrypted with, if the owner's objects are
+    // encrypted at rest (see encryption.createUploadKey())
+    ENCRYPTION: 'encryption',
+
     // upload record creation time
     CREATION_TIME_MS: 'creationTimeMs'
 };
@@ -380,6 +394,8 @@ function createUploadRecord(upload, opts, cb) {
                 sharks: opts.sharks,
                 partsMD5: null, // used only for commits
                 objectId: uuidv4(),
+                encryption: encryption.createUploadKey(req.config,
+                    req.owner.account.uuid, upload.id),
                 creationTimeMs: Date.now()
             };
 
@@ -467,6 +483,22 @@ function createTargetObjectRecord(upload, size, md5, cb) {
                     md.etag = md.objectId;
                     md.contentLength = size;
                     md.contentMD5 = md5;
+
+                    // See checkEncryption() in commit.js.
+                    if (upload.mpuEncryption) {
+                        upload.mpuEncryption.ciphertextMD5 = md5;
+                        md.headers[encryption.HEADER] = upload.mpuEncryption;
+                    }
+
+                    // See computeChecksums() in commit.js.
+                    if (upload.mpuChecksums)
+                        md.headers[checksums.HEADER] = upload.mpuChecksums;
+
+                    // The object gets its directory's default retention.
+                    var r = retention.objectRetention({},
+                        req.parentMetadata);
+                    if (r)
+                        md.headers[retention.HEADER] = r;
                     md.name = req.key.split('/').pop();
                     md.creator = req.owner.account.uuid;
 
@@ -625,6 +657,18 @@ function normalize(req, mPath, cb) {
     });
 }
 
+/*
+ * Returns the highest part number allowed, given the maximum number of parts
+ * configured ("maxParts").
+ */
+function maxPartNum(req) {
+    assert.object(req.msk_defaults, 'req.msk_defaults');
+    assert.number(req.msk_defaults.mpuMaxParts, 'req.msk_defaults.mpuMaxParts');
+
+    return (MIN_PART_NUM + req.msk_defaults.mpuMaxParts - 1);
+}
+
+
 ///--- Upload ID-related functions (see file block comment for details)
 
 /*
@@ -1029,7 +1073,9 @@ MultipartUpload.prototype.abortUpload = function abortUpload(cb) {
  *
  * First checks for the existence of a finalizing record, then saves the
  * upload record as finalizing, and atomically inserts a commit record
- * and object record on the object's shard.
+ * and object record on the object's shard.  Calls back with the options the
+ * object record was written with, or nothing if the upload had already been
+ * committed.
  */
 MultipartUpload.prototype.commitUpload =
 function commitUpload(partsMD5, size, md5, cb) {
@@ -1095,7 +1141,7 @@ function commitUpload(partsMD5, size, md5, cb) {
                             cb(err3);
                         } else {
                             log.debug('batch successful');
-                            cb();
+                            cb(null, objectMd);
                         }
                     });
                 }
@@ -1137,6 +1183,12 @@ MultipartUpload.prototype.getUpload = function getUpload(cb) {
                     if (fr.finalizingType === MPU_FT_COMMIT) {
                         upload.partsMD5Summary = self.get(mdKeys.PARTS_MD5);
                         upload.result = 'committed';
+
+                        var composite = self.get(mdKeys.CHECKSUMS);
+                        if (composite) {
+                            upload.checksums =
+                                checksums.formatComposite(composite);
+                        }
                     } else {
                         upload.result = 'aborted';
                     }
@@ -1240,6 +1292,15 @@ MultipartUpload.prototype.get = function get(k) {
 };
 
 
+/*
+ * Returns the key the parts of this upload are encrypted with, or null if
+ * they are stored as they are uploaded (see encryption.js).
+ */
+MultipartUpload.prototype.encryptionKey = function encryptionKey() {
+    return (this.get(mdKeys.ENCRYPTION) || null);
+};
+
+
 /*
  * Returns the size of the object if specified on create, or a default value.
  */
@@ -1362,10 +1423,12 @@ module.exports = {
     MIN_PREFIX_LEN: MIN_PREFIX_LEN,
     MAX_PREFIX_LEN: MAX_PREFIX_LEN,
     MIN_PART_NUM: MIN_PART_NUM,
-    MAX_PART_NUM: MAX_PART_NUM,
-    MAX_NUM_PARTS: MAX_NUM_PARTS,
+    DEF_MAX_PARTS: DEF_MAX_PARTS,
+    MIN_MAX_PARTS: MIN_MAX_PARTS,
+    MAX_MAX_PARTS: MAX_MAX_PARTS,
     MPU_S_CREATED: MPU_S_CREATED,
     MPU_S_FINALIZING: MPU_S_FINALIZING,
+    MPU_S_DONE: MPU_S_DONE,
     MPU_FT_ABORT: MPU_FT_ABORT,
     MPU_FT_COMMIT: MPU_FT_COMMIT,
 
@@ -1375,6 +1438,7 @@ module.exports = {
 
     newUploadId: newUploadId,
     idToPrefixLen: idToPrefixLen,
+    maxPartNum: maxPartNum,
     generateUploadPath: generateUploadPath,
 
     // Common handlers for API endpoints
@@ -29,6 +29,7 @@ require('ajv-keywords')(ajv, ['prohibited']);
 var auth = require('../auth');
 var common = require('../common');
 var obj = require('../obj');
+var quota = require('../quota');
 var uploadsCommon = require('./common');
 var muskieUtils = require('../utils');
 require('../errors');
@@ -377,6 +378,20 @@ function createUpload(req, res, next) {
     });
 }
 
+/*
+ * Ensures that the target object fits in its owner's quota (see quota.js), as
+ * far as we can tell before any parts are uploaded.
+ */
+function enforceQuota(req, res, next) {
+    var bytes = null;
+    if (hasKey(req.upload.mpuHeaders, 'content-length'))
+        bytes = req.upload.mpuSize;
+
+    quota.checkUsage(req, req.targetObjectOwner.account,
+        req.upload.mpuObjectPathKey, bytes, 1, next);
+}
+
+
 function loadTargetObjectOwner(req, res, next) {
     var objectPath = req.body.objectPath;
     var account;
@@ -424,6 +439,7 @@ module.exports = {
             validateSchema,
             loadTargetObjectOwner,
             validateParams,
+            enforceQuota,
             ensurePrefixDir,
             createUpload
         ];
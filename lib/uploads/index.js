@@ -25,5 +25,6 @@ reExport(require('./abort'));
 reExport(require('./create'));
 reExport(require('./commit'));
 reExport(require('./get'));
+reExport(require('./list'));
 reExport(require('./redirect'));
 reExport(require('./upload'));
@@ -0,0 +1,416 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var VError = require('verror');
+
+var checksums = require('../checksums');
+var common = require('../common');
+var uploadsCommon = require('./common');
+require('../errors');
+
+
+/*
+ * ListUploads (GET /:account/uploads?uploads=true) lists an account's
+ * multipart uploads.  Upload directories live under prefix directories (see
+ * generateUploadPath() in common.js), so the listing walks the prefix
+ * directories in order of name, and the upload directories in each of them
+ * in order of id, loading each upload's record as GetMultipartUpload would.
+ *
+ * Uploads can be filtered by the path of their target object ('prefix') and
+ * their state ('state').  A page holds up to 'limit' uploads, and the next
+ * page starts after the upload whose parts directory is the 'marker'.  So
+ * that a filter matching few uploads doesn't have one request read all of
+ * them, a page ends after MAX_EXAMINED uploads, matching or not.  Whenever a
+ * page ends before the last upload, the Next-Marker header has the marker of
+ * the next page.
+ *
+ * ListParts (GET /:account/uploads/[0-f]+/:id?parts=true) lists the parts
+ * uploaded to an upload, with what CommitMultipartUpload needs to know of
+ * them.  Parts are named by their number, which doesn't sort by name, so all
+ * of them are read and sorted before a page of up to 'limit' parts, after
+ * the part number 'marker', is returned.
+ */
+
+///--- Globals
+
+var UPLOADS_CONTENT_TYPE = 'application/x-json-stream; type=uploads';
+var PARTS_CONTENT_TYPE = 'application/x-json-stream; type=parts';
+
+var DEF_LIMIT = 256;
+var MAX_LIMIT = 1024;
+
+// How many upload records a page of ListUploads reads at most.
+var MAX_EXAMINED = 1024;
+
+var PREFIX_DIR_RE = /^[0-9a-f]{1,4}$/;
+
+// Keys like /<account uuid>/uploads/<prefix directory>/<upload id>.
+var UPLOAD_KEY_RE = /^\/[0-9a-f-]+\/uploads\/[0-9a-f]{1,4}\/[0-9a-f-]{36}$/;
+
+var STATES = [
+    uploadsCommon.MPU_S_CREATED,
+    uploadsCommon.MPU_S_FINALIZING,
+    uploadsCommon.MPU_S_DONE
+];
+
+
+
+///--- Helpers
+
+function isListRequest(req) {
+    return (req.query.uploads === 'true' &&
+        req.key === '/' + req.owner.account.uuid + '/uploads');
+}
+
+
+function isPartsRequest(req) {
+    return (req.query.parts === 'true' &&
+        UPLOAD_KEY_RE.test(req.key) &&
+        req.key.split('/')[1] === req.owner.account.uuid);
+}
+
+
+/*
+ * Calls back with the parts uploaded to the upload directory `key`, in order
+ * of part number, as objects with the part's number, etag, size, upload time
+ * and checksums (see checksums.js).
+ */
+function loadParts(req, key, cb) {
+    var parts = [];
+
+    common.walkDirectory(req, key, '', function (entry, r, next) {
+        if (entry.type === 'object' &&
+            uploadsCommon.PART_NUM_REGEX.test(entry.name)) {
+            parts.push({
+                partNumber: Number(entry.name),
+                etag: entry.etag,
+                size: entry.size,
+                mtime: entry.mtime,
+                checksums: checksums.partChecksums(r.value)
+            });
+        }
+        next();
+    }, function (err) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        parts.sort(function (a, b) {
+            return (a.partNumber - b.partNumber);
+        });
+        cb(null, parts);
+    });
+}
+
+
+/*
+ * Sets opts.limit from the query parameters of the request, and returns an
+ * error if it's invalid.
+ */
+function limitOption(req, opts) {
+    opts.limit = DEF_LIMIT;
+
+    if (req.query.limit !== undefined) {
+        opts.limit = parseInt(req.query.limit, 10);
+        if (!(opts.limit > 0 && opts.limit <= MAX_LIMIT))
+            return (new InvalidLimitError(req.query.limit));
+    }
+
+    return (null);
+}
+
+
+/*
+ * Sets `opts` from the query parameters of the request, and returns an error
+ * if any is invalid.
+ */
+function listOptions(req, opts) {
+    opts.prefix = req.query.prefix;
+    opts.state = req.query.state;
+    opts.marker = null;
+
+    var err = limitOption(req, opts);
+    if (err)
+        return (err);
+
+    if (opts.state !== undefined && STATES.indexOf(opts.state) === -1)
+        return (new InvalidParameterError('state', opts.state));
+
+    /*
+     * The marker is the parts directory of an upload, from which we only need
+     * the prefix directory and the id.
+     */
+    if (req.query.marker !== undefined) {
+        var parts = req.query.marker.split('/');
+        var id = parts.pop();
+        var prefix = parts.pop();
+        if (!uploadsCommon.ID_REGEX.test(id) || !PREFIX_DIR_RE.test(prefix) ||
+            id.indexOf(prefix) !== 0) {
+            return (new InvalidParameterError('marker', req.query.marker));
+        }
+        opts.marker = {
+            prefix: prefix,
+            id: id
+        };
+    }
+
+    return (null);
+}
+
+
+/*
+ * Loads the upload `id` in the prefix directory `prefix`, and calls back with
+ * it as GetMultipartUpload returns it, along with its parts directory and
+ * number of parts, or with nothing if it doesn't match the request's filters.
+ * Parts are the only entries of the parts directory, so they're counted by
+ * the directory's entry count (see enforceDirectoryCount() in obj.js), which
+ * doesn't exist while the directory is empty.
+ */
+function loadUpload(req, opts, prefix, id, cb) {
+    var login = req.owner.account.login;
+
+    /*
+     * Uploads created before the prefix length was encoded in the id have a
+     * prefix directory of one character; see "UPLOAD IDS" in common.js.
+     */
+    var legacy = uploadsCommon.idToPrefixLen(id) !== prefix.length;
+    if (legacy && prefix.length !== 1) {
+        setImmediate(cb);
+        return;
+    }
+    var uploadPath = uploadsCommon.generateUploadPath({
+        id: id,
+        login: login,
+        legacy: legacy
+    });
+
+    var mpu = new uploadsCommon.MultipartUpload(id, uploadPath, req);
+    mpu.uploadRecordExists(function (err, exists) {
+        if (err || !exists) {
+            cb(err);
+            return;
+        }
+
+        var objectPath = mpu.get(uploadsCommon.mdKeys.OBJECT_PATH);
+        if (opts.prefix && objectPath.indexOf(opts.prefix) !== 0) {
+            cb();
+            return;
+        }
+
+        mpu.getUpload(function (err2, upload) {
+            if (err2) {
+                cb(err2);
+                return;
+            }
+            if (opts.state && upload.state !== opts.state) {
+                cb();
+                return;
+            }
+
+            upload.partsDirectory = uploadPath;
+
+            var countOpts = {
+                directory: mpu.uploadPathKey(),
+                requestId: req.getId()
+            };
+            req.moray.getDirectoryCount(countOpts, function (err3, count) {
+                if (err3 && VError.findCauseByName(err3,
+                    'ObjectNotFoundError') === null) {
+                    cb(err3);
+                    return;
+                }
+
+                upload.numParts = count || 0;
+                cb(null, upload);
+            });
+        });
+    });
+}
+
+
+
+///--- API
+
+// GET /:account/uploads?uploads=true: list the account's multipart uploads.
+function listUploads(req, res, next) {
+    if (!isListRequest(req))
+        return (next());
+
+    // See loadUploadFromUrl() in common.js.
+    if (req.caller.user)
+        return (next(new AuthorizationError(req.caller.user.login, req.url)));
+
+    var opts = {};
+    var err = listOptions(req, opts);
+    if (err)
+        return (next(err));
+
+    var log = req.log;
+    var marker = opts.marker;
+    var uploads = [];
+    var examined = 0;
+    var last = null;
+
+    function pageDone() {
+        return (uploads.length >= opts.limit || examined >= MAX_EXAMINED);
+    }
+
+    function addUpload(prefix, entry, cb) {
+        if (entry.type !== 'directory' ||
+            !uploadsCommon.ID_REGEX.test(entry.name)) {
+            cb();
+            return;
+        }
+
+        examined++;
+        last = {
+            prefix: prefix,
+            id: entry.name
+        };
+        loadUpload(req, opts, prefix, entry.name, function (err2, upload) {
+            if (upload)
+                uploads.push(upload);
+            cb(err2, pageDone());
+        });
+    }
+
+    common.walkDirectory(req, req.key, marker ? marker.prefix : '',
+        function (dirent, r, cb) {
+        var prefix = dirent.name;
+        if (dirent.type !== 'directory' || !PREFIX_DIR_RE.test(prefix)) {
+            cb();
+            return;
+        }
+
+        var dir = req.key + '/' + prefix;
+        var start = '';
+        if (marker && marker.prefix === prefix)
+            start = marker.id;
+
+        common.walkDirectory(req, dir, start, function (entry, r2, cb2) {
+            if (entry.name === start) {
+                cb2();
+                return;
+            }
+            addUpload(prefix, entry, cb2);
+        }, function (err2) {
+            cb(err2, pageDone());
+        });
+    }, function (err2) {
+        if (err2) {
+            next(err2);
+            return;
+        }
+
+        log.debug({
+            uploads: uploads.length,
+            examined: examined
+        }, 'list-mpu: completed');
+
+        res.header('Content-Type', UPLOADS_CONTENT_TYPE);
+        if (pageDone()) {
+            // The marker only needs the prefix directory and the id.
+            res.header('Next-Marker', ['', req.owner.account.login,
+                'uploads', last.prefix, last.id].join('/'));
+        }
+        res.writeHead(200);
+        uploads.forEach(function (upload) {
+            res.write(JSON.stringify(upload, null, 0) + '\n');
+        });
+        res.end();
+        next(false);
+    });
+
+    return (undefined);
+}
+
+
+/*
+ * GET /:account/uploads/[0-f]+/:id?parts=true: list the parts uploaded to a
+ * multipart upload.
+ */
+function listParts(req, res, next) {
+    if (!isPartsRequest(req))
+        return (next());
+
+    // See loadUploadFromUrl() in common.js.
+    if (req.caller.user)
+        return (next(new AuthorizationError(req.caller.user.login, req.url)));
+
+    var opts = {};
+    var err = limitOption(req, opts);
+    if (err)
+        return (next(err));
+
+    var marker = -1;
+    if (req.query.marker !== undefined) {
+        if (!uploadsCommon.PART_NUM_REGEX.test(req.query.marker))
+            return (next(new InvalidParameterError('marker',
+                req.query.marker)));
+        marker = Number(req.query.marker);
+    }
+
+    var log = req.log;
+    var comps = req.key.split('/');
+    var id = comps[4];
+    var uploadPath = ['', req.owner.account.login, 'uploads', comps[3],
+        id].join('/');
+    var mpu = new uploadsCommon.MultipartUpload(id, uploadPath, req);
+
+    mpu.uploadRecordExists(function (err2, exists) {
+        if (err2 || !exists) {
+            next(err2 || new ResourceNotFoundError('upload ID ' + id));
+            return;
+        }
+
+        loadParts(req, mpu.uploadPathKey(), function (err3, all) {
+            if (err3) {
+                next(err3);
+                return;
+            }
+
+            var page = all.filter(function (part) {
+                return (part.partNumber > marker);
+            }).slice(0, opts.limit);
+
+            log.debug({
+                uploadId: id,
+                parts: page.length
+            }, 'list-parts: completed');
+
+            res.header('Content-Type', PARTS_CONTENT_TYPE);
+            res.writeHead(200);
+            page.forEach(function (part) {
+                res.write(JSON.stringify(part, null, 0) + '\n');
+            });
+            res.end();
+            next(false);
+        });
+    });
+
+    return (undefined);
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    listHandler: function listHandler() {
+        var chain = [
+            listUploads,
+            listParts
+        ];
+        return (chain);
+    }
+
+};
@@ -84,10 +84,10 @@ var restify = require('restify');
 
 
 // Verifies the part num (as an integer) is within the range allowed.
-function partNumInRange(pn) {
+function partNumInRange(req, pn) {
     assert.number(pn);
     return ((pn >= uploadsCommon.MIN_PART_NUM) &&
-            (pn <= uploadsCommon.MAX_PART_NUM));
+            (pn <= uploadsCommon.maxPartNum(req)));
 }
 
 function partNumDefined(pn) {
@@ -154,6 +154,14 @@ function parseId(req, res, next) {
         // Path of the form /:account/uploads/:id.
         req.params.id = path.basename(req.url);
     } else if (uploadsCommon.PART_NUM_REGEX.test(pn)) {
+        if (!partNumInRange(req, Number(pn))) {
+            next(new MultipartUploadInvalidArgumentError(req.url,
+                pn + ' is not a valid part number (must be between ' +
+                uploadsCommon.MIN_PART_NUM + ' and ' +
+                uploadsCommon.maxPartNum(req) + ')'));
+            return;
+        }
+
         // Path of the form /:account/uploads/:id/:partNum
         req.params.id = path.basename(path.dirname(req.url));
     } else {
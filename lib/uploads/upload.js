@@ -27,6 +27,7 @@ function validatePartNum(req, res, next) {
     var partNumStr = req.params.partNum;
     var partNumNum;
     var validForm = uploadsCommon.PART_NUM_REGEX.test(partNumStr);
+    var maxPartNum = uploadsCommon.maxPartNum(req);
 
     if (validForm) {
         // If it matched our PART_NUM_REGEX is should be a number so we'll
@@ -34,11 +35,12 @@ function validatePartNum(req, res, next) {
         partNumNum = Number(partNumStr);
     }
 
-    if (!validForm || partNumNum > uploadsCommon.MAX_PART_NUM ||
+    if (!validForm || partNumNum > maxPartNum ||
         partNumNum < uploadsCommon.MIN_PART_NUM) {
 
         next(new MultipartUploadInvalidArgumentError(req.url,
-            partNumStr + ' is not a valid part number'));
+            partNumStr + ' is not a valid part number (must be between ' +
+            uploadsCommon.MIN_PART_NUM + ' and ' + maxPartNum + ')'));
     } else {
         next();
     }
@@ -11,6 +11,18 @@
 var assert = require('assert-plus');
 var contentDisposition = require('content-disposition');
 var VError = require('verror');
+require('./errors');
+
+// The directives of a directory's "lifecycle" header, and the policy field
+// each of them sets.
+var LIFECYCLE_DIRECTIVES = {
+    'expire-days': 'expireDays',
+    'abort-uploads-days': 'abortUploadsDays'
+};
+
+// The version of the page token format, and the sorts a token can be for.
+var PAGE_TOKEN_VERSION = 1;
+var PAGE_TOKEN_SORTS = ['name', 'mtime', 'path'];
 
 //
 // Given a list of lists, this function will interleave each element
@@ -101,11 +113,202 @@ function canonicalizeContentDisposition(headers) {
 }
 
 
+/**
+ * Parses the value of a directory's "lifecycle" header, which, like
+ * "cache-control", is a comma-separated list of directives:
+ *
+ *     lifecycle: expire-days=30, abort-uploads-days=7
+ *
+ * Each directive takes a positive number of days, and may only appear once.
+ * Returns the policy (e.g., {expireDays: 30, abortUploadsDays: 7}), or null if
+ * the value is invalid.
+ */
+function parseLifecyclePolicy(value) {
+    assert.string(value, 'value');
+
+    var policy = {};
+    var valid = value.split(',').every(function (directive) {
+        var parts = directive.trim().split('=');
+        if (parts.length !== 2 || !/^[1-9][0-9]{0,4}$/.test(parts[1]))
+            return (false);
+
+        var field = LIFECYCLE_DIRECTIVES[parts[0]];
+        if (!field || policy[field] !== undefined)
+            return (false);
+
+        policy[field] = parseInt(parts[1], 10);
+        return (true);
+    });
+
+    return (valid ? policy : null);
+}
+
+
+/**
+ * Directory listings hand out page tokens, which record where the next page of
+ * a listing starts: the sort the listing is in ("name", "mtime", or "path" for
+ * a recursive listing), whether it's reversed, and the name, and when sorting
+ * by time the mtime, of the last entry listed.  Clients see them as opaque,
+ * URL-safe strings, which this and parsePageToken() convert to and from.
+ */
+function createPageToken(token) {
+    assert.object(token, 'token');
+    assert.string(token.sort, 'token.sort');
+    assert.bool(token.reverse, 'token.reverse');
+    assert.string(token.name, 'token.name');
+    assert.optionalNumber(token.mtime, 'token.mtime');
+
+    var value = JSON.stringify({
+        v: PAGE_TOKEN_VERSION,
+        s: token.sort,
+        r: token.reverse,
+        n: token.name,
+        m: token.mtime
+    });
+    var encoded = Buffer.from(value, 'utf8').toString('base64');
+    /* JSSTYLED */
+    encoded = encoded.replace(/\+/g, '-').replace(/\//g, '_');
+    return (encoded.replace(/=+$/, ''));
+}
+
+
+/**
+ * Parses a page token made by createPageToken(), returning null if the value
+ * isn't one.
+ */
+function parsePageToken(value) {
+    assert.string(value, 'value');
+
+    var token;
+    try {
+        // The base64 decoder accepts the URL-safe alphabet too.
+        token = JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+    } catch (e) {
+        return (null);
+    }
+
+    if (token === null || typeof (token) !== 'object' ||
+        token.v !== PAGE_TOKEN_VERSION ||
+        PAGE_TOKEN_SORTS.indexOf(token.s) === -1 ||
+        typeof (token.r) !== 'boolean' || typeof (token.n) !== 'string' ||
+        (token.s === 'mtime' && !Number.isFinite(token.m))) {
+        return (null);
+    }
+
+    return ({
+        sort: token.s,
+        reverse: token.r,
+        name: token.n,
+        mtime: token.m
+    });
+}
+
+
+/*
+ * Reads the body of a request that sends a small document (tags, a
+ * retention, an S3 XML document) rather than object data.  The body may be at
+ * most `maxSize` bytes; cb(err, body) gets it as a Buffer.  This lives here
+ * rather than in common.js, which tags.js and retention.js can't require.
+ */
+function readBody(req, res, maxSize, cb) {
+    assert.number(maxSize, 'maxSize');
+    assert.func(cb, 'cb');
+
+    var chunks = [];
+    var done = false;
+    var size = 0;
+
+    function finish(err, body) {
+        if (!done) {
+            done = true;
+            cb(err, body);
+        }
+    }
+
+    req.on('data', function (chunk) {
+        size += chunk.length;
+        if (size > maxSize) {
+            finish(new MaxSizeExceededError(maxSize));
+        } else {
+            chunks.push(chunk);
+        }
+    });
+    req.once('error', finish);
+    req.once('end', function () {
+        finish(null, Buffer.concat(chunks));
+    });
+
+    if (req.header('expect') === '100-continue')
+        res.writeContinue();
+}
+
+
+/*
+ * Writes the object record `md` again, for a change to the record alone: the
+ * object keeps its data, etag and other headers.  `opts`:
+ *  - key: the record's key
+ *  - _etag: the moray etag the record must still have
+ *  - headers: optional, headers to set, or to remove if undefined
+ *  - mtime: optional, the mtime to keep rather than the time of the write
+ */
+function rewriteObjectRecord(req, md, opts, cb) {
+    assert.object(md, 'md');
+    assert.object(opts, 'opts');
+    assert.string(opts.key, 'opts.key');
+    assert.optionalObject(opts.headers, 'opts.headers');
+    assert.func(cb, 'cb');
+
+    var headers = {};
+    Object.keys(md.headers || {}).forEach(function (k) {
+        // Added by loadMetadata(); see saveVersion() in versions.js.
+        if (k !== 'role-tag')
+            headers[k] = md.headers[k];
+    });
+    Object.keys(opts.headers || {}).forEach(function (k) {
+        if (opts.headers[k] === undefined) {
+            delete headers[k];
+        } else {
+            headers[k] = opts.headers[k];
+        }
+    });
+
+    var record = {
+        key: opts.key,
+        owner: md.owner,
+        creator: md.creator,
+        type: 'object',
+        headers: headers,
+        roles: md.roles || [],
+        contentDisposition: md.contentDisposition,
+        contentLength: md.contentLength,
+        contentMD5: md.contentMD5,
+        contentType: md.contentType,
+        etag: md.etag,
+        objectId: md.objectId,
+        sharks: md.sharks,
+        mtime: opts.mtime,
+        requestId: req.getId(),
+        _etag: opts._etag,
+        // The object keeps its data.
+        previousMetadata: {}
+    };
+
+    req.moray.putMetadata(record, function (err) {
+        cb(err);
+    });
+}
+
+
 ///--- Exports
 
 module.exports = {
     interleave: interleave,
     shallowCopy: shallowCopy,
     shuffle: shuffle,
-    canonicalizeContentDisposition: canonicalizeContentDisposition
+    canonicalizeContentDisposition: canonicalizeContentDisposition,
+    parseLifecyclePolicy: parseLifecyclePolicy,
+    createPageToken: createPageToken,
+    parsePageToken: parsePageToken,
+    readBody: readBody,
+    rewriteObjectRecord: rewriteObjectRecord
 };
@@ -0,0 +1,446 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+//
+// Object versioning is enabled per directory, by creating (or updating) the
+// directory with a "versioning: enabled" header.  When an object in such a
+// directory is overwritten or deleted, the record being replaced is kept as a
+// version, under a key that isn't reachable through the API:
+//
+//     /:owner_uuid/versions/stor/dir/object/:versionId
+//
+// The versionId is the objectId of the version's data, so every version of an
+// object has a distinct versionId, and the current version's is just its
+// objectId.  All the versions of an object share a parent directory in Moray,
+// so they can be listed with readdir().
+//
+// The version record takes over the replaced record's reference to the data
+// (no reference is added or released, and the replaced record is written
+// without a "previousMetadata"), so the data isn't garbage collected until the
+// version is purged with DELETE ...?versionId=.
+//
+
+var assert = require('assert-plus');
+
+var auth = require('./auth');
+var common = require('./common');
+var quota = require('./quota');
+require('./errors');
+
+
+
+///--- Globals
+
+var VERSIONS_DIR = 'versions';
+var VERSIONS_CONTENT_TYPE = 'application/x-json-stream; type=versions';
+
+/* JSSTYLED */
+var VERSION_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+
+
+///--- Helpers
+
+// /:owner_uuid/stor/dir/object -> /:owner_uuid/versions/stor/dir/object
+function versionsDirectory(key) {
+    var parts = key.split('/');
+    parts.splice(2, 0, VERSIONS_DIR);
+    return (parts.join('/'));
+}
+
+
+function versionKey(key, versionId) {
+    return (versionsDirectory(key) + '/' + versionId);
+}
+
+
+function isVersioned(parentMd) {
+    return (Boolean(parentMd && parentMd.headers &&
+        parentMd.headers['versioning'] === 'enabled'));
+}
+
+
+/*
+ * Loads the version `versionId` of the object at req.key, and checks that the
+ * caller may perform `action` on it.
+ */
+function loadVersion(req, versionId, action, cb) {
+    if (!VERSION_ID_RE.test(versionId)) {
+        cb(new InvalidParameterError('versionId', versionId));
+        return;
+    }
+
+    var opts = {
+        key: versionKey(req.key, versionId),
+        requestId: req.getId()
+    };
+    common.loadMetadata(req, opts, function (err, md, wrap) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (!md.type) {
+            cb(new VersionNotFoundError(req.path(), versionId));
+            return;
+        }
+
+        md.headers = md.headers || {};
+        md._etag = (wrap || {})._etag;
+
+        auth.authorizeResource(req, md, action, req.path(), function (err2) {
+            cb(err2, md);
+        });
+    });
+}
+
+
+/*
+ * Writes the object record `md` as a version, and calls back with the options
+ * used to write it.
+ */
+function saveVersion(req, md, cb) {
+    assert.string(md.objectId, 'md.objectId');
+
+    var log = req.log;
+    var headers = {};
+    Object.keys(md.headers || {}).forEach(function (k) {
+        // Added by loadMetadata(); see sourceHeaders() in move.js.
+        if (k !== 'role-tag')
+            headers[k] = md.headers[k];
+    });
+
+    var opts = {
+        key: versionKey(md.key, md.objectId),
+        owner: md.owner,
+        creator: md.creator,
+        type: 'object',
+        headers: headers,
+        roles: md.roles || [],
+        contentDisposition: md.contentDisposition,
+        contentLength: md.contentLength,
+        contentMD5: md.contentMD5,
+        contentType: md.contentType,
+        etag: md.etag,
+        objectId: md.objectId,
+        sharks: md.sharks,
+        requestId: req.getId(),
+        // The version takes over the object's reference to the data.
+        previousMetadata: {}
+    };
+
+    log.debug({
+        key: md.key,
+        versionId: md.objectId
+    }, 'saveVersion: entered');
+
+    req.moray.putMetadata(opts, function (err) {
+        if (err) {
+            log.debug(err, 'saveVersion: failed');
+            cb(err);
+        } else {
+            log.debug({key: opts.key}, 'saveVersion: done');
+            cb(null, opts);
+        }
+    });
+}
+
+
+
+///--- API
+
+/*
+ * Removes the version kept by keepVersion() (if any), after the overwrite or
+ * delete it was kept for has failed.
+ */
+function discardVersion(req, cb) {
+    var version = req.version;
+
+    req.version = null;
+    removeVersion(req, version, cb);
+}
+
+
+/*
+ * Removes a version written by saveVersion(), after the overwrite or delete it
+ * was kept for has failed.  This is discardVersion() for callers that keep
+ * versions of objects other than the one in the request path.
+ */
+function removeVersion(req, version, cb) {
+    var log = req.log;
+
+    if (!version) {
+        setImmediate(cb);
+        return;
+    }
+
+    var opts = {
+        key: version.key,
+        requestId: req.getId(),
+        // The data still belongs to the current record.
+        previousMetadata: {}
+    };
+
+    req.moray.delMetadata(opts, function (err) {
+        if (err) {
+            log.error({
+                err: err,
+                key: version.key
+            }, 'removeVersion: failed to remove version');
+        }
+        cb();
+    });
+}
+
+
+
+///--- Routes
+
+/*
+ * DELETE doesn't load the parent directory, which we need to know whether to
+ * keep a version of the object being deleted.
+ */
+function loadParentMetadata(req, res, next) {
+    if (req.metadata.type !== 'object' || req.parentMetadata)
+        return (next());
+
+    var opts = {
+        key: req.parentKey,
+        requestId: req.getId()
+    };
+    common.loadMetadata(req, opts, function (err, md) {
+        if (err) {
+            next(err);
+        } else {
+            req.parentMetadata = md;
+            next();
+        }
+    });
+    return (undefined);
+}
+
+
+/*
+ * If the object at req.key is about to be overwritten or deleted, and its
+ * directory is versioned, keeps the current record as a version (in
+ * req.version).  The handler that then replaces or removes the record must do
+ * so with an empty "previousMetadata", so that the data stays with the
+ * version, and must call discardVersion() if it fails.
+ */
+function keepVersion(req, res, next) {
+    if (req.metadata.type !== 'object' || !isVersioned(req.parentMetadata))
+        return (next());
+
+    // Metadata updates (PUT ...?metadata=true) keep the object's data.
+    if (req.method === 'PUT' && req.query.metadata)
+        return (next());
+
+    saveVersion(req, req.metadata, function (err, version) {
+        if (err) {
+            next(err);
+        } else {
+            req.version = version;
+            next();
+        }
+    });
+    return (undefined);
+}
+
+
+// GET/HEAD ...?versionId=: serve an old version in place of the object.
+function getVersion(req, res, next) {
+    var versionId = req.query.versionId;
+    if (versionId === undefined)
+        return (next());
+
+    if (req.metadata.type === 'object' &&
+        req.metadata.objectId === versionId) {
+        res.header('Version-Id', versionId);
+        return (next());
+    }
+
+    loadVersion(req, versionId, 'getobject', function (err, md) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        req.metadata = md;
+
+        // See getMetadata() in common.js.
+        res.removeHeader('Etag');
+        res.removeHeader('Last-Modified');
+        res.set('Etag', md.etag);
+        res.set('Last-Modified', new Date(md.mtime));
+        res.header('Version-Id', versionId);
+        next();
+    });
+    return (undefined);
+}
+
+
+// GET/HEAD ...?versions=true: list the noncurrent versions of an object.
+function listVersions(req, res, next) {
+    if (req.query.versions !== 'true')
+        return (next());
+
+    var wroteHead = false;
+    function writeHead(err) {
+        if (!wroteHead) {
+            if (err)
+                return (true);
+
+            res.header('Content-Type', VERSIONS_CONTENT_TYPE);
+            res.writeHead(200);
+            wroteHead = true;
+            return (true);
+        }
+        return (false);
+    }
+
+    function done() {
+        writeHead();
+        res.end();
+        next(false);
+    }
+
+    if (req.method === 'HEAD') {
+        done();
+        return (undefined);
+    }
+
+    var dir = versionsDirectory(req.key);
+    var mreq = common.readdir(dir, req, { checkParams: true });
+
+    // See getDirectory() in dir.js.
+    mreq.once('error', function (err) {
+        mreq.removeAllListeners('end');
+        mreq.removeAllListeners('entry');
+        if (writeHead(err)) {
+            next(err);
+        } else {
+            res.end();
+            next(false);
+        }
+    });
+
+    mreq.on('entry', function (entry) {
+        writeHead();
+        entry.versionId = entry.name;
+        entry.name = req.key.split('/').pop();
+        res.write(JSON.stringify(entry, null, 0) + '\n');
+    });
+
+    mreq.once('end', done);
+    return (undefined);
+}
+
+
+/*
+ * DELETE ...?versionId=: permanently remove an old version, releasing its
+ * reference to the data.
+ */
+function purgeVersion(req, res, next) {
+    var versionId = req.query.versionId;
+    if (versionId === undefined)
+        return (next());
+
+    var log = req.log;
+
+    loadVersion(req, versionId, 'deleteobject', function (err, md) {
+        if (err) {
+            next(err);
+            return;
+        }
+
+        var opts = {
+            key: md.key,
+            _etag: md._etag,
+            requestId: req.getId(),
+            previousMetadata: md
+        };
+
+        log.debug({
+            key: req.key,
+            versionId: versionId
+        }, 'purgeVersion: entered');
+
+        // See removePointer() in obj.js.
+        common.setupObjectRelease(req, md, md._etag, opts,
+            function (releasePrevious) {
+            req.moray.delMetadata(opts, function (err2) {
+                if (err2) {
+                    next(err2);
+                    return;
+                }
+
+                var prev = releasePrevious ? md : {};
+                common.releaseObjectReference(req, prev, function () {
+                    // Versions count towards the object's top-level
+                    // directory.
+                    quota.recordUsage(req, req.owner.account.uuid,
+                        [quota.objectChange(req.key, md, -1)], function () {
+                        log.debug('purgeVersion: done');
+                        // Report the purged version (e.g., to audit).
+                        req.metadata = md;
+                        res.send(204);
+                        next(false);
+                    });
+                });
+            });
+        });
+    });
+    return (undefined);
+}
+
+
+
+///--- Exports
+
+module.exports = {
+
+    discardVersion: discardVersion,
+
+    removeVersion: removeVersion,
+
+    isVersioned: isVersioned,
+
+    saveVersion: saveVersion,
+
+    loadParentHandler: function loadParentHandler() {
+        var chain = [
+            loadParentMetadata
+        ];
+        return (chain);
+    },
+
+    keepVersionHandler: function keepVersionHandler() {
+        var chain = [
+            keepVersion
+        ];
+        return (chain);
+    },
+
+    getVersionHandler: function getVersionHandler() {
+        var chain = [
+            listVersions,
+            getVersion
+        ];
+        return (chain);
+    },
+
+    deleteVersionHandler: function deleteVersionHandler() {
+        var chain = [
+            purgeVersion
+        ];
+        return (chain);
+    }
+
+};
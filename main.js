@@ -307,6 +307,17 @@ function clientsConnected(appName, cfg, clients) {
         log.info('%s listening at (clear port) %s', appName, server2.url);
     });
 
+    if (cfg.lifecycle.enabled) {
+        clients.lifecycle = app.lifecycle.createSweeper({
+            collector: cfg.collector,
+            config: cfg,
+            log: log,
+            mahi: clients.mahi,
+            moray: clients.moray
+        });
+        clients.lifecycle.start();
+    }
+
     app.startKangServer();
 }
 
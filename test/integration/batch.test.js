@@ -0,0 +1,435 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var assert = require('assert-plus');
+var MemoryStream = require('stream').PassThrough;
+var test = require('tap').test;
+var uuidv4 = require('uuid/v4');
+var vasync = require('vasync');
+
+var helper = require('../helper');
+
+
+///--- Globals
+
+var assertMantaRes = helper.assertMantaRes;
+
+
+///--- Helpers
+
+function writeObject(client_, key, opts, cb) {
+    assert.string(key, 'key');
+
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+
+    var stream = new MemoryStream();
+    var text = 'The lazy brown fox \nsomething \nsomething foo';
+
+    client_.put(key, stream, {
+        headers: opts.headers,
+        size: Buffer.byteLength(text)
+    }, cb);
+    process.nextTick(stream.end.bind(stream, text));
+}
+
+
+// POSTs `paths` to the batch `action` (delete or head), as `client_`.
+function batch(client_, action, paths, cb) {
+    var jsonClient = helper.createJsonClient();
+    var postOpts = {
+        headers: {
+            'content-type': 'application/json',
+            'accept': 'application/json'
+        },
+        path: '/' + client_.user + '/batch/' + action
+    };
+
+    client_.signRequest({
+        headers: postOpts.headers
+    }, function (signErr) {
+        if (signErr) {
+            cb(signErr);
+            return;
+        }
+
+        jsonClient.post(postOpts, {paths: paths},
+            function (err, _, res, body) {
+            jsonClient.close();
+            cb(err, res, body);
+        });
+    });
+}
+
+
+function statuses(body) {
+    return (body.results.map(function (r) {
+        return (r.status === 'failed' ? r.error.code : r.status);
+    }));
+}
+
+
+///--- Tests
+
+var client;
+var subuserClient;
+var testAccount;
+var testDir;
+
+test('setup: test accounts', function (t) {
+    helper.ensureTestAccounts(t, function (err, accounts) {
+        t.ifError(err, 'no error loading/creating test accounts');
+        testAccount = accounts.regular;
+        t.ok(testAccount, 'have regular test account: ' +
+            testAccount.login);
+        t.end();
+    });
+});
+
+test('setup: test dir', function (t) {
+    client = helper.mantaClientFromAccountInfo(testAccount);
+    subuserClient = helper.mantaClientFromSubuserInfo(testAccount,
+        'muskietest_subuser');
+    testDir = '/' + testAccount.login + '/stor/test-batch-dir-' +
+        uuidv4().split('-')[0];
+
+    client.mkdir(testDir, function (err) {
+        t.ifError(err, 'no error making testDir: ' + testDir);
+        t.end();
+    });
+});
+
+
+test('batch delete: mixed results', function (t) {
+    var dir = testDir + '/delete-mixed';
+    var a = dir + '/a';
+    var full = dir + '/full';
+
+    vasync.pipeline({
+        funcs: [
+            function theDirs(_, next) {
+                vasync.forEachPipeline({
+                    inputs: [dir, full],
+                    func: function (d, cb) {
+                        client.mkdir(d, cb);
+                    }
+                }, next);
+            },
+            function theObjs(_, next) {
+                vasync.forEachParallel({
+                    inputs: [a, full + '/b'],
+                    func: function (key, cb) {
+                        writeObject(client, key, cb);
+                    }
+                }, next);
+            },
+            function theDelete(_, next) {
+                batch(client, 'delete', [
+                    a,
+                    dir + '/missing',
+                    full,
+                    a,
+                    '/' + uuidv4() + '/stor/elsewhere'
+                ], function (err, res, body) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 200);
+                    t.deepEqual(statuses(body), [
+                        'deleted',
+                        'ResourceNotFound',
+                        'DirectoryNotEmpty',
+                        'deleted',
+                        'InvalidPath'
+                    ]);
+                    t.equal(body.succeeded, 2);
+                    t.equal(body.failed, 3);
+                    next(err);
+                });
+            },
+            function theDeleted(_, next) {
+                client.info(a, function (err) {
+                    t.ok(err);
+                    t.equal(err.name, 'NotFoundError');
+                    next();
+                });
+            },
+            function theKept(_, next) {
+                client.info(full + '/b', next);
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('batch delete: directory with its contents', function (t) {
+    var dir = testDir + '/delete-tree';
+
+    vasync.pipeline({
+        funcs: [
+            function theDir(_, next) {
+                client.mkdir(dir, next);
+            },
+            function theObj(_, next) {
+                writeObject(client, dir + '/a', next);
+            },
+            function theDelete(_, next) {
+                // Directories go last, whatever order they are given in.
+                batch(client, 'delete', [dir, dir + '/a', dir + '/'],
+                    function (err, res, body) {
+                    t.ifError(err);
+                    t.deepEqual(statuses(body),
+                        ['deleted', 'deleted', 'deleted']);
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.info(dir, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'NotFoundError');
+            t.end();
+        });
+    });
+});
+
+
+test('batch delete: per-path authorization', function (t) {
+    var dir = testDir + '/delete-auth';
+    var tagged = dir + '/tagged';
+    var untagged = dir + '/untagged';
+
+    vasync.pipeline({
+        funcs: [
+            function theDir(_, next) {
+                client.mkdir(dir, next);
+            },
+            function theTagged(_, next) {
+                // The subuser's default role can only read this.
+                writeObject(client, tagged, {
+                    headers: {
+                        'role-tag': 'muskietest_role_default'
+                    }
+                }, next);
+            },
+            function theUntagged(_, next) {
+                writeObject(client, untagged, next);
+            },
+            function theSubuserDelete(_, next) {
+                batch(subuserClient, 'delete', [tagged, untagged],
+                    function (err, res, body) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 200);
+                    t.deepEqual(statuses(body),
+                        ['AuthorizationFailed', 'NoMatchingRoleTag']);
+                    t.equal(body.succeeded, 0);
+                    t.equal(body.failed, 2);
+                    next(err);
+                });
+            },
+            function theKept(_, next) {
+                vasync.forEachParallel({
+                    inputs: [tagged, untagged],
+                    func: function (key, cb) {
+                        client.info(key, cb);
+                    }
+                }, next);
+            },
+            function theAccountDelete(_, next) {
+                batch(client, 'delete', [tagged, untagged],
+                    function (err, res, body) {
+                    t.ifError(err);
+                    t.deepEqual(statuses(body), ['deleted', 'deleted']);
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('batch head: several directories', function (t) {
+    var dir = testDir + '/head-dirs';
+    var paths = [
+        dir + '/one/a',
+        dir + '/two/b',
+        dir + '/one/c',
+        dir + '/two',
+        dir + '/one/a'
+    ];
+
+    vasync.pipeline({
+        funcs: [
+            function theDirs(_, next) {
+                vasync.forEachPipeline({
+                    inputs: [dir, dir + '/one', dir + '/two'],
+                    func: function (d, cb) {
+                        client.mkdir(d, cb);
+                    }
+                }, next);
+            },
+            function theObjs(_, next) {
+                vasync.forEachParallel({
+                    inputs: [dir + '/one/a', dir + '/one/c', dir + '/two/b'],
+                    func: function (key, cb) {
+                        writeObject(client, key, {
+                            headers: {
+                                'm-name': key.split('/').pop()
+                            }
+                        }, cb);
+                    }
+                }, next);
+            },
+            function theHead(_, next) {
+                batch(client, 'head', paths, function (err, res, body) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 200);
+                    t.deepEqual(statuses(body),
+                        ['ok', 'ok', 'ok', 'ok', 'ok']);
+                    t.equal(body.succeeded, 5);
+                    t.equal(body.failed, 0);
+                    t.deepEqual(body.results.map(function (r) {
+                        return (r.path);
+                    }), paths, 'results in the order given');
+
+                    var a = body.results[0].headers;
+                    t.equal(a['m-name'], 'a');
+                    t.ok(a.etag);
+                    t.ok(a['content-md5']);
+                    t.equal(body.results[1].headers['m-name'], 'b');
+                    t.equal(body.results[2].headers['m-name'], 'c');
+                    t.equal(body.results[3].headers['content-type'],
+                        'application/x-json-stream; type=directory');
+                    t.deepEqual(body.results[4].headers, a);
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('batch head: missing paths', function (t) {
+    var dir = testDir + '/head-missing';
+
+    vasync.pipeline({
+        funcs: [
+            function theDir(_, next) {
+                client.mkdir(dir, next);
+            },
+            function theObj(_, next) {
+                writeObject(client, dir + '/a', next);
+            },
+            function theHead(_, next) {
+                batch(client, 'head', [
+                    dir + '/a',
+                    dir + '/missing',
+                    testDir + '/no-such-dir/b',
+                    '/' + testAccount.login + '/stor',
+                    '/' + uuidv4() + '/stor/elsewhere'
+                ], function (err, res, body) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 200);
+                    t.deepEqual(statuses(body), [
+                        'ok',
+                        'ResourceNotFound',
+                        'ResourceNotFound',
+                        'OperationNotAllowedOnRootDirectory',
+                        'InvalidPath'
+                    ]);
+                    t.equal(body.succeeded, 1);
+                    t.equal(body.failed, 4);
+                    t.notOk(body.results[1].headers, 'no headers');
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('batch head: per-path authorization', function (t) {
+    var dir = testDir + '/head-auth';
+    var readable = dir + '/readable';
+    var limited = dir + '/limited';
+    var untagged = dir + '/untagged';
+
+    vasync.pipeline({
+        funcs: [
+            function theDir(_, next) {
+                client.mkdir(dir, next);
+            },
+            function theObjs(_, next) {
+                vasync.forEachParallel({
+                    inputs: [
+                        [readable, 'muskietest_role_default'],
+                        [limited, 'muskietest_role_limit'],
+                        [untagged, null]
+                    ],
+                    func: function (input, cb) {
+                        var headers = {};
+                        if (input[1])
+                            headers['role-tag'] = input[1];
+                        writeObject(client, input[0], {
+                            headers: headers
+                        }, cb);
+                    }
+                }, next);
+            },
+            function theSubuserHead(_, next) {
+                // Only the subuser's default role is active.
+                batch(subuserClient, 'head', [readable, limited, untagged],
+                    function (err, res, body) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 200);
+                    t.deepEqual(statuses(body),
+                        ['ok', 'NoMatchingRoleTag', 'NoMatchingRoleTag']);
+                    t.ok(body.results[0].headers.etag);
+                    t.notOk(body.results[1].headers, 'no headers');
+                    t.equal(body.succeeded, 1);
+                    t.equal(body.failed, 2);
+                    next(err);
+                });
+            },
+            function theAccountHead(_, next) {
+                batch(client, 'head', [readable, limited, untagged],
+                    function (err, res, body) {
+                    t.ifError(err);
+                    t.deepEqual(statuses(body), ['ok', 'ok', 'ok']);
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('teardown', function (t) {
+    client.rmr(testDir, function onRm(err) {
+        t.ifError(err, 'remove testDir: ' + testDir);
+        t.end();
+    });
+});
@@ -72,6 +72,27 @@ function writeStreamingObject(client_, key, opts, cb) {
 }
 
 
+// Server-side move of `src` to `dst`: an empty PUT naming the source in the
+// Location header.
+function moveEntry(client_, src, dst, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    var headers = opts.headers || {};
+    headers['location'] = src;
+    var putOpts = {
+        headers: headers,
+        size: 0,
+        type: 'application/json; type=move'
+    };
+    var stream = new MemoryStream();
+
+    client_.put(dst, stream, putOpts, cb);
+    process.nextTick(stream.end.bind(stream));
+}
+
+
 ///--- Tests
 
 var client;
@@ -180,6 +201,47 @@ test('mkdir, chattr: given content-type ignored', function (t) {
     });
 });
 
+test('mkdir with lifecycle policy', function (t) {
+    var key = testDir + '/mkdir-lifecycle';
+    var opts = {
+        headers: {
+            'lifecycle': 'expire-days=30, abort-uploads-days=7'
+        }
+    };
+
+    client.mkdir(key, opts, function (err, res) {
+        t.ifError(err);
+        assertMantaRes(t, res, 204);
+
+        client.info(key, function (err2, info) {
+            t.ifError(err2);
+            t.ok(info);
+            if (info) {
+                t.equal(info.headers['lifecycle'],
+                    'expire-days=30, abort-uploads-days=7');
+            }
+            t.end();
+        });
+    });
+});
+
+test('mkdir with invalid lifecycle policy', function (t) {
+    var key = testDir + '/mkdir-lifecycle-invalid';
+    var opts = {
+        headers: {
+            'lifecycle': 'expire-days=soon'
+        }
+    };
+
+    client.mkdir(key, opts, function (err) {
+        t.ok(err);
+        if (err) {
+            t.equal(err.name, 'InvalidParameterError');
+        }
+        t.end();
+    });
+});
+
 
 test('put then overwrite w/directory', function (t) {
     var key = testDir + '/put-object-then-mkdir-overwrite';
@@ -649,6 +711,34 @@ test('ls escapes marker', function (t) {
 });
 
 
+test('ls if-modified-since 304', function (t) {
+    var dir = testDir + '/ls-if-modified-since';
+    var stringClient = helper.createStringClient();
+
+    client.mkdir(dir, function (err) {
+        t.ifError(err);
+
+        helper.signReq(testAccount, function (signErr, authz, date) {
+            t.ifError(signErr);
+
+            stringClient.get({
+                path: dir,
+                headers: {
+                    authorization: authz,
+                    date: date,
+                    'if-modified-since':
+                        new Date(Date.now() + 10000).toUTCString()
+                }
+            }, function (err2, req, res) {
+                t.ifError(err2);
+                assertMantaRes(t, res, 304);
+                t.end();
+            });
+        });
+    });
+});
+
+
 test('ls 404', function (t) {
     client.ls(testDir + '/' + uuidv4(), function (err) {
         t.ok(err);
@@ -707,6 +797,255 @@ test('rmdir non-empty dir', function (t) {
     });
 });
 
+test('move empty dir', function (t) {
+    var src = testDir + '/move-empty-dir-src';
+    var dst = testDir + '/move-empty-dir-dst';
+
+    client.mkdir(src, function (err) {
+        t.ifError(err);
+        moveEntry(client, src, dst, function (err2, res) {
+            t.ifError(err2);
+            assertMantaRes(t, res, 204);
+            client.info(dst, function (err3, info) {
+                t.ifError(err3);
+                t.equal(info.extension, 'directory');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('move non-empty dir', function (t) {
+    var src = testDir + '/move-non-empty-dir-src';
+    var dst = testDir + '/move-non-empty-dir-dst';
+
+    client.mkdir(src, function (err) {
+        t.ifError(err);
+        writeObject(client, src + '/file', function (putErr) {
+            t.ifError(putErr);
+            moveEntry(client, src, dst, function (err2, res) {
+                t.ok(err2);
+                t.equal(err2.name, 'DirectoryNotEmptyError');
+                assertMantaRes(t, res, 400);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('move dir into itself', function (t) {
+    var src = testDir + '/move-dir-into-itself';
+
+    client.mkdir(src, function (err) {
+        t.ifError(err);
+        moveEntry(client, src, src + '/child', function (err2, res) {
+            t.ok(err2);
+            t.equal(err2.name, 'InvalidMoveError');
+            assertMantaRes(t, res, 400);
+            t.end();
+        });
+    });
+});
+
+
+test('rmdir recursive', function (t) {
+    var top = testDir + '/rmdir-recursive';
+    var stringClient = helper.createStringClient();
+
+    vasync.pipeline({
+        funcs: [
+            function theTop(_, next) {
+                client.mkdir(top, next);
+            },
+            function theSubdir(_, next) {
+                client.mkdir(top + '/sub', next);
+            },
+            function theObjs(_, next) {
+                vasync.forEachParallel({
+                    inputs: [top + '/a', top + '/b', top + '/sub/c'],
+                    func: function (key, cb) {
+                        writeObject(client, key, cb);
+                    }
+                }, next);
+            },
+            function theDelete(_, next) {
+                helper.signReq(testAccount, function (signErr, authz, date) {
+                    if (signErr) {
+                        next(signErr);
+                        return;
+                    }
+
+                    stringClient.del({
+                        path: top,
+                        headers: {
+                            authorization: authz,
+                            date: date
+                        },
+                        query: {
+                            recursive: 'true'
+                        }
+                    }, function (err, req, res, body) {
+                        t.ifError(err);
+                        assertMantaRes(t, res, 200);
+
+                        var lines = body.trim().split('\n').map(JSON.parse);
+                        var summary = lines.pop();
+                        t.deepEqual(summary, {
+                            status: 'done',
+                            deleted: 5,
+                            failed: 0
+                        });
+                        t.equal(lines.length, 5);
+                        lines.forEach(function (l) {
+                            t.equal(l.status, 'deleted', l.path);
+                        });
+                        t.equal(lines[lines.length - 1].path, top,
+                            'top directory deleted last');
+                        next(err);
+                    });
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        client.info(top, function (err2) {
+            t.ok(err2);
+            t.equal(err2.name, 'NotFoundError');
+            t.end();
+        });
+    });
+});
+
+
+// Lists `dir` with the string client, which returns the entries as they are.
+function listTree(dir, query, cb) {
+    var stringClient = helper.createStringClient();
+
+    helper.signReq(testAccount, function (signErr, authz, date) {
+        if (signErr) {
+            cb(signErr);
+            return;
+        }
+
+        stringClient.get({
+            path: dir,
+            headers: {
+                authorization: authz,
+                date: date
+            },
+            query: query
+        }, function (err, req, res, body) {
+            stringClient.close();
+            if (err) {
+                cb(err, res);
+                return;
+            }
+            var names = body.trim().split('\n').filter(function (l) {
+                return (l !== '');
+            }).map(function (l) {
+                return (JSON.parse(l).name);
+            });
+            cb(null, res, names);
+        });
+    });
+}
+
+
+test('ls recursive', function (t) {
+    var top = testDir + '/ls-recursive';
+
+    vasync.pipeline({
+        funcs: [
+            function theDirs(_, next) {
+                vasync.forEachPipeline({
+                    inputs: [top, top + '/sub', top + '/sub/deeper'],
+                    func: function (dir, cb) {
+                        client.mkdir(dir, cb);
+                    }
+                }, next);
+            },
+            function theObjs(_, next) {
+                vasync.forEachParallel({
+                    inputs: [top + '/a', top + '/sub/b', top + '/sub/c',
+                        top + '/sub/deeper/d'],
+                    func: function (key, cb) {
+                        writeObject(client, key, cb);
+                    }
+                }, next);
+            },
+            function listAll(_, next) {
+                listTree(top, {recursive: 'true'}, function (err, res, names) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 200);
+                    t.deepEqual(names, ['a', 'sub', 'sub/b', 'sub/c',
+                        'sub/deeper', 'sub/deeper/d']);
+                    t.notOk(res.headers['next-page-token'], 'last page');
+                    next(err);
+                });
+            },
+            function listPrefix(_, next) {
+                listTree(top, {
+                    recursive: 'true',
+                    prefix: 'sub/'
+                }, function (err, res, names) {
+                    t.ifError(err);
+                    t.deepEqual(names, ['sub/b', 'sub/c', 'sub/deeper',
+                        'sub/deeper/d']);
+                    next(err);
+                });
+            },
+            function listPrefixInSubdir(_, next) {
+                listTree(top, {
+                    recursive: 'true',
+                    prefix: 'sub/deeper/'
+                }, function (err, res, names) {
+                    t.ifError(err);
+                    t.deepEqual(names, ['sub/deeper/d']);
+                    next(err);
+                });
+            },
+            function listPages(_, next) {
+                listTree(top, {
+                    recursive: 'true',
+                    limit: 3
+                }, function (err, res, names) {
+                    t.ifError(err);
+                    t.deepEqual(names, ['a', 'sub', 'sub/b']);
+
+                    var token = res.headers['next-page-token'];
+                    t.ok(token, 'next page token');
+                    listTree(top, {
+                        recursive: 'true',
+                        limit: 3,
+                        page_token: token
+                    }, function (err2, res2, names2) {
+                        t.ifError(err2);
+                        t.deepEqual(names2, ['sub/c', 'sub/deeper',
+                            'sub/deeper/d']);
+                        next(err2);
+                    });
+                });
+            },
+            function listSorted(_, next) {
+                listTree(top, {
+                    recursive: 'true',
+                    sort: 'mtime'
+                }, function (err, res) {
+                    t.ok(err, 'sort not supported');
+                    t.equal(res.statusCode, 400);
+                    next();
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
 test('mkdir with Content-Disposition ignored', function (t) {
     var key = testDir + '/mkdir-with-content-disposition-ignored';
     var cd = 'attachment; filename="my-file.txt"';
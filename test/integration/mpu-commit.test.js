@@ -23,11 +23,16 @@ var mpuCommon = require('../../lib/uploads/common');
 
 ///--- Globals
 
-var enableMPU = Boolean(require('../../etc/config.json').enableMPU);
+var config = require('../../etc/config.json');
+var enableMPU = Boolean(config.enableMPU);
 var testOpts = {
     skip: !enableMPU && 'MPU is not enabled (enableMPU in config)'
 };
 
+// The most parts the server allows in an upload.
+var MAX_PARTS = (config.multipartUpload || {}).maxParts ||
+    mpuCommon.DEF_MAX_PARTS;
+
 
 /// ---- helper functions
 
@@ -739,7 +744,7 @@ test('mpu commit', testOpts, function (suite) {
 
                 function commitWithTooManyParts(ctx, next) {
                     var partEtags = [];
-                    for (var i = 0; i <= mpuCommon.MAX_NUM_PARTS + 1; i++) {
+                    for (var i = 0; i <= MAX_PARTS + 1; i++) {
                         partEtags.push(ctx.part0Etag);
                     }
 
@@ -752,6 +757,8 @@ test('mpu commit', testOpts, function (suite) {
                             'MultipartUploadInvalidArgumentError'),
                             'err is MultipartUploadInvalidArgumentError: ' +
                                 err);
+                        t.ok(err && err.message.indexOf('at most ' +
+                            MAX_PARTS) !== -1, 'error gives the limit');
                         next();
                     });
                 }
@@ -0,0 +1,348 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var MemoryStream = require('stream').PassThrough;
+var test = require('tap').test;
+var uuidv4 = require('uuid/v4');
+var vasync = require('vasync');
+
+var helper = require('../helper.js');
+
+
+///--- Globals
+
+var assertMantaRes = helper.assertMantaRes;
+
+var enableMPU = Boolean(require('../../etc/config.json').enableMPU);
+var testOpts = {
+    skip: !enableMPU && 'MPU is not enabled (enableMPU in config)'
+};
+
+
+///--- Tests
+
+test('mpu list', testOpts, function (suite) {
+    var client;
+    var stringClient;
+    var testAccount;
+    var testDir;
+
+    // Gets `path` with the query parameters `query`, and parses the stream.
+    function list(path, query, cb) {
+        helper.signReq(testAccount, function (signErr, authz, date) {
+            if (signErr) {
+                cb(signErr);
+                return;
+            }
+
+            stringClient.get({
+                path: path,
+                headers: {
+                    authorization: authz,
+                    date: date
+                },
+                query: query
+            }, function (err, req, res, data) {
+                var entries;
+                if (!err) {
+                    entries = data.split('\n').filter(function (l) {
+                        return (l.length > 0);
+                    }).map(function (l) {
+                        return (JSON.parse(l));
+                    });
+                }
+                cb(err, entries, res);
+            });
+        });
+    }
+
+    // Lists the test account's uploads with the query parameters `query`.
+    function listUploads(query, cb) {
+        query.uploads = 'true';
+        list('/' + client.user + '/uploads', query, cb);
+    }
+
+    // Lists the parts of `upload` with the query parameters `query`.
+    function listParts(upload, query, cb) {
+        query.parts = 'true';
+        list(upload.partsDirectory, query, cb);
+    }
+
+    suite.test('setup: test account', function (t) {
+        helper.ensureTestAccounts(t, function (err, accounts) {
+            t.ifError(err, 'no error loading/creating test accounts');
+            testAccount = accounts.regular;
+            t.ok(testAccount, 'have regular test account: ' +
+                testAccount.login);
+            t.end();
+        });
+    });
+
+    suite.test('setup: client and test dir', function (t) {
+        stringClient = helper.createStringClient();
+        client = helper.mantaClientFromAccountInfo(testAccount);
+        testDir = '/' + client.user + '/stor/test-mpu-list-' +
+            uuidv4().split('-')[0];
+
+        client.mkdir(testDir, function (err) {
+            t.ifError(err, 'make test testDir ' + testDir);
+            t.end();
+        });
+    });
+
+    suite.test('list uploads', function (t) {
+        var p = testDir + '/list-upload';
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function createIt(ctx, next) {
+                    client.createUpload(p, {
+                        account: client.user
+                    }, function (err, upload) {
+                        ctx.upload = upload;
+                        next(err);
+                    });
+                },
+                function listCreated(ctx, next) {
+                    listUploads({
+                        prefix: testDir
+                    }, function (err, uploads, res) {
+                        if (err) {
+                            next(err);
+                            return;
+                        }
+                        assertMantaRes(t, res, 200);
+                        t.equal(res.headers['content-type'],
+                            'application/x-json-stream; type=uploads');
+                        t.equal(uploads.length, 1, 'one upload listed');
+                        t.equal(uploads[0].id, ctx.upload.id);
+                        t.equal(uploads[0].state, 'created');
+                        t.equal(uploads[0].targetObject, p);
+                        t.equal(uploads[0].partsDirectory,
+                            ctx.upload.partsDirectory);
+                        t.equal(uploads[0].numParts, 0, 'no parts yet');
+                        next();
+                    });
+                },
+                function abortIt(ctx, next) {
+                    client.abortUpload(ctx.upload.id, {
+                        account: client.user,
+                        partsDirectory: ctx.upload.partsDirectory
+                    }, next);
+                },
+                function listByState(ctx, next) {
+                    listUploads({
+                        prefix: testDir,
+                        state: 'created'
+                    }, function (err, uploads) {
+                        if (err) {
+                            next(err);
+                            return;
+                        }
+                        t.equal(uploads.length, 0, 'no created uploads');
+
+                        listUploads({
+                            prefix: testDir,
+                            state: 'done'
+                        }, function (err2, uploads2) {
+                            if (!err2) {
+                                t.equal(uploads2.length, 1, 'one done upload');
+                                t.equal(uploads2[0].result, 'aborted');
+                            }
+                            next(err2);
+                        });
+                    });
+                }
+            ]
+        }, function (err) {
+            t.ifError(err, 'expected no error running pipeline');
+            t.end();
+        });
+    });
+
+    suite.test('list uploads: limit and marker', function (t) {
+        var dir = testDir + '/paging';
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function createThem(ctx, next) {
+                    vasync.forEachPipeline({
+                        inputs: ['a', 'b', 'c'],
+                        func: function (name, cb) {
+                            client.createUpload(dir + '/' + name, {
+                                account: client.user
+                            }, cb);
+                        }
+                    }, next);
+                },
+                function listFirst(ctx, next) {
+                    listUploads({
+                        prefix: dir,
+                        limit: 2
+                    }, function (err, uploads, res) {
+                        if (!err) {
+                            t.equal(uploads.length, 2, 'first page');
+                            t.equal(res.headers['next-marker'],
+                                uploads[1].partsDirectory, 'next marker');
+                            ctx.first = uploads;
+                        }
+                        next(err);
+                    });
+                },
+                function listNext(ctx, next) {
+                    listUploads({
+                        prefix: dir,
+                        limit: 2,
+                        marker: ctx.first[1].partsDirectory
+                    }, function (err, uploads, res) {
+                        if (!err) {
+                            t.equal(uploads.length, 1, 'last page');
+                            t.notOk(res.headers['next-marker'],
+                                'no next marker');
+                            ctx.first.forEach(function (u) {
+                                t.notEqual(uploads[0].id, u.id,
+                                    'not on the first page');
+                            });
+                        }
+                        next(err);
+                    });
+                },
+                function listSorted(ctx, next) {
+                    // The sort parameters of directory listings don't apply.
+                    listUploads({
+                        prefix: dir,
+                        limit: 2,
+                        sort: 'mtime',
+                        sort_order: 'reverse'
+                    }, function (err, uploads) {
+                        if (!err) {
+                            t.deepEqual(uploads.map(function (u) {
+                                return (u.id);
+                            }), ctx.first.map(function (u) {
+                                return (u.id);
+                            }), 'same first page');
+                        }
+                        next(err);
+                    });
+                }
+            ]
+        }, function (err) {
+            t.ifError(err, 'expected no error running pipeline');
+            t.end();
+        });
+    });
+
+    suite.test('list parts', function (t) {
+        var p = testDir + '/list-parts';
+        var data = 'This is my part data';
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function createIt(ctx, next) {
+                    client.createUpload(p, {
+                        account: client.user
+                    }, function (err, upload) {
+                        ctx.upload = upload;
+                        ctx.etags = {};
+                        next(err);
+                    });
+                },
+                function uploadParts(ctx, next) {
+                    vasync.forEachPipeline({
+                        inputs: [10, 0, 2],
+                        func: function (partNum, cb) {
+                            var stream = new MemoryStream();
+                            client.uploadPart(stream, ctx.upload.id, partNum, {
+                                account: client.user,
+                                partsDirectory: ctx.upload.partsDirectory
+                            }, function (err, res) {
+                                if (!err)
+                                    ctx.etags[partNum] = res.headers.etag;
+                                cb(err);
+                            });
+                            setImmediate(function writeIt() {
+                                stream.end(data);
+                            });
+                        }
+                    }, next);
+                },
+                function listThem(ctx, next) {
+                    listParts(ctx.upload, {}, function (err, parts, res) {
+                        if (err) {
+                            next(err);
+                            return;
+                        }
+                        assertMantaRes(t, res, 200);
+                        t.deepEqual(parts.map(function (part) {
+                            return (part.partNumber);
+                        }), [0, 2, 10], 'in order of part number');
+                        parts.forEach(function (part) {
+                            t.equal(part.etag, ctx.etags[part.partNumber]);
+                            t.equal(part.size, data.length);
+                            t.ok(part.mtime);
+                        });
+                        next();
+                    });
+                },
+                function countThem(ctx, next) {
+                    listUploads({
+                        prefix: p
+                    }, function (err, uploads) {
+                        if (!err) {
+                            t.equal(uploads.length, 1);
+                            t.equal(uploads[0].numParts, 3, 'parts counted');
+                        }
+                        next(err);
+                    });
+                },
+                function listPage(ctx, next) {
+                    listParts(ctx.upload, {
+                        limit: 1,
+                        marker: 0
+                    }, function (err, parts) {
+                        if (!err) {
+                            t.equal(parts.length, 1);
+                            t.equal(parts[0].partNumber, 2);
+                        }
+                        next(err);
+                    });
+                },
+                function listSorted(ctx, next) {
+                    listParts(ctx.upload, {
+                        sort: 'mtime',
+                        sort_order: 'reverse'
+                    }, function (err, parts) {
+                        if (!err) {
+                            t.deepEqual(parts.map(function (part) {
+                                return (part.partNumber);
+                            }), [0, 2, 10], 'sort parameters ignored');
+                        }
+                        next(err);
+                    });
+                }
+            ]
+        }, function (err) {
+            t.ifError(err, 'expected no error running pipeline');
+            t.end();
+        });
+    });
+
+    suite.test('list uploads: bad state', function (t) {
+        listUploads({
+            state: 'bogus'
+        }, function (err, uploads, res) {
+            t.ok(err, 'expected error');
+            assertMantaRes(t, res, 400);
+            t.end();
+        });
+    });
+
+    suite.end();
+});
@@ -21,11 +21,16 @@ var mpuCommon = require('../../lib/uploads/common');
 
 ///--- Globals
 
-var enableMPU = Boolean(require('../../etc/config.json').enableMPU);
+var config = require('../../etc/config.json');
+var enableMPU = Boolean(config.enableMPU);
 var testOpts = {
     skip: !enableMPU && 'MPU is not enabled (enableMPU in config)'
 };
 
+// The highest part number the server allows ("maxParts" in config).
+var MAX_PART_NUM = mpuCommon.MIN_PART_NUM - 1 +
+    ((config.multipartUpload || {}).maxParts || mpuCommon.DEF_MAX_PARTS);
+
 
 ///--- Tests
 
@@ -96,7 +101,7 @@ test('mpu upload', testOpts, function (suite) {
                 function uploadMaxPartNum(ctx, next) {
                     t.comment('max part num');
 
-                    var partNum = mpuCommon.MAX_PART_NUM;
+                    var partNum = MAX_PART_NUM;
                     var stream = new MemoryStream();
 
                     client.uploadPart(stream, ctx.upload.id, partNum, {
@@ -160,7 +165,7 @@ test('mpu upload', testOpts, function (suite) {
                 function uploadPartNumMoreThanAllowed(ctx, next) {
                     t.comment('part number more than allowed');
 
-                    var partNum = mpuCommon.MAX_PART_NUM + 1;
+                    var partNum = MAX_PART_NUM + 1;
                     var stream = new MemoryStream();
 
                     client.uploadPart(stream, ctx.upload.id, partNum, {
@@ -171,6 +176,9 @@ test('mpu upload', testOpts, function (suite) {
                         t.ok(VError.hasCauseWithName(err,
                             'MultipartUploadInvalidArgumentError'),
                             'err is MultipartUploadInvalidArgumentError');
+                        t.ok(err && err.message.indexOf(' and ' +
+                            MAX_PART_NUM + ')') !== -1,
+                            'error gives the highest part number allowed');
                         helper.assertMantaRes(t, res, 409);
                         next();
                     });
@@ -275,6 +283,266 @@ test('mpu upload', testOpts, function (suite) {
         });
     });
 
+    suite.test('upload part copy', function (t) {
+        var src = testDir + '/upload-part-copy-src.txt';
+        var p = testDir + '/upload-part-copy.txt';
+        var data = 'This is my source data';
+
+        // Copies `src` (or `range` of it) to the part `partNum` of the upload.
+        function copyPart(ctx, partNum, range, cb) {
+            var headers = {
+                'copy-source': src
+            };
+            if (range)
+                headers['copy-source-range'] = range;
+            var stream = new MemoryStream();
+
+            client.uploadPart(stream, ctx.upload.id, partNum, {
+                account: client.user,
+                partsDirectory: ctx.upload.partsDirectory,
+                headers: headers,
+                size: 0
+            }, cb);
+
+            setImmediate(function writeIt() {
+                stream.end();
+            });
+        }
+
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function putSource(ctx, next) {
+                    var stream = new MemoryStream();
+                    client.put(src, stream, {
+                        size: Buffer.byteLength(data)
+                    }, function (err) {
+                        t.ifError(err, 'expected success putting the source');
+                        next(err);
+                    });
+
+                    setImmediate(function writeIt() {
+                        stream.end(data);
+                    });
+                },
+
+                function createIt(ctx, next) {
+                    client.createUpload(p, {
+                        account: client.user
+                    }, function (err, upload) {
+                        t.ifError(err, 'expected success on createUpload');
+                        ctx.upload = upload;
+                        next(err);
+                    });
+                },
+
+                function copyWholeSource(ctx, next) {
+                    t.comment('copy the whole source');
+
+                    copyPart(ctx, 0, null, function (err, res) {
+                        t.ifError(err, 'expected success on uploadPart');
+                        helper.assertMantaRes(t, res, 204);
+                        t.equal(res.headers['computed-md5'],
+                            crypto.createHash('md5').update(data)
+                            .digest('base64'));
+                        next(err);
+                    });
+                },
+
+                /*
+                 * Parts other than the last must be at least 5 MB, so we
+                 * commit only the range, copied over the part we just copied.
+                 */
+                function copySourceRange(ctx, next) {
+                    t.comment('copy a range of the source');
+
+                    copyPart(ctx, 0, 'bytes=8-9', function (err, res) {
+                        t.ifError(err, 'expected success on uploadPart');
+                        helper.assertMantaRes(t, res, 204);
+                        t.equal(res.headers['computed-md5'],
+                            crypto.createHash('md5').update('my')
+                            .digest('base64'));
+                        ctx.partEtags = [res.headers.etag];
+                        next(err);
+                    });
+                },
+
+                function copyBadRange(ctx, next) {
+                    t.comment('copy a range outside the source');
+
+                    copyPart(ctx, 1, 'bytes=100-200', function (err, res) {
+                        t.ok(err, 'expected error on uploadPart');
+                        t.ok(VError.hasCauseWithName(err,
+                            'InvalidCopySourceError'),
+                            'err is InvalidCopySourceError');
+                        helper.assertMantaRes(t, res, 400);
+                        next();
+                    });
+                },
+
+                function commitIt(ctx, next) {
+                    client.commitUpload(ctx.upload.id, ctx.partEtags, {
+                        account: client.user,
+                        partsDirectory: ctx.upload.partsDirectory
+                    }, function (err) {
+                        t.ifError(err, 'expected success on commitUpload');
+                        next(err);
+                    });
+                },
+
+                function getIt(ctx, next) {
+                    client.get(p, function (err, stream) {
+                        if (err) {
+                            next(err);
+                            return;
+                        }
+
+                        var body = '';
+                        stream.setEncoding('utf8');
+                        stream.on('data', function (chunk) {
+                            body += chunk;
+                        });
+                        stream.once('end', function () {
+                            t.equal(body, 'my', 'object is the copied range');
+                            next();
+                        });
+                    });
+                }
+            ]
+        }, function (err) {
+            t.ifError(err, 'expected success from pipeline');
+            t.end();
+        });
+    });
+
+    suite.test('upload part checksums', function (t) {
+        var p = testDir + '/upload-part-checksums.txt';
+        var data = 'This is my part data';
+        var md5 = crypto.createHash('md5').update(data).digest();
+        var sha256 = crypto.createHash('sha256').update(data).digest();
+
+        // Uploads `data` as part 0 of the upload with the headers `headers`.
+        function uploadIt(ctx, headers, cb) {
+            var stream = new MemoryStream();
+
+            client.uploadPart(stream, ctx.upload.id, 0, {
+                account: client.user,
+                partsDirectory: ctx.upload.partsDirectory,
+                headers: headers
+            }, cb);
+
+            setImmediate(function writeIt() {
+                stream.end(data);
+            });
+        }
+
+        vasync.pipeline({
+            arg: {},
+            funcs: [
+                function createIt(ctx, next) {
+                    client.createUpload(p, {
+                        account: client.user
+                    }, function (err, upload) {
+                        t.ifError(err, 'expected success on createUpload');
+                        ctx.upload = upload;
+                        next(err);
+                    });
+                },
+
+                function uploadMismatch(ctx, next) {
+                    t.comment('checksum that does not match');
+
+                    uploadIt(ctx, {
+                        'checksum-sha256': crypto.createHash('sha256')
+                            .update('other data').digest('base64')
+                    }, function (err, res) {
+                        t.ok(err, 'expected error on uploadPart');
+                        t.ok(VError.hasCauseWithName(err,
+                            'ChecksumMismatchError'),
+                            'err is ChecksumMismatchError');
+                        helper.assertMantaRes(t, res, 400);
+                        next();
+                    });
+                },
+
+                function uploadInvalid(ctx, next) {
+                    t.comment('checksum that is not base64');
+
+                    uploadIt(ctx, {
+                        'checksum-crc32c': 'not a checksum'
+                    }, function (err, res) {
+                        t.ok(err, 'expected error on uploadPart');
+                        helper.assertMantaRes(t, res, 400);
+                        next();
+                    });
+                },
+
+                function uploadMatch(ctx, next) {
+                    t.comment('checksums that match');
+
+                    uploadIt(ctx, {
+                        'content-md5': md5.toString('base64'),
+                        'checksum-sha256': sha256.toString('base64')
+                    }, function (err, res) {
+                        t.ifError(err, 'expected success on uploadPart');
+                        helper.assertMantaRes(t, res, 204);
+                        ctx.partEtags = [res.headers.etag];
+                        next(err);
+                    });
+                },
+
+                function commitIt(ctx, next) {
+                    client.commitUpload(ctx.upload.id, ctx.partEtags, {
+                        account: client.user,
+                        partsDirectory: ctx.upload.partsDirectory
+                    }, function (err) {
+                        t.ifError(err, 'expected success on commitUpload');
+                        next(err);
+                    });
+                },
+
+                function headIt(ctx, next) {
+                    client.info(p, function (err, info) {
+                        if (err) {
+                            next(err);
+                            return;
+                        }
+
+                        t.equal(info.headers['composite-checksum-md5'],
+                            crypto.createHash('md5').update(md5)
+                            .digest('base64') + '-1');
+                        t.equal(info.headers['composite-checksum-sha256'],
+                            crypto.createHash('sha256').update(sha256)
+                            .digest('base64') + '-1');
+                        t.notOk(info.headers['composite-checksum-crc32c'],
+                            'no crc32c was given');
+                        t.notOk(info.headers['checksums'],
+                            'internal header is not returned');
+                        next();
+                    });
+                },
+
+                function getUploadIt(ctx, next) {
+                    client.getUpload(ctx.upload.id, {
+                        account: client.user,
+                        partsDirectory: ctx.upload.partsDirectory
+                    }, function (err, upload) {
+                        if (!err) {
+                            t.equal(upload.result, 'committed');
+                            t.ok(upload.checksums.md5, 'composite md5');
+                            t.ok(upload.checksums.sha256,
+                                'composite sha256');
+                        }
+                        next(err);
+                    });
+                }
+            ]
+        }, function (err) {
+            t.ifError(err, 'expected success from pipeline');
+            t.end();
+        });
+    });
+
     suite.test('teardown', function (t) {
         client.rmr(testDir, function onRm(err) {
             t.ifError(err, 'remove test testDir ' + testDir);
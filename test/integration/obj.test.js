@@ -28,6 +28,12 @@ var testAccount;
 var testDir;
 var TEXT = 'The lazy brown fox \nsomething \nsomething foo';
 
+var enableSnapLinks = Boolean(require('../../etc/config.json').enableSnapLinks);
+var linkTestOpts = {
+    skip: !enableSnapLinks && 'SnapLinks are not enabled (enableSnapLinks ' +
+        'in config)'
+};
+
 
 ///--- Helpers
 
@@ -87,6 +93,68 @@ function assertObjContent(opts, cb) {
     stream.resume();
 }
 
+// Server-side copy of `src` to `dst`: an empty PUT with a Copy-Source header.
+function copyObject(client_, src, dst, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    var headers = opts.headers || {};
+    headers['copy-source'] = src;
+    var putOpts = {
+        headers: headers,
+        size: 0,
+        type: opts.type
+    };
+    var stream = new MemoryStream();
+
+    client_.put(dst, stream, putOpts, cb);
+    setImmediate(stream.end.bind(stream));
+}
+
+// Server-side move of `src` to `dst`: an empty PUT naming the source in the
+// Location header.
+function moveEntry(client_, src, dst, opts, cb) {
+    if (typeof (opts) === 'function') {
+        cb = opts;
+        opts = {};
+    }
+    var headers = opts.headers || {};
+    headers['location'] = src;
+    var putOpts = {
+        headers: headers,
+        size: 0,
+        type: 'application/json; type=move'
+    };
+    var stream = new MemoryStream();
+
+    client_.put(dst, stream, putOpts, cb);
+    setImmediate(stream.end.bind(stream));
+}
+
+// A signed request with a query string, which the manta client can't send.
+function signedRequest(method, p, query, cb) {
+    var stringClient = helper.createStringClient();
+
+    helper.signReq(testAccount, function (signErr, authz, date) {
+        if (signErr) {
+            cb(signErr);
+            return;
+        }
+
+        stringClient[method]({
+            path: p,
+            headers: {
+                authorization: authz,
+                date: date
+            },
+            query: query
+        }, function (err, req, res, body) {
+            cb(err, res, body);
+        });
+    });
+}
+
 function putObjectAndCheckRes(t, client_, key, opts, cb) {
     if (typeof (opts) === 'function') {
         cb = opts;
@@ -606,6 +674,437 @@ test('put too big', function (t) {
 });
 
 
+test('copy object', function (t) {
+    var src = testDir + '/copy-object-src';
+    var dst = testDir + '/copy-object-dst';
+    var opts = {
+        headers: {
+            'm-foo': 'bar'
+        }
+    };
+
+    putObjectAndCheckRes(t, client, src, opts, function (_, headers) {
+        copyObject(client, src, dst, {type: 'text/plain'}, function (err, res) {
+            t.ifError(err);
+            assertMantaRes(t, res, 204);
+            t.ok(res.headers.etag, 'copy has an etag');
+            t.notEqual(res.headers.etag, headers.etag, 'etags differ');
+            t.equal(res.headers['computed-md5'],
+                crypto.createHash('md5').update(TEXT).digest('base64'));
+
+            client.get(dst, function (err2, stream, res2) {
+                t.ifError(err2);
+                t.equal(res2.headers['m-foo'], 'bar',
+                    'custom header copied from source');
+                assertObjContent({
+                    t: t,
+                    stream: stream,
+                    res: res2,
+                    code: 200,
+                    text: TEXT,
+                    contentType: 'text/plain'
+                }, function () {
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('copy object (1 copy)', function (t) {
+    var src = testDir + '/copy-object-1-copy-src';
+    var dst = testDir + '/copy-object-1-copy-dst';
+    var opts = {
+        headers: {
+            'durability-level': '1'
+        }
+    };
+
+    putObjectAndCheckRes(t, client, src, function () {
+        copyObject(client, src, dst, opts, function (err, res) {
+            t.ifError(err);
+            assertMantaRes(t, res, 204);
+
+            client.info(dst, function (err2, info) {
+                t.ifError(err2);
+                t.ok(info);
+                if (info) {
+                    t.equal(info.headers['durability-level'], '1');
+                }
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('copy object if-match fail', function (t) {
+    var src = testDir + '/copy-object-if-match-fail-src';
+    var dst = testDir + '/copy-object-if-match-fail-dst';
+    var opts = {
+        headers: {
+            'if-match': uuidv4()
+        }
+    };
+
+    putObjectAndCheckRes(t, client, src, function () {
+        putObjectAndCheckRes(t, client, dst, function () {
+            copyObject(client, src, dst, opts, function (err, res) {
+                t.ok(err);
+                t.equal(err.name, 'PreconditionFailedError');
+                assertMantaRes(t, res, 412);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('copy object source 404', function (t) {
+    var src = testDir + '/copy-object-no-such-src';
+    var dst = testDir + '/copy-object-no-such-src-dst';
+
+    copyObject(client, src, dst, function (err, res) {
+        t.ok(err);
+        t.equal(err.name, 'SourceObjectNotFoundError');
+        assertMantaRes(t, res, 404);
+        t.end();
+    });
+});
+
+
+test('copy object source is a directory', function (t) {
+    var dst = testDir + '/copy-object-dir-src-dst';
+
+    copyObject(client, testDir, dst, function (err, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidCopySourceError');
+        assertMantaRes(t, res, 400);
+        t.end();
+    });
+});
+
+
+test('move object', function (t) {
+    var src = testDir + '/move-object-src';
+    var dst = testDir + '/move-object-dst';
+    var opts = {
+        headers: {
+            'm-foo': 'bar'
+        }
+    };
+
+    putObjectAndCheckRes(t, client, src, opts, function (_, headers) {
+        moveEntry(client, src, dst, function (err, res) {
+            t.ifError(err);
+            assertMantaRes(t, res, 204);
+            t.equal(res.headers.etag, headers.etag, 'etag is unchanged');
+
+            client.get(dst, function (err2, stream, res2) {
+                t.ifError(err2);
+                t.equal(res2.headers['m-foo'], 'bar');
+                assertObjContent({
+                    t: t,
+                    stream: stream,
+                    res: res2,
+                    code: 200,
+                    text: TEXT,
+                    contentType: 'text/plain'
+                }, function () {
+                    client.info(src, function (err3) {
+                        t.ok(err3);
+                        t.equal(err3.name, 'NotFoundError');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('move object over existing object', function (t) {
+    var src = testDir + '/move-object-overwrite-src';
+    var dst = testDir + '/move-object-overwrite-dst';
+
+    putObjectAndCheckRes(t, client, src, function (_, headers) {
+        putObjectAndCheckRes(t, client, dst, function () {
+            moveEntry(client, src, dst, function (err, res) {
+                t.ifError(err);
+                assertMantaRes(t, res, 204);
+                client.info(dst, function (err2, info) {
+                    t.ifError(err2);
+                    t.equal(info.etag, headers.etag, 'dst is the moved src');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('move object to a new path in another directory', function (t) {
+    var src = testDir + '/move-object-other-dir-src';
+    var full = testDir + '/move-object-other-dir-full';
+    var empty = testDir + '/move-object-other-dir-empty';
+
+    vasync.pipeline({
+        funcs: [
+            function theDirs(_, next) {
+                vasync.forEachPipeline({
+                    inputs: [full, empty],
+                    func: function (d, cb) {
+                        client.mkdir(d, cb);
+                    }
+                }, next);
+            },
+            function theNeighbour(_, next) {
+                putObjectAndCheckRes(t, client, full + '/other',
+                    function () {
+                    next();
+                });
+            },
+            function theSource(_, next) {
+                putObjectAndCheckRes(t, client, src, function () {
+                    next();
+                });
+            },
+            function intoFull(_, next) {
+                moveEntry(client, src, full + '/moved', function (err, res) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 204);
+                    next(err);
+                });
+            },
+            function intoEmpty(_, next) {
+                // A directory without entries has no entry count yet.
+                moveEntry(client, full + '/moved', empty + '/moved',
+                    function (err, res) {
+                    t.ifError(err);
+                    assertMantaRes(t, res, 204);
+                    next(err);
+                });
+            },
+            function theMoved(_, next) {
+                client.info(empty + '/moved', function (err, info) {
+                    t.ifError(err);
+                    t.equal(info.size, TEXT.length);
+                    next(err);
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('move object if-match fail', function (t) {
+    var src = testDir + '/move-object-if-match-fail-src';
+    var dst = testDir + '/move-object-if-match-fail-dst';
+    var opts = {
+        headers: {
+            'if-match': uuidv4()
+        }
+    };
+
+    putObjectAndCheckRes(t, client, src, function () {
+        putObjectAndCheckRes(t, client, dst, function () {
+            moveEntry(client, src, dst, opts, function (err, res) {
+                t.ok(err);
+                t.equal(err.name, 'PreconditionFailedError');
+                assertMantaRes(t, res, 412);
+                client.info(src, function (err2) {
+                    t.ifError(err2, 'source still exists');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('move object source 404', function (t) {
+    var src = testDir + '/move-object-no-such-src';
+    var dst = testDir + '/move-object-no-such-src-dst';
+
+    moveEntry(client, src, dst, function (err, res) {
+        t.ok(err);
+        t.equal(err.name, 'ResourceNotFoundError');
+        assertMantaRes(t, res, 404);
+        t.end();
+    });
+});
+
+
+test('move object onto itself', function (t) {
+    var src = testDir + '/move-object-onto-itself';
+
+    putObjectAndCheckRes(t, client, src, function () {
+        moveEntry(client, src, src, function (err, res) {
+            t.ok(err);
+            t.equal(err.name, 'InvalidMoveError');
+            assertMantaRes(t, res, 400);
+            t.end();
+        });
+    });
+});
+
+
+test('link object', linkTestOpts, function (t) {
+    var src = testDir + '/link-object-src';
+    var dst = testDir + '/link-object-dst';
+
+    putObjectAndCheckRes(t, client, src, function (_, headers) {
+        client.ln(src, dst, function (err, res) {
+            t.ifError(err);
+            assertMantaRes(t, res, 204);
+            t.equal(res.headers.etag, headers.etag, 'link has the src etag');
+
+            // The link keeps the data after the source is gone.
+            client.unlink(src, function (err2) {
+                t.ifError(err2);
+                client.get(dst, function (err3, stream, res3) {
+                    t.ifError(err3);
+                    assertObjContent({
+                        t: t,
+                        stream: stream,
+                        res: res3,
+                        code: 200,
+                        text: TEXT,
+                        contentType: 'text/plain'
+                    }, function () {
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('link object source 404', linkTestOpts, function (t) {
+    var src = testDir + '/link-object-no-such-src';
+    var dst = testDir + '/link-object-no-such-src-dst';
+
+    client.ln(src, dst, function (err, res) {
+        t.ok(err);
+        t.equal(err.name, 'SourceObjectNotFoundError');
+        assertMantaRes(t, res, 404);
+        t.end();
+    });
+});
+
+
+test('link object source is a directory', linkTestOpts, function (t) {
+    var dst = testDir + '/link-object-dir-src-dst';
+
+    client.ln(testDir, dst, function (err, res) {
+        t.ok(err);
+        t.equal(err.name, 'LinkNotObjectError');
+        assertMantaRes(t, res, 400);
+        t.end();
+    });
+});
+
+
+test('versioned overwrite', function (t) {
+    var dir = testDir + '/versioned';
+    var key = dir + '/object';
+    var dirOpts = {
+        headers: {
+            versioning: 'enabled'
+        }
+    };
+
+    client.mkdir(dir, dirOpts, function (err) {
+        t.ifError(err);
+        putObjectAndCheckRes(t, client, key, function (_, first) {
+            putObjectAndCheckRes(t, client, key, function (__, second) {
+                t.notEqual(first.etag, second.etag);
+                checkVersions(first.etag);
+            });
+        });
+    });
+
+    function checkVersions(versionId) {
+        var query = {versions: 'true'};
+        signedRequest('get', key, query, function (err, res, body) {
+            t.ifError(err);
+            assertMantaRes(t, res, 200);
+
+            var versions = body.trim().split('\n').map(JSON.parse);
+            t.equal(versions.length, 1);
+            t.equal(versions[0].name, 'object');
+            t.equal(versions[0].versionId, versionId);
+
+            query = {versionId: versionId};
+            signedRequest('get', key, query, function (err2, res2, body2) {
+                t.ifError(err2);
+                assertMantaRes(t, res2, 200);
+                t.equal(res2.headers['version-id'], versionId);
+                t.equal(body2, TEXT);
+                purgeVersion(versionId);
+            });
+        });
+    }
+
+    function purgeVersion(versionId) {
+        var query = {versionId: versionId};
+        signedRequest('del', key, query, function (err, res) {
+            t.ifError(err);
+            assertMantaRes(t, res, 204);
+            signedRequest('get', key, query, function (err2, res2, body2) {
+                t.ok(err2);
+                assertMantaRes(t, res2, 404);
+                t.ok(/VersionNotFound/.test(body2), 'VersionNotFound error');
+                t.end();
+            });
+        });
+    }
+});
+
+
+test('versioned move overwrite', function (t) {
+    var dir = testDir + '/versioned-move';
+    var key = dir + '/object';
+    var src = testDir + '/versioned-move-src';
+    var dirOpts = {
+        headers: {
+            versioning: 'enabled'
+        }
+    };
+
+    client.mkdir(dir, dirOpts, function (err) {
+        t.ifError(err);
+        putObjectAndCheckRes(t, client, key, function (_, first) {
+            putObjectAndCheckRes(t, client, src, function () {
+                moveEntry(client, src, key, function (err2, res) {
+                    t.ifError(err2);
+                    assertMantaRes(t, res, 204);
+                    checkVersions(first.etag);
+                });
+            });
+        });
+    });
+
+    function checkVersions(versionId) {
+        var query = {versions: 'true'};
+        signedRequest('get', key, query, function (err, res, body) {
+            t.ifError(err);
+            assertMantaRes(t, res, 200);
+
+            var versions = body.trim().split('\n').map(JSON.parse);
+            t.equal(versions.length, 1);
+            t.equal(versions[0].versionId, versionId);
+            t.end();
+        });
+    }
+});
+
+
 test('get ok', function (t) {
     var key = testDir + '/get-ok';
     putObjectAndCheckRes(t, client, key, function () {
@@ -797,6 +1296,43 @@ test('get if-unmodified-since 412', function (t) {
 });
 
 
+test('get if-none-match overrides if-modified-since', function (t) {
+    var key = testDir + '/get-if-none-match-precedence';
+    putObjectAndCheckRes(t, client, key, function () {
+        var opts = {
+            headers: {
+                'if-none-match': uuidv4(),
+                'if-modified-since': new Date(Date.now() + 10000).toUTCString()
+            }
+        };
+        client.get(key, opts, function (err, stream, res) {
+            t.ifError(err);
+            assertMantaRes(t, res, 200);
+            t.end();
+        });
+    });
+});
+
+
+test('get if-match overrides if-unmodified-since', function (t) {
+    var key = testDir + '/get-if-match-precedence';
+    putObjectAndCheckRes(t, client, key, function (_, headers) {
+        var opts = {
+            headers: {
+                'if-match': headers.etag,
+                'if-unmodified-since':
+                    new Date(Date.now() - 100000).toUTCString()
+            }
+        };
+        client.get(key, opts, function (err, stream, res) {
+            t.ifError(err);
+            assertMantaRes(t, res, 200);
+            t.end();
+        });
+    });
+});
+
+
 test('get range', function (t) {
     var key = testDir + '/get-range';
     var stream = new MemoryStream();
@@ -902,11 +1438,61 @@ test('get range, multi-range', function (t) {
     client.put(key, stream, {size: size}, function (err, res) {
         var opts = {
             headers: {
-                'range': 'bytes=0-5,6-10'
+                'range': 'bytes=0-5, -6'
+            }
+        };
+        client.get(key, opts, function (err2, s, r) {
+            t.ifError(err2);
+            t.equal(206, r.statusCode);
+
+            var ct = r.headers['content-type'];
+            /* JSSTYLED */
+            var m = /^multipart\/byteranges; boundary=(.+)$/.exec(ct);
+            t.ok(m, 'multipart/byteranges content-type: ' + ct);
+            var boundary = m ? m[1] : '';
+            var expected =
+                '--' + boundary + '\r\n' +
+                'Content-Type: application/octet-stream\r\n' +
+                'Content-Range: bytes 0-5/26\r\n\r\n' +
+                'abcdef\r\n' +
+                '--' + boundary + '\r\n' +
+                'Content-Type: application/octet-stream\r\n' +
+                'Content-Range: bytes 20-25/26\r\n\r\n' +
+                'uvwxyz\r\n' +
+                '--' + boundary + '--\r\n';
+            t.equal(Number(r.headers['content-length']),
+                Buffer.byteLength(expected));
+
+            var body = '';
+            s.setEncoding('utf8');
+            s.on('data', function (chunk) {
+                body += chunk;
+            });
+            s.once('end', function () {
+                t.equal(body, expected);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('get range, multi-range unsatisfiable', function (t) {
+    var key = testDir + '/get-range-multi-range-416';
+    var stream = new MemoryStream();
+    var text = 'abcdefghijklmnopqrstuvwxyz';
+    var size = Buffer.byteLength(text);
+    setImmediate(stream.end.bind(stream, text));
+
+    client.put(key, stream, {size: size}, function (err, res) {
+        var opts = {
+            headers: {
+                'range': 'bytes=30-40,50-'
             }
         };
         client.get(key, opts, function (err2, s, r) {
-            t.equal(501, r.statusCode);
+            t.equal(416, r.statusCode);
+            t.equal('bytes */26', r.headers['content-range']);
             t.end();
         });
     });
@@ -957,6 +1543,138 @@ test('get range, out of bounds', function (t) {
 });
 
 
+test('put/get with customer key', function (t) {
+    var key = testDir + '/customer-key';
+    var stream = new MemoryStream();
+    var text = 'abcdefghijklmnopqrstuvwxyz';
+    var size = Buffer.byteLength(text);
+    var customerKey = crypto.randomBytes(32).toString('base64');
+    setImmediate(stream.end.bind(stream, text));
+
+    var opts = {
+        size: size,
+        headers: {
+            'encryption-key': customerKey
+        }
+    };
+    client.put(key, stream, opts, function (err, res) {
+        t.ifError(err);
+        assertMantaRes(t, res, 204);
+
+        client.get(key, {headers: opts.headers}, function (err2, s, r) {
+            t.ifError(err2);
+            t.equal(r.headers['content-md5'],
+                crypto.createHash('md5').update(text).digest('base64'));
+            assertObjContent({
+                t: t,
+                stream: s,
+                res: r,
+                code: 200,
+                text: text
+            }, function () {
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('get range with customer key', function (t) {
+    var key = testDir + '/customer-key-range';
+    var stream = new MemoryStream();
+    var text = 'abcdefghijklmnopqrstuvwxyz';
+    var size = Buffer.byteLength(text);
+    var customerKey = crypto.randomBytes(32).toString('base64');
+    setImmediate(stream.end.bind(stream, text));
+
+    var opts = {
+        size: size,
+        headers: {
+            'encryption-key': customerKey
+        }
+    };
+    client.put(key, stream, opts, function (err, res) {
+        t.ifError(err);
+
+        var getOpts = {
+            headers: {
+                'encryption-key': customerKey,
+                'range': 'bytes=19-23'
+            }
+        };
+        client.get(key, getOpts, function (err2, s, r) {
+            t.ifError(err2);
+            assertObjContent({
+                t: t,
+                stream: s,
+                res: r,
+                code: 206,
+                text: 'tuvwx'
+            }, function () {
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('get with customer key missing or wrong', function (t) {
+    var key = testDir + '/customer-key-wrong';
+    var stream = new MemoryStream();
+    var size = Buffer.byteLength(TEXT);
+    setImmediate(stream.end.bind(stream, TEXT));
+
+    var opts = {
+        size: size,
+        headers: {
+            'encryption-key': crypto.randomBytes(32).toString('base64')
+        }
+    };
+    client.put(key, stream, opts, function (err, res) {
+        t.ifError(err);
+
+        client.get(key, function (err2, s, r) {
+            t.ok(err2);
+            t.equal(err2.name, 'InvalidEncryptionKeyError');
+            assertMantaRes(t, r, 400);
+
+            var getOpts = {
+                headers: {
+                    'encryption-key': crypto.randomBytes(32).toString('base64')
+                }
+            };
+            client.get(key, getOpts, function (err3, s2, r2) {
+                t.ok(err3);
+                t.equal(err3.name, 'EncryptionKeyMismatchError');
+                assertMantaRes(t, r2, 403);
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('put with invalid customer key', function (t) {
+    var key = testDir + '/customer-key-invalid';
+    var stream = new MemoryStream();
+    var size = Buffer.byteLength(TEXT);
+    setImmediate(stream.end.bind(stream, TEXT));
+
+    var opts = {
+        size: size,
+        headers: {
+            'encryption-key': crypto.randomBytes(16).toString('base64')
+        }
+    };
+    client.put(key, stream, opts, function (err, res) {
+        t.ok(err);
+        t.equal(err.name, 'InvalidEncryptionKeyError');
+        assertMantaRes(t, res, 400);
+        t.end();
+    });
+});
+
+
 test('del ok', function (t) {
     var key = testDir + '/del-ok';
     putObjectAndCheckRes(t, client, key, function () {
@@ -0,0 +1,160 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var crypto = require('crypto');
+
+var test = require('tap').test;
+
+var checksums = require('../../lib/checksums.js');
+
+
+function digest(alg, data) {
+    return (crypto.createHash(alg).update(data).digest('base64'));
+}
+
+
+// Runs the handler chain `chain` on the request `req`.
+function runChain(chain, req, cb) {
+    var i = 0;
+    function next(err) {
+        if (err || i === chain.length) {
+            cb(err);
+            return;
+        }
+        chain[i++](req, {}, next);
+    }
+    next();
+}
+
+
+// What sharkStreams() in obj.js does with the data of a part.
+function hashData(req, res, next) {
+    checksums.dataHashes(req).forEach(function (hash) {
+        hash.update(Buffer.from('part'));
+    });
+    next();
+}
+
+
+function partReq(headers) {
+    return ({
+        headers: headers,
+        query: {},
+        log: {
+            debug: function () {}
+        }
+    });
+}
+
+
+test('checksums: Crc32c', function (t) {
+    var crc = new checksums.Crc32c();
+    t.equal(crc.digest('hex'), '00000000', 'no data');
+
+    // The check value of CRC-32C.
+    crc = new checksums.Crc32c();
+    t.equal(crc.update('123456789').digest('hex'), 'e3069283');
+
+    crc = new checksums.Crc32c();
+    crc.update('1234').update(Buffer.from('56789'));
+    t.equal(crc.digest('hex'), 'e3069283', 'in pieces');
+    t.end();
+});
+
+
+test('checksums: partChecksums', function (t) {
+    var md = {
+        contentMD5: digest('md5', 'part'),
+        headers: {}
+    };
+    t.deepEqual(checksums.partChecksums(md), {md5: md.contentMD5});
+
+    md.headers[checksums.HEADER] = {sha256: digest('sha256', 'part')};
+    t.deepEqual(checksums.partChecksums(md), {
+        md5: md.contentMD5,
+        sha256: digest('sha256', 'part')
+    });
+    t.end();
+});
+
+
+test('checksums: compositeChecksums', function (t) {
+    t.equal(checksums.compositeChecksums([]), null, 'no parts');
+
+    var parts = ['one', 'two'].map(function (data) {
+        return ({
+            md5: digest('md5', data),
+            sha256: digest('sha256', data)
+        });
+    });
+    parts[0].crc32c = new checksums.Crc32c().update('one').digest('base64');
+
+    var composite = checksums.compositeChecksums(parts);
+    var md5s = Buffer.concat([
+        crypto.createHash('md5').update('one').digest(),
+        crypto.createHash('md5').update('two').digest()
+    ]);
+    t.equal(composite.parts, 2);
+    t.equal(composite.md5, digest('md5', md5s), 'md5 of the md5s');
+    t.ok(composite.sha256, 'every part has a sha256');
+    t.notOk(composite.crc32c, 'only one part has a crc32c');
+
+    t.deepEqual(checksums.formatComposite(composite), {
+        md5: composite.md5 + '-2',
+        sha256: composite.sha256 + '-2'
+    });
+
+    var md = {headers: {}};
+    t.deepEqual(checksums.compositeHeaders(md), {}, 'not from an upload');
+    md.headers[checksums.HEADER] = composite;
+    t.deepEqual(checksums.compositeHeaders(md), {
+        'Composite-Checksum-MD5': composite.md5 + '-2',
+        'Composite-Checksum-SHA256': composite.sha256 + '-2'
+    });
+    t.end();
+});
+
+
+test('checksums: verify a part', function (t) {
+    var crc = new checksums.Crc32c().update('part').digest('base64');
+    var chain = [].concat(checksums.requestChecksumsHandler(), hashData,
+        checksums.verifyChecksumsHandler());
+
+    var req = partReq({
+        'checksum-sha256': digest('sha256', 'part'),
+        'checksum-crc32c': crc
+    });
+    runChain(chain, req, function (err) {
+        t.ifError(err);
+        t.deepEqual(req._checksums.values, {
+            sha256: digest('sha256', 'part'),
+            crc32c: crc
+        });
+
+        req = partReq({'checksum-sha256': digest('sha256', 'other')});
+        runChain(chain, req, function (err2) {
+            t.ok(err2, 'mismatch');
+            t.equal(err2 && err2.restCode, 'ChecksumMismatch');
+
+            req = partReq({'checksum-crc32c': 'not a crc'});
+            runChain(chain, req, function (err3) {
+                t.ok(err3, 'invalid');
+                t.equal(err3 && err3.restCode, 'InvalidParameter');
+
+                req = partReq({});
+                runChain(chain, req, function (err4) {
+                    t.ifError(err4);
+                    t.equal(req._checksums.values, null, 'none sent');
+                    t.end();
+                });
+            });
+        });
+    });
+});
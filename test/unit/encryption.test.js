@@ -0,0 +1,335 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var crypto = require('crypto');
+
+var test = require('tap').test;
+var uuidv4 = require('uuid/v4');
+var vasync = require('vasync');
+
+var encryption = require('../../lib/encryption.js');
+
+
+function masterKey(id) {
+    return ({id: id, key: crypto.randomBytes(32).toString('base64')});
+}
+
+
+function encrypt(config, owner, objectId, data) {
+    var enc = encryption.createEncryption({
+        config: config,
+        owner: owner,
+        objectId: objectId
+    });
+    var md = {
+        objectId: objectId,
+        headers: {}
+    };
+    md.headers[encryption.HEADER] = enc.header;
+
+    return ({
+        md: md,
+        ciphertext: Buffer.concat([enc.cipher.update(data), enc.cipher.final()])
+    });
+}
+
+
+function decrypt(md, dataKey, ciphertext, offset) {
+    var decipher = encryption.createDecipher(md, dataKey, offset);
+    return (Buffer.concat([decipher.update(ciphertext.slice(offset)),
+        decipher.final()]));
+}
+
+
+test('encryption: accounts not configured', function (t) {
+    var config = {encryption: {accounts: []}};
+    t.equal(encryption.createEncryption({
+        config: config,
+        owner: uuidv4(),
+        objectId: uuidv4()
+    }), null);
+    t.notOk(encryption.isEncrypted({headers: {}}));
+    t.end();
+});
+
+
+test('encryption: round trip from any offset', function (t) {
+    var owner = uuidv4();
+    var config = {
+        encryption: {accounts: [ {uuid: owner, keys: [masterKey('k1')]} ]}
+    };
+    var data = crypto.randomBytes(70000);
+    var obj = encrypt(config, owner, uuidv4(), data);
+
+    t.ok(encryption.isEncrypted(obj.md));
+    t.equal(obj.ciphertext.length, data.length);
+    t.notOk(obj.ciphertext.equals(data));
+
+    var dataKey = encryption.unwrapKey(config, obj.md);
+    t.ok(dataKey);
+    [0, 1, 15, 16, 17, 4095, 65537, 69999].forEach(function (offset) {
+        t.ok(decrypt(obj.md, dataKey, obj.ciphertext, offset).equals(
+            data.slice(offset)), 'offset ' + offset);
+    });
+    t.end();
+});
+
+
+test('encryption: key rotation', function (t) {
+    var owner = uuidv4();
+    var config = {
+        encryption: {accounts: [ {uuid: owner, keys: [masterKey('old')]} ]}
+    };
+    var data = crypto.randomBytes(1000);
+    var obj = encrypt(config, owner, uuidv4(), data);
+    t.equal(obj.md.headers[encryption.HEADER].keyId, 'old');
+
+    config.encryption.accounts[0].keys.unshift(masterKey('new'));
+    var obj2 = encrypt(config, owner, uuidv4(), data);
+    t.equal(obj2.md.headers[encryption.HEADER].keyId, 'new');
+
+    var dataKey = encryption.unwrapKey(config, obj.md);
+    t.ok(decrypt(obj.md, dataKey, obj.ciphertext, 0).equals(data));
+
+    config.encryption.accounts[0].keys.pop();
+    t.equal(encryption.unwrapKey(config, obj.md), null, 'old key removed');
+    t.end();
+});
+
+
+test('encryption: data key bound to the object', function (t) {
+    var owner = uuidv4();
+    var config = {
+        encryption: {accounts: [ {uuid: owner, keys: [masterKey('k1')]} ]}
+    };
+    var obj = encrypt(config, owner, uuidv4(), crypto.randomBytes(10));
+
+    obj.md.objectId = uuidv4();
+    t.equal(encryption.unwrapKey(config, obj.md), null);
+    t.end();
+});
+
+
+test('encryption: customer key', function (t) {
+    var config = {encryption: {accounts: []}};
+    var customerKey = crypto.randomBytes(32);
+    var objectId = uuidv4();
+    var enc = encryption.createEncryption({
+        config: config,
+        owner: uuidv4(),
+        objectId: objectId,
+        customerKey: customerKey
+    });
+    var md = {
+        objectId: objectId,
+        headers: {}
+    };
+    md.headers[encryption.HEADER] = enc.header;
+
+    t.ok(encryption.hasCustomerKey(md));
+    t.ok(encryption.hasPlaintextMD5(md));
+    t.ok(encryption.customerKeyMatches(md, customerKey));
+    t.notOk(encryption.customerKeyMatches(md, crypto.randomBytes(32)));
+    t.notOk(JSON.stringify(enc.header).indexOf(
+        customerKey.toString('base64')) !== -1, 'key not stored');
+
+    var data = crypto.randomBytes(5000);
+    var ciphertext = Buffer.concat([enc.cipher.update(data),
+        enc.cipher.final()]);
+    t.ok(decrypt(md, customerKey, ciphertext, 0).equals(data));
+    t.ok(decrypt(md, customerKey, ciphertext, 1234).equals(data.slice(1234)));
+    t.end();
+});
+
+
+test('encryption: multipart upload parts', function (t) {
+    var config = {encryption: {accounts: []}};
+    var customerKey = crypto.randomBytes(32);
+    var owner = uuidv4();
+    var uploadId = uuidv4();
+    var sizes = [1000, 1000, 1000, 517];
+
+    var parts = sizes.map(function (size, i) {
+        var enc = encryption.createEncryption({
+            config: config,
+            owner: owner,
+            objectId: uuidv4(),
+            customerKey: customerKey,
+            uploadId: uploadId,
+            partNum: i
+        });
+        var data = crypto.randomBytes(size);
+        return ({
+            size: size,
+            header: enc.header,
+            data: data,
+            ciphertext: Buffer.concat([enc.cipher.update(data),
+                enc.cipher.final()])
+        });
+    });
+
+    var header = encryption.partsEncryption(uploadId, parts);
+    t.deepEqual(header.segments, [ [1000, 3], [517, 1] ]);
+    t.deepEqual(header.ivs, parts.map(function (p) {
+        return (p.header.iv);
+    }));
+
+    // A part uploaded again gets a new IV.
+    var again = encryption.createEncryption({
+        config: config,
+        owner: owner,
+        objectId: uuidv4(),
+        customerKey: customerKey,
+        uploadId: uploadId,
+        partNum: 0
+    });
+    t.notEqual(again.header.iv, parts[0].header.iv, 'new IV');
+
+    var md = {
+        objectId: uuidv4(),
+        headers: {}
+    };
+    md.headers[encryption.HEADER] = header;
+    t.notOk(encryption.hasPlaintextMD5(md));
+    t.ok(encryption.customerKeyMatches(md, customerKey));
+
+    var data = Buffer.concat(parts.map(function (p) {
+        return (p.data);
+    }));
+    var ciphertext = Buffer.concat(parts.map(function (p) {
+        return (p.ciphertext);
+    }));
+    t.equal(typeof (encryption.partsEncryption(uploadId,
+        [parts[0], parts[2]])), 'string', 'parts out of order');
+    t.equal(typeof (encryption.partsEncryption(uploadId,
+        [parts[0], {size: 10}])), 'string', 'part not encrypted');
+    t.equal(encryption.partsEncryption(uploadId, [{size: 10}]), null);
+
+    vasync.forEachPipeline({
+        inputs: [0, 999, 1000, 1001, 2500, 3516],
+        func: function checkOffset(offset, cb) {
+            var decipher = encryption.createDecipher(md, customerKey, offset);
+            var out = [];
+            decipher.on('data', function (chunk) {
+                out.push(chunk);
+            });
+            decipher.once('end', function () {
+                t.ok(Buffer.concat(out).equals(data.slice(offset)),
+                    'offset ' + offset);
+                cb();
+            });
+
+            // Feed it in uneven chunks, to cross the part boundaries.
+            for (var i = offset; i < ciphertext.length; i += 333) {
+                decipher.write(ciphertext.slice(i,
+                    Math.min(i + 333, ciphertext.length)));
+            }
+            decipher.end();
+        }
+    }, function (err) {
+        t.ifError(err);
+        t.end();
+    });
+});
+
+
+test('encryption: multipart upload parts with the upload key', function (t) {
+    var owner = uuidv4();
+    var config = {
+        encryption: {accounts: [ {uuid: owner, keys: [masterKey('k1')]} ]}
+    };
+    var uploadId = uuidv4();
+    var sizes = [1000, 517];
+
+    t.equal(encryption.createUploadKey({encryption: {accounts: []}},
+        owner, uploadId), null, 'account not configured');
+
+    var uploadKey = encryption.createUploadKey(config, owner, uploadId);
+    var dataKey = encryption.unwrapUploadKey(config, uploadKey);
+    t.equal(dataKey.length, 32);
+
+    // Parts of an upload created without a key are stored as they are.
+    t.equal(encryption.createEncryption({
+        config: config,
+        owner: owner,
+        objectId: uuidv4(),
+        uploadId: uploadId,
+        partNum: 0
+    }), null, 'upload without a key');
+
+    var parts = sizes.map(function (size, i) {
+        var enc = encryption.createEncryption({
+            config: config,
+            owner: owner,
+            objectId: uuidv4(),
+            uploadId: uploadId,
+            partNum: i,
+            uploadKey: uploadKey,
+            dataKey: dataKey
+        });
+        var data = crypto.randomBytes(size);
+        return ({
+            size: size,
+            header: enc.header,
+            data: data,
+            ciphertext: Buffer.concat([enc.cipher.update(data),
+                enc.cipher.final()])
+        });
+    });
+
+    var header = encryption.partsEncryption(uploadId, parts);
+    t.notOk(header.customerKey);
+    t.equal(header.wrappedKey, uploadKey.wrappedKey);
+
+    var md = {
+        objectId: uuidv4(),
+        headers: {}
+    };
+    md.headers[encryption.HEADER] = header;
+    t.ok(encryption.isEncrypted(md));
+    t.notOk(encryption.hasCustomerKey(md));
+    t.ok(encryption.unwrapKey(config, md).equals(dataKey),
+        'key bound to the upload');
+
+    var data = Buffer.concat(parts.map(function (p) {
+        return (p.data);
+    }));
+    var ciphertext = Buffer.concat(parts.map(function (p) {
+        return (p.ciphertext);
+    }));
+    var decipher = encryption.createDecipher(md, dataKey, 0);
+    var out = [];
+    decipher.on('data', function (chunk) {
+        out.push(chunk);
+    });
+    decipher.once('end', function () {
+        t.ok(Buffer.concat(out).equals(data), 'decrypted');
+        t.end();
+    });
+
+    // A part encrypted with the client's key can't be mixed in.
+    var mixed = encryption.createEncryption({
+        config: config,
+        owner: owner,
+        objectId: uuidv4(),
+        customerKey: crypto.randomBytes(32),
+        uploadId: uploadId,
+        partNum: 1
+    });
+    t.equal(typeof (encryption.partsEncryption(uploadId,
+        [parts[0], {size: 517, header: mixed.header}])), 'string',
+        'mixed keys');
+
+    uploadKey.uploadId = uuidv4();
+    t.equal(encryption.unwrapUploadKey(config, uploadKey), null,
+        'key bound to the upload id');
+
+    decipher.end(ciphertext);
+});
@@ -0,0 +1,155 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var test = require('tap').test;
+
+var quota = require('../../lib/quota.js');
+
+
+var UUID = 'b3b2f2b1-6a5c-4c56-8e0a-3d3e64d2e4a5';
+var KEY = '/' + UUID + '/stor/dir/obj';
+
+
+test('quota: accountQuota', function (t) {
+    var q = {uuid: UUID, bytes: 100};
+    var config = {quota: {accounts: [q]}};
+
+    t.equal(quota.accountQuota(config, UUID), q);
+    t.equal(quota.accountQuota(config, 'other'), null);
+    t.equal(quota.accountQuota({}, UUID), null, 'no quota section');
+    t.end();
+});
+
+
+test('quota: objectChange', function (t) {
+    var md = {type: 'object', contentLength: 10};
+
+    t.deepEqual(quota.objectChange(KEY, md, 1),
+        {key: KEY, bytes: 10, objects: 1});
+    t.deepEqual(quota.objectChange(KEY, md, -1),
+        {key: KEY, bytes: -10, objects: -1});
+    t.equal(quota.objectChange(KEY, {type: 'directory'}, -1), null);
+    t.equal(quota.objectChange(KEY, {type: null}, -1), null, 'missing');
+    t.end();
+});
+
+
+test('quota: applyChanges', function (t) {
+    var usage = quota.applyChanges({}, [
+        {key: KEY, bytes: 10, objects: 1},
+        {key: '/' + UUID + '/public/obj', bytes: 5, objects: 1}
+    ]);
+    t.deepEqual(usage, {
+        bytes: 15,
+        objects: 2,
+        directories: {
+            stor: {bytes: 10, objects: 1},
+            public: {bytes: 5, objects: 1}
+        }
+    });
+
+    var usage2 = quota.applyChanges(usage, [
+        {key: KEY, bytes: -10, objects: -1}
+    ]);
+    t.deepEqual(usage2.directories.stor, {bytes: 0, objects: 0});
+    t.equal(usage2.bytes, 5);
+    t.equal(usage.bytes, 15, 'the usage passed in is unchanged');
+    t.end();
+});
+
+
+test('quota: checkQuota', function (t) {
+    var q = {
+        uuid: UUID,
+        bytes: 100,
+        objects: 10,
+        directories: [ {name: 'public', objects: 2} ]
+    };
+    var usage = {
+        bytes: 90,
+        objects: 5,
+        directories: {
+            public: {bytes: 0, objects: 2}
+        }
+    };
+
+    t.equal(quota.checkQuota(q, usage, 'login', 'stor', 10, 1), null,
+        'at the limit');
+    t.equal(quota.checkQuota(q, usage, 'login', 'stor', -20, 0), null,
+        'replacing a bigger object');
+
+    var err = quota.checkQuota(q, usage, 'login', 'stor', 11, 1);
+    t.equal(err && err.restCode, 'QuotaExceeded', 'bytes');
+    t.equal(err && err.statusCode, 403);
+
+    err = quota.checkQuota(q, usage, 'login', 'public', 0, 1);
+    t.equal(err && err.restCode, 'QuotaExceeded', 'directory objects');
+    t.ok(err && /\/login\/public/.test(err.message), err && err.message);
+
+    t.equal(quota.checkQuota(q, usage, 'login', 'stor', null, 1), null,
+        'unknown size below the limit');
+    usage.bytes = 100;
+    t.ok(quota.checkQuota(q, usage, 'login', 'stor', null, 1),
+        'unknown size at the limit');
+
+    t.equal(quota.checkQuota({uuid: UUID}, usage, 'login', 'stor', 1e12, 1),
+        null, 'no limits');
+    t.end();
+});
+
+
+test('quota: recordUsage retries conflicts until it applies', function (t) {
+    var record = null;
+    var conflicts = 7;
+    var warned = false;
+
+    var ctx = {
+        config: {quota: {accounts: [ {uuid: UUID, bytes: 1000} ]}},
+        log: {
+            debug: function () {},
+            warn: function () {
+                warned = true;
+            }
+        },
+        getId: function () {
+            return ('request-id');
+        },
+        moray: {
+            getMetadata: function (opts, cb) {
+                var err = new Error('not found');
+                err.name = 'ObjectNotFoundError';
+                if (record) {
+                    cb(null, record, {_etag: 'etag'});
+                } else {
+                    cb(err);
+                }
+            },
+            putMetadata: function (opts, cb) {
+                if (conflicts-- > 0) {
+                    var err = new Error('conflict');
+                    err.name = 'EtagConflictError';
+                    cb(err);
+                    return;
+                }
+                record = opts;
+                cb(null, opts);
+            }
+        }
+    };
+
+    quota.recordUsage(ctx, UUID, [
+        quota.objectChange(KEY, {type: 'object', contentLength: 10}, 1)
+    ], function () {
+        t.notOk(warned, 'no failure logged');
+        t.ok(record, 'usage saved');
+        t.equal(record.headers.usage.bytes, 10);
+        t.end();
+    });
+});
@@ -0,0 +1,82 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var bunyan = require('bunyan');
+var test = require('tap').test;
+
+var rateLimit = require('../../lib/rate_limit.js');
+
+
+var ACCOUNT = 'b3b2f2b1-6a5c-4c56-8e0a-3d3e64d2e4a5';
+
+function createLimiter() {
+    return (rateLimit.createRateLimiter({
+        log: bunyan.createLogger({name: 'rate_limit.test', level: 'fatal'}),
+        rate: 2,
+        burst: 3,
+        accounts: [ {uuid: ACCOUNT, rate: 10, burst: 20} ]
+    }));
+}
+
+
+test('rate limit: limitFor', function (t) {
+    var limiter = createLimiter();
+
+    t.deepEqual(limiter.limitFor(ACCOUNT), {rate: 10, burst: 20});
+    t.deepEqual(limiter.limitFor('other'), {rate: 2, burst: 3}, 'default');
+    t.end();
+});
+
+
+test('rate limit: take', function (t) {
+    var limiter = createLimiter();
+    var limit = limiter.limitFor('other');
+    var now = Date.now();
+
+    var state = limiter.take('k', limit, now);
+    t.ok(state.allowed);
+    t.equal(state.limit, 3);
+    t.equal(state.remaining, 2);
+    t.equal(state.reset, 1);
+
+    limiter.take('k', limit, now);
+    t.ok(limiter.take('k', limit, now).allowed, 'the burst');
+
+    state = limiter.take('k', limit, now);
+    t.notOk(state.allowed, 'over the limit');
+    t.equal(state.remaining, 0);
+    t.equal(state.retryAfter, 1);
+    t.equal(state.reset, 2);
+
+    t.ok(limiter.take('other-key', limit, now).allowed,
+        'buckets are independent');
+
+    // Half a second refills one token at 2 per second.
+    t.ok(limiter.take('k', limit, now + 500).allowed, 'refilled');
+    t.notOk(limiter.take('k', limit, now + 500).allowed);
+    t.end();
+});
+
+
+test('rate limit: prune', function (t) {
+    var limiter = createLimiter();
+    var limit = limiter.limitFor('other');
+    var now = Date.now();
+
+    limiter.take('a', limit, now);
+    [1, 2, 3].forEach(function () {
+        limiter.take('b', limit, now + 59900);
+    });
+    limiter.take('c', limit, now + 60000);
+
+    t.deepEqual(Object.keys(limiter.buckets).sort(), ['b', 'c'],
+        'full buckets are forgotten');
+    t.end();
+});
@@ -0,0 +1,124 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var test = require('tap').test;
+
+var retention = require('../../lib/retention.js');
+
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+
+function retained(r) {
+    var md = {type: 'object', headers: {}};
+    md.headers[retention.HEADER] = r;
+    return (md);
+}
+
+
+test('retention: objectRetention', function (t) {
+    var until = new Date(Date.now() + DAY_MS).toISOString();
+
+    t.equal(retention.objectRetention({}, {headers: {}}), null, 'none');
+    t.deepEqual(retention.objectRetention({
+        'retention-mode': 'compliance',
+        'retain-until': until
+    }), {mode: 'compliance', retainUntil: Date.parse(until)}, 'headers');
+    t.deepEqual(retention.objectRetention({'legal-hold': 'true'}),
+        {legalHold: true}, 'legal hold');
+
+    var r = retention.objectRetention({}, {headers: {
+        'retention-mode': 'governance',
+        'retention-days': '10'
+    }});
+    t.equal(r.mode, 'governance', 'directory default');
+    t.ok(Math.abs(r.retainUntil - (Date.now() + 10 * DAY_MS)) < 60000);
+
+    [
+        {'retention-mode': 'governance'},
+        {'retain-until': until},
+        {'retention-mode': 'forever', 'retain-until': until},
+        {'retention-mode': 'governance', 'retain-until': '2001-01-01'},
+        {'legal-hold': 'yes'}
+    ].forEach(function (headers) {
+        var err = retention.objectRetention(headers, null);
+        t.ok(err instanceof Error, JSON.stringify(headers));
+    });
+    t.end();
+});
+
+
+test('retention: checkDirectoryHeaders', function (t) {
+    t.equal(retention.checkDirectoryHeaders({}), null);
+    t.equal(retention.checkDirectoryHeaders({
+        'retention-mode': 'compliance',
+        'retention-days': '365'
+    }), null);
+    t.ok(retention.checkDirectoryHeaders({'retention-mode': 'compliance'}));
+    t.ok(retention.checkDirectoryHeaders({
+        'retention-mode': 'compliance',
+        'retention-days': '0'
+    }));
+    t.end();
+});
+
+
+test('retention: checkRetained', function (t) {
+    var p = '/login/stor/obj';
+
+    t.equal(retention.checkRetained({type: 'object', headers: {}}, p), null);
+    t.equal(retention.checkRetained(retained({
+        mode: 'governance',
+        retainUntil: Date.now() - 1000
+    }), p), null, 'expired');
+
+    var err = retention.checkRetained(retained({
+        mode: 'governance',
+        retainUntil: Date.now() + DAY_MS
+    }), p);
+    t.equal(err && err.restCode, 'ObjectRetained', 'retained');
+    t.equal(err && err.statusCode, 403);
+
+    err = retention.checkRetained(retained({legalHold: true}), p);
+    t.equal(err && err.restCode, 'ObjectRetained', 'legal hold');
+    t.end();
+});
+
+
+test('retention: parseUpdate and checkUpdate', function (t) {
+    var p = '/login/stor/obj';
+    var later = Date.now() + 2 * DAY_MS;
+    var current = {mode: 'governance', retainUntil: Date.now() + DAY_MS};
+
+    var r = retention.parseUpdate({legalHold: true}, current);
+    t.deepEqual(r, {mode: 'governance', retainUntil: current.retainUntil,
+        legalHold: true}, 'fields left out are unchanged');
+    t.equal(retention.checkUpdate(current, r, false, p), null);
+
+    r = retention.parseUpdate({retainUntil: new Date(later).toISOString()},
+        current);
+    t.equal(retention.checkUpdate(current, r, false, p), null, 'lengthened');
+
+    r = retention.parseUpdate({mode: null, retainUntil: null}, current);
+    t.ok(retention.checkUpdate(current, r, false, p), 'removed');
+    t.equal(retention.checkUpdate(current, r, true, p), null,
+        'removed by an operator');
+
+    var compliance = {mode: 'compliance', retainUntil: current.retainUntil};
+    r = retention.parseUpdate({mode: 'governance'}, compliance);
+    t.ok(retention.checkUpdate(compliance, r, true, p),
+        'compliance mode can\'t be relaxed, even by operators');
+
+    t.ok(retention.parseUpdate({mode: 'governance'}, null) instanceof Error,
+        'mode without retainUntil');
+    t.ok(retention.parseUpdate({legalHold: 'yes'}, null) instanceof Error);
+    t.ok(retention.parseUpdate([], null) instanceof Error);
+    t.end();
+});
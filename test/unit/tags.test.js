@@ -0,0 +1,74 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var test = require('tap').test;
+
+var tags = require('../../lib/tags.js');
+
+
+function tagged(set) {
+    var md = {type: 'object', headers: {'m-color': 'blue'}};
+    md.headers[tags.HEADER] = set;
+    return (md);
+}
+
+
+test('tags: checkTags', function (t) {
+    t.equal(tags.checkTags({}), null, 'empty');
+    t.equal(tags.checkTags({project: 'apollo', 'cost_center-2': ''}), null,
+        'valid');
+
+    var tooMany = {};
+    for (var i = 0; i < 11; i++)
+        tooMany['k' + i] = 'v';
+
+    [
+        null,
+        'project',
+        ['project'],
+        tooMany,
+        {'has space': 'v'},
+        {'': 'v'},
+        {project: 1},
+        {project: {}},
+        {project: new Array(258).join('x')}
+    ].forEach(function (set) {
+        var err = tags.checkTags(set);
+        t.ok(err, JSON.stringify(set));
+        t.equal(err && err.restCode, 'InvalidTags');
+    });
+
+    var longKey = {};
+    longKey[new Array(130).join('k')] = 'v';
+    t.ok(tags.checkTags(longKey), 'key too long');
+    t.end();
+});
+
+
+test('tags: getTags', function (t) {
+    t.deepEqual(tags.getTags({headers: {}}), {});
+    t.deepEqual(tags.getTags(null), {});
+    t.deepEqual(tags.getTags(tagged({project: 'apollo'})),
+        {project: 'apollo'});
+    t.end();
+});
+
+
+test('tags: addConditions', function (t) {
+    var conditions = {method: 'GET', 'tag-old': 'x'};
+
+    tags.addConditions(conditions, tagged({project: 'apollo'}));
+    t.deepEqual(conditions, {method: 'GET', 'tag-project': 'apollo'},
+        'replaces the conditions of another record');
+
+    tags.addConditions(conditions, {type: 'directory', headers: {}});
+    t.deepEqual(conditions, {method: 'GET'}, 'directories have no tags');
+    t.end();
+});
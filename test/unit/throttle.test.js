@@ -0,0 +1,117 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Edgecast Cloud LLC.
+ */
+
+var bunyan = require('bunyan');
+var test = require('tap').test;
+var VError = require('verror');
+
+var throttle = require('../../lib/throttle.js');
+
+
+var nreqs = 0;
+
+function createThrottle(options) {
+    options.log = bunyan.createLogger({name: 'throttle.test', level: 'fatal'});
+    options.enabled = true;
+    options.concurrency = 1;
+    if (options.queueTolerance === undefined)
+        options.queueTolerance = 10;
+    return (throttle.createThrottle(options));
+}
+
+function fakeRequest(login, method) {
+    var id = 'req' + (++nreqs);
+    return ({
+        url: '/' + login + '/stor/obj',
+        method: method || 'GET',
+        path: function () { return ('/' + login + '/stor/obj'); },
+        getId: function () { return (id); }
+    });
+}
+
+
+test('throttle: queueName', function (t) {
+    var th = createThrottle({});
+    t.equal(th.queueName(fakeRequest('alice')), 'alice');
+    t.equal(th.queueName(fakeRequest('%E4%B8%AD')), '中', 'decoded');
+    t.equal(th.queueName(fakeRequest('')), '/', 'no account');
+
+    th = createThrottle({queueBy: 'operation'});
+    t.equal(th.queueName(fakeRequest('alice', 'PUT')), 'PUT');
+    t.end();
+});
+
+
+test('throttle: weighted fair queuing', function (t) {
+    var th = createThrottle({weights: [ {name: 'alice', weight: 2} ]});
+    var order = [];
+
+    // Hold the only slot, so that everything is queued.
+    th.inFlight = 1;
+    ['alice', 'alice', 'alice', 'alice', 'bob', 'bob'].forEach(function (l) {
+        th.wait(fakeRequest(l), {}, function (err) {
+            t.ifError(err);
+            order.push(l);
+        });
+    });
+    t.equal(th.queued, 6);
+    t.deepEqual(order, []);
+
+    th.inFlight = 0;
+    th.dispatch();
+    t.deepEqual(order, ['alice', 'alice', 'bob', 'alice', 'alice', 'bob'],
+        'alice gets twice the slots of bob');
+    t.equal(th.queued, 0);
+    t.deepEqual(Object.keys(th.queues), [], 'empty queues are forgotten');
+    t.deepEqual(th.labelDepths, {});
+    t.end();
+});
+
+
+test('throttle: a burst does not hold up other queues', function (t) {
+    var th = createThrottle({queueTolerance: 100});
+    var order = [];
+
+    th.inFlight = 1;
+    for (var i = 0; i < 10; i++) {
+        th.wait(fakeRequest('alice', 'PUT'), {}, order.push.bind(order, 'a'));
+    }
+    th.wait(fakeRequest('bob'), {}, order.push.bind(order, 'b'));
+
+    th.inFlight = 0;
+    th.dispatch();
+    t.equal(order.indexOf('b'), 1, 'bob goes after one of alice\'s');
+    t.end();
+});
+
+
+test('throttle: queueTolerance', function (t) {
+    var th = createThrottle({queueTolerance: 2});
+
+    th.inFlight = 1;
+    th.wait(fakeRequest('alice'), {}, function () {});
+    th.wait(fakeRequest('bob'), {}, function () {});
+    th.wait(fakeRequest('carol'), {}, function (err) {
+        t.ok(err, 'throttled');
+        t.ok(VError.findCauseByName(err, 'ThrottledError'));
+        t.end();
+    });
+});
+
+
+test('throttle: metric labels', function (t) {
+    var th = createThrottle({weights: [ {name: 'alice', weight: 2} ]});
+    t.equal(th.metricLabel('alice'), 'alice');
+    t.equal(th.metricLabel('bob'), 'other', 'accounts without a weight');
+
+    th = createThrottle({queueBy: 'operation'});
+    t.equal(th.metricLabel('GET'), 'GET');
+    t.end();
+});
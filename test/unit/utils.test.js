@@ -50,3 +50,84 @@ test('utils.shuffle', function (t) {
     t.ok(propRes === true, 'Property:: shuffle maintains arr contents');
     t.end();
 });
+
+
+test('utils.createPageToken/parsePageToken', function (t) {
+    var tokens = [
+        {sort: 'name', reverse: false, name: 'foo', mtime: undefined},
+        {sort: 'mtime', reverse: true, name: 'b?r+/', mtime: 1760000000123},
+        {sort: 'path', reverse: false, name: 'a/b/é.txt',
+            mtime: undefined}
+    ];
+
+    tokens.forEach(function (token) {
+        var value = mod_util.createPageToken(token);
+        t.ok(/^[A-Za-z0-9_-]+$/.test(value), 'URL-safe: ' + value);
+        t.deepEqual(mod_util.parsePageToken(value), token);
+    });
+
+    t.equal(mod_util.parsePageToken('not a token'), null);
+    t.equal(mod_util.parsePageToken(''), null);
+    t.equal(mod_util.parsePageToken(Buffer.from(JSON.stringify({
+        v: 1, s: 'mtime', r: false, n: 'foo'
+    })).toString('base64')), null, 'mtime token without an mtime');
+    t.equal(mod_util.parsePageToken(Buffer.from(JSON.stringify({
+        v: 1, s: 'size', r: false, n: 'foo'
+    })).toString('base64')), null, 'unknown sort');
+    t.end();
+});
+
+
+test('utils.rewriteObjectRecord', function (t) {
+    var md = {
+        owner: 'owner',
+        creator: 'creator',
+        headers: {
+            'm-color': 'blue',
+            'role-tag': 'reader',
+            tags: {a: 'b'}
+        },
+        roles: ['reader-uuid'],
+        contentLength: 3,
+        contentMD5: 'md5',
+        contentType: 'text/plain',
+        etag: 'etag',
+        objectId: 'objectId',
+        sharks: [],
+        mtime: 1760000000123
+    };
+    var req = {
+        getId: function () {
+            return ('request-id');
+        },
+        moray: {
+            putMetadata: function (opts, cb) {
+                t.equal(opts.key, '/owner/stor/obj');
+                t.equal(opts._etag, 'moray-etag');
+                t.deepEqual(opts.headers, {
+                    'm-color': 'blue',
+                    retention: {legalHold: true}
+                }, 'headers changed, role-tag dropped');
+                t.deepEqual(opts.roles, md.roles);
+                t.equal(opts.objectId, md.objectId);
+                t.equal(opts.mtime, md.mtime);
+                t.deepEqual(opts.previousMetadata, {}, 'keeps the data');
+                cb(null, {});
+            }
+        }
+    };
+
+    mod_util.rewriteObjectRecord(req, md, {
+        key: '/owner/stor/obj',
+        _etag: 'moray-etag',
+        headers: {
+            tags: undefined,
+            retention: {legalHold: true}
+        },
+        mtime: md.mtime
+    }, function (err) {
+        t.ifError(err);
+        t.equal(md.headers.tags.a, 'b', 'md left as it was');
+        t.end();
+    });
+});